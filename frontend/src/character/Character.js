@@ -5,6 +5,7 @@ import { character } from '../config.js';
 import assetManager from '../utils/AssetManager.js';
 import { AudioManager } from '../audio/AudioManager.js';
 import { EffectsManager } from './EffectsManager.js'; // Import EffectsManager
+import { MovementPrediction } from './MovementPrediction.js';
 
 // Health Manager class for handling character health
 class HealthManager {
@@ -142,6 +143,9 @@ export class Character {
         this.canJump = true;
         this.playerRadius = 0.5;
         
+        // Our inputs by number, replayed when the server corrects our position
+        this.prediction = new MovementPrediction();
+        
         // Surface tracking for stable standing
         this.lastSurfaceY = null;
         this.surfaceMemoryTimeout = 100; // ms to remember a surface
@@ -214,6 +218,13 @@ export class Character {
         this.deathStateStartTime = 0;
         this.respawnCountdown = 0;
         this.deathOverlay = null;
+        // Spawn picked by the server for our next respawn
+        this.nextRespawnPosition = null;
+        // The map's spawn points, for respawning offline
+        this.spawnPositions = [];
+
+        // Lets us watch other players while we wait to respawn
+        this.spectatorCamera = null;
     }
 
     setEnabled(enabled) {
@@ -373,31 +384,15 @@ export class Character {
         this.camera.getWorldDirection(direction);
         
         console.log("Throwing item", itemConfig);
-        // Create local projectile
         const position = this.camera.position.clone().add(direction.clone().multiplyScalar(2));
-        const projectile = new FoodProjectile({
-            scene: this.scene,
-            position: position,
-            direction: direction,
-            path: itemConfig.modelPath,
-            scale: itemConfig.scale,
-            speed: 0.5,
-            gravity: 0.01,
-            arcHeight: 0.2,
-            lifetime: 5000,
-            itemType: itemConfig.id || 'tomato',
-            damage: itemConfig.damage || 10,
-            isOwnProjectile: true, // Mark as player's own projectile
-            onCollision: (collidedObject, itemConfig) => this.handleProjectileCollision(collidedObject, itemConfig)
-        });
-        
-        FoodProjectile.registerProjectile(projectile);
 
-        // Send projectile info over network if NetworkManager is available and server is ready
+        // Send projectile info over network if NetworkManager is available and server is ready.
+        // The server simulates the throw and decides which players it hits.
+        let networkId = null;
         if (window.networkManager && window.networkManager.isConnected && 
             window.networkManager.isServerReadyForProjectiles) {
             try {
-                window.networkManager.sendProjectile({
+                networkId = window.networkManager.sendProjectile({
                     itemType: itemConfig.id || 'tomato',
                     x: position.x,
                     y: position.y,
@@ -409,7 +404,8 @@ export class Character {
                     scale: itemConfig.scale || 1,
                     gravity: 0.01,
                     arcHeight: 0.2,
-                    lifetime: 5000
+                    lifetime: 5000,
+                    thrownAt: Date.now() // Lets the server rewind the other players to what we saw
                 });
             } catch (error) {
                 console.error('Error sending projectile over network:', error);
@@ -417,6 +413,26 @@ export class Character {
             }
         }
 
+        // Create local projectile
+        const projectile = new FoodProjectile({
+            scene: this.scene,
+            position: position,
+            direction: direction,
+            path: itemConfig.modelPath,
+            scale: itemConfig.scale,
+            speed: 0.5,
+            gravity: 0.01,
+            arcHeight: 0.2,
+            lifetime: 5000,
+            itemType: itemConfig.id || 'tomato',
+            damage: itemConfig.damage || 10,
+            isOwnProjectile: true, // Mark as player's own projectile
+            networkId: networkId,
+            onCollision: (collidedObject, itemConfig) => this.handleProjectileCollision(collidedObject, itemConfig)
+        });
+        
+        FoodProjectile.registerProjectile(projectile);
+
         this.isThrowAnimating = true;
         this.throwAnimationStartTime = Date.now();
 
@@ -434,6 +450,14 @@ export class Character {
      * @param {Object} itemConfig - The configuration of the thrown item
      */
     handleProjectileCollision(collidedObject, itemConfig) {
+        // The server doesn't know the level geometry, so tell it when our projectile hits a wall
+        if (collidedObject && collidedObject.type !== 'player' && itemConfig.networkId) {
+            if (window.networkManager) {
+                window.networkManager.sendProjectileBlocked(itemConfig.networkId);
+            }
+            return;
+        }
+        
         // Check if this is a hit on our own character
         if (collidedObject && collidedObject.type === 'player') {
             if (collidedObject.isLocalPlayer) {
@@ -516,42 +540,24 @@ export class Character {
             // Create hit effect on the player - more particles for consecutive hits
             this.createHitEffect(collidedObject, consecutiveHits);
             
-            // Always assume the hit is accepted - for more reliable hit detection
-            let hitAccepted = true;
-            
             // Use the new utility method to handle the hit directly on the NetworkedPlayer if available
             if (typeof player.handleProjectileHit === 'function') {
                 player.handleProjectileHit(damage, itemConfig.id || 'tomato');
             }
             
-            // Only send to server if the hit was accepted by the player object
-            if (hitAccepted && window.networkManager && window.networkManager.isConnected) {
-                try {
-                    console.log(`[HIT DEBUG] Sending hit to server for player ${playerSessionId}, damage: ${damage}`);
-                    window.networkManager.sendPlayerHit({
-                        targetPlayerId: playerSessionId,
-                        damage: damage,
-                        itemType: itemConfig.id || 'tomato',
-                        hitCount: consecutiveHits  // Send consecutive hit count to server
+            // The server's projectile simulation decides the hit and sends playerDamaged,
+            // play the hitmarker sound locally for the thrower in the meantime
+            try {
+                if (AudioManager) {
+                    AudioManager.play('hit', { 
+                        volume: 1.0,                // Full volume
+                        pitchMin: 0.4,              // Extremely low pitch possible
+                        pitchMax: 1.6,              // Extremely high pitch possible
+                        allowOverlap: true          // Allow sounds to overlap
                     });
-                    
-                    // If we hit the remote player, play hitmarker sound locally for thrower
-                    // The server will notify other players through the network
-                    try {
-                        if (AudioManager) {
-                            AudioManager.play('hit', { 
-                                volume: 1.0,                // Full volume
-                                pitchMin: 0.4,              // Extremely low pitch possible
-                                pitchMax: 1.6,              // Extremely high pitch possible
-                                allowOverlap: true          // Allow sounds to overlap
-                            });
-                        }
-                    } catch (error) {
-                        console.warn('Unable to play hit sound:', error);
-                    }
-                } catch (error) {
-                    console.error('Error sending player hit over network:', error);
                 }
+            } catch (error) {
+                console.warn('Unable to play hit sound:', error);
             }
         }
     }
@@ -931,6 +937,8 @@ export class Character {
         
         // If controls aren't locked, update hand position after physics
         if (!this.enabled || !this.controls.isLocked) {
+            // Still a frame of physics to replay
+            this.prediction.record(this.readInput(false));
             this.updateHandPosition();
             return;
         }
@@ -1218,8 +1226,6 @@ export class Character {
     }
 
     updateMovement() {
-        const currentPosition = this.camera.position.clone();
-        
         // Check if we're in hit state
         if (this.isInHitState) {
             const elapsed = (Date.now() - this.hitStateStartTime) / 1000; // Convert to seconds
@@ -1229,32 +1235,19 @@ export class Character {
                 this.playerState = 'idle';
             } else {
                 // Don't process movement while in hit state
+                this.prediction.record(this.readInput(false));
                 return;
             }
         }
         
-        // Process jump input
-        if (this.keys[' ']) {
-            // If we can jump or were recently able to jump (small grace period for more responsive jumping)
-            if (this.canJump) {
-                this.velocity.y = this.jumpForce;
-                this.canJump = false;
-                this.lastSurfaceY = null; // Clear surface memory when jumping
-                
-                // Small upward boost to clear objects more reliably
-                this.camera.position.y += 0.1;
-                
-                // Update player state to jumping
-                this.playerState = 'jumping';
-            }
+        const input = this.prediction.record(this.readInput(true));
+        if (this.applyInput(input)) {
+            // Update player state to jumping
+            this.playerState = 'jumping';
         }
-
-        // Horizontal movement
-        const moveForward = this.keys.w ? 1 : (this.keys.s ? -1 : 0);
-        const moveRight = this.keys.d ? 1 : (this.keys.a ? -1 : 0);
         
         // Check if character is moving horizontally
-        this.isMoving = moveForward !== 0 || moveRight !== 0;
+        this.isMoving = input.forward !== 0 || input.right !== 0;
         
         // Update player state based on movement
         if (this.velocity.y > 0.01 || !this.canJump) {
@@ -1271,24 +1264,6 @@ export class Character {
             window.networkManager.sendPlayerState(this.playerState);
         }
         
-        const potentialPosition = this.camera.position.clone();
-        
-        if (moveForward !== 0) {
-            this.controls.moveForward(moveForward * this.moveSpeed);
-            if (this.checkCollision(this.camera.position)) {
-                this.camera.position.copy(potentialPosition);
-            } else {
-                potentialPosition.copy(this.camera.position);
-            }
-        }
-        
-        if (moveRight !== 0) {
-            this.controls.moveRight(moveRight * this.moveSpeed);
-            if (this.checkCollision(this.camera.position)) {
-                this.camera.position.copy(potentialPosition);
-            }
-        }
-
         // Update camera bobbing
         if (this.isMoving && this.canJump) {  // Only bob when moving and on ground
             this.bobTime += this.moveSpeed * this.bobFrequency;
@@ -1311,6 +1286,92 @@ export class Character {
         }
     }
 
+    /**
+     * What the player does this frame
+     * @param {boolean} controlled - False while the player can't move, e.g. in the hit state
+     * @returns {Object} The input: forward and right (-1, 0 or 1), jump, yaw, moveSpeed and jumpForce
+     */
+    readInput(controlled) {
+        // Same heading PointerLockControls moves along
+        const yaw = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ').y;
+        return {
+            forward: controlled ? (this.keys.w ? 1 : (this.keys.s ? -1 : 0)) : 0,
+            right: controlled ? (this.keys.d ? 1 : (this.keys.a ? -1 : 0)) : 0,
+            jump: controlled && this.keys[' '],
+            yaw,
+            // Speed and jump effects change these, a replay must use what we had then
+            moveSpeed: this.moveSpeed,
+            jumpForce: this.jumpForce
+        };
+    }
+
+    /**
+     * Jump and walk for one frame of input
+     * @param {Object} input - An input from readInput
+     * @returns {boolean} True if we jumped
+     */
+    applyInput(input) {
+        let jumped = false;
+        
+        // Process jump input
+        if (input.jump && this.canJump) {
+            this.velocity.y = input.jumpForce;
+            this.canJump = false;
+            this.lastSurfaceY = null; // Clear surface memory when jumping
+            
+            // Small upward boost to clear objects more reliably
+            this.camera.position.y += 0.1;
+            jumped = true;
+        }
+        
+        // Horizontal movement, each direction undone on its own if it runs into something
+        const potentialPosition = this.camera.position.clone();
+        const forward = new THREE.Vector3(-Math.sin(input.yaw), 0, -Math.cos(input.yaw));
+        const right = new THREE.Vector3(Math.cos(input.yaw), 0, -Math.sin(input.yaw));
+        
+        if (input.forward !== 0) {
+            this.camera.position.addScaledVector(forward, input.forward * input.moveSpeed);
+            if (this.checkCollision(this.camera.position)) {
+                this.camera.position.copy(potentialPosition);
+            } else {
+                potentialPosition.copy(this.camera.position);
+            }
+        }
+        
+        if (input.right !== 0) {
+            this.camera.position.addScaledVector(right, input.right * input.moveSpeed);
+            if (this.checkCollision(this.camera.position)) {
+                this.camera.position.copy(potentialPosition);
+            }
+        }
+        
+        return jumped;
+    }
+
+    /**
+     * The server turned down one of our position updates. Start over from where it
+     * has us and replay the inputs it hasn't seen yet, instead of snapping back.
+     * @param {Object} position - Our position on the server {x, y, z}
+     * @param {number} seq - Newest input the server position includes
+     * @param {number} [correctedSeq] - Newest input in the update it turned down
+     */
+    reconcile(position, seq, correctedSeq) {
+        const pending = this.prediction.acknowledge(seq, correctedSeq);
+        // Sent before we last reconciled, the updates since then start from the server position
+        if (!pending) return;
+        
+        this.camera.position.set(position.x, position.y, position.z);
+        this.velocity.set(0, 0, 0);
+        this.lastSurfaceY = null;
+        this.lastBobPosition = 0;
+        
+        pending.forEach(input => {
+            this.updatePhysics();
+            this.applyInput(input);
+        });
+        console.log(`Reconciled with the server at input ${seq}, replayed ${pending.length} input(s)`);
+    }
+
     getPosition() {
         return this.camera.position;
     }
@@ -1690,12 +1751,6 @@ export class Character {
         this.weaponType = weaponType;
         this.killerId = killerId; // Store killer ID
         
-        // Send kill attribution to server if we have a killer ID
-        if (killerId && window.networkManager && window.networkManager.isConnected) {
-            console.log(`Sending kill attribution to server: ${killerId} killed local player`);
-            window.networkManager.sendKillAttribution(killerId);
-        }
-        
         // Play death sound (non-spatial for local player)
         try {
             if (AudioManager) {
@@ -1726,6 +1781,11 @@ export class Character {
         // Start respawn countdown
         this.startRespawnCountdown();
         
+        // Watch the others until we're back
+        if (this.spectatorCamera) {
+            this.spectatorCamera.setAllowed(true);
+        }
+        
         // Send player state update over network
         if (window.networkManager && window.networkManager.isConnected) {
             window.networkManager.sendPlayerState(this.playerState);
@@ -1985,9 +2045,16 @@ export class Character {
         this.isInDeathState = false;
         this._playerState = 'idle';
         
-        // Teleport to respawn position
-        const respawnPos = character.states.death.defaultRespawnPosition;
+        // Back to our own eyes before teleporting
+        if (this.spectatorCamera) {
+            this.spectatorCamera.setAllowed(false);
+        }
+        
+        // Teleport to the server's spawn, or one of the map's when playing offline
+        const respawnPos = this.nextRespawnPosition || this.pickOfflineSpawn();
+        this.nextRespawnPosition = null;
         this.camera.position.set(respawnPos.x, respawnPos.y, respawnPos.z);
+        this.prediction.clear();
         
         // Reset velocity
         this.velocity.set(0, 0, 0);
@@ -2009,7 +2076,60 @@ export class Character {
             this.isRespawning = false;
         }, 1000); // Small buffer time to prevent immediate re-deaths
     }
-    
+
+    /**
+     * A random spawn point of the map, the default position if the map has none
+     * @returns {Object} Spawn position {x, y, z}
+     */
+    pickOfflineSpawn() {
+        if (this.spawnPositions.length === 0) {
+            return character.states.death.defaultRespawnPosition;
+        }
+        return this.spawnPositions[Math.floor(Math.random() * this.spawnPositions.length)];
+    }
+
+    /**
+     * Start a new match round at full health from the spawn the server picked
+     * @param {Object} position - Spawn position {x, y, z}
+     */
+    resetForNewRound(position) {
+        if (this.isInDeathState) {
+            // Skip the rest of the respawn countdown
+            if (this.respawnCountdownInterval) {
+                clearInterval(this.respawnCountdownInterval);
+                this.respawnCountdownInterval = null;
+            }
+            this.respawn();
+        } else {
+            this.healthManager.resetHealthFromRespawn();
+            this.createRespawnEffect();
+        }
+
+        if (position) {
+            this.camera.position.set(position.x, position.y, position.z);
+            this.prediction.clear();
+        }
+        this.velocity.set(0, 0, 0);
+    }
+
+    /**
+     * Use this position for the next respawn
+     * @param {Object} position - Spawn position {x, y, z}
+     */
+    setRespawnPosition(position) {
+        this.nextRespawnPosition = { x: position.x, y: position.y, z: position.z };
+    }
+
+    /**
+     * Move straight to a position, e.g. when the server corrects our movement
+     * @param {Object} position - Position {x, y, z}
+     */
+    teleportTo(position) {
+        this.camera.position.set(position.x, position.y, position.z);
+        this.velocity.set(0, 0, 0);
+        this.prediction.clear();
+    }
+
     /**
      * Create a visual effect when respawning
      */
@@ -2085,4 +2205,33 @@ export class Character {
     setJumpHeight(newJumpHeight) {
         this.jumpForce = newJumpHeight;
     }
+
+    /**
+     * Show or hide the spawn shield around the view (used by effects).
+     * @param {boolean} visible - Whether the player is spawn protected.
+     */
+    setSpawnShield(visible) {
+        if (!visible) {
+            if (this.spawnShieldOverlay && this.spawnShieldOverlay.parentNode) {
+                this.spawnShieldOverlay.parentNode.removeChild(this.spawnShieldOverlay);
+            }
+            this.spawnShieldOverlay = null;
+            return;
+        }
+        if (this.spawnShieldOverlay) return;
+
+        // A blue glow around the edges of the screen
+        const shieldOverlay = document.createElement('div');
+        shieldOverlay.style.position = 'fixed';
+        shieldOverlay.style.top = '0';
+        shieldOverlay.style.left = '0';
+        shieldOverlay.style.width = '100%';
+        shieldOverlay.style.height = '100%';
+        shieldOverlay.style.boxShadow = 'inset 0 0 80px 20px rgba(80, 170, 255, 0.6)';
+        shieldOverlay.style.pointerEvents = 'none';
+        shieldOverlay.style.zIndex = '1000';
+
+        document.body.appendChild(shieldOverlay);
+        this.spawnShieldOverlay = shieldOverlay;
+    }
 } 
\ No newline at end of file
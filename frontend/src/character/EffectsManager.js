@@ -30,11 +30,11 @@ export class EffectsManager {
             return;
         }
 
-        // Check if an effect of the same type is already active
+        // Reapplying an active effect restarts it, stacking would compound the
+        // multiplier and leave it behind when the first one ends
         if (this.activeEffects.has(id)) {
-            console.warn(`EffectsManager.apply: Effect with ID '${id}' is already active. Reapplying might reset or stack, depending on effect logic.`);
-            // Optionally remove the existing effect before applying the new one
-            // this.remove(id);
+            console.log(`EffectsManager.apply: Effect with ID '${id}' is already active, restarting it.`);
+            this.remove(id);
         }
 
         const EffectClass = Effects[id]; // Lookup in the Effects map
@@ -20,6 +20,9 @@ export class HealthBar {
     this.texture = null;
     this.currentHealth = 100;
     this.maxHealth = 100;
+    
+    // Team color used for the border in team mode
+    this.teamColor = null;
   }
   
   /**
@@ -109,9 +112,9 @@ export class HealthBar {
     this.context.fillStyle = barColor;
     this.context.fillRect(0, 0, barWidth, this.canvas.height);
     
-    // Add a more prominent border
-    this.context.strokeStyle = 'rgba(0, 0, 0, 1)'; // Solid black
-    this.context.lineWidth = 3;
+    // Add a more prominent border, in the team color in team mode
+    this.context.strokeStyle = this.teamColor || 'rgba(0, 0, 0, 1)'; // Solid black
+    this.context.lineWidth = this.teamColor ? 6 : 3;
     this.context.strokeRect(0, 0, this.canvas.width, this.canvas.height);
     
     // Update the texture
@@ -150,6 +153,17 @@ export class HealthBar {
     }
   }
   
+  /**
+   * Tint the border with a team color
+   * @param {string|null} color - CSS color, or null for the default
+   */
+  setTeamColor(color) {
+    if (color === this.teamColor) return;
+    
+    this.teamColor = color;
+    this.draw(this.currentHealth, this.maxHealth);
+  }
+  
   /**
    * Show a visual effect when the player takes damage
    */
@@ -0,0 +1,73 @@
+// Inputs older than this are dropped even if the server never acknowledged
+// them, a correction always arrives well within a second
+const MAX_INPUT_AGE = 1000;
+
+// Most inputs one position update carries, same as the server's MAX_MOVE_INPUTS
+const MAX_SENT_INPUTS = 64;
+
+/**
+ * Numbered inputs of the local player, one per simulated frame. Position
+ * updates carry the number of the newest input and the frames moved in since
+ * the last update, which the server checks the position against. When it
+ * corrects one, the inputs after the last update it accepted are replayed
+ * from the corrected position.
+ */
+export class MovementPrediction {
+    constructor() {
+        this.inputs = [];
+        this.lastSeq = 0;
+        // Newest input already sent to the server
+        this.lastSentSeq = 0;
+        // Corrections for updates sent before our last reconcile are stale
+        this.reconciledThrough = 0;
+    }
+
+    /**
+     * Number and keep an input
+     * @param {Object} input - forward and right (-1, 0 or 1), jump, yaw, moveSpeed and jumpForce
+     * @param {number} [now=performance.now()] - Current time in milliseconds
+     * @returns {Object} The input with its seq
+     */
+    record(input, now = performance.now()) {
+        const entry = { ...input, seq: ++this.lastSeq, time: now };
+        this.inputs.push(entry);
+        while (this.inputs.length > 0 && now - this.inputs[0].time > MAX_INPUT_AGE) {
+            this.inputs.shift();
+        }
+        return entry;
+    }
+
+    /**
+     * The frames we moved in since the last position update, to send with the next one
+     * @returns {Array<Object>} forward, right and yaw of each frame, oldest first
+     */
+    takeUnsent() {
+        const unsent = this.inputs
+            .filter(input => input.seq > this.lastSentSeq && (input.forward !== 0 || input.right !== 0))
+            .slice(-MAX_SENT_INPUTS)
+            .map(input => ({ forward: input.forward, right: input.right, yaw: input.yaw }));
+        this.lastSentSeq = this.lastSeq;
+        return unsent;
+    }
+
+    /**
+     * The server has our position as of an input, forget it and everything before
+     * @param {number} seq - Acknowledged input
+     * @param {number} [correctedSeq=seq] - Newest input in the update the server turned down
+     * @returns {Array<Object>|null} Inputs to replay, oldest first, or null if the correction is stale
+     */
+    acknowledge(seq, correctedSeq = seq) {
+        if (correctedSeq <= this.reconciledThrough) return null;
+        this.inputs = this.inputs.filter(input => input.seq > seq);
+        this.reconciledThrough = this.lastSeq;
+        return this.inputs;
+    }
+
+    /**
+     * Forget pending inputs, e.g. after a respawn moved us
+     */
+    clear() {
+        this.inputs = [];
+        this.reconciledThrough = this.lastSeq;
+    }
+}
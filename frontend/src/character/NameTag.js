@@ -20,6 +20,9 @@ export class NameTag {
     this.sprite = null;
     this.texture = null;
     this.playerName = "";
+    
+    // Team color in team mode, null for the default gray
+    this.color = null;
   }
   
   /**
@@ -83,7 +86,7 @@ export class NameTag {
     this.context.lineWidth = 4; // Thicker outline
     this.context.strokeText(playerName, this.canvas.width / 2, this.canvas.height / 2);
     
-    this.context.fillStyle = '#787878';
+    this.context.fillStyle = this.color || '#787878';
     this.context.fillText(playerName, this.canvas.width / 2, this.canvas.height / 2);
     
     // Update the texture
@@ -103,6 +106,19 @@ export class NameTag {
     }
   }
   
+  /**
+   * Tint the name with a team color
+   * @param {string|null} color - CSS color, or null for the default
+   */
+  setColor(color) {
+    if (color === this.color) return;
+    
+    this.color = color;
+    if (this.playerName) {
+      this.draw(this.playerName);
+    }
+  }
+  
   /**
    * Clean up resources
    */
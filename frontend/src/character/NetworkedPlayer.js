@@ -3,12 +3,24 @@ import { Vector3 } from 'three';
 import { gsap } from 'gsap';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { CharacterRegistry } from '../registries/CharacterRegistry.js';
+import { ItemRegistry } from '../registries/ItemRegistry.js';
+import assetManager from '../utils/AssetManager.js';
+import { assetPath } from '../utils/pathHelper.js';
 import { NameTag } from './NameTag.js';
 import { HealthBar } from './HealthBar.js';
 import { AnimationManager } from './AnimationManager.js';
-import { deathMessages } from '../config.js';
+import { deathMessages, teams, network } from '../config.js';
 import { HitMarker } from '../projectiles/HitMarker.js';
 import { AudioManager } from '../audio/AudioManager.js';
+import { SnapshotBuffer } from '../network/SnapshotBuffer.js';
+
+// Carried items float above the name tag, sized in world units
+const CARRIED_ITEM_HEIGHT = 1.35;
+const CARRIED_ITEM_SCALE = 0.6;
+
+// Spawn shield bubble around the player, in world units above the feet
+const SPAWN_SHIELD_RADIUS = 1.2;
+const SPAWN_SHIELD_HEIGHT = 1;
 
 /**
  * NetworkedPlayerManager is responsible for managing all networked players.
@@ -20,11 +32,8 @@ export class NetworkedPlayerManager {
     this.players = new Map(); // Map of sessionId -> NetworkedPlayer
     this.loader = new GLTFLoader();
     
-    // Animation settings
-    this.animationSettings = {
-      duration: 0.2,
-      ease: "power3.out"
-    };
+    // Remote player smoothing, shared by every player
+    this.interpolationSettings = { ...network.interpolation };
   }
   
   /**
@@ -47,7 +56,8 @@ export class NetworkedPlayerManager {
         playerData, 
         this.scene,
         {
-          loader: this.loader
+          loader: this.loader,
+          interpolationSettings: this.interpolationSettings
         }
       );
       
@@ -75,6 +85,18 @@ export class NetworkedPlayerManager {
     }
   }
   
+  /**
+   * Tune the remote player smoothing, e.g. from the console:
+   * networkManager.playerManager.setInterpolationSettings({ delay: 150 })
+   * @param {Object} settings - Settings to change, see SnapshotBuffer
+   */
+  setInterpolationSettings(settings) {
+    Object.assign(this.interpolationSettings, settings);
+    for (const player of this.players.values()) {
+      player.snapshots.configure(settings);
+    }
+  }
+  
   /**
    * Remove a player from the manager
    * @param {string} sessionId - The session ID of the player to remove
@@ -197,26 +219,18 @@ export class NetworkedPlayer {
     this.cameraHeightOffset = 2.0;
     
     // Animation control
-    this.currentAnimation = null;
     this.hoverAnimation = null;
     this.animationManager = null;
     
-    // Motion smoothing properties
-    this.velocity = new Vector3(0, 0, 0);
-    this.lastUpdateTime = Date.now();
-    this.positionBuffer = [];
-    this.positionBufferMaxSize = 3;
-    
-    // Position and rotation
-    this.targetPosition = new Vector3(
+    // Position and rotation, drawn a little in the past between server updates
+    this.currentPosition = new Vector3(
       Number(this.playerData.x || 0), 
       Number(this.playerData.y || 0), 
       Number(this.playerData.z || 0)
     );
-    
-    this.currentPosition = new Vector3().copy(this.targetPosition);
-    this.targetRotationY = Number(this.playerData.rotationY || 0);
-    this.currentRotationY = this.targetRotationY;
+    this.currentRotationY = Number(this.playerData.rotationY || 0);
+    this.snapshots = new SnapshotBuffer(resources.interpolationSettings);
+    this.snapshots.push({ ...this.currentPosition, rotationY: this.currentRotationY });
     
     // Player state (idle, walking, jumping)
     this.playerState = this.playerData.state || 'idle';
@@ -227,6 +241,17 @@ export class NetworkedPlayer {
     // Create health bar
     this.healthBar = new HealthBar();
     
+    // Team in team mode, tints the name tag and health bar
+    this.team = this.playerData.team || null;
+    this.applyTeamColor();
+    
+    // Objective item carried above the head (the enemy cake in capture the cake)
+    this.carriedItemId = null;
+    this.carriedItemModel = null;
+    
+    // Bubble shown while the player is spawn protected
+    this.spawnShield = null;
+    
     // Store health values
     this.health = this.playerData.health || 100;
     this.maxHealth = 100;
@@ -290,18 +315,11 @@ export class NetworkedPlayer {
       }
       
       // Set the model position, adjusting Y for camera height
-      const adjustedPosition = this.currentPosition.clone();
-      
-      // Apply camera height offset - position character at ground level
-      if (Math.abs(adjustedPosition.y) < 0.5) {
-        // For characters on the ground, subtract the full camera height
-        adjustedPosition.y = 0;
-      } else {
-        // For jumping characters, adjust the height by the offset
-        adjustedPosition.y -= this.cameraHeightOffset;
-      }
-      
-      this.model.position.copy(adjustedPosition);
+      this.model.position.set(
+        this.currentPosition.x,
+        this.getModelY(this.currentPosition.y),
+        this.currentPosition.z
+      );
       
       // Add 180-degree rotation to make model face the same direction as the camera
       this.modelRotationOffset = Math.PI; // 180 degrees in radians
@@ -330,6 +348,11 @@ export class NetworkedPlayer {
       
       // Add the health bar
       this.updateHealthBar();
+      
+      // Attach an item picked up before the model finished loading
+      if (this.carriedItemId) {
+        this.attachCarriedItem(this.carriedItemId);
+      }
     }, undefined, (error) => {
       console.error('Error loading character model:', error);
     });
@@ -432,6 +455,111 @@ export class NetworkedPlayer {
     }
   }
   
+  /**
+   * Tint the name tag and health bar with the player's team color
+   */
+  applyTeamColor() {
+    const teamConfig = this.team ? teams[this.team] : null;
+    const color = teamConfig ? teamConfig.color : null;
+    
+    if (this.nameTag) {
+      this.nameTag.setColor(color);
+    }
+    if (this.healthBar) {
+      this.healthBar.setTeamColor(color);
+    }
+  }
+  
+  /**
+   * Show an item carried above the player's head, or remove it
+   * @param {string|null} itemId - Item id from the ItemRegistry, or null to remove it
+   */
+  setCarriedItem(itemId) {
+    if (itemId === this.carriedItemId) return;
+    
+    this.carriedItemId = itemId;
+    
+    if (this.carriedItemModel) {
+      if (this.carriedItemModel.parent) {
+        this.carriedItemModel.parent.remove(this.carriedItemModel);
+      }
+      this.carriedItemModel = null;
+    }
+    
+    // Without a model yet, the item is attached once the model loads
+    if (itemId && this.model) {
+      this.attachCarriedItem(itemId);
+    }
+  }
+  
+  /**
+   * Show or hide the spawn protection bubble around the player
+   * @param {boolean} visible - Whether the player is spawn protected
+   */
+  setSpawnShield(visible) {
+    if (!visible) {
+      if (this.spawnShield) {
+        this.scene.remove(this.spawnShield);
+        this.spawnShield.geometry.dispose();
+        this.spawnShield.material.dispose();
+        this.spawnShield = null;
+      }
+      return;
+    }
+    if (this.spawnShield) return;
+    
+    const geometry = new THREE.SphereGeometry(SPAWN_SHIELD_RADIUS, 24, 16);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x50aaff,
+      transparent: true,
+      opacity: 0.25,
+      depthWrite: false
+    });
+    this.spawnShield = new THREE.Mesh(geometry, material);
+    this.scene.add(this.spawnShield);
+    this.updateSpawnShieldPosition();
+  }
+  
+  /**
+   * Keep the spawn shield around the player as they move
+   */
+  updateSpawnShieldPosition() {
+    if (!this.spawnShield) return;
+    
+    this.spawnShield.position.set(
+      this.currentPosition.x,
+      this.getModelY(this.currentPosition.y) + SPAWN_SHIELD_HEIGHT,
+      this.currentPosition.z
+    );
+  }
+  
+  /**
+   * Load the carried item model and attach it to the player model
+   * @param {string} itemId - Item id from the ItemRegistry
+   */
+  attachCarriedItem(itemId) {
+    const item = ItemRegistry.getType(itemId);
+    if (!item) {
+      console.warn(`Unknown carried item: ${itemId}`);
+      return;
+    }
+    
+    assetManager.loadModel(assetPath(`objects/${item.model}`), (gltf) => {
+      // Skip if the item changed or was attached while loading
+      if (this.carriedItemId !== itemId || this.carriedItemModel || !this.model) return;
+      
+      const carried = gltf.scene.clone();
+      
+      // Compensate for the character model's scale
+      const scale = CARRIED_ITEM_SCALE / this.model.scale.x;
+      carried.scale.set(scale, scale, scale);
+      carried.position.set(0, CARRIED_ITEM_HEIGHT, 0);
+      
+      this.model.add(carried);
+      this.carriedItemModel = carried;
+    });
+  }
+  
   /**
    * Update animation state based on player state
    * @param {string} state - The new player state
@@ -458,38 +586,20 @@ export class NetworkedPlayer {
    */
   updateState(state) {
     try {
-      // Calculate time since last update
-      const now = Date.now();
-      const timeDelta = (now - this.lastUpdateTime) / 1000; // in seconds
-      this.lastUpdateTime = now;
-      
-      // Update target position
-      const newPosition = new Vector3(
-        Number(state.x) || 0,
-        Number(state.y) || 0,
-        Number(state.z) || 0
-      );
-      
-      // Calculate distance to new target
-      const distanceToNewTarget = this.targetPosition.distanceTo(newPosition);
-      
-      // Calculate velocity
-      if (timeDelta > 0.001 && timeDelta < 1.0 && this.positionBuffer.length > 0) {
-        const prevPos = this.positionBuffer[this.positionBuffer.length - 1];
-        this.velocity.subVectors(newPosition, prevPos).divideScalar(timeDelta);
-        
-        // Cap extreme velocity values
-        const maxVelocity = 20;
-        if (this.velocity.length() > maxVelocity) {
-          this.velocity.normalize().multiplyScalar(maxVelocity);
+      // State and team changes come with the unchanged position, only
+      // real moves become snapshots
+      if (state.x !== undefined) {
+        const snapshot = {
+          x: Number(state.x) || 0,
+          y: Number(state.y) || 0,
+          z: Number(state.z) || 0,
+          rotationY: Number(state.rotationY) || 0
+        };
+        if (this.snapshots.hasMoved(snapshot)) {
+          this.snapshots.push(snapshot);
         }
       }
       
-      // Update rotation
-      if (state.rotationY !== undefined) {
-        this.targetRotationY = Number(state.rotationY);
-      }
-      
       // Update player state if provided
       if (state.state !== undefined) {
         this.playerState = state.state;
@@ -509,6 +619,12 @@ export class NetworkedPlayer {
         this.removeDeathMessage();
       }
       
+      // Update team colors if the team changed
+      if (state.team !== undefined && state.team !== this.team) {
+        this.team = state.team;
+        this.applyTeamColor();
+      }
+      
       // Update health if provided - ONLY update visuals with server values
       if (state.health !== undefined) {
         const prevHealth = this.health; 
@@ -524,18 +640,6 @@ export class NetworkedPlayer {
         console.log(`NetworkedPlayer ${this.sessionId} health updated: ${prevHealth} -> ${state.health}`);
       }
       
-      // Add to position buffer for smoothing
-      this.positionBuffer.push(newPosition.clone());
-      
-      // Keep buffer at max size
-      while (this.positionBuffer.length > this.positionBufferMaxSize) {
-        this.positionBuffer.shift();
-      }
-      
-      // Animate to new position - force immediate update for first position
-      const isFirstUpdate = this.positionBuffer.length <= 1;
-      this.animateToNewPosition(newPosition, distanceToNewTarget, isFirstUpdate);
-      
       // Update nametag with name
       this.playerData.name = state.name || this.playerData.name;
       this.updateNameTag();
@@ -545,99 +649,40 @@ export class NetworkedPlayer {
   }
   
   /**
-   * Animate the player to a new position
-   * @param {Vector3} newPosition - New target position
-   * @param {number} distance - Distance to new position
-   * @param {boolean} immediate - Whether to update immediately
+   * Model height for a synced camera position: the feet are the camera height
+   * below it, a position near 0 is a player that hasn't moved yet
+   * @param {number} y - Synced camera height
+   * @returns {number}
    */
-  animateToNewPosition(newPosition, distance, immediate = false) {
-    // Store new target position
-    this.targetPosition = newPosition.clone();
-    
-    // Handle Y position specially for the network position
-    const isCloseToGround = Math.abs(this.targetPosition.y) < 0.5;
-    const isJumping = !isCloseToGround || this.targetPosition.y > 2.1;
-    
-    // Kill existing animation
-    if (this.currentAnimation) {
-      this.currentAnimation.kill();
-    }
-    
-    // For the first update or teleportation, update immediately
-    if (immediate || distance > 10) {
-      this.currentPosition.copy(newPosition);
-      
-      if (this.model) {
-        this.model.position.x = newPosition.x;
-        this.model.position.z = newPosition.z;
-        
-        // Apply camera height offset for model Y position
-        const modelY = isJumping ? 
-          newPosition.y - this.cameraHeightOffset : 0;
-        
-        this.model.position.y = modelY;
-        
-        // Update rotation immediately too
-        this.model.rotation.y = this.targetRotationY + (this.modelRotationOffset || 0);
-        this.currentRotationY = this.targetRotationY;
-        
-        // Update bounding box position
-        this.updateBoundingBoxPosition();
-      }
-      
-      console.log(`Player ${this.sessionId} teleported to:`, {
-        x: newPosition.x.toFixed(2),
-        y: newPosition.y.toFixed(2),
-        z: newPosition.z.toFixed(2)
-      });
-      
-      return;
-    }
+  getModelY(y) {
+    return Math.abs(y) < 0.5 ? 0 : y - this.cameraHeightOffset;
+  }
+  
+  /**
+   * Move the model to where the snapshots say the player is now
+   */
+  updatePosition() {
+    const sample = this.snapshots.sample();
+    if (!sample) return;
     
-    // Simple direct movement without prediction
-    this.currentAnimation = gsap.to(this.currentPosition, {
-      x: newPosition.x,
-      y: newPosition.y,
-      z: newPosition.z,
-      duration: 0.2, // Short duration for responsiveness
-      ease: "none", // Linear movement
-      onUpdate: () => {
-        if (this.model) {
-          this.model.position.x = this.currentPosition.x;
-          this.model.position.z = this.currentPosition.z;
-          
-          // Apply camera height offset for model Y position
-          const modelY = isJumping ? 
-            this.currentPosition.y - this.cameraHeightOffset : 0;
-          
-          this.model.position.y = modelY;
-          
-          // Update bounding box position
-          this.updateBoundingBoxPosition();
-        }
-      },
-      onComplete: () => {
-        this.currentAnimation = null;
-      }
-    });
+    this.currentPosition.set(sample.x, sample.y, sample.z);
+    this.currentRotationY = sample.rotationY;
     
-    // Simple rotation without prediction
     if (this.model) {
-      gsap.to(this.model.rotation, {
-        y: this.targetRotationY + (this.modelRotationOffset || 0),
-        duration: 0.2,
-        ease: "none",
-        onUpdate: () => {
-          this.currentRotationY = this.model.rotation.y - (this.modelRotationOffset || 0);
-        }
-      });
+      this.model.position.set(sample.x, this.getModelY(sample.y), sample.z);
+      this.model.rotation.y = sample.rotationY + (this.modelRotationOffset || 0);
+      this.updateBoundingBoxPosition();
     }
+    
+    this.updateSpawnShieldPosition();
   }
   
   /**
    * Update method for game loop integration
    */
   update(delta = 0.016) {
+    this.updatePosition();
+    
     // Update animation mixer if available
     if (this.animationManager) {
       this.animationManager.update(delta);
@@ -667,11 +712,10 @@ export class NetworkedPlayer {
    */
   dispose() {
     try {
-      // Kill animations
-      if (this.currentAnimation) {
-        this.currentAnimation.kill();
-      }
+      // Remove the spawn shield
+      this.setSpawnShield(false);
       
+      // Kill animations
       if (this.hoverAnimation) {
         this.hoverAnimation.kill();
       }
@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+import { FreeCamera } from '../world/editor/FreeCamera.js';
+import { SpectatorHud } from '../ui/SpectatorHud.js';
+
+// Distance in front of the camera the free camera turns around
+const FREE_CAMERA_TARGET_DISTANCE = 5;
+
+/**
+ * Watch the match through other players' eyes or fly around freely, as a
+ * spectator or while waiting to respawn
+ */
+export class SpectatorCamera {
+    /**
+     * @param {THREE.Camera} camera - Three.js camera
+     * @param {HTMLElement} domElement - Element receiving the mouse input
+     */
+    constructor(camera, domElement) {
+        this.camera = camera;
+        this.freeCamera = new FreeCamera(camera, domElement, { carryTarget: true });
+        this.hud = new SpectatorHud();
+
+        // Networked players to watch, by session id
+        this.players = null;
+
+        // Whether the view can be used right now, and whether it is in use
+        this.isAllowed = false;
+        this.isActive = false;
+
+        // 'follow' looks through a player's eyes, 'free' flies around
+        this.mode = 'follow';
+        this.targetId = null;
+
+        // Camera before spectating, put back when we stop
+        this.savedPosition = new THREE.Vector3();
+        this.savedQuaternion = new THREE.Quaternion();
+        this.followRotation = new THREE.Euler(0, 0, 0, 'YXZ');
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+    }
+
+    /**
+     * @param {Map} players - Networked players by session id
+     */
+    setPlayers(players) {
+        this.players = players;
+    }
+
+    /**
+     * Allow or forbid the spectator view. Forbidding it stops spectating.
+     * @param {boolean} allowed - Whether the view can be used
+     */
+    setAllowed(allowed) {
+        if (this.isAllowed === allowed) return;
+        this.isAllowed = allowed;
+
+        if (!allowed) {
+            this.stop();
+            this.hud.hide();
+        } else {
+            this.updateHud();
+        }
+    }
+
+    /**
+     * Start spectating
+     * @param {string} [mode='follow'] - 'follow' or 'free', free is used when there is nobody to follow
+     */
+    start(mode = 'follow') {
+        if (!this.isAllowed || this.isActive) return;
+
+        this.savedPosition.copy(this.camera.position);
+        this.savedQuaternion.copy(this.camera.quaternion);
+        this.isActive = true;
+
+        if (mode !== 'follow' || !this.cycleTarget(1)) {
+            this.setMode('free');
+        }
+    }
+
+    /**
+     * Stop spectating and put the camera back where it was
+     */
+    stop() {
+        if (!this.isActive) return;
+
+        this.showPlayerModel(this.targetId);
+        this.freeCamera.setEnabled(false);
+        this.isActive = false;
+        this.targetId = null;
+
+        this.camera.position.copy(this.savedPosition);
+        this.camera.quaternion.copy(this.savedQuaternion);
+        this.updateHud();
+    }
+
+    /**
+     * Switch between following players and flying around
+     * @param {string} mode - 'follow' or 'free'
+     */
+    setMode(mode) {
+        this.mode = mode;
+
+        if (mode === 'free') {
+            this.showPlayerModel(this.targetId);
+            this.targetId = null;
+
+            // Turn around a point straight ahead, so the view doesn't jump
+            const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+            this.freeCamera.orbitControls.target.copy(this.camera.position)
+                .addScaledVector(forward, FREE_CAMERA_TARGET_DISTANCE);
+            this.freeCamera.setEnabled(true);
+        } else {
+            this.freeCamera.setEnabled(false);
+        }
+
+        this.updateHud();
+    }
+
+    /**
+     * Follow the next or previous player
+     * @param {number} direction - 1 for the next player, -1 for the previous one
+     * @returns {boolean} False if there is nobody to follow
+     */
+    cycleTarget(direction) {
+        const ids = this.players ? Array.from(this.players.keys()) : [];
+        if (ids.length === 0) return false;
+
+        const index = ids.indexOf(this.targetId);
+        let nextId;
+        if (index === -1) {
+            nextId = direction > 0 ? ids[0] : ids[ids.length - 1];
+        } else {
+            nextId = ids[(index + direction + ids.length) % ids.length];
+        }
+
+        this.showPlayerModel(this.targetId);
+        this.targetId = nextId;
+        this.setMode('follow');
+        return true;
+    }
+
+    /**
+     * Show a player we stopped looking through again, unless they're dead
+     * @param {string} sessionId - Session id of the player
+     */
+    showPlayerModel(sessionId) {
+        const player = sessionId && this.players ? this.players.get(sessionId) : null;
+        if (player && player.model) {
+            player.model.visible = !player.isDead;
+        }
+    }
+
+    /**
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        if (!this.isAllowed) return;
+
+        switch (event.key.toLowerCase()) {
+            case 'arrowright':
+            case 'arrowleft': {
+                const direction = event.key === 'ArrowRight' ? 1 : -1;
+                if (!this.isActive) {
+                    this.start('follow');
+                } else if (!this.cycleTarget(direction)) {
+                    this.setMode('free');
+                }
+                break;
+            }
+            case 'f':
+                if (!this.isActive) {
+                    this.start('free');
+                } else if (this.mode === 'free') {
+                    if (!this.cycleTarget(1)) this.updateHud();
+                } else {
+                    this.setMode('free');
+                }
+                break;
+            default:
+                if (this.isActive && this.mode === 'free') {
+                    this.freeCamera.handleKeyDown(event);
+                }
+        }
+    }
+
+    /**
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyUp(event) {
+        this.freeCamera.handleKeyUp(event);
+    }
+
+    /**
+     * Move the camera with the watched player, or with the free camera input
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        if (this.mode === 'free') {
+            this.freeCamera.update(deltaTime);
+            return;
+        }
+
+        const player = this.players ? this.players.get(this.targetId) : null;
+        if (!player) {
+            // The player we watched left, watch someone else or fly
+            this.targetId = null;
+            if (!this.cycleTarget(1)) {
+                this.setMode('free');
+            }
+            return;
+        }
+
+        // Remote players only share where they look horizontally
+        this.camera.position.copy(player.currentPosition);
+        this.followRotation.set(0, player.currentRotationY, 0);
+        this.camera.quaternion.setFromEuler(this.followRotation);
+
+        // Don't look at the inside of their head
+        if (player.model) {
+            player.model.visible = false;
+        }
+    }
+
+    updateHud() {
+        if (!this.isAllowed) return;
+
+        if (!this.isActive) {
+            this.hud.show('', '← / → Watch other players · F Fly around');
+        } else if (this.mode === 'free') {
+            this.hud.show('Free camera', 'Drag to look · WASD Move · Q/E Down/Up · F or ← / → Watch players');
+        } else {
+            const player = this.players ? this.players.get(this.targetId) : null;
+            const name = player && player.playerData.name ? player.playerData.name : 'Player';
+            this.hud.show(`Watching ${name}`, '← / → Switch player · F Fly around');
+        }
+    }
+
+    dispose() {
+        this.stop();
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('keyup', this.handleKeyUp);
+        this.freeCamera.dispose();
+        this.hud.dispose();
+    }
+}
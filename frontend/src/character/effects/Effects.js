@@ -2,6 +2,7 @@
 import { SpeedEffect } from './SpeedEffect.js';
 import { SlowEffect } from './SlowEffect.js';
 import { JumpEffect } from './JumpEffect.js';
+import { SpawnProtectionEffect } from './SpawnProtectionEffect.js';
 
 // Export an object where keys are effect IDs and values are the effect classes
 // This allows easy lookup, for example, when loading effect configurations.
@@ -9,6 +10,7 @@ export const Effects = {
     'speed': SpeedEffect,
     'slow': SlowEffect,
     'jump': JumpEffect,
+    'spawnProtection': SpawnProtectionEffect,
     // Add other effects here as they are created:
     // 'damageOverTime': DamageOverTimeEffect,
 };
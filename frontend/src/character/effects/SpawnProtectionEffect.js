@@ -0,0 +1,48 @@
+import { Effect } from '../../core/Effect.js';
+
+const DEFAULT_DURATION = 3000; // Default duration in milliseconds, the server decides when it really ends
+const EFFECT_ID = 'spawnProtection';
+
+export class SpawnProtectionEffect extends Effect {
+    // Add a static description for UI purposes
+    static description = "Protected 🛡️";
+
+    // Shown in the effects display, no item gives this effect
+    static icon = "🛡️";
+
+    constructor(duration = DEFAULT_DURATION, config = {}) {
+        super(EFFECT_ID, duration, config);
+    }
+
+    /**
+     * Shows the spawn shield on the target character.
+     * @param {object} target - The character entity.
+     */
+    apply(target) {
+        if (!target || typeof target.setSpawnShield !== 'function') {
+            console.error(`SpawnProtectionEffect.apply: Target is invalid or missing the setSpawnShield method.`);
+            return;
+        }
+
+        this.target = target;
+        target.setSpawnShield(true);
+        this.isActive = true;
+        this.startTime = Date.now();
+
+        console.log(`SpawnProtectionEffect applied to ${target.id || 'target'}. Duration: ${this.duration}ms`);
+
+        this._startTimer(() => this.remove());
+    }
+
+    /**
+     * Hides the spawn shield.
+     */
+    remove() {
+        if (this.target && this.isActive) {
+            this.target.setSpawnShield(false);
+            console.log(`SpawnProtectionEffect removed from ${this.target.id || 'target'}.`);
+        }
+        // Call the parent remove method for cleanup
+        super.remove();
+    }
+}
@@ -11,6 +11,18 @@ export const api = {
     //multiplayerHost: 'wss://food-vibers.onrender.com'
 };
 
+// Reconnection after a dropped connection
+export const network = {
+    reconnectTimeout: 20, // Seconds to keep trying, should match the server's reconnection time
+    reconnectInterval: 2, // Seconds between attempts
+    // Remote player smoothing, see network/SnapshotBuffer.js
+    interpolation: {
+        delay: 100,            // Milliseconds remote players are rendered in the past
+        maxExtrapolation: 100, // Milliseconds to keep moving a player whose updates are late
+        teleportDistance: 10,  // Jumps longer than this snap instead of sliding
+    },
+};
+
 // Inventory settings
 export const inventory = {
     stackLimit: 32,     // Maximum number of items in a stack
@@ -25,7 +37,7 @@ export const character = {
         },
         death: {
             respawnTime: 5, // Respawn time in seconds
-            defaultRespawnPosition: { x: 0, y: 2, z: 0 } // Default respawn position
+            defaultRespawnPosition: { x: 0, y: 2, z: 0 } // Respawn position for maps without spawn points
         }
     }
 };
@@ -39,6 +51,20 @@ export const spawner = {
     }
 };
 
+// Team colors for team deathmatch, keyed by the server's team ids
+export const teams = {
+    red: { name: 'Red', color: '#e05d5d' },
+    blue: { name: 'Blue', color: '#4d8fe0' }
+};
+
+// Capture the cake objective settings
+export const objectives = {
+    cake: {
+        carrierSlowMultiplier: 0.6, // Carrier speed while holding the enemy cake
+        pedestalHeight: 1, // Height of the pedestal the cake sits on
+    }
+};
+
 // Death messages that appear when killing another player
 export const deathMessages = [
     "hed ded",
@@ -14,9 +14,10 @@ import { consumeItem } from './spawners/collect-functions/consumeItem.js';
 import { PostProcessingComposer } from './composers/PostProcessingComposer.js';
 import { spawner as spawnerConfig } from './config.js';
 import { NetworkManager } from './network/NetworkManager.js';
+import { SpectatorCamera } from './character/SpectatorCamera.js';
 import { initWebGLTracker, logWebGLInfo, getActiveContextCount } from './utils/WebGLTracker.js';
 import sharedRenderer from './utils/SharedRenderer.js';
-import { initializeFromUrlParams, getUsername } from './utils/urlParams.js';
+import { initializeFromUrlParams, getUsername, isSpectator } from './utils/urlParams.js';
 import { HitMarker } from './projectiles/HitMarker.js';
 import { AudioManager } from './audio/AudioManager.js';
 import { RadioPlayer } from './audio/RadioPlayer.js';
@@ -274,6 +275,11 @@ worldEditor.setWorldManager(worldManager);
 const healthBar = new HealthBar(character);
 characterViewContainer.appendChild(healthBar.container);
 
+// Watch other players as a spectator (?spectate), or while waiting to respawn
+const spectatorMode = isSpectator();
+const spectatorCamera = new SpectatorCamera(camera, renderer.domElement);
+character.spectatorCamera = spectatorCamera;
+
 // Connect inventory to character
 character.inventory = inventory;
 inventory.onSelectionChange = (selectedIndex, selectedItem) => {
@@ -294,12 +300,21 @@ async function initializeMultiplayer(character) {
     }
     
     if (!networkManager) {
-      networkManager = new NetworkManager(scene, character);
+      networkManager = new NetworkManager(scene, character, hotbar);
       
       // Use the username from URL params or generate a random one
       const playerName = getUsername() || `Player-${Math.floor(Math.random() * 10000)}`;
       
-      await networkManager.initialize(playerName, 'character-1');
+      await networkManager.initialize(playerName, 'character-1', { spectator: spectatorMode });
+      spectatorCamera.setPlayers(networkManager.playerManager.players);
+      
+      // Spectators have no character, they only look around
+      if (spectatorMode) {
+        character.setEnabled(false);
+        character.handMesh.visible = false;
+        spectatorCamera.setAllowed(true);
+        spectatorCamera.start();
+      }
       
       // The server now supports projectiles, so no warning needed
     }
@@ -343,6 +358,16 @@ async function initializeWorld() {
         
         // Load posters
         await worldManager.loadPosters();
+        
+        // Load king of the hill zones (hidden until the mode is played)
+        await worldManager.loadZones();
+        
+        // Load player spawn points (only shown in the editor), the server picks from the same ones
+        await worldManager.loadSpawnPoints();
+        character.spawnPositions = worldManager.getSpawnPositions();
+        
+        // Load capture the cake bases (only shown in the editor), the server puts the pedestals there
+        await worldManager.loadCakeBases();
         loadingScreen.updateProgress(90);
         
         // Initialize the radio player
@@ -446,14 +471,19 @@ function frameStep(currentTime) {
         characterViewContainer.style.display = 'none';
         worldEditor.update();
     } else {
-        // Character view - show character view
-        characterViewContainer.style.display = 'block';
-        character.update(deltaTime);
+        // Character view - show character view, spectators have no character
+        characterViewContainer.style.display = spectatorMode ? 'none' : 'block';
+        if (!spectatorMode) {
+            character.update(deltaTime);
+        }
         
         // Update network
         if (networkManager && networkManager.isConnected) {
             networkManager.update(deltaTime);
         }
+        
+        // Move the camera with the player we watch, after they moved
+        spectatorCamera.update(deltaTime);
     }
 
     // Get all networked players and add them as collidable objects for projectiles
@@ -487,7 +517,7 @@ function frameStep(currentTime) {
         });
         
         // Add the local character to the collidable list
-        if (character && character.boxMesh) {
+        if (character && character.boxMesh && !spectatorMode) {
             const characterCollisionBox = character.getCollisionBox();
             // Don't add local character if we're viewing through editor
             if (!worldEditor.isDebugMode) {
@@ -509,7 +539,8 @@ function frameStep(currentTime) {
     HitMarker.update();
 
     // Update world (including spawners and check for item collection)
-    worldManager.update(character, camera);
+    // Nothing is collected while the camera is away from the character
+    worldManager.update(spectatorCamera.isActive ? null : character, camera);
 
     // Update UI elements that need per-frame updates
     hotbar.update();
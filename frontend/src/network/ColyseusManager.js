@@ -1,10 +1,22 @@
 import { Client } from 'colyseus.js';
 import { EventEmitter } from '../utils/EventEmitter.js';
-import { api } from '../config.js';
+import { api, network } from '../config.js';
 
 // Constants
 const COLYSEUS_SERVER_URL = api.multiplayerHost;
 
+// Close code the server uses when we leave on purpose
+const CONSENTED_CLOSE_CODE = 4000;
+
+// Close code the server uses when it kicks us for sending bad messages
+const KICKED_CLOSE_CODE = 4003;
+
+// Join error the server sends players when only seats for spectators are left
+const ROOM_FULL_ERROR_CODE = 4005;
+
+// Local storage key of the id our lifetime stats are kept under
+const PROFILE_ID_KEY = 'foodVibers.profileId';
+
 /**
  * Generate a unique client ID for this browser tab
  * @returns {string} Unique ID
@@ -13,6 +25,25 @@ function generateClientId() {
   return 'client_' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
 }
 
+/**
+ * Get the id the server keeps this browser's lifetime stats under, the same in every tab and visit
+ * @returns {string} Profile ID
+ */
+function getProfileId() {
+  const generated = 'profile_' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  try {
+    let profileId = localStorage.getItem(PROFILE_ID_KEY);
+    if (!profileId) {
+      profileId = generated;
+      localStorage.setItem(PROFILE_ID_KEY, profileId);
+    }
+    return profileId;
+  } catch (error) {
+    // Storage can be blocked, the stats then only last until the page is closed
+    return generated;
+  }
+}
+
 /**
  * ColyseusManager handles the connection and communication with the Colyseus server.
  * It follows the Singleton pattern to ensure only one connection exists.
@@ -29,9 +60,42 @@ export class ColyseusManager extends EventEmitter {
   /** @type {Object.<string, any>} */
   remotePlayers = {};
   
+  /** @type {Object.<string, string>} */
+  spawnerSnapshots = {};
+  
+  /** @type {string} */
+  matchSnapshot = null;
+  
+  /** @type {string} */
+  teamsSnapshot = null;
+  
+  /** @type {Object.<string, string>} */
+  cakeSnapshots = {};
+  
+  /** @type {Object.<string, string>} */
+  zoneSnapshots = {};
+  
+  /** @type {Object.<string, boolean>} */
+  spawnProtectionSnapshots = {};
+  
   /** @type {string} */
   clientId = generateClientId();
   
+  /** @type {string} */
+  profileId = getProfileId();
+  
+  /** @type {string} */
+  reconnectionToken = null;
+  
+  /** @type {boolean} */
+  isReconnecting = false;
+  
+  /** @type {Object} */
+  joinOptions = null;
+  
+  /** @type {string} */
+  roomSnapshot = null;
+  
   /** @type {boolean} */
   _hasSetupPlayerHandlers = false;
   
@@ -50,21 +114,48 @@ export class ColyseusManager extends EventEmitter {
    * Connect to the Colyseus server
    * @param {string} playerName - Player's display name
    * @param {string} characterModel - ID of the character model to use
+   * @param {Object} [options] - Join options
+   * @param {boolean} [options.spectator=false] - Watch the match without a player
+   * @param {string} [options.roomCode] - Code of a private room to join instead of the public lobby
+   * @param {string} [options.roomId] - Id of a public room picked in the room browser
+   * @param {boolean} [options.createPrivate=false] - Start a new private room
    * @returns {Promise<void>}
    */
-  async connect(playerName = 'Player', characterModel = 'character-1') {
+  async connect(playerName = 'Player', characterModel = 'character-1', options = {}) {
     try {
       // Clean up any previous connection
       this.disconnect();
       
       this.client = new Client(COLYSEUS_SERVER_URL);
       
-      // Join the lobby room with clientId to differentiate between browser tabs
-      this.room = await this.client.joinOrCreate('lobby', {
+      // Join with clientId to differentiate between browser tabs, the same options are used when switching rooms
+      this.joinOptions = {
         name: playerName,
         characterModel,
-        clientId: this.clientId
-      });
+        clientId: this.clientId,
+        profileId: this.profileId,
+        spectator: options.spectator === true
+      };
+      
+      // An expired or mistyped code, or a room that filled up or closed since it was
+      // listed, falls back to the public lobby
+      const requestedRoom = options.roomCode || options.roomId;
+      try {
+        this.room = await this.joinRoom({
+          roomCode: options.roomCode,
+          roomId: options.roomId,
+          createPrivate: options.createPrivate === true
+        });
+      } catch (error) {
+        if (!requestedRoom) throw error;
+        
+        console.warn(`Could not join room ${requestedRoom}, joining the public lobby instead:`, error.message);
+        this.emit('roomNotFound', requestedRoom);
+        this.room = await this.joinRoom();
+      }
+      
+      // Keep the token that gets our seat back if the connection drops
+      this.reconnectionToken = this.room.reconnectionToken;
       
       // Set up event listeners for room state changes
       this.setupRoomListeners();
@@ -80,6 +171,115 @@ export class ColyseusManager extends EventEmitter {
     }
   }
   
+  /**
+   * Join a lobby room
+   * @param {Object} [target] - Room to join, the public lobby by default
+   * @param {string} [target.roomCode] - Code of a private room
+   * @param {string} [target.roomId] - Exact id of a room, as listed by getRooms
+   * @param {boolean} [target.createPrivate] - Create a new private room
+   * @returns {Promise<Room>} The joined room
+   */
+  joinRoom({ roomCode, roomId, createPrivate } = {}) {
+    if (roomCode) {
+      return this.client.joinById(roomCode.trim().toUpperCase(), this.joinOptions);
+    }
+    if (roomId) {
+      return this.client.joinById(roomId, this.joinOptions);
+    }
+    if (createPrivate) {
+      return this.client.create('lobby', { ...this.joinOptions, private: true });
+    }
+    return this.client.joinOrCreate('lobby', this.joinOptions).catch(error => {
+      // Matchmaking can pick a lobby whose free seats are held for spectators, start a new one
+      if (error.code !== ROOM_FULL_ERROR_CODE) throw error;
+      return this.client.create('lobby', this.joinOptions);
+    });
+  }
+  
+  /**
+   * HTTP client of the game server, usable before we join a room
+   * @returns {import('colyseus.js').HTTP}
+   */
+  getHttp() {
+    if (!this.client) {
+      this.client = new Client(COLYSEUS_SERVER_URL);
+    }
+    return this.client.http;
+  }
+  
+  /**
+   * List the public rooms for the room browser
+   * @returns {Promise<Array<Object>>} Rooms with their mode, map and player counts, fullest first
+   */
+  async getRooms() {
+    const response = await this.getHttp().get('/rooms');
+    return response.data;
+  }
+  
+  /**
+   * Our lifetime stats, rejects with a 404 error if we never played a round
+   * @returns {Promise<Object>} Name, kills, deaths, matches, wins and favorite weapon
+   */
+  async getPlayerStats() {
+    const response = await this.getHttp().get(`/stats/${encodeURIComponent(this.profileId)}`);
+    return response.data;
+  }
+  
+  /**
+   * Walkable grid the server's bots path on, rejects with a 404 error if the map has none
+   * and when the server runs in production
+   * @returns {Promise<Object>} Grid origin, cell size, size in cells and rows of '.' walkable and '#' blocked cells
+   */
+  async getNavGrid() {
+    const response = await this.getHttp().get('/navgrid');
+    return response.data;
+  }
+  
+  /**
+   * Time a few round trips to the game server
+   * @param {number} [samples=3] - Number of requests to time
+   * @returns {Promise<number>} Best round trip in milliseconds
+   */
+  async measurePing(samples = 3) {
+    let best = Infinity;
+    for (let i = 0; i < samples; i++) {
+      const start = performance.now();
+      await this.getHttp().get('/ping');
+      best = Math.min(best, performance.now() - start);
+    }
+    return Math.round(best);
+  }
+  
+  /**
+   * Move to another room without dropping our listeners. We stay in the
+   * current room if the new one can't be joined.
+   * @param {Object} target - Room to join, see joinRoom
+   * @returns {Promise<Room>} The joined room
+   */
+  async switchRoom(target) {
+    if (!this.client) {
+      throw new Error('Not connected to the server');
+    }
+    
+    const room = await this.joinRoom(target);
+    
+    // Leave the old room quietly, its onLeave would try to reconnect
+    const previousRoom = this.room;
+    if (previousRoom) {
+      previousRoom.removeAllListeners();
+      previousRoom.leave();
+    }
+    
+    this.room = room;
+    this.reconnectionToken = room.reconnectionToken;
+    console.log('Switched to room', room.roomId);
+    
+    this.emit('roomChanged', room.sessionId);
+    this.setupRoomListeners();
+    
+    return room;
+  }
+  
   /**
    * Set up listeners for room state changes
    */
@@ -91,9 +291,124 @@ export class ColyseusManager extends EventEmitter {
 
     // Clear existing remote players
     this.remotePlayers = {};
+    this.spawnerSnapshots = {};
+    this.matchSnapshot = null;
+    this.teamsSnapshot = null;
+    this.cakeSnapshots = {};
+    this.zoneSnapshots = {};
+    this.spawnProtectionSnapshots = {};
+    this.roomSnapshot = null;
 
     // Wait for the state to be synchronized
     this.room.onStateChange((state) => {
+      // Forward the room code and whether the room is private
+      if (state) {
+        const snapshot = `${this.room.roomId}|${state.isPrivate}`;
+        if (this.roomSnapshot !== snapshot) {
+          this.roomSnapshot = snapshot;
+          this.emit('roomInfoChanged', {
+            roomCode: this.room.roomId,
+            isPrivate: state.isPrivate === true
+          });
+        }
+      }
+      
+      // Forward match phase and timer changes
+      if (state && state.match) {
+        const match = state.match;
+        const snapshot = `${match.phase}|${match.timeRemaining}|${match.round}|${match.winnerId}|${state.players ? state.players.size : 0}`;
+        if (this.matchSnapshot !== snapshot) {
+          this.matchSnapshot = snapshot;
+          this.emit('matchChanged', {
+            phase: match.phase,
+            timeRemaining: match.timeRemaining,
+            round: match.round,
+            scoreLimit: match.scoreLimit,
+            roundDuration: match.roundDuration,
+            minPlayers: match.minPlayers,
+            winnerId: match.winnerId,
+            winnerName: match.winnerName,
+            playerCount: state.players ? state.players.size : 0
+          });
+        }
+      }
+      
+      // Forward spawner changes (item shown, collected, respawned)
+      if (state && state.spawners) {
+        state.spawners.forEach((spawner, key) => {
+          const snapshot = `${spawner.itemId}|${spawner.available}|${spawner.quantity}|${spawner.collectedBy}`;
+          if (this.spawnerSnapshots[key] === snapshot) return;
+          
+          this.spawnerSnapshots[key] = snapshot;
+          this.emit('spawnerUpdated', {
+            id: key,
+            itemId: spawner.itemId,
+            quantity: spawner.quantity,
+            available: spawner.available,
+            collectedBy: spawner.collectedBy
+          });
+        });
+      }
+      
+      // Forward team scores and the local player's team in team mode
+      if (state && state.teams && state.teams.size > 0) {
+        const teams = [];
+        state.teams.forEach((team) => {
+          teams.push({ id: team.id, name: team.name, score: team.score });
+        });
+        const localPlayer = state.players ? state.players.get(this.room.sessionId) : null;
+        const localTeam = localPlayer ? localPlayer.team : null;
+        
+        const snapshot = `${teams.map(team => `${team.id}:${team.score}`).join(',')}|${localTeam}`;
+        if (this.teamsSnapshot !== snapshot) {
+          this.teamsSnapshot = snapshot;
+          this.emit('teamsChanged', { teams, localTeam, friendlyFire: state.friendlyFire });
+        }
+      }
+      
+      // Forward cake changes in capture the cake mode
+      if (state && state.cakes) {
+        state.cakes.forEach((cake, key) => {
+          const snapshot = `${cake.status}|${cake.carrierId}|${cake.x.toFixed(1)}|${cake.y.toFixed(1)}|${cake.z.toFixed(1)}`;
+          if (this.cakeSnapshots[key] === snapshot) return;
+          
+          this.cakeSnapshots[key] = snapshot;
+          this.emit('cakeUpdated', {
+            id: key,
+            team: cake.team,
+            status: cake.status,
+            carrierId: cake.carrierId,
+            x: cake.x,
+            y: cake.y,
+            z: cake.z,
+            baseX: cake.baseX,
+            baseY: cake.baseY,
+            baseZ: cake.baseZ
+          });
+        });
+      }
+      
+      // Forward zone changes in king of the hill mode
+      if (state && state.zones) {
+        state.zones.forEach((zone, key) => {
+          const snapshot = `${zone.active}|${zone.holderId}|${zone.contested}|${zone.timeRemaining}`;
+          if (this.zoneSnapshots[key] === snapshot) return;
+          
+          this.zoneSnapshots[key] = snapshot;
+          this.emit('zoneUpdated', {
+            id: key,
+            x: zone.x,
+            y: zone.y,
+            z: zone.z,
+            radius: zone.radius,
+            active: zone.active,
+            holderId: zone.holderId,
+            contested: zone.contested,
+            timeRemaining: zone.timeRemaining
+          });
+        });
+      }
+      
       // Set up player listeners only after state is synchronized
       if (state && state.players) {
         // Create a set of current players to track removed ones
@@ -125,6 +440,19 @@ export class ColyseusManager extends EventEmitter {
           }
         });
         
+        // Forward spawn protection starting and ending, once the players are known
+        state.players.forEach((player, sessionId) => {
+          const isProtected = player.spawnProtected === true;
+          if ((this.spawnProtectionSnapshots[sessionId] || false) === isProtected) return;
+          
+          this.spawnProtectionSnapshots[sessionId] = isProtected;
+          this.emit('spawnProtectionChanged', {
+            sessionId,
+            isProtected,
+            duration: state.spawnProtectionTime
+          });
+        });
+        
         // Listen for changes in the players collection
         // Only set this up once to avoid duplicate handlers
         if (!this._hasSetupPlayerHandlers) {
@@ -145,6 +473,7 @@ export class ColyseusManager extends EventEmitter {
           
           state.players.onRemove = (player, sessionId) => {
             delete this.remotePlayers[sessionId];
+            delete this.spawnProtectionSnapshots[sessionId];
             this.emit('playerLeft', { sessionId, player });
           };
         }
@@ -158,19 +487,26 @@ export class ColyseusManager extends EventEmitter {
     });
 
     // Listen for room leave
-    this.room.onLeave((code) => {
-      this.emit('disconnected');
+    this.room.onLeave((code, reason) => {
+      // Kicked by the server, reconnecting would not be allowed
+      if (code === KICKED_CLOSE_CODE) {
+        console.warn('Kicked by the server:', reason);
+        this.reconnectionToken = null;
+        this.emit('kicked', reason);
+        this.emit('disconnected');
+        return;
+      }
       
       // Try to reconnect if unexpected disconnect
-      if (code >= 1000 && code < 1003) {
+      if ((code >= 1000 && code < 1003) || code === CONSENTED_CLOSE_CODE || !this.reconnectionToken) {
         // Normal closure, don't reconnect
         console.log('Normal disconnection, not attempting reconnect');
+        this.reconnectionToken = null;
+        this.emit('disconnected');
       } else {
         console.log('Unexpected disconnection, attempting reconnect...');
-        // Try to reconnect after a short delay
-        setTimeout(() => {
-          this.reconnect();
-        }, 2000);
+        this.room = null;
+        this.reconnect();
       }
     });
     
@@ -179,31 +515,63 @@ export class ColyseusManager extends EventEmitter {
   }
   
   /**
-   * Attempt to reconnect to the server
+   * Attempt to get our seat back after a dropped connection. The server holds
+   * it (with our score, health and position) for a limited time.
    */
   async reconnect() {
-    try {
-      
-      // Only attempt to reconnect if we're not already connected
-      if (this.room) {
-        console.log('Already connected, skipping reconnect');
-        return;
-      }
-      
-      // Connect with the same parameters as before
-      const result = await this.connect('Player', 'character-1');
+    // Only attempt to reconnect if we're not already connected
+    if (this.room || this.isReconnecting) {
+      console.log('Already connected, skipping reconnect');
+      return;
+    }
+    
+    this.isReconnecting = true;
+    this.emit('reconnecting', { timeout: network.reconnectTimeout });
+    
+    const giveUpAt = Date.now() + network.reconnectTimeout * 1000;
+    while (this.reconnectionToken && Date.now() < giveUpAt) {
+      // Wait a moment before each attempt so a flaky connection can settle
+      await new Promise(resolve => setTimeout(resolve, network.reconnectInterval * 1000));
       
-      if (result) {
+      try {
+        this.room = await this.client.reconnect(this.reconnectionToken);
+        this.reconnectionToken = this.room.reconnectionToken;
+        this.setupRoomListeners();
+        this.isReconnecting = false;
+        
         console.log('Successfully reconnected to server');
+        this.emitReconnected();
+        return;
+      } catch (error) {
+        console.warn('Failed to reconnect, retrying:', error.message);
       }
-    } catch (error) {
-      console.error('Failed to reconnect:', error);
-      
-      // Try again after a delay
-      setTimeout(() => {
-        this.reconnect();
-      }, 5000);
     }
+    
+    // The seat is gone
+    console.error('Could not reconnect before the seat expired');
+    this.isReconnecting = false;
+    this.reconnectionToken = null;
+    this.emit('disconnected');
+    this.emit('reconnectFailed');
+  }
+  
+  /**
+   * Tell listeners we're back in the room, with our player as the server kept it
+   */
+  emitReconnected() {
+    this.room.onStateChange.once((state) => {
+      const player = state.players ? state.players.get(this.room.sessionId) : null;
+      this.emit('reconnected', {
+        sessionId: this.room.sessionId,
+        player: player ? {
+          x: player.x,
+          y: player.y,
+          z: player.z,
+          health: player.health,
+          score: player.score
+        } : null
+      });
+    });
   }
   
   /**
@@ -223,10 +591,9 @@ export class ColyseusManager extends EventEmitter {
       });
     });
     
-    // Listen for damage events
-    this.room.onMessage('damage', (data) => {
-      console.log(`Received damage event from server: target=${data.targetId}, source=${data.sourceId}, amount=${data.amount}`);
-      this.emit('playerDamaged', data);
+    // Listen for authoritative projectile impacts
+    this.room.onMessage('projectileImpact', (data) => {
+      this.emit('projectileImpact', data);
     });
     
     // Listen for player respawn events
@@ -241,17 +608,60 @@ export class ColyseusManager extends EventEmitter {
       this.emit('playerDamaged', data);
     });
     
+    // Listen for kills, the server decides who gets them
+    this.room.onMessage('playerKilled', (data) => {
+      console.log(`Received playerKilled event: victim=${data.victimId}, killer=${data.killerId}, item=${data.itemType}`);
+      this.emit('playerKilled', data);
+    });
+    
     // Listen for player hit events (direct hit reports)
     this.room.onMessage('playerHit', (data) => {
       console.log(`Received playerHit event: target=${data.targetId}, source=${data.sourceId}, damage=${data.damage}`);
       this.emit('playerHit', data);
     });
     
+    // Answer the server's pings right away, it measures our round trip to
+    // check our hits where we saw the other players
+    this.room.onMessage('ping', (data) => {
+      this.room.send('pong', { sentAt: data.sentAt, clientTime: Date.now() });
+    });
+    
+    // The server ignored one of our messages, we get kicked if it keeps happening
+    this.room.onMessage('serverWarning', (data) => {
+      console.warn(`Server warning: ${data.message}`);
+    });
+    
+    // Listen for the server putting our player back after a rejected move
+    this.room.onMessage('positionCorrection', (data) => {
+      this.emit('positionCorrection', data);
+    });
+    
+    // Listen for the answer to our spawner item claims
+    this.room.onMessage('spawnableClaimResult', (data) => {
+      this.emit('spawnableClaimResult', data);
+    });
+    
     // Listen for leaderboard updates
     this.room.onMessage('leaderboardUpdate', (data) => {
       console.log(`Received leaderboard update`);
       this.emit('leaderboardUpdate', data);
     });
+    
+    // Listen for the end of a round and the reset before the next one
+    this.room.onMessage('matchResults', (data) => {
+      console.log(`Round ${data.round} over, winner: ${data.winnerName || 'none'}`);
+      this.emit('matchResults', data);
+    });
+    
+    this.room.onMessage('matchReset', (data) => {
+      console.log(`Round ${data.round} starting`);
+      this.emit('matchReset', data);
+    });
+    
+    // Listen for cakes being taken, dropped, returned and captured
+    this.room.onMessage('cakeEvent', (data) => {
+      this.emit('cakeEvent', data);
+    });
   }
   
   /**
@@ -283,7 +693,8 @@ export class ColyseusManager extends EventEmitter {
           z: player.z,
           rotationY: player.rotationY,
           name: player.name,
-          state: player.state
+          state: player.state,
+          team: player.team
         };
         
         // Debug log position changes
@@ -336,6 +747,17 @@ export class ColyseusManager extends EventEmitter {
         }
       });
       
+      // Handle team changes like state changes
+      player.listen("team", (newValue, previousValue) => {
+        if (newValue !== previousValue) {
+          stateChanged = true;
+          
+          if (!changeTimeout) {
+            changeTimeout = setTimeout(emitChanges, 16);
+          }
+        }
+      });
+      
       // Handle name changes immediately
       player.listen("name", (newValue, previousValue) => {
         if (newValue !== previousValue) {
@@ -347,7 +769,8 @@ export class ColyseusManager extends EventEmitter {
             y: player.y,
             z: player.z,
             rotationY: player.rotationY,
-            state: player.state
+            state: player.state,
+            team: player.team
           };
           
           this.emit('playerChanged', playerState);
@@ -363,7 +786,8 @@ export class ColyseusManager extends EventEmitter {
           y: player.y,
           z: player.z,
           rotationY: player.rotationY,
-          state: player.state
+          state: player.state,
+          team: player.team
         };
         
         console.log(`Emitting initial state for player ${sessionId}:`, {
@@ -382,7 +806,8 @@ export class ColyseusManager extends EventEmitter {
         z: player.z,
         rotationY: player.rotationY,
         state: player.state,
-        name: player.name
+        name: player.name,
+        team: player.team
       };
       
       // Poll for changes every 100ms
@@ -400,8 +825,9 @@ export class ColyseusManager extends EventEmitter {
           
         const hasStateChanged = player.state !== lastState.state;
         const hasNameChanged = player.name !== lastState.name;
+        const hasTeamChanged = player.team !== lastState.team;
         
-        if (hasPositionChanged || hasStateChanged || hasNameChanged) {
+        if (hasPositionChanged || hasStateChanged || hasNameChanged || hasTeamChanged) {
           const playerState = {
             sessionId,
             name: player.name,
@@ -409,7 +835,8 @@ export class ColyseusManager extends EventEmitter {
             y: player.y,
             z: player.z,
             rotationY: player.rotationY,
-            state: player.state
+            state: player.state,
+            team: player.team
           };
           
           this.emit('playerChanged', playerState);
@@ -427,8 +854,10 @@ export class ColyseusManager extends EventEmitter {
    * @param {number} y - Y position
    * @param {number} z - Z position
    * @param {number} rotationY - Y rotation
+   * @param {number} [seq] - Newest input the position includes
+   * @param {Array<Object>} [inputs] - Frames moved in since the last update: forward, right and yaw
    */
-  sendPosition(x, y, z, rotationY) {
+  sendPosition(x, y, z, rotationY, seq, inputs) {
     if (!this.room) return;
     
     // Ensure all values are numbers
@@ -438,6 +867,12 @@ export class ColyseusManager extends EventEmitter {
       z: Number(z),
       rotationY: Number(rotationY)
     };
+    if (seq !== undefined) {
+      position.seq = seq;
+    }
+    if (inputs !== undefined) {
+      position.inputs = inputs;
+    }
     
     // Send to server
     this.room.send('move', position);
@@ -453,17 +888,6 @@ export class ColyseusManager extends EventEmitter {
     this.room.send('projectile', projectileData);
   }
   
-  /**
-   * Send damage event to the server
-   * @param {string} targetId - Target player's session ID
-   * @param {number} amount - Amount of damage
-   */
-  sendDamage(targetId, amount) {
-    if (!this.room) return;
-    
-    this.room.send('damage', { targetId, amount });
-  }
-  
   /**
    * Send player state to the server
    * @param {string} state - Player state ('idle', 'walking', 'jumping')
@@ -506,6 +930,9 @@ export class ColyseusManager extends EventEmitter {
    * Disconnect from the Colyseus server and clean up
    */
   disconnect() {
+    // Leaving on purpose gives up our seat
+    this.reconnectionToken = null;
+    
     // Clean up room resources
     if (this.room) {
       // Clear all event listeners from the EventEmitter
@@ -4,6 +4,14 @@ import { NetworkedPlayerManager } from '../character/NetworkedPlayer.js';
 import { NetworkedProjectile } from '../projectiles/NetworkedProjectile.js';
 import { FoodProjectile } from '../projectiles/FoodProjectile.js';
 import { AudioManager } from '../audio/AudioManager.js';
+import worldManagerService from '../services/WorldManagerService.js';
+import { CakeObjective } from '../objectives/CakeObjective.js';
+import { ZoneObject } from '../zones/ZoneObject.js';
+import { teams, objectives } from '../config.js';
+import { getRoomCode, setRoomCode } from '../utils/urlParams.js';
+
+// Give up on a spawner claim if the server doesn't answer in time
+const CLAIM_TIMEOUT = 2000;
 
 /**
  * NetworkManager integrates multiplayer functionality into the game.
@@ -13,10 +21,12 @@ export class NetworkManager {
   /**
    * @param {Object} scene - The Three.js scene
    * @param {Object} localPlayer - Reference to the local player
+   * @param {Object} [hotbar] - The hotbar, renders the item icons of the kill feed
    */
-  constructor(scene, localPlayer) {
+  constructor(scene, localPlayer, hotbar = null) {
     this.scene = scene;
     this.localPlayer = localPlayer;
+    this.hotbar = hotbar;
     this.colyseusManager = ColyseusManager.getInstance();
     
     // Create the player manager
@@ -25,35 +35,96 @@ export class NetworkManager {
     this.isConnected = false;
     this.sessionId = null;
     
+    // Spectators watch without a player of their own
+    this.isSpectator = false;
+    
     // Enable projectile functionality since server now supports it
     this.isServerReadyForProjectiles = true;
     
     // Tracking for projectiles
     this.lastProjectileId = 0;
     
+    // Spawner claims waiting for the server's answer, by spawner key
+    this.pendingClaims = new Map();
+    
     // Create the leaderboard
     this.leaderboard = null;
     
+    // Match timer HUD and end of round results
+    this.matchTimer = null;
+    this.matchResults = null;
+    this.lastMatchState = null;
+    
+    // Team scores and our own team in team mode
+    this.teamState = null;
+    
+    // Capture the cake: pedestal objects, HUD and who carries each cake, by cake id
+    this.cakeObjectives = new Map();
+    this.cakeCarriers = new Map();
+    this.cakeTracker = null;
+    this.isLoadingCakeTracker = false;
+    
+    // King of the hill: zone objects and HUD, by zone key
+    this.zoneObjects = new Map();
+    this.kothMeter = null;
+    this.isLoadingKothMeter = false;
+    
+    // Shown while we try to get our seat back after a dropped connection
+    this.reconnectingOverlay = null;
+    
+    // Create, join and share private rooms
+    this.roomLobby = null;
+    this.roomError = null;
+    
+    // Lifetime stats card, opened with I
+    this.profileCard = null;
+    
+    // Who killed whom, for everyone in the room
+    this.killFeed = null;
+    
     // Bind methods
     this.update = this.update.bind(this);
     this.onPlayerJoined = this.onPlayerJoined.bind(this);
     this.onPlayerLeft = this.onPlayerLeft.bind(this);
     this.onPlayerChanged = this.onPlayerChanged.bind(this);
     this.onProjectileCreated = this.onProjectileCreated.bind(this);
+    this.onProjectileImpact = this.onProjectileImpact.bind(this);
     this.onPlayerDamaged = this.onPlayerDamaged.bind(this);
+    this.onPlayerKilled = this.onPlayerKilled.bind(this);
     this.onPlayerRespawned = this.onPlayerRespawned.bind(this);
+    this.onPositionCorrection = this.onPositionCorrection.bind(this);
     this.onLeaderboardUpdate = this.onLeaderboardUpdate.bind(this);
+    this.onMatchChanged = this.onMatchChanged.bind(this);
+    this.onMatchResults = this.onMatchResults.bind(this);
+    this.onMatchReset = this.onMatchReset.bind(this);
+    this.onTeamsChanged = this.onTeamsChanged.bind(this);
+    this.onCakeUpdated = this.onCakeUpdated.bind(this);
+    this.onCakeEvent = this.onCakeEvent.bind(this);
+    this.onZoneUpdated = this.onZoneUpdated.bind(this);
+    this.onSpawnProtectionChanged = this.onSpawnProtectionChanged.bind(this);
+    this.onSpawnerUpdated = this.onSpawnerUpdated.bind(this);
+    this.onSpawnableClaimResult = this.onSpawnableClaimResult.bind(this);
+    this.onReconnecting = this.onReconnecting.bind(this);
+    this.onReconnected = this.onReconnected.bind(this);
+    this.onReconnectFailed = this.onReconnectFailed.bind(this);
+    this.onKicked = this.onKicked.bind(this);
+    this.onRoomChanged = this.onRoomChanged.bind(this);
+    this.onRoomInfoChanged = this.onRoomInfoChanged.bind(this);
+    this.onRoomNotFound = this.onRoomNotFound.bind(this);
   }
   
   /**
    * Initialize the network connection
    * @param {string} playerName - Player's display name
    * @param {string} characterModel - Character model ID
+   * @param {Object} [options] - Join options
+   * @param {boolean} [options.spectator=false] - Watch the match without a player
    * @returns {Promise<void>}
    */
-  async initialize(playerName = 'Player', characterModel = 'character-1') {
+  async initialize(playerName = 'Player', characterModel = 'character-1', options = {}) {
     try {
       console.log('Initializing network manager...');
+      this.isSpectator = options.spectator === true;
       
       // Set up event listeners
       this.colyseusManager.on('connected', (sessionId) => {
@@ -72,11 +143,20 @@ export class NetworkManager {
         console.log('Disconnected from server');
         this.isConnected = false;
         this.sessionId = null;
-        
-        // Clean up networked players
-        this.playerManager.dispose();
+        this.clearRoomState();
       });
       
+      // Set up reconnection listeners
+      this.colyseusManager.on('reconnecting', this.onReconnecting);
+      this.colyseusManager.on('reconnected', this.onReconnected);
+      this.colyseusManager.on('reconnectFailed', this.onReconnectFailed);
+      this.colyseusManager.on('kicked', this.onKicked);
+      
+      // Set up private room listeners
+      this.colyseusManager.on('roomChanged', this.onRoomChanged);
+      this.colyseusManager.on('roomInfoChanged', this.onRoomInfoChanged);
+      this.colyseusManager.on('roomNotFound', this.onRoomNotFound);
+      
       // Set up player event listeners
       this.colyseusManager.on('playerJoined', this.onPlayerJoined);
       this.colyseusManager.on('playerLeft', this.onPlayerLeft);
@@ -84,14 +164,46 @@ export class NetworkManager {
       
       // Set up projectile event listeners
       this.colyseusManager.on('projectileCreated', this.onProjectileCreated);
+      this.colyseusManager.on('projectileImpact', this.onProjectileImpact);
       this.colyseusManager.on('playerDamaged', this.onPlayerDamaged);
+      this.colyseusManager.on('playerKilled', this.onPlayerKilled);
       this.colyseusManager.on('playerRespawned', this.onPlayerRespawned);
+      this.colyseusManager.on('positionCorrection', this.onPositionCorrection);
       
       // Set up leaderboard event listener
       this.colyseusManager.on('leaderboardUpdate', this.onLeaderboardUpdate);
       
+      // Set up match lifecycle listeners
+      this.colyseusManager.on('matchChanged', this.onMatchChanged);
+      this.colyseusManager.on('matchResults', this.onMatchResults);
+      this.colyseusManager.on('matchReset', this.onMatchReset);
+      
+      // Set up team mode listener
+      this.colyseusManager.on('teamsChanged', this.onTeamsChanged);
+      
+      // Set up capture the cake listeners
+      this.colyseusManager.on('cakeUpdated', this.onCakeUpdated);
+      this.colyseusManager.on('cakeEvent', this.onCakeEvent);
+      
+      // Set up king of the hill listener
+      this.colyseusManager.on('zoneUpdated', this.onZoneUpdated);
+      
+      // Set up spawn protection listener
+      this.colyseusManager.on('spawnProtectionChanged', this.onSpawnProtectionChanged);
+      
+      // Set up synced spawner listeners
+      this.colyseusManager.on('spawnerUpdated', this.onSpawnerUpdated);
+      this.colyseusManager.on('spawnableClaimResult', this.onSpawnableClaimResult);
+      
+      // Invite links go straight to their room, everyone else picks one in the room browser
+      const roomCode = getRoomCode();
+      const target = roomCode ? { roomCode } : await this.chooseRoom();
+      
       // Connect to the server
-      const room = await this.colyseusManager.connect(playerName, characterModel);
+      const room = await this.colyseusManager.connect(playerName, characterModel, {
+        spectator: this.isSpectator,
+        ...target
+      });
       
       if (!room) {
         throw new Error('Failed to join room');
@@ -100,7 +212,7 @@ export class NetworkManager {
       console.log('Network manager initialized with session ID:', this.sessionId);
       
       // Start sending local player updates only after successful connection
-      if (this.isConnected) {
+      if (this.isConnected && !this.isSpectator) {
         this.startSendingUpdates();
       }
       
@@ -115,6 +227,20 @@ export class NetworkManager {
       // Initialize the leaderboard
       this.initializeLeaderboard();
       
+      // Initialize the match timer and results screen
+      this.initializeMatchHud();
+      
+      // Initialize the kill feed
+      this.initializeKillFeed();
+      
+      // Initialize the private room panel
+      this.initializeRoomLobby();
+      
+      // Initialize the lifetime stats card, spectators have no profile
+      if (!this.isSpectator) {
+        this.initializeProfileCard(playerName);
+      }
+      
       // Make NetworkManager globally available for projectile sending
       window.networkManager = this;
       
@@ -125,6 +251,237 @@ export class NetworkManager {
     }
   }
   
+  /**
+   * Drop everything that comes from the room state, it is sent again when we reconnect
+   */
+  clearRoomState() {
+    // Clean up networked players
+    this.playerManager.dispose();
+    
+    // Spawners go back to local spawning until we reconnect
+    worldManagerService.clearSpawnerStates();
+    
+    // Cakes and zones come back with the room state when we reconnect
+    this.clearCakeObjectives();
+    this.clearZones();
+    
+    // Our shield comes back with the room state if we are still protected
+    if (this.localPlayer && this.localPlayer.effectsManager && this.localPlayer.effectsManager.hasEffect('spawnProtection')) {
+      this.localPlayer.effectsManager.remove('spawnProtection');
+    }
+    
+    // Streaks don't carry over to another room
+    if (this.killFeed) {
+      this.killFeed.reset();
+    }
+  }
+  
+  /**
+   * Handle a dropped connection while the server holds our seat
+   * @param {Object} data - Seconds before the seat is given up
+   */
+  onReconnecting(data) {
+    console.log('Connection lost, reconnecting...');
+    this.isConnected = false;
+    this.clearRoomState();
+    
+    this.getReconnectingOverlay().then(overlay => {
+      if (overlay) overlay.show(data.timeout);
+    });
+  }
+  
+  /**
+   * Handle getting our seat back, restoring what the server kept for us
+   * @param {Object} data - Session id and our player state
+   */
+  onReconnected(data) {
+    console.log('Reconnected to server with session ID:', data.sessionId);
+    this.isConnected = true;
+    this.sessionId = data.sessionId;
+    
+    if (this.reconnectingOverlay) {
+      this.reconnectingOverlay.hide();
+    }
+    
+    // Score and position were kept by the server and locally, health may have
+    // changed if we were hit just before the drop
+    if (this.localPlayer && this.localPlayer.healthManager && data.player) {
+      this.localPlayer.healthManager.setHealth(data.player.health);
+    }
+    
+    this.requestLeaderboardData();
+  }
+  
+  /**
+   * Handle losing our seat for good
+   */
+  onReconnectFailed() {
+    this.getReconnectingOverlay().then(overlay => {
+      if (overlay) overlay.showFailed();
+    });
+  }
+  
+  /**
+   * The server kicked us for sending too many bad messages
+   * @param {string} reason - Reason given by the server
+   */
+  onKicked(reason) {
+    this.getReconnectingOverlay().then(overlay => {
+      if (overlay) overlay.showFailed('Disconnected by the server', `${reason || 'Too many invalid messages'}. Refresh the page to join again`);
+    });
+  }
+  
+  /**
+   * Load the reconnecting overlay on first use
+   * @returns {Promise<Object>} The overlay, null if it failed to load
+   */
+  async getReconnectingOverlay() {
+    if (!this.reconnectingOverlay) {
+      try {
+        const module = await import('../ui/ReconnectingOverlay.js');
+        if (!this.reconnectingOverlay) {
+          this.reconnectingOverlay = new module.ReconnectingOverlay();
+        }
+      } catch (error) {
+        console.error('Failed to load reconnecting overlay:', error);
+        return null;
+      }
+    }
+    return this.reconnectingOverlay;
+  }
+  
+  /**
+   * Show the room browser and wait for the player to pick a room
+   * @returns {Promise<Object>} Room to join, see ColyseusManager.joinRoom
+   */
+  async chooseRoom() {
+    const module = await import('../ui/RoomBrowser.js');
+    const browser = new module.RoomBrowser({
+      fetchRooms: () => this.colyseusManager.getRooms(),
+      measurePing: () => this.colyseusManager.measurePing()
+    }, { spectator: this.isSpectator });
+    
+    return browser.open();
+  }
+  
+  /**
+   * Initialize the panel to create, join and share private rooms
+   */
+  initializeRoomLobby() {
+    try {
+      // Import dynamically like the leaderboard
+      import('../ui/RoomLobby.js').then(module => {
+        this.roomLobby = new module.RoomLobby({
+          onCreateRoom: () => this.colyseusManager.switchRoom({ createPrivate: true }),
+          onJoinRoom: (code) => this.colyseusManager.switchRoom({ roomCode: code }),
+          onLeaveRoom: () => this.colyseusManager.switchRoom({}),
+          onToggle: (isOpen) => {
+            // Let go of the mouse and keys while the panel is open
+            if (this.localPlayer && !this.isSpectator && !this.localPlayer.isInDeathState) {
+              this.localPlayer.setEnabled(!isOpen);
+            }
+          }
+        });
+        
+        // The room may have synced before the panel loaded
+        const room = this.colyseusManager.room;
+        if (room && room.state) {
+          this.roomLobby.setRoom(room.roomId, room.state.isPrivate === true);
+        }
+        
+        if (this.roomError) {
+          this.roomLobby.showError(this.roomError);
+          this.roomError = null;
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize room lobby:', error);
+    }
+  }
+  
+  /**
+   * Initialize the kill feed, with the hotbar's item previews as weapon icons
+   */
+  initializeKillFeed() {
+    try {
+      // Import dynamically like the leaderboard
+      import('../ui/KillFeed.js').then(module => {
+        this.killFeed = new module.KillFeed((itemType) => this.hotbar ? this.hotbar.getItemImage(itemType) : null);
+      });
+    } catch (error) {
+      console.error('Failed to initialize kill feed:', error);
+    }
+  }
+  
+  /**
+   * Initialize the card showing our lifetime stats
+   * @param {string} playerName - Our name, shown on the card
+   */
+  initializeProfileCard(playerName) {
+    try {
+      // Import dynamically like the leaderboard
+      import('../ui/ProfileCard.js').then(module => {
+        this.profileCard = new module.ProfileCard(playerName, {
+          fetchStats: () => this.colyseusManager.getPlayerStats(),
+          onToggle: (isOpen) => {
+            // Let go of the mouse and keys while the card is open
+            if (this.localPlayer && !this.localPlayer.isInDeathState) {
+              this.localPlayer.setEnabled(!isOpen);
+            }
+          }
+        });
+      });
+    } catch (error) {
+      console.error('Failed to initialize profile card:', error);
+    }
+  }
+  
+  /**
+   * Handle moving to another room: start over with its state
+   * @param {string} sessionId - Our session id in the new room
+   */
+  onRoomChanged(sessionId) {
+    console.log('Joined room with session ID:', sessionId);
+    this.sessionId = sessionId;
+    this.isConnected = true;
+    this.teamState = null;
+    this.clearRoomState();
+    
+    // Claims sent to the old room will never be answered
+    this.pendingClaims.forEach((claim, spawnerKey) => {
+      this.resolveClaim(spawnerKey, { accepted: false, reason: 'disconnected' });
+    });
+    
+    // Full health for the new room, where the server spawned us fresh
+    if (this.localPlayer && !this.isSpectator) {
+      this.localPlayer.resetForNewRound();
+    }
+  }
+  
+  /**
+   * Show the room we're in and keep it in the address bar
+   * @param {Object} info - Room code and whether the room is private
+   */
+  onRoomInfoChanged(info) {
+    setRoomCode(info.isPrivate ? info.roomCode : null);
+    
+    if (this.roomLobby) {
+      this.roomLobby.setRoom(info.roomCode, info.isPrivate);
+    }
+  }
+  
+  /**
+   * Handle an invite code or a listed room that no longer works, we joined the public lobby instead
+   * @param {string} code - The room code from the URL, or the id picked in the room browser
+   */
+  onRoomNotFound(code) {
+    this.roomError = `Could not join room ${code}, it may be full or closed`;
+    if (this.roomLobby) {
+      this.roomLobby.showError(this.roomError);
+      this.roomError = null;
+    }
+  }
+  
   /**
    * Initialize the leaderboard UI
    */
@@ -135,6 +492,11 @@ export class NetworkManager {
         const Leaderboard = module.Leaderboard;
         this.leaderboard = new Leaderboard();
         
+        // Team scores may have synced before the leaderboard loaded
+        if (this.teamState) {
+          this.leaderboard.updateTeams(this.teamState.teams, this.teamState.localTeam);
+        }
+        
         // Request initial leaderboard data
         this.requestLeaderboardData();
         
@@ -148,6 +510,87 @@ export class NetworkManager {
     }
   }
   
+  /**
+   * Initialize the match timer HUD and the end of round results screen
+   */
+  initializeMatchHud() {
+    try {
+      // Import dynamically like the leaderboard
+      Promise.all([
+        import('../ui/MatchTimer.js'),
+        import('../ui/MatchResults.js')
+      ]).then(([timerModule, resultsModule]) => {
+        this.matchTimer = new timerModule.MatchTimer();
+        this.matchResults = new resultsModule.MatchResults();
+        
+        // The match state may have synced before the HUD loaded
+        if (this.lastMatchState) {
+          this.matchTimer.updateTimer(this.lastMatchState, this.lastMatchState.playerCount);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize match HUD:', error);
+    }
+  }
+  
+  /**
+   * Handle a change of match phase or timer
+   * @param {Object} match - Match state from the server
+   */
+  onMatchChanged(match) {
+    const previousPhase = this.lastMatchState ? this.lastMatchState.phase : null;
+    this.lastMatchState = match;
+    
+    if (this.matchTimer) {
+      this.matchTimer.updateTimer(match, match.playerCount);
+    }
+    
+    // Results stay up for the whole intermission
+    if (previousPhase === 'intermission' && match.phase !== 'intermission' && this.matchResults) {
+      this.matchResults.hide();
+    }
+  }
+  
+  /**
+   * Show the results screen at the end of a round
+   * @param {Object} results - Round results from the server
+   */
+  onMatchResults(results) {
+    if (this.matchResults) {
+      this.matchResults.showResults(results, this.sessionId);
+    }
+  }
+  
+  /**
+   * Start a fresh round: the server reset scores and health and picked a spawn for everyone
+   * @param {Object} data - Round number and spawn positions by session id
+   */
+  onMatchReset(data) {
+    try {
+      if (this.matchResults) {
+        this.matchResults.hide();
+      }
+      
+      if (this.localPlayer && data.spawns && !this.isSpectator) {
+        this.localPlayer.resetForNewRound(data.spawns[this.sessionId]);
+      }
+      
+      // Remote players are back to full health too
+      this.playerManager.players.forEach(player => {
+        player.playerData.health = 100;
+        player.health = 100;
+        player.updateHealthBar(false);
+      });
+      
+      // Streaks start over with the round
+      if (this.killFeed) {
+        this.killFeed.reset();
+      }
+    } catch (error) {
+      console.error('Error resetting for new round:', error);
+    }
+  }
+  
   /**
    * Request leaderboard data from the server
    */
@@ -162,7 +605,11 @@ export class NetworkManager {
       players.push({
         id: sessionId,
         name: player.name || `Player ${sessionId.substring(0, 4)}`,
-        score: player.score || 0
+        score: player.score || 0,
+        kills: player.kills || 0,
+        deaths: player.deaths || 0,
+        assists: player.assists || 0,
+        team: player.team
       });
     }
     
@@ -173,7 +620,11 @@ export class NetworkManager {
         players.push({
           id: this.sessionId,
           name: localPlayerData.name || `Player ${this.sessionId.substring(0, 4)}`,
-          score: localPlayerData.score || 0
+          score: localPlayerData.score || 0,
+          kills: localPlayerData.kills || 0,
+          deaths: localPlayerData.deaths || 0,
+          assists: localPlayerData.assists || 0,
+          team: localPlayerData.team
         });
       }
     }
@@ -195,6 +646,330 @@ export class NetworkManager {
     this.leaderboard.updateLeaderboard(players);
   }
   
+  /**
+   * Handle team score or team assignment changes in team mode
+   * @param {Object} data - Teams, the local player's team and whether friendly fire is on
+   */
+  onTeamsChanged(data) {
+    const previousTeam = this.teamState ? this.teamState.localTeam : null;
+    this.teamState = data;
+    
+    if (data.localTeam && data.localTeam !== previousTeam) {
+      console.log(`Playing on team ${data.localTeam} (friendly fire ${data.friendlyFire ? 'on' : 'off'})`);
+    }
+    
+    if (this.leaderboard) {
+      this.leaderboard.updateTeams(data.teams, data.localTeam);
+    }
+  }
+  
+  /**
+   * Handle a change to a cake in capture the cake mode
+   * @param {Object} cake - Cake state from the server
+   */
+  onCakeUpdated(cake) {
+    try {
+      // Create the pedestal the first time we hear about a cake
+      let objective = this.cakeObjectives.get(cake.id);
+      if (!objective) {
+        objective = new CakeObjective(cake);
+        this.scene.add(objective);
+        this.cakeObjectives.set(cake.id, objective);
+      } else {
+        objective.applyState(cake);
+      }
+      
+      // Move the carried cake visual from the old carrier to the new one
+      const previousCarrier = this.cakeCarriers.get(cake.id) || null;
+      const carrier = cake.status === 'carried' ? cake.carrierId : null;
+      if (previousCarrier !== carrier) {
+        if (previousCarrier) {
+          this.setPlayerCarryingCake(previousCarrier, false);
+        }
+        if (carrier) {
+          this.setPlayerCarryingCake(carrier, true);
+        }
+        this.cakeCarriers.set(cake.id, carrier);
+      }
+      
+      this.updateCakeTracker();
+    } catch (error) {
+      console.error('Error applying cake state:', error);
+    }
+  }
+  
+  /**
+   * Show or hide the carried cake on a player. The local carrier is slowed instead.
+   * @param {string} playerId - Session id of the carrier
+   * @param {boolean} isCarrying - Whether the player now carries a cake
+   */
+  setPlayerCarryingCake(playerId, isCarrying) {
+    if (playerId === this.sessionId) {
+      if (!this.localPlayer || !this.localPlayer.effectsManager) return;
+      const effectsManager = this.localPlayer.effectsManager;
+      
+      if (isCarrying) {
+        // Replace any other slow so removing ours restores the real speed
+        if (effectsManager.hasEffect('slow')) {
+          effectsManager.remove('slow');
+        }
+        effectsManager.apply({
+          id: 'slow',
+          duration: Infinity,
+          config: { multiplier: objectives.cake.carrierSlowMultiplier }
+        }, 'cake');
+      } else if (effectsManager.getEffectItemId('slow') === 'cake') {
+        effectsManager.remove('slow');
+      }
+      return;
+    }
+    
+    const player = this.playerManager.players.get(playerId);
+    if (player) {
+      player.setCarriedItem(isCarrying ? 'cake' : null);
+    }
+  }
+  
+  /**
+   * Create the cake HUD on first use, then refresh it
+   */
+  updateCakeTracker() {
+    if (!this.cakeTracker) {
+      if (this.isLoadingCakeTracker) return;
+      this.isLoadingCakeTracker = true;
+      
+      // Import dynamically like the leaderboard
+      import('../ui/CakeTracker.js').then(module => {
+        this.isLoadingCakeTracker = false;
+        if (this.cakeObjectives.size === 0) return;
+        
+        this.cakeTracker = new module.CakeTracker();
+        this.updateCakeTracker();
+      }).catch(error => {
+        this.isLoadingCakeTracker = false;
+        console.error('Failed to initialize cake tracker:', error);
+      });
+      return;
+    }
+    
+    const state = this.colyseusManager.room ? this.colyseusManager.room.state : null;
+    const cakes = Array.from(this.cakeObjectives.values()).map(objective => {
+      const carrier = objective.state.carrierId && state ? state.players.get(objective.state.carrierId) : null;
+      return {
+        ...objective.state,
+        carrierName: carrier ? carrier.name : null
+      };
+    });
+    
+    this.cakeTracker.updateCakes(cakes, this.sessionId);
+  }
+  
+  /**
+   * Announce what happened to a cake
+   * @param {Object} event - Cake event from the server
+   */
+  onCakeEvent(event) {
+    const cakeTeam = teams[event.cakeId];
+    const cakeName = `${cakeTeam ? cakeTeam.name : event.cakeId} cake`;
+    const playerName = event.playerId === this.sessionId ? 'You' : (event.playerName || 'Someone');
+    
+    let message;
+    switch (event.type) {
+      case 'taken':
+        message = `${playerName} took the ${cakeName}!`;
+        break;
+      case 'dropped':
+        message = `${playerName} dropped the ${cakeName}!`;
+        break;
+      case 'returned':
+        message = event.playerId ? `${playerName} returned the ${cakeName}` : `The ${cakeName} went back home`;
+        break;
+      case 'captured':
+        message = `${playerName} captured the ${cakeName}!${event.scored ? ' +1' : ''}`;
+        break;
+      default:
+        return;
+    }
+    
+    console.log(`[CAKE] ${message}`);
+    
+    if (this.cakeTracker) {
+      const scoringTeam = event.team ? teams[event.team] : null;
+      this.cakeTracker.showEvent(message, scoringTeam ? scoringTeam.color : '#ffffff');
+    }
+  }
+  
+  /**
+   * Remove every cake pedestal and the cake HUD (on disconnect)
+   */
+  clearCakeObjectives() {
+    this.cakeCarriers.forEach(carrierId => {
+      if (carrierId) {
+        this.setPlayerCarryingCake(carrierId, false);
+      }
+    });
+    this.cakeCarriers.clear();
+    
+    this.cakeObjectives.forEach(objective => objective.dispose());
+    this.cakeObjectives.clear();
+    
+    if (this.cakeTracker) {
+      this.cakeTracker.dispose();
+      this.cakeTracker = null;
+    }
+  }
+  
+  /**
+   * Handle a change to a king of the hill zone
+   * @param {Object} zoneState - Zone state from the server
+   */
+  onZoneUpdated(zoneState) {
+    try {
+      let zone = this.zoneObjects.get(zoneState.id);
+      if (!zone) {
+        zone = this.findWorldZone(zoneState.id);
+        
+        // The server adds a default zone when the map has none
+        if (!zone) {
+          zone = new ZoneObject('capture-zone', new THREE.Vector3(zoneState.x, zoneState.y, zoneState.z));
+          const scale = zoneState.radius / zone.zoneData.radius;
+          zone.scale.set(scale, scale, scale);
+          zone.userData.fromServer = true;
+          this.scene.add(zone);
+        }
+        
+        zone.inPlay = true;
+        zone.visible = true;
+        this.zoneObjects.set(zoneState.id, zone);
+      }
+      
+      zone.state = zoneState;
+      const holder = this.getZoneHolder(zoneState.holderId);
+      zone.setStatus(zoneState.active, holder ? holder.color : null);
+      
+      if (zoneState.active) {
+        this.updateKothMeter(zoneState, holder);
+      }
+    } catch (error) {
+      console.error('Error applying zone state:', error);
+    }
+  }
+  
+  /**
+   * Find a zone loaded from world.json by the key the server uses for it
+   * @param {string} key - Zone key
+   * @returns {ZoneObject|null}
+   */
+  findWorldZone(key) {
+    let found = null;
+    this.scene.traverse(object => {
+      if (!found && object.userData && object.userData.type === 'zone' && object.networkKey === key) {
+        found = object;
+      }
+    });
+    return found;
+  }
+  
+  /**
+   * Name and color of whoever holds a zone
+   * @param {string} holderId - Team id, or session id without teams
+   * @returns {Object|null} Name and color, null for nobody
+   */
+  getZoneHolder(holderId) {
+    if (!holderId) return null;
+    
+    if (teams[holderId]) {
+      return { name: `${teams[holderId].name} Team`, color: teams[holderId].color };
+    }
+    
+    if (holderId === this.sessionId) {
+      return { name: 'You', color: '#4caf50' };
+    }
+    
+    const state = this.colyseusManager.room ? this.colyseusManager.room.state : null;
+    const player = state ? state.players.get(holderId) : null;
+    return { name: player ? player.name : 'Someone', color: '#e05d5d' };
+  }
+  
+  /**
+   * Create the king of the hill HUD on first use, then refresh it
+   * @param {Object} zoneState - Active zone state from the server
+   * @param {Object} holder - Name and color of the holder, null for nobody
+   */
+  updateKothMeter(zoneState, holder) {
+    if (!this.kothMeter) {
+      if (this.isLoadingKothMeter) return;
+      this.isLoadingKothMeter = true;
+      
+      // Import dynamically like the leaderboard
+      import('../ui/KothMeter.js').then(module => {
+        this.isLoadingKothMeter = false;
+        if (this.zoneObjects.size === 0) return;
+        
+        this.kothMeter = new module.KothMeter();
+        this.updateKothMeter(zoneState, holder);
+      }).catch(error => {
+        this.isLoadingKothMeter = false;
+        console.error('Failed to initialize king of the hill meter:', error);
+      });
+      return;
+    }
+    
+    const state = this.colyseusManager.room ? this.colyseusManager.room.state : null;
+    if (!state) return;
+    
+    // Teams race to the score limit, or you against the leader without teams
+    const entries = [];
+    if (state.teams && state.teams.size > 0) {
+      state.teams.forEach(team => {
+        const config = teams[team.id];
+        entries.push({ id: team.id, name: `${team.name} Team`, color: config ? config.color : '#ffffff', score: team.score });
+      });
+    } else {
+      let leader = null;
+      state.players.forEach((player, sessionId) => {
+        if (sessionId !== this.sessionId && (!leader || player.score > leader.score)) {
+          leader = { id: sessionId, name: player.name, color: '#e05d5d', score: player.score };
+        }
+      });
+      
+      // Spectators only see the leader
+      const localPlayer = state.players.get(this.sessionId);
+      if (localPlayer) {
+        entries.push({ id: this.sessionId, name: 'You', color: '#4caf50', score: localPlayer.score });
+      }
+      if (leader) {
+        entries.push(leader);
+      }
+    }
+    
+    this.kothMeter.updateMeter(zoneState, entries, state.match ? state.match.scoreLimit : 0, holder);
+  }
+  
+  /**
+   * Take the zones out of play and remove the king of the hill HUD (on disconnect)
+   */
+  clearZones() {
+    this.zoneObjects.forEach(zone => {
+      if (zone.userData.fromServer) {
+        zone.dispose();
+        this.scene.remove(zone);
+        return;
+      }
+      
+      // Zones from world.json stay for the editor, hidden again
+      zone.inPlay = false;
+      zone.visible = false;
+      zone.setStatus(true, null);
+    });
+    this.zoneObjects.clear();
+    
+    if (this.kothMeter) {
+      this.kothMeter.dispose();
+      this.kothMeter = null;
+    }
+  }
+  
   /**
    * Start sending local player position updates to the server
    */
@@ -214,6 +989,9 @@ export class NetworkManager {
         // Check if local player exists
         if (!this.localPlayer) return;
         
+        // The camera is somewhere else while we watch other players
+        if (this.localPlayer.spectatorCamera && this.localPlayer.spectatorCamera.isActive) return;
+        
         // Character class uses camera position for the player position
         let position, rotationY;
         
@@ -245,12 +1023,16 @@ export class NetworkManager {
         
         if (!position) return;
         
-        // Send to server
+        // Send to server, with our newest input and the frames we moved in
+        // since the last update, for the server to check the position against
+        const prediction = this.localPlayer.prediction;
         this.colyseusManager.sendPosition(
           position.x,
           position.y,
           position.z,
-          rotationY || 0
+          rotationY || 0,
+          prediction ? prediction.lastSeq : undefined,
+          prediction ? prediction.takeUnsent() : undefined
         );
       } catch (error) {
         console.error('Error sending position updates:', error);
@@ -268,7 +1050,12 @@ export class NetworkManager {
       if (sessionId === this.sessionId) return;
       
       // Add the player using the manager
-      this.playerManager.addPlayer(sessionId, player);
+      const networkedPlayer = this.playerManager.addPlayer(sessionId, player);
+      
+      // Show a cake the player picked up before we saw them join
+      if (networkedPlayer && Array.from(this.cakeCarriers.values()).includes(sessionId)) {
+        networkedPlayer.setCarriedItem('cake');
+      }
     } catch (error) {
       console.error('Error in onPlayerJoined:', error);
     }
@@ -310,15 +1097,16 @@ export class NetworkManager {
   /**
    * Send a projectile update to the server
    * @param {Object} projectileData - Projectile data
+   * @returns {string|null} The projectile's network id, or null if it wasn't sent
    */
   sendProjectile(projectileData) {
-    if (!this.isConnected) return;
+    if (!this.isConnected) return null;
     
     try {
       // Safety check - don't send projectiles if server might not be ready
       if (!this.isServerReadyForProjectiles) {
         console.log('Server not ready for projectiles yet. Skipping network send.');
-        return;
+        return null;
       }
       
       // Add a unique ID for this projectile
@@ -329,8 +1117,101 @@ export class NetworkManager {
         id: projectileId,
         ...projectileData
       });
+      
+      return projectileId;
     } catch (error) {
       console.error('Error sending projectile:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Tell the server our projectile hit level geometry
+   * @param {string} projectileId - The projectile's network id
+   */
+  sendProjectileBlocked(projectileId) {
+    if (!this.isConnected || !projectileId) return;
+    
+    try {
+      this.colyseusManager.send('projectileBlocked', { id: projectileId });
+    } catch (error) {
+      console.error('Error sending projectile blocked:', error);
+    }
+  }
+  
+  /**
+   * Ask the server for a spawner's item. Only the first claim is accepted.
+   * @param {string} spawnerKey - The spawner's key
+   * @returns {Promise<Object>} Resolves with { accepted, itemId, quantity } or { accepted: false, reason }
+   */
+  claimSpawnable(spawnerKey) {
+    if (!this.isConnected) {
+      return Promise.resolve({ accepted: false, reason: 'not connected' });
+    }
+    
+    // Only one claim per spawner at a time
+    if (this.pendingClaims.has(spawnerKey)) {
+      return this.pendingClaims.get(spawnerKey).promise;
+    }
+    
+    let resolve;
+    const promise = new Promise(res => { resolve = res; });
+    const timeoutId = setTimeout(() => {
+      this.resolveClaim(spawnerKey, { accepted: false, reason: 'timed out' });
+    }, CLAIM_TIMEOUT);
+    
+    this.pendingClaims.set(spawnerKey, { promise, resolve, timeoutId });
+    this.colyseusManager.send('claimSpawnable', { spawnerId: spawnerKey });
+    
+    return promise;
+  }
+  
+  /**
+   * Handle the server's answer to a spawner claim
+   * @param {Object} data - Claim result with spawnerId
+   */
+  onSpawnableClaimResult(data) {
+    this.resolveClaim(data.spawnerId, data);
+  }
+  
+  /**
+   * Settle a pending spawner claim
+   * @param {string} spawnerKey - The spawner's key
+   * @param {Object} result - The claim result
+   */
+  resolveClaim(spawnerKey, result) {
+    const claim = this.pendingClaims.get(spawnerKey);
+    if (!claim) return;
+    
+    clearTimeout(claim.timeoutId);
+    this.pendingClaims.delete(spawnerKey);
+    claim.resolve(result);
+  }
+  
+  /**
+   * Handle a change to a server-owned spawner
+   * @param {Object} state - Spawner state
+   */
+  onSpawnerUpdated(state) {
+    try {
+      worldManagerService.applySpawnerState(state);
+    } catch (error) {
+      console.error('Error applying spawner state:', error);
+    }
+  }
+  
+  /**
+   * Tell the server we ate an item, so its speed or jump boost is allowed for
+   * our movement
+   * @param {string} itemId - The eaten item
+   */
+  sendConsumeItem(itemId) {
+    if (!this.isConnected || !itemId) return;
+    
+    try {
+      this.colyseusManager.send('consumeItem', { itemId });
+    } catch (error) {
+      console.error('Error sending consumed item:', error);
     }
   }
   
@@ -359,14 +1240,10 @@ export class NetworkManager {
       
       console.log(`Received projectile from player ${data.playerId}, type: ${data.itemType || 'unknown'}`);
       
-      // Create a networked projectile
+      // Create a networked projectile, the server reports where it lands
       const projectile = new NetworkedProjectile({
         scene: this.scene,
-        data: data,
-        onHitPlayer: (sourcePlayerId, itemType, damage) => {
-          // When hit by a networked projectile, report damage to server
-          this.handleProjectileHit(sourcePlayerId, itemType, damage);
-        }
+        data: data
       });
       
       // Register for updates
@@ -377,31 +1254,52 @@ export class NetworkManager {
   }
   
   /**
-   * Handle a projectile hit on local player
-   * @param {string} sourcePlayerId - ID of player who threw the projectile
-   * @param {string} itemType - Type of item that hit
-   * @param {number} damage - Amount of damage
+   * Handle an authoritative projectile impact from the server
+   * @param {Object} data - Impact data (id, playerId, itemType, type, targetId, x, y, z)
    */
-  handleProjectileHit(sourcePlayerId, itemType, damage) {
+  onProjectileImpact(data) {
     try {
-      console.log(`RECEIVED HIT - Hit by projectile from ${sourcePlayerId} with ${itemType}, damage=${damage}`);
-      
-      // Only send network message if connected
-      if (this.isConnected && this.colyseusManager) {
-        // As a receiver, we trust the thrower's hit detection
-        // Simply send playerHit to server with source as the thrower
-        this.colyseusManager.send('playerHit', {
-          targetId: this.sessionId,   // We're the target
-          sourceId: sourcePlayerId,   // Player who threw the projectile
-          damage: damage,
-          itemType: itemType          // Include item type for death messages
-        });
+      const { id, playerId, itemType, type, targetId } = data;
+      
+      // Our own throw
+      if (playerId === this.sessionId) {
+        const projectile = FoodProjectile.findByNetworkId(id);
+        const target = type === 'player' ? this.playerManager.players.get(targetId) : null;
+        
+        if (target) {
+          target.handleProjectileHit(0, itemType);
+        }
+        if (projectile) {
+          projectile.resolveImpact(data, target ? target.getCollisionBox() : null);
+        }
       } else {
-        console.warn('Not connected to server, cannot send hit information');
+        const projectile = NetworkedProjectile.findById(id);
+        if (projectile) {
+          projectile.resolveImpact(data);
+        }
+        
+        if (type === 'player' && targetId === this.sessionId) {
+          this.handleProjectileHit(playerId, itemType);
+        } else if (type === 'player') {
+          const target = this.playerManager.players.get(targetId);
+          if (target) {
+            target.handleProjectileHit(0, itemType);
+          }
+        }
       }
-      
-      // Show visual feedback immediately
-      this.showDamageEffect();
+    } catch (error) {
+      console.error('Error handling projectile impact:', error);
+    }
+  }
+  
+  /**
+   * Handle a projectile hit on local player. Damage itself arrives with playerDamaged.
+   * @param {string} sourcePlayerId - ID of player who threw the projectile
+   * @param {string} itemType - Type of item that hit
+   */
+  handleProjectileHit(sourcePlayerId, itemType) {
+    try {
+      console.log(`RECEIVED HIT - Hit by projectile from ${sourcePlayerId} with ${itemType}`);
       
       // Play hitmarker sound - no proximity needed for local player hit
       // since we're at the hit position
@@ -495,10 +1393,11 @@ export class NetworkManager {
     try {
       const { playerId, position } = data;
       
-      // If it's our player, we only want to handle server-initiated respawns
-      // and ignore our own local respawn signals
+      // Our player respawns at the spawn the server picked when its countdown ends
       if (playerId === this.sessionId && this.localPlayer) {
-
+        if (position) {
+          this.localPlayer.setRespawnPosition(position);
+        }
       } 
       // If it's another player, update their health bar to 100%
       else {
@@ -516,13 +1415,55 @@ export class NetworkManager {
     }
   }
   
+  /**
+   * Show or hide the shield of a player the server protects after spawning.
+   * Our own protection shows as an effect, with its time left.
+   * @param {Object} data - Session id, whether the player is protected and the protection time in ms
+   */
+  onSpawnProtectionChanged({ sessionId, isProtected, duration }) {
+    if (sessionId === this.sessionId) {
+      if (!this.localPlayer || !this.localPlayer.effectsManager) return;
+      const effectsManager = this.localPlayer.effectsManager;
+      
+      if (isProtected) {
+        effectsManager.apply({ id: 'spawnProtection', duration });
+      } else if (effectsManager.hasEffect('spawnProtection')) {
+        effectsManager.remove('spawnProtection');
+      }
+      return;
+    }
+    
+    const player = this.playerManager.players.get(sessionId);
+    if (player) {
+      player.setSpawnShield(isProtected);
+    }
+  }
+  
+  /**
+   * The server turned down a position update, go on from where it has us
+   * @param {Object} position - Corrected position {x, y, z}, the seq of the update it is from and the seq of the corrected update
+   */
+  onPositionCorrection(position) {
+    if (!this.localPlayer || this.isSpectator) return;
+    
+    // A dead player waits for the respawn, which moves them anyway
+    if (this.localPlayer.isInDeathState) return;
+    
+    console.warn(`Position corrected by the server to (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
+    if (position.seq !== undefined && this.localPlayer.reconcile) {
+      this.localPlayer.reconcile(position, position.seq, position.correctedSeq);
+    } else {
+      this.localPlayer.teleportTo(position);
+    }
+  }
+  
   /**
    * Handle a player damaged event - the authoritative update from server
    * @param {Object} data - Damage data from server
    */
   onPlayerDamaged(data) {
     try {
-      const { targetId, sourceId, damage, remainingHealth, itemType, hitId } = data;
+      const { targetId, sourceId, damage, remainingHealth, itemType, hitId, effect } = data;
       
       console.log(`[DAMAGE DEBUG] Received damage event: ID: ${hitId}, Target: ${targetId}, Source: ${sourceId}, Damage: ${damage}, RemainingHealth: ${remainingHealth}`);
       
@@ -542,6 +1483,11 @@ export class NetworkManager {
             // Visual effects for taking damage (in case we missed the hit effect)
             this.showDamageEffect();
             
+            // Items like honey leave an effect on the player they hit
+            if (effect && remainingHealth > 0) {
+              this.applyHitEffect(effect, itemType);
+            }
+            
             // If health is zero, trigger death state with appropriate death message
             if (remainingHealth <= 0 && this.localPlayer.setDeathState) {
               console.log("[DAMAGE DEBUG] Health is zero, triggering death state");
@@ -583,13 +1529,10 @@ export class NetworkManager {
             }
           }
           
-          // Update with server values, including health
+          // Update with server values, including health. The position keeps
+          // coming from the synced state.
           targetPlayer.updateState({
             health: remainingHealth,
-            x: targetPlayer.currentPosition.x,
-            y: targetPlayer.currentPosition.y, 
-            z: targetPlayer.currentPosition.z,
-            rotationY: targetPlayer.currentRotationY,
             name: targetPlayer.playerData.name,
             state: remainingHealth <= 0 ? 'death' : 'hit'
           });
@@ -614,6 +1557,45 @@ export class NetworkManager {
     }
   }
   
+  /**
+   * Apply the on-hit effect of the item that hit us, sent with the damage by the server
+   * @param {Object} effect - Effect config {id, duration, config} from the server item table
+   * @param {string} itemType - The item that hit us, shown in the effects display
+   */
+  applyHitEffect(effect, itemType) {
+    if (!this.localPlayer || !this.localPlayer.effectsManager) return;
+    const effectsManager = this.localPlayer.effectsManager;
+    
+    // A lasting effect (the cake carrier's slow) isn't cut short by a hit
+    const activeEffect = effectsManager.getEffect(effect.id);
+    if (activeEffect && !isFinite(activeEffect.duration)) return;
+    
+    console.log(`Hit by ${itemType}, applying ${effect.id} effect for ${effect.duration}ms`);
+    effectsManager.apply(effect, itemType);
+  }
+  
+  /**
+   * Handle a kill decided by the server
+   * @param {Object} data - Killer, victim, the item that landed the final hit and the assisting players
+   */
+  onPlayerKilled(data) {
+    const { killerId, victimId, itemType } = data;
+    const assists = data.assists || [];
+    
+    if (this.killFeed) {
+      this.killFeed.addKill({
+        killerId,
+        killerName: this.getPlayerNameById(killerId),
+        assistNames: assists.map(assist => this.getPlayerNameById(assist.playerId)),
+        victimId,
+        victimName: this.getPlayerNameById(victimId),
+        itemType,
+        involvesLocalPlayer: killerId === this.sessionId || victimId === this.sessionId ||
+          assists.some(assist => assist.playerId === this.sessionId)
+      });
+    }
+  }
+  
   /**
    * Get a player's name by their session ID
    * @param {string} playerId - The player's session ID
@@ -637,6 +1619,15 @@ export class NetworkManager {
         }
       }
       
+      // Our own player is only in the room state
+      const room = this.colyseusManager && this.colyseusManager.room;
+      if (room && room.state && room.state.players) {
+        const player = room.state.players.get(playerId);
+        if (player && player.name) {
+          return player.name;
+        }
+      }
+      
       return "Unknown Player";
     } catch (error) {
       console.error('Error getting player name:', error);
@@ -660,7 +1651,19 @@ export class NetworkManager {
       
       // Update networked projectiles
       if (this.isServerReadyForProjectiles) {
-        NetworkedProjectile.updateAll(this.localPlayer);
+        NetworkedProjectile.updateAll();
+      }
+      
+      // Animate the zones in play
+      this.zoneObjects.forEach(zone => zone.update(delta));
+      
+      // Animate the cakes and keep their HUD markers over them
+      if (this.cakeObjectives.size > 0) {
+        this.cakeObjectives.forEach(objective => objective.update(delta));
+        
+        if (this.cakeTracker && this.localPlayer) {
+          this.cakeTracker.updateMarkers(this.localPlayer.camera, this.cakeObjectives, this.sessionId);
+        }
       }
       
       // Perform periodic garbage collection
@@ -717,6 +1720,51 @@ export class NetworkManager {
         NetworkedProjectile.activeProjectiles = [];
       }
       
+      // Settle any spawner claims still waiting for the server
+      this.pendingClaims.forEach((claim, spawnerKey) => {
+        this.resolveClaim(spawnerKey, { accepted: false, reason: 'disconnected' });
+      });
+      
+      // Remove the cakes and their HUD
+      this.clearCakeObjectives();
+      
+      // Take the zones out of play
+      this.clearZones();
+      
+      // Remove the private room panel
+      if (this.roomLobby) {
+        this.roomLobby.dispose();
+        this.roomLobby = null;
+      }
+      
+      // Remove the kill feed
+      if (this.killFeed) {
+        this.killFeed.dispose();
+        this.killFeed = null;
+      }
+      
+      // Remove the profile card
+      if (this.profileCard) {
+        this.profileCard.dispose();
+        this.profileCard = null;
+      }
+      
+      // Remove the reconnecting overlay
+      if (this.reconnectingOverlay) {
+        this.reconnectingOverlay.dispose();
+        this.reconnectingOverlay = null;
+      }
+      
+      // Remove the match HUD
+      if (this.matchTimer) {
+        this.matchTimer.dispose();
+        this.matchTimer = null;
+      }
+      if (this.matchResults) {
+        this.matchResults.dispose();
+        this.matchResults = null;
+      }
+      
       // Dispose of player manager
       if (this.playerManager) {
         this.playerManager.dispose();
@@ -742,68 +1790,4 @@ export class NetworkManager {
       console.error('Error disposing NetworkManager:', error);
     }
   }
-  
-  /**
-   * Send player hit information to server
-   * @param {Object} data - Hit data with targetPlayerId, damage and itemType
-   */
-  sendPlayerHit(data) {
-    if (!this.isConnected) {
-      console.warn('Cannot send player hit: not connected to server');
-      return;
-    }
-    
-    if (!data || !data.targetPlayerId) {
-      console.warn('Cannot send player hit: missing target player ID');
-      return;
-    }
-    
-    try {
-      // Send hit data to server
-      this.colyseusManager.send('playerHit', {
-        targetId: data.targetPlayerId,
-        damage: data.damage || 10,
-        itemType: data.itemType || 'tomato',
-        sourceId: this.sessionId  // We are the source
-      });
-      
-      // Show hit marker UI immediately
-      this.showHitMarker();
-      
-      // Play hit sound for the thrower
-      try {
-        if (AudioManager) {
-          AudioManager.play('hit', { 
-            volume: 0.7,
-            pitchMin: 0.7,
-            pitchMax: 1.3,
-            allowOverlap: true,
-            debug: true
-          });
-        }
-      } catch (error) {
-        console.warn('Unable to play hit sound:', error);
-      }
-      
-    } catch (error) {
-      console.error('Error sending player hit:', error);
-    }
-  }
-  
-  /**
-   * Send kill attribution to the server when a player is killed
-   * @param {string} killerId - ID of the player who got the kill
-   */
-  sendKillAttribution(killerId) {
-    if (!this.isConnected || !killerId) return;
-    
-    try {
-      // Send kill data to server
-      this.colyseusManager.room.send('killAttribution', {
-        killerId: killerId
-      });
-    } catch (error) {
-      console.error('Error sending kill attribution:', error);
-    }
-  }
 } 
\ No newline at end of file
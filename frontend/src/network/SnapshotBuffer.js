@@ -0,0 +1,158 @@
+// Snapshots kept per player, a few seconds of updates at the server's patch rate
+const MAX_SNAPSHOTS = 30;
+
+export const DEFAULT_INTERPOLATION_SETTINGS = {
+  delay: 100,
+  maxExtrapolation: 100,
+  teleportDistance: 10
+};
+
+/**
+ * Timestamped positions of a remote player. The player is rendered a short
+ * delay in the past, between two real snapshots, so updates arriving unevenly
+ * still give smooth movement. When updates are late the last velocity carries
+ * the player a little further, then it settles back on the last snapshot.
+ */
+export class SnapshotBuffer {
+  /**
+   * @param {Object} [settings] - Interpolation settings
+   * @param {number} [settings.delay=100] - Milliseconds players are rendered in the past
+   * @param {number} [settings.maxExtrapolation=100] - Milliseconds to keep moving a player whose updates are late
+   * @param {number} [settings.teleportDistance=10] - Jumps longer than this snap instead of sliding
+   */
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_INTERPOLATION_SETTINGS };
+    this.configure(settings);
+    this.snapshots = [];
+  }
+
+  /**
+   * Change the settings, e.g. while tuning from the console
+   * @param {Object} settings - Settings to change, see the constructor
+   */
+  configure(settings = {}) {
+    Object.keys(DEFAULT_INTERPOLATION_SETTINGS).forEach(key => {
+      if (Number.isFinite(settings[key]) && settings[key] >= 0) {
+        this.settings[key] = settings[key];
+      }
+    });
+  }
+
+  /**
+   * Add a snapshot as it arrives
+   * @param {Object} snapshot - Position {x, y, z} and rotationY
+   * @param {number} [time=performance.now()] - Arrival time in milliseconds
+   */
+  push(snapshot, time = performance.now()) {
+    const newest = this.snapshots[this.snapshots.length - 1];
+    const entry = {
+      time,
+      x: snapshot.x,
+      y: snapshot.y,
+      z: snapshot.z,
+      rotationY: snapshot.rotationY
+    };
+
+    // Respawns and server corrections snap, there is nothing to slide through
+    if (newest && this.distance(newest, entry) > this.settings.teleportDistance) {
+      this.snapshots = [];
+    }
+
+    // After standing still, start the move from where the player stood a moment
+    // ago instead of crawling from an update seconds old
+    if (this.snapshots.length > 0 && time - newest.time > this.settings.delay) {
+      this.snapshots.push({ ...newest, time: time - this.settings.delay });
+    }
+
+    this.snapshots.push(entry);
+    while (this.snapshots.length > MAX_SNAPSHOTS) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * @param {Object} snapshot - Position {x, y, z} and rotationY
+   * @returns {boolean} True if it differs from the newest snapshot
+   */
+  hasMoved(snapshot) {
+    const newest = this.snapshots[this.snapshots.length - 1];
+    return !newest || this.distance(newest, snapshot) > 0.001 ||
+      Math.abs(newest.rotationY - snapshot.rotationY) > 0.001;
+  }
+
+  /**
+   * Where to draw the player now
+   * @param {number} [now=performance.now()] - Current time in milliseconds
+   * @returns {Object|null} Position {x, y, z} and rotationY, null before the first snapshot
+   */
+  sample(now = performance.now()) {
+    const count = this.snapshots.length;
+    if (count === 0) return null;
+
+    const renderTime = now - this.settings.delay;
+    const oldest = this.snapshots[0];
+    const newest = this.snapshots[count - 1];
+
+    if (count === 1 || renderTime <= oldest.time) {
+      return this.lerp(oldest, oldest, 0);
+    }
+
+    // Between two real snapshots
+    if (renderTime <= newest.time) {
+      let index = count - 1;
+      while (index > 0 && this.snapshots[index - 1].time > renderTime) {
+        index--;
+      }
+      const from = this.snapshots[index - 1];
+      const to = this.snapshots[index];
+      const span = to.time - from.time;
+      return this.lerp(from, to, span > 0 ? (renderTime - from.time) / span : 1);
+    }
+
+    // Late: keep going the way the player was heading, then come back. The
+    // velocity is taken over a delay's worth of snapshots so one early or late
+    // packet doesn't throw the player off.
+    let previousIndex = count - 2;
+    while (previousIndex > 0 && newest.time - this.snapshots[previousIndex].time < this.settings.delay) {
+      previousIndex--;
+    }
+    const previous = this.snapshots[previousIndex];
+    const span = newest.time - previous.time;
+    const late = renderTime - newest.time;
+    const maxExtrapolation = this.settings.maxExtrapolation;
+    if (span <= 0 || maxExtrapolation === 0 || late >= maxExtrapolation * 2) {
+      return this.lerp(newest, newest, 0);
+    }
+
+    const ahead = late <= maxExtrapolation ? late : maxExtrapolation * 2 - late;
+    return this.lerp(newest, previous, -ahead / span, false);
+  }
+
+  /**
+   * @param {Object} from - Start snapshot
+   * @param {Object} to - End snapshot
+   * @param {number} t - 0 at from, 1 at to, outside of that to extrapolate
+   * @param {boolean} [turn=true] - Interpolate the rotation too, otherwise keep from's
+   * @returns {Object} Position {x, y, z} and rotationY
+   */
+  lerp(from, to, t, turn = true) {
+    // Turn the short way round
+    let rotationDelta = to.rotationY - from.rotationY;
+    rotationDelta = Math.atan2(Math.sin(rotationDelta), Math.cos(rotationDelta));
+
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      z: from.z + (to.z - from.z) * t,
+      rotationY: turn ? from.rotationY + rotationDelta * t : from.rotationY
+    };
+  }
+
+  distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+import { CakeBaseRegistry } from '../registries/CakeBaseRegistry.js';
+import { objectives } from '../config.js';
+
+export class CakeBaseObject extends THREE.Group {
+    /**
+     * Create a marker for where a team's cake pedestal stands, only shown in
+     * the editor. In a capture the cake match the server puts the pedestal here.
+     * @param {string} cakeBaseId - Cake base ID from registry
+     * @param {THREE.Vector3} position - Initial position, on the ground where the pedestal stands
+     * @param {number} [instanceIndex] - Optional instance index, will use timestamp if not provided
+     */
+    constructor(cakeBaseId, position, instanceIndex) {
+        super();
+
+        // Get cake base data from registry
+        this.cakeBaseData = CakeBaseRegistry.getCakeBaseInfo(cakeBaseId);
+
+        // Store cake base ID, team and type
+        this.userData = {
+            id: cakeBaseId,
+            type: 'cakeBase',
+            team: this.cakeBaseData ? this.cakeBaseData.team : null,
+            instanceIndex: instanceIndex || Date.now() // Use provided index or timestamp as unique instance index
+        };
+
+        // Set position
+        this.position.copy(position);
+
+        if (!this.cakeBaseData) {
+            console.error(`Cake base type ${cakeBaseId} not found in registry`);
+            return;
+        }
+
+        this.createMarker();
+    }
+
+    /**
+     * Create a see-through pedestal the size of the one the match shows
+     */
+    createMarker() {
+        const height = objectives.cake.pedestalHeight;
+        const geometry = new THREE.CylinderGeometry(0.8, 1, height, 24);
+        const material = new THREE.MeshBasicMaterial({
+            color: new THREE.Color(this.cakeBaseData.color),
+            transparent: true,
+            opacity: 0.5,
+            depthWrite: false
+        });
+
+        this.pedestal = new THREE.Mesh(geometry, material);
+        this.pedestal.position.y = height / 2;
+        this.add(this.pedestal);
+    }
+
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        if (this.pedestal) {
+            this.pedestal.geometry.dispose();
+            this.pedestal.material.dispose();
+        }
+    }
+}
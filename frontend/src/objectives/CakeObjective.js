@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { ItemRegistry } from '../registries/ItemRegistry.js';
+import assetManager from '../utils/AssetManager.js';
+import { assetPath } from '../utils/pathHelper.js';
+import { teams, objectives } from '../config.js';
+
+const CAKE_ITEM_ID = 'cake';
+
+export class CakeObjective extends THREE.Group {
+    /**
+     * Create a team's cake pedestal and the cake on it
+     * @param {Object} cakeState - Cake state from the server
+     */
+    constructor(cakeState) {
+        super();
+
+        this.userData = {
+            id: cakeState.id,
+            type: 'cake-objective'
+        };
+
+        this.teamId = cakeState.team;
+        this.color = new THREE.Color(teams[this.teamId] ? teams[this.teamId].color : '#ffffff');
+        this.pedestalHeight = objectives.cake.pedestalHeight;
+
+        this.state = cakeState;
+        this.cakeModel = null;
+        this.spin = 0;
+
+        this.createPedestal(cakeState);
+        this.createBeacon();
+        this.loadCake();
+        this.applyState(cakeState);
+    }
+
+    /**
+     * Create the team colored pedestal at the cake's base
+     * @param {Object} cakeState - Cake state with the base position
+     */
+    createPedestal(cakeState) {
+        const geometry = new THREE.CylinderGeometry(0.8, 1, this.pedestalHeight, 24);
+        const material = new THREE.MeshStandardMaterial({
+            color: this.color,
+            emissive: this.color,
+            emissiveIntensity: 0.3,
+            roughness: 0.6
+        });
+
+        this.pedestal = new THREE.Mesh(geometry, material);
+        this.pedestal.position.set(cakeState.baseX, cakeState.baseY + this.pedestalHeight / 2, cakeState.baseZ);
+        this.add(this.pedestal);
+
+        // Glowing ring on the ground to show the capture area
+        const ringGeometry = new THREE.RingGeometry(2.6, 3, 48);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+
+        this.ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        this.ring.rotation.x = -Math.PI / 2;
+        this.ring.position.set(cakeState.baseX, cakeState.baseY + 0.05, cakeState.baseZ);
+        this.add(this.ring);
+    }
+
+    /**
+     * Create the light that follows the cake so it can be spotted from afar
+     */
+    createBeacon() {
+        this.beacon = new THREE.PointLight(this.color, 2, 8);
+        this.add(this.beacon);
+    }
+
+    loadCake() {
+        const item = ItemRegistry.getType(CAKE_ITEM_ID);
+        assetManager.loadModel(assetPath(`objects/${item.model}`), (gltf) => {
+            this.cakeModel = gltf.scene.clone();
+            this.cakeModel.scale.set(item.scale, item.scale, item.scale);
+            this.add(this.cakeModel);
+
+            this.applyState(this.state);
+        });
+    }
+
+    /**
+     * Show the cake on its pedestal, on the ground, or hide it while it is carried
+     * @param {Object} cakeState - Cake state from the server
+     */
+    applyState(cakeState) {
+        this.state = cakeState;
+
+        const isCarried = cakeState.status === 'carried';
+        const isHome = cakeState.status === 'home';
+
+        // Carried cakes are drawn on the carrier instead
+        const position = isHome
+            ? new THREE.Vector3(cakeState.baseX, cakeState.baseY + this.pedestalHeight, cakeState.baseZ)
+            : new THREE.Vector3(cakeState.x, cakeState.y, cakeState.z);
+
+        if (this.cakeModel) {
+            this.cakeModel.visible = !isCarried;
+            this.cakeModel.position.copy(position);
+        }
+
+        this.beacon.visible = !isCarried;
+        this.beacon.position.copy(position).add(new THREE.Vector3(0, 1, 0));
+
+        // The ring dims while the cake is away from home
+        this.ring.material.opacity = isHome ? 0.5 : 0.15;
+    }
+
+    /**
+     * Where the cake is right now, for HUD markers
+     * @returns {THREE.Vector3}
+     */
+    getCakePosition() {
+        if (this.state.status === 'home') {
+            return new THREE.Vector3(this.state.baseX, this.state.baseY + this.pedestalHeight, this.state.baseZ);
+        }
+        return new THREE.Vector3(this.state.x, this.state.y + 1, this.state.z);
+    }
+
+    /**
+     * Spin and bob the cake
+     * @param {number} deltaTime - Time since the last frame in seconds
+     */
+    update(deltaTime) {
+        if (!this.cakeModel || !this.cakeModel.visible) return;
+
+        this.spin += deltaTime;
+        this.cakeModel.rotation.y = this.spin;
+
+        const baseY = this.state.status === 'home'
+            ? this.state.baseY + this.pedestalHeight
+            : this.state.y;
+        this.cakeModel.position.y = baseY + 0.2 + Math.sin(this.spin * 2) * 0.1;
+    }
+
+    /**
+     * Remove the objective from the scene and release its resources
+     */
+    dispose() {
+        if (this.parent) {
+            this.parent.remove(this);
+        }
+
+        // The cake model shares its geometry with the asset cache, only our own meshes are disposed
+        [this.pedestal, this.ring].forEach(mesh => {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+    }
+}
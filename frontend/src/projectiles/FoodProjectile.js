@@ -19,6 +19,15 @@ export class FoodProjectile {
         FoodProjectile.collidableObjects = objects;
     }
 
+    /**
+     * Find an active projectile by the id it was sent to the server with
+     * @param {string} networkId - The projectile's network id
+     * @returns {FoodProjectile|undefined}
+     */
+    static findByNetworkId(networkId) {
+        return FoodProjectile.activeProjectiles.find(projectile => projectile.networkId === networkId);
+    }
+
     static updateAll() {
         for (let i = FoodProjectile.activeProjectiles.length - 1; i >= 0; i--) {
             const projectile = FoodProjectile.activeProjectiles[i];
@@ -31,7 +40,7 @@ export class FoodProjectile {
         }
     }
 
-    constructor({ scene, position, direction, scale = 1, speed = 0.5, gravity = 0.01, arcHeight = 0.2, lifetime = 5000, onCollision = null, itemType = 'tomato', damage = 10, isOwnProjectile = false, isNetworked = false }) {
+    constructor({ scene, position, direction, scale = 1, speed = 0.5, gravity = 0.01, arcHeight = 0.2, lifetime = 5000, onCollision = null, itemType = 'tomato', damage = 10, isOwnProjectile = false, isNetworked = false, networkId = null }) {
         this.scene = scene;
         this.position = position.clone();
         this.direction = direction.normalize();
@@ -52,6 +61,10 @@ export class FoodProjectile {
         this.isOwnProjectile = isOwnProjectile;
         this.isNetworked = isNetworked;
         
+        // Projectiles known to the server don't collide with players locally,
+        // the server decides player hits and reports them through resolveImpact
+        this.networkId = networkId;
+        
         // Set initial velocity with arc
         this.velocity.y += arcHeight;
         
@@ -227,6 +240,26 @@ export class FoodProjectile {
         }
     }
 
+    /**
+     * End the projectile where the server says it landed
+     * @param {Object} impact - Impact data from the server (x, y, z, type)
+     * @param {Object} [collidable] - The player collidable that was hit, if any
+     */
+    resolveImpact(impact, collidable = null) {
+        if (!this.active) return;
+        
+        this.position.set(impact.x, impact.y, impact.z);
+        if (this.model) {
+            this.model.position.copy(this.position);
+        }
+        
+        if (impact.type !== 'expired') {
+            this.createHitEffect(collidable || { type: 'environment' });
+        }
+        
+        this.destroy();
+    }
+
     destroy() {
         if (!this.active) return;
         
@@ -444,6 +477,9 @@ export class FoodProjectile {
             // Skip collision with own player if this is the player's projectile
             if (this.isOwnProjectile && collidable.isLocalPlayer) continue;
             
+            // Player hits for server-simulated projectiles come from the server
+            if (this.networkId && collidable.type === 'player') continue;
+            
             // Quick bounding box check only - more reliable and performant
             if (collidable.box.intersectsSphere(projectileSphere)) {
                 if (FoodProjectile.DEBUG) console.log(`Collision detected with: ${collidable.type}${collidable.isLocalPlayer ? ' (local player)' : ''}`);
@@ -477,7 +513,8 @@ export class FoodProjectile {
                         damage: this.damage,
                         scale: this.scale,
                         isOwnProjectile: this.isOwnProjectile,
-                        isNetworked: this.isNetworked
+                        isNetworked: this.isNetworked,
+                        networkId: this.networkId
                     });
                 }
                 
@@ -20,11 +20,19 @@ export class NetworkedProjectile {
         NetworkedProjectile.activeProjectiles.push(projectile);
     }
     
+    /**
+     * Find an active networked projectile by its network id
+     * @param {string} projectileId - The projectile id assigned by the thrower
+     * @returns {NetworkedProjectile|undefined}
+     */
+    static findById(projectileId) {
+        return NetworkedProjectile.activeProjectiles.find(projectile => projectile && projectile.projectileId === projectileId);
+    }
+    
     /**
      * Update all registered networked projectiles
-     * @param {Object} localPlayer - The local player to check for collisions
      */
-    static updateAll(localPlayer) {
+    static updateAll() {
         const currentTime = Date.now();
         
         for (let i = NetworkedProjectile.activeProjectiles.length - 1; i >= 0; i--) {
@@ -45,7 +53,7 @@ export class NetworkedProjectile {
             }
             
             try {
-                projectile.update(localPlayer);
+                projectile.update();
                 
                 // Check if projectile should be removed from active list
                 if (!projectile.active) {
@@ -67,9 +75,8 @@ export class NetworkedProjectile {
      * @param {Object} params - Projectile parameters
      * @param {THREE.Scene} params.scene - THREE.js scene
      * @param {Object} params.data - Projectile data from server
-     * @param {Function} params.onHitPlayer - Callback for when projectile hits player
      */
-    constructor({ scene, data, onHitPlayer }) {
+    constructor({ scene, data }) {
 
         const projectile = ItemRegistry.getType(data.itemType);
 
@@ -80,7 +87,6 @@ export class NetworkedProjectile {
         this.position = new THREE.Vector3(data.x, data.y, data.z);
         this.direction = new THREE.Vector3(data.dirX, data.dirY, data.dirZ).normalize();
         this.itemType = data.itemType || 'tomato';
-        this.onHitPlayer = onHitPlayer;
         this.active = true;
         this.speed = data.speed || 0.5;
         this.gravity = data.gravity || 0.01;
@@ -213,10 +219,10 @@ export class NetworkedProjectile {
     }
     
     /**
-     * Update projectile position and check for collisions with local player
-     * @param {Object} localPlayer - Local player to check collisions with
+     * Update projectile position. Player hits are decided by the server and
+     * arrive through resolveImpact.
      */
-    update(localPlayer) {
+    update() {
         if (!this.active || !this.model) return;
         
         // Update position based on velocity
@@ -239,32 +245,6 @@ export class NetworkedProjectile {
             this.model.rotation.z += 0.2;
         }
         
-        // Check for collisions with local player
-        if (localPlayer) {
-            const playerPos = localPlayer.getPosition ? localPlayer.getPosition() : localPlayer.position;
-            
-            if (playerPos) {
-                const distance = this.position.distanceTo(playerPos);
-                
-                // Check collision with player (using a larger radius for better hit detection)
-                if (distance < this.collisionRadius + 0.8) {
-                    console.log(`Direct hit on local player by ${this.itemType} from ${this.sourcePlayerId}`);
-                    
-                    // Create hit effect
-                    this.createParticleEffect(this.position.clone());
-                    
-                    // Call the hit callback to notify about the hit
-                    if (this.onHitPlayer) {
-                        this.onHitPlayer(this.sourcePlayerId, this.itemType, this.damage);
-                    }
-                    
-                    // Destroy the projectile after hit
-                    this.destroy();
-                    return;
-                }
-            }
-        }
-        
         // Check for collisions with floor (simple Y-based check)
         if (this.position.y < 0.1) {
             console.log('Projectile hit floor');
@@ -274,6 +254,23 @@ export class NetworkedProjectile {
         }
     }
     
+    /**
+     * End the projectile where the server says it landed
+     * @param {Object} impact - Impact data from the server (x, y, z, type)
+     */
+    resolveImpact(impact) {
+        if (!this.active) return;
+        
+        this.position.set(impact.x, impact.y, impact.z);
+        
+        // Expired projectiles just vanish, everything else splats
+        if (impact.type !== 'expired') {
+            this.createParticleEffect(this.position.clone());
+        }
+        
+        this.destroy();
+    }
+    
     /**
      * Destroy the projectile and clean up resources
      */
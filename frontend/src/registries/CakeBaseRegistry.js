@@ -0,0 +1,37 @@
+import { Registry } from '../core/Registry.js';
+
+export class CakeBaseRegistry extends Registry {
+    
+    static items = [
+        { 
+            id: 'red-cake-base', 
+            team: 'red',
+            description: 'Red Team Cake Base',
+            color: 0xe05d5d
+        },
+        { 
+            id: 'blue-cake-base', 
+            team: 'blue',
+            description: 'Blue Team Cake Base',
+            color: 0x4d8fe0
+        },
+    ];
+
+    /**
+     * Get cake base information by ID
+     * @param {string} id - Cake base ID
+     * @returns {Object|null} - Cake base information or null if not found
+     */
+    static getCakeBaseInfo(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * Get the cake base of a team
+     * @param {string} team - Team id, "red" or "blue"
+     * @returns {Object|null} - Cake base information or null if not found
+     */
+    static getCakeBaseForTeam(team) {
+        return this.items.find(item => item.team === team);
+    }
+}
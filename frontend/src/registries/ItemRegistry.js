@@ -2,6 +2,7 @@ import { Registry } from '../core/Registry.js';
 
 export class ItemRegistry extends Registry {
 
+    // effect is applied to the player who eats the item, hitEffect to the player it hits
     static items = [
         // Meats
         { id: 'turkey', model: 'turkey.glb', scale: 0.6, damage: 25 },
@@ -76,8 +77,8 @@ export class ItemRegistry extends Registry {
         { id: 'popsicle', model: 'popsicle.glb', scale: 1, damage: 11 },
         { id: 'popsicle-chocolate', model: 'popsicle-chocolate.glb', scale: 0.5, damage: 10 },
         { id: 'whipped-cream', model: 'whipped-cream.glb', scale: 0.5, damage: 7 },
-        { id: 'honey', model: 'honey.glb', scale: 0.5, damage: 8, effect: { id: 'slow', duration: 5000 } },
-        { id: 'peanut-butter', model: 'peanut-butter.glb', scale: 0.5, damage: 9, effect: { id: 'slow', duration: 3000 } },
+        { id: 'honey', model: 'honey.glb', scale: 0.5, damage: 8, hitEffect: { id: 'slow', duration: 5000 } },
+        { id: 'peanut-butter', model: 'peanut-butter.glb', scale: 0.5, damage: 9, hitEffect: { id: 'slow', duration: 3000 } },
         { id: 'cake', model: 'cake.glb', scale: 1, damage: 30 },
         // Beverages
         { id: 'wine-red', model: 'wine-red.glb', scale: 0.8, damage: 18 },
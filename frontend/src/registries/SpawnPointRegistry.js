@@ -0,0 +1,21 @@
+import { Registry } from '../core/Registry.js';
+
+export class SpawnPointRegistry extends Registry {
+    
+    static items = [
+        { 
+            id: 'player-spawn', 
+            description: 'Player Spawn Point',
+            color: 0x00bfff
+        },
+    ];
+
+    /**
+     * Get spawn point information by ID
+     * @param {string} id - Spawn point ID
+     * @returns {Object|null} - Spawn point information or null if not found
+     */
+    static getSpawnPointInfo(id) {
+        return this.items.find(item => item.id === id);
+    }
+}
@@ -0,0 +1,22 @@
+import { Registry } from '../core/Registry.js';
+
+export class ZoneRegistry extends Registry {
+    
+    static items = [
+        { 
+            id: 'capture-zone', 
+            description: 'King of the Hill',
+            radius: 5,
+            color: 0xffd700
+        },
+    ];
+
+    /**
+     * Get zone information by ID
+     * @param {string} id - Zone ID
+     * @returns {Object|null} - Zone information or null if not found
+     */
+    static getZoneInfo(id) {
+        return this.items.find(item => item.id === id);
+    }
+}
@@ -4,6 +4,7 @@ import { SpawnerRegistry } from '../registries/SpawnerRegistry.js';
 import { SpawnableRegistry } from '../registries/SpawnableRegistry.js';
 import { spawner as spawnerConfig } from '../config.js';
 import { api } from '../config.js';
+import { getSpawnerKey } from '../utils/WorldDataUtils.js';
 
 class WorldManagerService {
     constructor() {
@@ -19,11 +20,17 @@ class WorldManagerService {
             objects: [],
             spawners: [],
             portals: [],
-            posters: []
+            posters: [],
+            zones: [],
+            spawnPoints: [],
+            cakeBases: []
         };
         
         // Keep track of loaded spawners
         this.loadedSpawners = [];
+        
+        // Latest server state per spawner key, applied to spawners as they load
+        this.spawnerStates = new Map();
     }
 
     async getWorldData() {
@@ -53,7 +60,10 @@ class WorldManagerService {
                 objects: data.objects || [],
                 spawners: data.spawners || [],
                 portals: data.portals || [],
-                posters: data.posters || []
+                posters: data.posters || [],
+                zones: data.zones || [],
+                spawnPoints: data.spawnPoints || [],
+                cakeBases: data.cakeBases || []
             }));
 
             return worldDataCopy;
@@ -72,7 +82,10 @@ class WorldManagerService {
                 objects: worldData.objects || [],
                 spawners: worldData.spawners || [],
                 portals: worldData.portals || [],
-                posters: worldData.posters || []
+                posters: worldData.posters || [],
+                zones: worldData.zones || [],
+                spawnPoints: worldData.spawnPoints || [],
+                cakeBases: worldData.cakeBases || []
             }));
             // Convert to a string once to avoid JSON.stringify being called multiple times
             const jsonData = JSON.stringify(dataToSave, null, 4);
@@ -120,7 +133,7 @@ class WorldManagerService {
             
             
             // For each spawner in the world data
-            worldData.spawners.forEach(spawnerData => {
+            worldData.spawners.forEach((spawnerData, index) => {
                 try {
                     // Create a THREE.Vector3 position
                     const position = new THREE.Vector3(
@@ -182,6 +195,7 @@ class WorldManagerService {
                     // Store the instance index for saving/updating
                     spawner.instanceIndex = spawnerData.instanceIndex || Date.now() % 1000000;
                     spawner.id = spawnerData.id;
+                    spawner.networkKey = getSpawnerKey(spawnerData, index);
                     
                     // Add to scene
                     spawner.addToScene(scene);
@@ -189,6 +203,12 @@ class WorldManagerService {
                     // Store in loadedSpawners
                     this.loadedSpawners.push(spawner);
                     
+                    // Catch up with the multiplayer server if it already sent this spawner
+                    const serverState = this.spawnerStates.get(spawner.networkKey);
+                    if (serverState) {
+                        spawner.applyServerState(serverState);
+                    }
+                    
                 } catch (error) {
                     console.error(`Error initializing spawner ${spawnerData.id}:`, error);
                 }
@@ -217,6 +237,27 @@ class WorldManagerService {
         }
     }
     
+    /**
+     * Apply the multiplayer server's state for a spawner
+     * @param {Object} state - Spawner state with the spawner key as id
+     */
+    applySpawnerState(state) {
+        this.spawnerStates.set(state.id, state);
+        
+        const spawner = this.loadedSpawners.find(spawner => spawner.networkKey === state.id);
+        if (spawner) {
+            spawner.applyServerState(state);
+        }
+    }
+    
+    /**
+     * Stop following the multiplayer server, spawners go back to local spawning
+     */
+    clearSpawnerStates() {
+        this.spawnerStates.clear();
+        this.loadedSpawners.forEach(spawner => spawner.setSynced(false));
+    }
+    
     // Method to update spawners at regular intervals
     updateSpawners(character) {
         this.loadedSpawners.forEach(spawner => {
@@ -25,6 +25,10 @@ export class ItemSpawner extends Spawner {
         this.respawnTimeoutId = null;
         this.isSpawning = false;
         this.cleanupTimeoutId = null;
+        
+        // When synced, the server picks the items and decides who collects them
+        this.synced = false;
+        this.networkKey = null;
     }
 
     clearTimeouts() {
@@ -128,9 +132,73 @@ export class ItemSpawner extends Spawner {
         }
     }
 
+    /**
+     * Follow the server's state for this spawner
+     * @param {Object} state - Spawner state (itemId, quantity, available, collectedBy)
+     */
+    applyServerState(state) {
+        this.synced = true;
+        this.clearAllTimeouts();
+        this.isRespawning = !state.available;
+
+        if (state.available) {
+            const spawnable = this.currentSpawnable;
+            if (spawnable && !spawnable.isCollected && spawnable.itemId === state.itemId) {
+                spawnable.quantity = state.quantity;
+                spawnable.spawnerKey = this.networkKey;
+                return;
+            }
+
+            this.removeCurrentSpawnable();
+
+            this.currentSpawnable = new Spawnable(this.position, state.itemId);
+            this.currentSpawnable.quantity = state.quantity;
+            this.currentSpawnable.spawnerKey = this.networkKey;
+            if (this.scene) {
+                this.currentSpawnable.addToScene(this.scene);
+            }
+            this.lastSpawnTime = Date.now();
+        } else {
+            this.removeCurrentSpawnable();
+        }
+    }
+
+    /**
+     * Go back to spawning items locally (e.g. after disconnecting)
+     */
+    setSynced(synced) {
+        this.synced = synced;
+        if (!synced) {
+            this.isRespawning = false;
+            if (this.currentSpawnable) {
+                this.currentSpawnable.spawnerKey = null;
+            }
+        }
+    }
+
+    removeCurrentSpawnable() {
+        const spawnable = this.currentSpawnable;
+        this.currentSpawnable = null;
+        if (!spawnable) return;
+
+        if (spawnable.claimPending) {
+            // Let our pending claim finish, it plays the animation or cleans up
+            spawnable.despawnAfterClaim = true;
+        } else if (!spawnable.isCollected) {
+            spawnable.cleanup();
+        }
+    }
+
     update() {
         if (!this.active) return;
         
+        if (this.synced) {
+            if (this.currentSpawnable) {
+                this.currentSpawnable.update();
+            }
+            return;
+        }
+        
         if (this.currentSpawnable) {
             this.currentSpawnable.update();
             return;
@@ -152,6 +220,12 @@ export class ItemSpawner extends Spawner {
             return;
         }
 
+        // The server state removes the item once our claim is accepted
+        if (this.synced) {
+            this.currentSpawnable.collect(player);
+            return;
+        }
+
         
         try {
             this.isRespawning = true;
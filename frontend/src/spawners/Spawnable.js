@@ -4,9 +4,13 @@ import { SpawnableRegistry } from '../registries/SpawnableRegistry.js';
 import { ItemRegistry } from './../registries/ItemRegistry.js';
 import assetManager from '../utils/AssetManager.js';
 
+// Wait before asking the server again after a turned down claim
+const CLAIM_RETRY_DELAY = 500;
+
 export class Spawnable {
     constructor(position, itemId) {
         this.position = position;
+        this.itemId = itemId;
         this.isCollected = false;
         this.isDespawned = false;
         this.scene = null;
@@ -18,6 +22,12 @@ export class Spawnable {
         this.collectionParticles = [];
         this.quantity = 1; // Default quantity
         
+        // Set by synced spawners: the item must be claimed from the server before it is granted
+        this.spawnerKey = null;
+        this.claimPending = false;
+        this.nextClaimTime = 0;
+        this.despawnAfterClaim = false;
+        
         // Get spawnable configuration - use the itemId as the spawnable type
         const config = SpawnableRegistry.getSpawnableType(itemId);
         this.itemConfig = ItemRegistry.getType(itemId);
@@ -251,6 +261,37 @@ export class Spawnable {
     }
 
     collect(player) {
+        if (this.isCollected || this.claimPending) return;
+        
+        // Items from a synced spawner go to whoever the server hears from first
+        if (this.spawnerKey && window.networkManager && window.networkManager.isConnected) {
+            if (Date.now() < this.nextClaimTime) return;
+            
+            this.claimPending = true;
+            window.networkManager.claimSpawnable(this.spawnerKey).then(result => {
+                this.claimPending = false;
+                
+                if (result.accepted) {
+                    this.quantity = result.quantity;
+                    this.grant(player);
+                } else if (this.despawnAfterClaim) {
+                    // Someone else got it and the spawner already moved on
+                    this.cleanup();
+                } else {
+                    this.nextClaimTime = Date.now() + CLAIM_RETRY_DELAY;
+                }
+            });
+            return;
+        }
+        
+        this.grant(player);
+    }
+
+    /**
+     * Give the item to the player and play the collection animation
+     * @param {Object} player - The collecting character
+     */
+    grant(player) {
         if (this.isCollected) return;
         
         this.isCollected = true;
@@ -9,6 +9,11 @@ export const consumeItem = (player, item) => {
 
     if (player.effectsManager && item.effect) {
         player.effectsManager.apply(item.effect, item.id);
+
+        // The server only lets us move faster once it knows about the boost
+        if (window.networkManager) {
+            window.networkManager.sendConsumeItem(item.id);
+        }
     }
     
     // Start consume animation
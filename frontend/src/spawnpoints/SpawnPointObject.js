@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { SpawnPointRegistry } from '../registries/SpawnPointRegistry.js';
+
+// Height of the marker, about a player's
+const MARKER_HEIGHT = 2;
+
+// Camera is at eye level, 2 units above the feet
+const EYE_HEIGHT = 2;
+
+export class SpawnPointObject extends THREE.Group {
+    /**
+     * Create a new player spawn point marker, only shown in the editor
+     * @param {string} spawnPointId - Spawn point ID from registry
+     * @param {THREE.Vector3} position - Initial position, on the ground where the player's feet go
+     * @param {number} [instanceIndex] - Optional instance index, will use timestamp if not provided
+     */
+    constructor(spawnPointId, position, instanceIndex) {
+        super();
+
+        // Store spawn point ID and type
+        this.userData = {
+            id: spawnPointId,
+            type: 'spawnPoint',
+            instanceIndex: instanceIndex || Date.now() // Use provided index or timestamp as unique instance index
+        };
+
+        // Set position
+        this.position.copy(position);
+
+        // Get spawn point data from registry
+        this.spawnPointData = SpawnPointRegistry.getSpawnPointInfo(spawnPointId);
+        if (!this.spawnPointData) {
+            console.error(`Spawn point type ${spawnPointId} not found in registry`);
+            return;
+        }
+
+        this.createMarker();
+    }
+
+    /**
+     * Create a ring on the ground with a see-through column where the player stands
+     */
+    createMarker() {
+        const color = new THREE.Color(this.spawnPointData.color);
+
+        const ringGeometry = new THREE.RingGeometry(0.5, 0.7, 32);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
+
+        this.ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        this.ring.rotation.x = -Math.PI / 2;
+        this.ring.position.y = 0.05;
+        this.add(this.ring);
+
+        const columnGeometry = new THREE.CylinderGeometry(0.5, 0.5, MARKER_HEIGHT, 16, 1, true);
+        const columnMaterial = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.25,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+
+        this.column = new THREE.Mesh(columnGeometry, columnMaterial);
+        this.column.position.y = MARKER_HEIGHT / 2;
+        this.add(this.column);
+    }
+
+    /**
+     * Where the camera goes for a player spawning here
+     * @returns {Object} Eye position {x, y, z}
+     */
+    getSpawnPosition() {
+        return { x: this.position.x, y: this.position.y + EYE_HEIGHT, z: this.position.z };
+    }
+
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        [this.ring, this.column].forEach(mesh => {
+            if (mesh) {
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            }
+        });
+    }
+}
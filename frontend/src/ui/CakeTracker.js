@@ -0,0 +1,276 @@
+import * as THREE from 'three';
+import { teams } from '../config.js';
+
+// Keep edge markers this far inside the screen
+const MARKER_MARGIN = 40;
+
+// How long cake event messages stay up
+const EVENT_DURATION = 3000;
+
+export class CakeTracker {
+  constructor() {
+    this.container = null;
+    this.rows = new Map();
+    this.markers = new Map();
+    this.eventTimeout = null;
+    this.projected = new THREE.Vector3();
+    this.createTracker();
+  }
+
+  createTracker() {
+    // Status panel at the top center of the screen
+    this.container = document.createElement('div');
+    this.container.id = 'cake-tracker';
+    this.container.style.cssText = `
+      position: absolute;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%);
+      border: 2px solid #ffffffa0;
+      border-radius: 12px;
+      padding: 8px 14px;
+      color: white;
+      font-family: sans-serif;
+      min-width: 220px;
+      z-index: 1000;
+      box-shadow: 0 4px 15px rgba(72, 111, 157, 0.3);
+      pointer-events: none;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'CAPTURE THE CAKE';
+    title.style.cssText = `
+      font-size: 14px;
+      font-weight: bold;
+      text-align: center;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+      padding-bottom: 4px;
+      margin-bottom: 4px;
+    `;
+    this.container.appendChild(title);
+
+    this.rowsEl = document.createElement('div');
+    this.container.appendChild(this.rowsEl);
+
+    // Reminder shown while the local player carries a cake
+    this.carryingEl = document.createElement('div');
+    this.carryingEl.textContent = '🎂 You have the cake! Bring it to your pedestal';
+    this.carryingEl.style.cssText = `
+      display: none;
+      font-size: 12px;
+      font-weight: bold;
+      text-align: center;
+      color: #ffd700;
+      margin-top: 4px;
+    `;
+    this.container.appendChild(this.carryingEl);
+
+    // Latest cake event ("Alice took the Blue cake!")
+    this.eventEl = document.createElement('div');
+    this.eventEl.style.cssText = `
+      position: absolute;
+      top: 100%;
+      left: 50%;
+      transform: translateX(-50%);
+      margin-top: 8px;
+      white-space: nowrap;
+      font-size: 16px;
+      font-weight: bold;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.8);
+      opacity: 0;
+      transition: opacity 0.3s ease;
+    `;
+    this.container.appendChild(this.eventEl);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Show where each cake is
+   * @param {Array} cakes - Cake states, each with a carrierName when carried
+   * @param {string} localPlayerId - Session id of the local player
+   */
+  updateCakes(cakes, localPlayerId) {
+    let isCarrying = false;
+
+    cakes.forEach(cake => {
+      let row = this.rows.get(cake.id);
+      if (!row) {
+        row = document.createElement('div');
+        row.style.cssText = `
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+          padding: 2px 0;
+          text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
+        `;
+        this.rowsEl.appendChild(row);
+        this.rows.set(cake.id, row);
+      }
+
+      const team = teams[cake.team];
+      const color = team ? team.color : '#ffffff';
+      const teamName = team ? team.name : cake.team;
+
+      let status = 'at base';
+      if (cake.status === 'carried') {
+        status = cake.carrierId === localPlayerId ? 'carried by you' : `carried by ${cake.carrierName || 'someone'}`;
+      } else if (cake.status === 'dropped') {
+        status = 'dropped!';
+      }
+
+      if (cake.status === 'carried' && cake.carrierId === localPlayerId) {
+        isCarrying = true;
+      }
+
+      row.innerHTML = '';
+      const dot = document.createElement('span');
+      dot.style.cssText = `
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        background: ${color};
+        border: 1px solid white;
+      `;
+      const text = document.createElement('span');
+      text.textContent = `${teamName} cake: ${status}`;
+
+      row.appendChild(dot);
+      row.appendChild(text);
+    });
+
+    this.carryingEl.style.display = isCarrying ? 'block' : 'none';
+  }
+
+  /**
+   * Place a marker over each cake, clamped to the screen edge when it is out of view
+   * @param {THREE.Camera} camera - The local player's camera
+   * @param {Map<string, Object>} objectives - Cake objectives by cake id
+   * @param {string} localPlayerId - Session id of the local player, whose own carried cake isn't marked
+   */
+  updateMarkers(camera, objectives, localPlayerId) {
+    if (!camera) return;
+
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    objectives.forEach((objective, cakeId) => {
+      let marker = this.markers.get(cakeId);
+      if (!marker) {
+        marker = this.createMarker(objective.teamId);
+        this.markers.set(cakeId, marker);
+      }
+
+      const state = objective.state;
+      if (state.status === 'carried' && state.carrierId === localPlayerId) {
+        marker.style.display = 'none';
+        return;
+      }
+      marker.style.display = 'block';
+
+      const position = objective.getCakePosition();
+      this.projected.copy(position).project(camera);
+
+      let x = (this.projected.x + 1) / 2 * width;
+      let y = (1 - this.projected.y) / 2 * height;
+
+      // Behind the camera the projection is mirrored, push it to the bottom edge
+      if (this.projected.z > 1) {
+        x = width - x;
+        y = height - MARKER_MARGIN;
+      }
+
+      x = Math.min(width - MARKER_MARGIN, Math.max(MARKER_MARGIN, x));
+      y = Math.min(height - MARKER_MARGIN, Math.max(MARKER_MARGIN, y));
+
+      marker.style.left = `${x}px`;
+      marker.style.top = `${y}px`;
+      marker.distanceEl.textContent = `${Math.round(camera.position.distanceTo(position))}m`;
+    });
+  }
+
+  /**
+   * Create an on-screen marker for a team's cake
+   * @param {string} teamId - The cake's team
+   * @returns {HTMLElement}
+   */
+  createMarker(teamId) {
+    const color = teams[teamId] ? teams[teamId].color : '#ffffff';
+
+    const marker = document.createElement('div');
+    marker.style.cssText = `
+      position: absolute;
+      transform: translate(-50%, -50%);
+      text-align: center;
+      pointer-events: none;
+      z-index: 999;
+      font-family: sans-serif;
+    `;
+
+    const icon = document.createElement('div');
+    icon.textContent = '🎂';
+    icon.style.cssText = `
+      font-size: 20px;
+      width: 32px;
+      height: 32px;
+      line-height: 32px;
+      border-radius: 50%;
+      border: 2px solid ${color};
+      background: rgba(0, 0, 0, 0.4);
+      box-shadow: 0 0 8px ${color};
+    `;
+
+    const distance = document.createElement('div');
+    distance.style.cssText = `
+      font-size: 11px;
+      color: white;
+      text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8);
+    `;
+
+    marker.appendChild(icon);
+    marker.appendChild(distance);
+    marker.distanceEl = distance;
+
+    document.body.appendChild(marker);
+    return marker;
+  }
+
+  /**
+   * Briefly show what just happened to a cake
+   * @param {string} message - The message to show
+   * @param {string} color - CSS color of the message
+   */
+  showEvent(message, color = '#ffffff') {
+    this.eventEl.textContent = message;
+    this.eventEl.style.color = color;
+    this.eventEl.style.opacity = '1';
+
+    if (this.eventTimeout) {
+      clearTimeout(this.eventTimeout);
+    }
+    this.eventTimeout = setTimeout(() => {
+      this.eventEl.style.opacity = '0';
+      this.eventTimeout = null;
+    }, EVENT_DURATION);
+  }
+
+  dispose() {
+    if (this.eventTimeout) {
+      clearTimeout(this.eventTimeout);
+    }
+    this.markers.forEach(marker => {
+      if (marker.parentNode) {
+        marker.parentNode.removeChild(marker);
+      }
+    });
+    this.markers.clear();
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
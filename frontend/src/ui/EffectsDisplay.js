@@ -107,9 +107,12 @@ export class EffectsDisplay {
         activeEffectsData.forEach(async (effectData, index) => {
             const { id, effectInstance, itemId } = effectData;
 
-            if (!itemId) {
+            // Effects no item gives (like spawn protection) show their own icon
+            const effectIcon = effectInstance.constructor.icon;
+
+            if (!itemId && !effectIcon) {
                 // console.warn(`Effect ${id} has no associated itemId, cannot display icon.`);
-                return; // Cannot display without an item ID
+                return; // Cannot display without an item ID or icon
             }
 
             let elements = this.effectElements.get(id);
@@ -133,9 +136,9 @@ export class EffectsDisplay {
                 elements = { container, iconImg, cooldownOverlay };
                 this.effectElements.set(id, elements);
 
-                // Fetch and set the item image
+                // Fetch and set the item image, or draw the effect's own icon
                 try {
-                    const dataUrl = await this.hotbar.getItemImage(itemId);
+                    const dataUrl = itemId ? await this.hotbar.getItemImage(itemId) : this.getIconImage(effectIcon);
                     iconImg.src = dataUrl;
                     // Trigger appear animation
                     requestAnimationFrame(() => {
@@ -166,6 +169,23 @@ export class EffectsDisplay {
         });
     }
 
+    /**
+     * Draws an emoji icon into an image for effects no item gives.
+     * @param {string} icon The emoji to draw.
+     * @returns {string} Data URL of the image.
+     */
+    getIconImage(icon) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        context.font = '44px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(icon, 32, 36);
+        return canvas.toDataURL();
+    }
+
     /**
      * Updates the clip-path of the cooldown overlay element.
      * @param {HTMLElement} overlayElement The overlay div.
@@ -229,7 +229,7 @@ export class Hotbar {
             // Update name
             this.itemNameDisplay.textContent = this.formatItemName(itemData.item);
             
-            // Update info section (Effect > Damage)
+            // Update info section (Effect > Hit effect > Damage)
             let infoSet = false;
             if (itemConfig && itemConfig.effect) {
                 const EffectClass = Effects[itemConfig.effect.id]; // Lookup in the Effects map
@@ -241,6 +241,17 @@ export class Hotbar {
                 }
             }
 
+            // Effects given to the player the item hits
+            if (!infoSet && itemConfig && itemConfig.hitEffect) {
+                const EffectClass = Effects[itemConfig.hitEffect.id];
+                if (EffectClass && EffectClass.description) {
+                    this.infoLabel.textContent = "HIT:";
+                    this.infoDisplay.textContent = EffectClass.description;
+                    this.infoContainer.style.display = 'flex';
+                    infoSet = true;
+                }
+            }
+
             // If no effect info was set, fall back to damage
             if (!infoSet && itemConfig && itemConfig.damage !== undefined && itemConfig.damage > 0) {
                  this.infoLabel.textContent = "DMG:";
@@ -0,0 +1,202 @@
+// Entries on screen at once, the oldest goes first
+const MAX_ENTRIES = 5;
+
+// Milliseconds an entry stays before fading out
+const ENTRY_DURATION = 6000;
+
+// Milliseconds between two kills that still count as one multikill
+const MULTIKILL_WINDOW = 4000;
+
+const MULTIKILL_LABELS = ['', '', 'Double kill', 'Triple kill'];
+const STREAK_LABELS = [
+  { kills: 10, label: 'Unstoppable' },
+  { kills: 7, label: 'Rampage' },
+  { kills: 5, label: 'Dominating' },
+  { kills: 3, label: 'Killing spree' }
+];
+
+export class KillFeed {
+  /**
+   * @param {Function} getItemImage - Resolves an item id to a preview image URL, like Hotbar.getItemImage
+   */
+  constructor(getItemImage) {
+    this.getItemImage = getItemImage;
+    this.container = null;
+
+    // Kills since the last death, and the last multikill, by session id
+    this.streaks = new Map();
+    this.multikills = new Map();
+
+    this.createFeed();
+  }
+
+  createFeed() {
+    // Under the match timer, to the left of the leaderboard
+    this.container = document.createElement('div');
+    this.container.id = 'kill-feed';
+    this.container.style.cssText = `
+      position: absolute;
+      top: 120px;
+      right: 260px;
+      display: flex;
+      flex-direction: column;
+      align-items: flex-end;
+      gap: 4px;
+      font-family: sans-serif;
+      z-index: 1000;
+      pointer-events: none;
+    `;
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Add a kill to the feed and update the killer's streak
+   * @param {Object} kill - The kill
+   * @param {string} kill.killerId - Session id of the killer
+   * @param {string} kill.killerName - Name of the killer
+   * @param {Array<string>} [kill.assistNames] - Names of the players who helped
+   * @param {string} kill.victimId - Session id of the victim
+   * @param {string} kill.victimName - Name of the victim
+   * @param {string} kill.itemType - Item that landed the killing blow
+   * @param {boolean} [kill.involvesLocalPlayer=false] - We got the kill or died, the entry stands out
+   */
+  addKill(kill) {
+    if (!this.container) return;
+    const highlight = this.recordKill(kill.killerId, kill.victimId);
+
+    const entry = document.createElement('div');
+    entry.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 4px 10px;
+      border-radius: 8px;
+      background: ${kill.involvesLocalPlayer ? 'rgba(72, 111, 157, 0.85)' : 'rgba(0, 0, 0, 0.55)'};
+      border: 1px solid ${kill.involvesLocalPlayer ? '#ffffffa0' : 'transparent'};
+      color: white;
+      font-size: 14px;
+      text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8);
+      transition: opacity 0.5s ease;
+    `;
+
+    entry.appendChild(this.createName(kill.killerName));
+    if (kill.assistNames && kill.assistNames.length > 0) {
+      const assistsEl = document.createElement('span');
+      assistsEl.textContent = `+ ${kill.assistNames.join(', ')}`;
+      assistsEl.style.cssText = `
+        font-size: 12px;
+        color: rgba(255, 255, 255, 0.8);
+      `;
+      entry.appendChild(assistsEl);
+    }
+    entry.appendChild(this.createItemIcon(kill.itemType));
+    entry.appendChild(this.createName(kill.victimName));
+
+    // Streaks and multikills get a tag and a warmer color
+    if (highlight) {
+      const tag = document.createElement('span');
+      tag.textContent = highlight;
+      tag.style.cssText = `
+        font-size: 11px;
+        font-weight: bold;
+        text-transform: uppercase;
+        color: #ffcc00;
+      `;
+      entry.appendChild(tag);
+      entry.style.borderColor = '#ffcc00';
+    }
+
+    this.container.appendChild(entry);
+    while (this.container.children.length > MAX_ENTRIES) {
+      this.container.removeChild(this.container.firstChild);
+    }
+
+    setTimeout(() => {
+      entry.style.opacity = '0';
+      setTimeout(() => {
+        if (entry.parentNode) entry.parentNode.removeChild(entry);
+      }, 500);
+    }, ENTRY_DURATION);
+  }
+
+  /**
+   * Count the kill in the killer's streak and multikill, and end the victim's streak
+   * @param {string} killerId - Session id of the killer
+   * @param {string} victimId - Session id of the victim
+   * @returns {string|null} Label for the feed entry, if the kill is worth highlighting
+   */
+  recordKill(killerId, victimId) {
+    this.streaks.delete(victimId);
+    this.multikills.delete(victimId);
+    if (!killerId || killerId === victimId) return null;
+
+    const streak = (this.streaks.get(killerId) || 0) + 1;
+    this.streaks.set(killerId, streak);
+
+    const now = Date.now();
+    const previous = this.multikills.get(killerId);
+    const count = previous && now - previous.time <= MULTIKILL_WINDOW ? previous.count + 1 : 1;
+    this.multikills.set(killerId, { count, time: now });
+
+    // A multikill is rarer than a streak, it wins when both happen
+    if (count >= 2) {
+      return MULTIKILL_LABELS[count] || `${count}x Multikill`;
+    }
+    const streakLabel = STREAK_LABELS.find(level => streak >= level.kills);
+    return streakLabel ? `${streakLabel.label} (${streak})` : null;
+  }
+
+  createName(name) {
+    const nameEl = document.createElement('span');
+    nameEl.textContent = name;
+    nameEl.style.fontWeight = 'bold';
+    return nameEl;
+  }
+
+  /**
+   * Preview of the item, the item name until the image is rendered or if it can't be
+   * @param {string} itemType - Item id
+   * @returns {HTMLElement}
+   */
+  createItemIcon(itemType) {
+    const icon = document.createElement('span');
+    icon.textContent = `[${itemType || '?'}]`;
+    icon.style.cssText = `
+      font-size: 11px;
+      color: rgba(255, 255, 255, 0.8);
+    `;
+    if (!itemType) return icon;
+
+    Promise.resolve()
+      .then(() => this.getItemImage(itemType))
+      .then(dataUrl => {
+        if (!dataUrl) return;
+        const image = document.createElement('img');
+        image.src = dataUrl;
+        image.alt = itemType;
+        image.style.cssText = `
+          width: 28px;
+          height: 28px;
+        `;
+        icon.replaceWith(image);
+      })
+      .catch(error => console.warn(`No kill feed icon for ${itemType}:`, error));
+
+    return icon;
+  }
+
+  /**
+   * Forget the streaks, e.g. when a new round starts or we change rooms
+   */
+  reset() {
+    this.streaks.clear();
+    this.multikills.clear();
+  }
+
+  dispose() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
@@ -0,0 +1,170 @@
+export class KothMeter {
+  constructor() {
+    this.container = null;
+    this.bars = new Map();
+    this.createMeter();
+  }
+
+  createMeter() {
+    // Status panel at the top center of the screen
+    this.container = document.createElement('div');
+    this.container.id = 'koth-meter';
+    this.container.style.cssText = `
+      position: absolute;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%);
+      border: 2px solid #ffffffa0;
+      border-radius: 12px;
+      padding: 8px 14px;
+      color: white;
+      font-family: sans-serif;
+      min-width: 240px;
+      z-index: 1000;
+      box-shadow: 0 4px 15px rgba(72, 111, 157, 0.3);
+      pointer-events: none;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'KING OF THE HILL';
+    title.style.cssText = `
+      font-size: 14px;
+      font-weight: bold;
+      text-align: center;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+      padding-bottom: 4px;
+      margin-bottom: 4px;
+    `;
+    this.container.appendChild(title);
+
+    // Who holds the zone
+    this.statusEl = document.createElement('div');
+    this.statusEl.style.cssText = `
+      font-size: 13px;
+      font-weight: bold;
+      text-align: center;
+      text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
+    `;
+    this.container.appendChild(this.statusEl);
+
+    // When the zone moves
+    this.rotationEl = document.createElement('div');
+    this.rotationEl.style.cssText = `
+      font-size: 11px;
+      text-align: center;
+      color: rgba(255, 255, 255, 0.8);
+      margin-bottom: 4px;
+    `;
+    this.container.appendChild(this.rotationEl);
+
+    // One progress bar per team (or for you and the leader without teams)
+    this.barsEl = document.createElement('div');
+    this.container.appendChild(this.barsEl);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Show the active zone and how close everyone is to the score limit
+   * @param {Object} zone - Active zone state from the server
+   * @param {Array} entries - Scores to show, each with id, name, color and score
+   * @param {number} scoreLimit - Points needed to win the round
+   * @param {Object} holder - Name and color of whoever holds the zone, null for nobody
+   */
+  updateMeter(zone, entries, scoreLimit, holder) {
+    if (zone.contested) {
+      this.statusEl.textContent = '⚔️ Contested!';
+      this.statusEl.style.color = '#ffd700';
+    } else if (holder) {
+      this.statusEl.textContent = `${holder.name} hold${holder.name === 'You' ? '' : 's'} the hill`;
+      this.statusEl.style.color = holder.color;
+    } else {
+      this.statusEl.textContent = 'The hill is free';
+      this.statusEl.style.color = 'white';
+    }
+
+    this.rotationEl.textContent = `Zone moves in ${this.formatTime(zone.timeRemaining)}`;
+
+    // Drop bars for entries that went away
+    const ids = new Set(entries.map(entry => entry.id));
+    this.bars.forEach((bar, id) => {
+      if (!ids.has(id)) {
+        this.barsEl.removeChild(bar.row);
+        this.bars.delete(id);
+      }
+    });
+
+    entries.forEach(entry => {
+      let bar = this.bars.get(entry.id);
+      if (!bar) {
+        bar = this.createBar();
+        this.barsEl.appendChild(bar.row);
+        this.bars.set(entry.id, bar);
+      }
+
+      const progress = scoreLimit > 0 ? Math.min(1, entry.score / scoreLimit) : 0;
+      bar.label.textContent = `${entry.name}: ${entry.score}${scoreLimit > 0 ? ` / ${scoreLimit}` : ''}`;
+      bar.fill.style.width = `${progress * 100}%`;
+      bar.fill.style.background = entry.color;
+    });
+  }
+
+  /**
+   * Create a labeled progress bar
+   * @returns {Object} The row, its label and its fill
+   */
+  createBar() {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      margin-top: 4px;
+    `;
+
+    const label = document.createElement('div');
+    label.style.cssText = `
+      font-size: 12px;
+      text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
+    `;
+
+    const track = document.createElement('div');
+    track.style.cssText = `
+      height: 8px;
+      border-radius: 4px;
+      background: rgba(0, 0, 0, 0.3);
+      overflow: hidden;
+    `;
+
+    const fill = document.createElement('div');
+    fill.style.cssText = `
+      height: 100%;
+      width: 0%;
+      transition: width 0.3s ease;
+    `;
+
+    track.appendChild(fill);
+    row.appendChild(label);
+    row.appendChild(track);
+
+    return { row, label, fill };
+  }
+
+  /**
+   * Format seconds as m:ss
+   * @param {number} seconds - Whole seconds
+   * @returns {string}
+   */
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return `${minutes}:${rest.toString().padStart(2, '0')}`;
+  }
+
+  dispose() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.bars.clear();
+  }
+}
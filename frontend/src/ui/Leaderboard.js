@@ -1,7 +1,11 @@
+import { teams as teamConfig } from '../config.js';
+
 export class Leaderboard {
   constructor() {
     this.container = null;
     this.players = [];
+    this.teams = [];
+    this.localTeam = null;
     this.createLeaderboard();
   }
   
@@ -43,7 +47,17 @@ export class Leaderboard {
     `;
     this.container.appendChild(title);
     
-    // Add header with "Kills" label
+    // Team scores, only shown in team mode
+    this.teamScoresEl = document.createElement('div');
+    this.teamScoresEl.style.cssText = `
+      display: none;
+      margin-bottom: 8px;
+      padding-bottom: 6px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+    `;
+    this.container.appendChild(this.teamScoresEl);
+    
+    // Add header with "K/D/A" and "Score" labels
     const header = document.createElement('div');
     header.style.cssText = `
       display: flex;
@@ -59,15 +73,33 @@ export class Leaderboard {
       color: rgba(255, 255, 255, 0.8);
     `;
     
-    const killsLabel = document.createElement('div');
-    killsLabel.textContent = 'Kills';
-    killsLabel.style.cssText = `
+    const statsLabels = document.createElement('div');
+    statsLabels.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    `;
+    
+    const kdaLabel = document.createElement('div');
+    kdaLabel.textContent = 'K/D/A';
+    kdaLabel.style.cssText = `
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.8);
+      min-width: 60px;
+      text-align: center;
+    `;
+    
+    const scoreLabel = document.createElement('div');
+    scoreLabel.textContent = 'Score';
+    scoreLabel.style.cssText = `
       font-size: 12px;
       color: rgba(255, 255, 255, 0.8);
     `;
     
+    statsLabels.appendChild(kdaLabel);
+    statsLabels.appendChild(scoreLabel);
     header.appendChild(playerLabel);
-    header.appendChild(killsLabel);
+    header.appendChild(statsLabels);
     this.container.appendChild(header);
     
     // Create player list container
@@ -166,6 +198,12 @@ export class Leaderboard {
         playerRow.style.border = '1px solid rgba(255, 215, 0, 0.3)';
       }
       
+      // Team color stripe in team mode
+      const team = player.team ? teamConfig[player.team] : null;
+      if (team) {
+        playerRow.style.borderLeft = `4px solid ${team.color}`;
+      }
+      
       const playerNameContainer = document.createElement('div');
       playerNameContainer.style.cssText = `
         display: flex;
@@ -216,12 +254,88 @@ export class Leaderboard {
       `;
       
       scoreContainer.appendChild(playerScore);
+      
+      // Kills, deaths and assists next to the score
+      const playerKda = document.createElement('div');
+      playerKda.textContent = `${player.kills || 0}/${player.deaths || 0}/${player.assists || 0}`;
+      playerKda.style.cssText = `
+        font-size: 12px;
+        min-width: 60px;
+        text-align: center;
+        font-variant-numeric: tabular-nums;
+        color: rgba(255, 255, 255, 0.9);
+      `;
+      
+      const statsContainer = document.createElement('div');
+      statsContainer.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      `;
+      statsContainer.appendChild(playerKda);
+      statsContainer.appendChild(scoreContainer);
+      
       playerRow.appendChild(playerNameContainer);
-      playerRow.appendChild(scoreContainer);
+      playerRow.appendChild(statsContainer);
       this.playerListEl.appendChild(playerRow);
     }
   }
   
+  /**
+   * Show team scores above the player list (team mode only)
+   * @param {Array} teams - Teams with id, name and score
+   * @param {string} localTeam - The local player's team id
+   */
+  updateTeams(teams, localTeam) {
+    this.teams = teams || [];
+    this.localTeam = localTeam;
+    this.teamScoresEl.innerHTML = '';
+    
+    if (this.teams.length === 0) {
+      this.teamScoresEl.style.display = 'none';
+      return;
+    }
+    this.teamScoresEl.style.display = 'block';
+    
+    const sortedTeams = [...this.teams].sort((a, b) => b.score - a.score);
+    
+    sortedTeams.forEach(team => {
+      const color = teamConfig[team.id] ? teamConfig[team.id].color : '#ffffff';
+      
+      const teamRow = document.createElement('div');
+      teamRow.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 4px 6px;
+        margin: 4px 0;
+        background: ${color}55;
+        border: 1px solid ${color};
+        border-radius: 8px;
+      `;
+      
+      const teamName = document.createElement('div');
+      teamName.textContent = team.id === localTeam ? `${team.name} (you)` : team.name;
+      teamName.style.cssText = `
+        font-size: 14px;
+        font-weight: bold;
+        text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
+      `;
+      
+      const teamScore = document.createElement('div');
+      teamScore.textContent = team.score || 0;
+      teamScore.style.cssText = `
+        font-size: 16px;
+        font-weight: bold;
+        text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.7);
+      `;
+      
+      teamRow.appendChild(teamName);
+      teamRow.appendChild(teamScore);
+      this.teamScoresEl.appendChild(teamRow);
+    });
+  }
+  
   // Show/hide the leaderboard
   show() {
     this.container.style.display = 'block';
@@ -0,0 +1,148 @@
+export class MatchResults {
+  constructor() {
+    this.container = null;
+    this.createResults();
+  }
+
+  createResults() {
+    // Create centered results panel, hidden until a round ends
+    this.container = document.createElement('div');
+    this.container.id = 'match-results';
+    this.container.style.cssText = `
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%) scale(0.8);
+      background: linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%);
+      border: 2px solid #ffffffa0;
+      border-radius: 16px;
+      padding: 20px 24px;
+      color: white;
+      font-family: sans-serif;
+      min-width: 320px;
+      z-index: 1001;
+      box-shadow: 0 8px 30px rgba(72, 111, 157, 0.5);
+      opacity: 0;
+      display: none;
+      pointer-events: none;
+      transition: opacity 0.3s ease, transform 0.3s ease;
+    `;
+
+    this.titleEl = document.createElement('div');
+    this.titleEl.style.cssText = `
+      font-size: 14px;
+      font-weight: bold;
+      text-align: center;
+      color: rgba(255, 255, 255, 0.8);
+      letter-spacing: 1px;
+    `;
+    this.container.appendChild(this.titleEl);
+
+    this.winnerEl = document.createElement('div');
+    this.winnerEl.style.cssText = `
+      font-size: 28px;
+      font-weight: bold;
+      text-align: center;
+      margin: 6px 0 4px;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+    `;
+    this.container.appendChild(this.winnerEl);
+
+    this.reasonEl = document.createElement('div');
+    this.reasonEl.style.cssText = `
+      font-size: 12px;
+      text-align: center;
+      color: rgba(255, 255, 255, 0.8);
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+      padding-bottom: 8px;
+      margin-bottom: 8px;
+    `;
+    this.container.appendChild(this.reasonEl);
+
+    this.standingsEl = document.createElement('div');
+    this.container.appendChild(this.standingsEl);
+
+    // Add to DOM
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Show the final standings of a round
+   * @param {Object} results - Round results from the server
+   * @param {string} localPlayerId - Session id of the local player, highlighted in the list
+   */
+  showResults(results, localPlayerId) {
+    this.titleEl.textContent = `ROUND ${results.round} OVER`;
+    this.winnerEl.textContent = results.winnerName ? `👑 ${results.winnerName} wins!` : 'Draw!';
+
+    const reasons = {
+      score: 'Score limit reached',
+      time: 'Time is up',
+      players: 'Not enough players'
+    };
+    this.reasonEl.textContent = reasons[results.reason] || '';
+
+    // Standings arrive sorted by score
+    this.standingsEl.innerHTML = '';
+    (results.standings || []).forEach((player, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        padding: 4px 8px;
+        margin: 4px 0;
+        background: rgba(255, 255, 255, 0.15);
+        border-radius: 8px;
+        font-size: 14px;
+        text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
+      `;
+
+      if (player.id === results.winnerId) {
+        row.style.background = 'rgba(255, 215, 0, 0.3)';
+        row.style.border = '1px solid rgba(255, 215, 0, 0.4)';
+      }
+      if (player.id === localPlayerId) {
+        row.style.fontWeight = 'bold';
+      }
+
+      const name = document.createElement('div');
+      name.textContent = `${index + 1}. ${player.name || `Player ${player.id.substring(0, 4)}`}`;
+
+      const score = document.createElement('div');
+      score.textContent = player.score || 0;
+      score.style.fontWeight = 'bold';
+
+      row.appendChild(name);
+      row.appendChild(score);
+      this.standingsEl.appendChild(row);
+    });
+
+    this.show();
+  }
+
+  // Show/hide the results
+  show() {
+    this.container.style.display = 'block';
+    setTimeout(() => {
+      this.container.style.opacity = '1';
+      this.container.style.transform = 'translate(-50%, -50%) scale(1)';
+    }, 10);
+  }
+
+  hide() {
+    if (this.container.style.display === 'none') return;
+
+    this.container.style.opacity = '0';
+    this.container.style.transform = 'translate(-50%, -50%) scale(0.8)';
+    setTimeout(() => {
+      this.container.style.display = 'none';
+    }, 300);
+  }
+
+  dispose() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
@@ -0,0 +1,151 @@
+export class MatchTimer {
+  constructor() {
+    this.container = null;
+    this.phase = null;
+    this.createTimer();
+  }
+
+  createTimer() {
+    // Create container, sitting to the left of the leaderboard
+    this.container = document.createElement('div');
+    this.container.id = 'match-timer';
+    this.container.style.cssText = `
+      position: absolute;
+      top: 20px;
+      right: 260px;
+      background: linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%);
+      border: 2px solid #ffffffa0;
+      border-radius: 12px;
+      padding: 10px 16px;
+      color: white;
+      font-family: sans-serif;
+      min-width: 120px;
+      text-align: center;
+      z-index: 1000;
+      box-shadow: 0 4px 15px rgba(72, 111, 157, 0.3);
+      transform-origin: top right;
+      opacity: 0;
+      transform: scale(0.8);
+      transition: opacity 0.3s ease, transform 0.3s ease, background 0.3s ease;
+    `;
+
+    // Phase label (WARMUP, ROUND 2, ...)
+    this.phaseEl = document.createElement('div');
+    this.phaseEl.style.cssText = `
+      font-size: 14px;
+      font-weight: bold;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+      padding-bottom: 4px;
+      margin-bottom: 4px;
+    `;
+    this.container.appendChild(this.phaseEl);
+
+    // Remaining time
+    this.timeEl = document.createElement('div');
+    this.timeEl.style.cssText = `
+      font-size: 26px;
+      font-weight: bold;
+      font-variant-numeric: tabular-nums;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.7);
+    `;
+    this.container.appendChild(this.timeEl);
+
+    // Goal or status line
+    this.detailEl = document.createElement('div');
+    this.detailEl.style.cssText = `
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.8);
+      margin-top: 2px;
+    `;
+    this.container.appendChild(this.detailEl);
+
+    // Add to DOM
+    document.body.appendChild(this.container);
+
+    // Animate in
+    setTimeout(() => {
+      this.container.style.opacity = '1';
+      this.container.style.transform = 'scale(1)';
+    }, 100);
+  }
+
+  /**
+   * Show the current match phase and time
+   * @param {Object} match - Match state from the server
+   * @param {number} playerCount - Players currently in the room
+   */
+  updateTimer(match, playerCount = 0) {
+    if (!match) return;
+
+    this.phase = match.phase;
+
+    switch (match.phase) {
+      case 'warmup':
+        this.phaseEl.textContent = 'WARMUP';
+        this.timeEl.textContent = '--:--';
+        this.detailEl.textContent = `Waiting for players (${playerCount}/${match.minPlayers})`;
+        break;
+
+      case 'countdown':
+        this.phaseEl.textContent = 'ROUND STARTING';
+        this.timeEl.textContent = this.formatTime(match.timeRemaining);
+        this.detailEl.textContent = `First to ${match.scoreLimit} kills`;
+        break;
+
+      case 'round':
+        this.phaseEl.textContent = `ROUND ${match.round}`;
+        this.timeEl.textContent = this.formatTime(match.timeRemaining);
+        this.detailEl.textContent = `First to ${match.scoreLimit} kills`;
+        break;
+
+      case 'intermission':
+        this.phaseEl.textContent = 'NEXT ROUND';
+        this.timeEl.textContent = this.formatTime(match.timeRemaining);
+        this.detailEl.textContent = match.winnerName ? `${match.winnerName} won!` : 'Draw';
+        break;
+    }
+
+    // Last ten seconds of a round stand out
+    const hurry = match.phase === 'round' && match.timeRemaining <= 10;
+    this.container.style.background = hurry
+      ? 'linear-gradient(135deg, #e07a5f 0%, #b5483a 100%)'
+      : 'linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%)';
+  }
+
+  /**
+   * Format seconds as m:ss
+   * @param {number} seconds - Whole seconds
+   * @returns {string}
+   */
+  formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const minutes = Math.floor(total / 60);
+    const rest = total % 60;
+    return `${minutes}:${rest.toString().padStart(2, '0')}`;
+  }
+
+  // Show/hide the timer
+  show() {
+    this.container.style.display = 'block';
+    setTimeout(() => {
+      this.container.style.opacity = '1';
+      this.container.style.transform = 'scale(1)';
+    }, 10);
+  }
+
+  hide() {
+    this.container.style.opacity = '0';
+    this.container.style.transform = 'scale(0.8)';
+    setTimeout(() => {
+      this.container.style.display = 'none';
+    }, 300);
+  }
+
+  dispose() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
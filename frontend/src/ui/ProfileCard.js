@@ -0,0 +1,202 @@
+export class ProfileCard {
+  /**
+   * @param {string} playerName - Name shown on the card
+   * @param {Object} callbacks - Card callbacks
+   * @param {Function} callbacks.fetchStats - Load our lifetime stats, returns a promise
+   * @param {Function} [callbacks.onToggle] - Called with true when the card opens, false when it closes
+   */
+  constructor(playerName, callbacks) {
+    this.playerName = playerName;
+    this.callbacks = callbacks;
+    this.container = null;
+    this.isOpen = false;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    this.createCard();
+  }
+
+  createCard() {
+    // Centered card, hidden until opened with I
+    this.container = document.createElement('div');
+    this.container.id = 'profile-card';
+    this.container.style.cssText = `
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%);
+      border: 2px solid #ffffffa0;
+      border-radius: 16px;
+      padding: 20px 24px;
+      color: white;
+      font-family: sans-serif;
+      width: 280px;
+      z-index: 1002;
+      box-shadow: 0 8px 30px rgba(72, 111, 157, 0.5);
+      display: none;
+    `;
+
+    this.titleEl = document.createElement('div');
+    this.titleEl.style.cssText = `
+      font-size: 18px;
+      font-weight: bold;
+      text-align: center;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+      padding-bottom: 8px;
+      margin-bottom: 10px;
+    `;
+    this.container.appendChild(this.titleEl);
+
+    // Stat rows, filled by render()
+    this.statsEl = document.createElement('div');
+    this.statsEl.style.cssText = `
+      font-size: 14px;
+    `;
+    this.container.appendChild(this.statsEl);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Press I or Esc to close';
+    hint.style.cssText = `
+      font-size: 11px;
+      text-align: center;
+      color: rgba(255, 255, 255, 0.7);
+      margin-top: 10px;
+    `;
+    this.container.appendChild(hint);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Load the stats and show them
+   */
+  async refresh() {
+    this.titleEl.textContent = this.playerName;
+    this.showMessage('Loading…');
+
+    try {
+      const stats = await this.callbacks.fetchStats();
+      if (this.isOpen) this.render(stats);
+    } catch (error) {
+      // The server answers 404 until the first round is played
+      if (!this.isOpen) return;
+      if (error && error.code === 404) {
+        this.showMessage('No stats yet, play a round to start your profile');
+      } else {
+        console.error('Failed to load profile:', error);
+        this.showMessage('Could not load your profile');
+      }
+    }
+  }
+
+  /**
+   * @param {Object} stats - Lifetime stats from the server
+   */
+  render(stats) {
+    this.titleEl.textContent = stats.name;
+    this.statsEl.replaceChildren();
+
+    const kdRatio = stats.deaths > 0 ? (stats.kills / stats.deaths).toFixed(2) : stats.kills.toFixed(2);
+    const rows = [
+      ['Kills', stats.kills],
+      ['Deaths', stats.deaths],
+      ['K/D', kdRatio],
+      ['Matches played', stats.matchesPlayed],
+      ['Wins', stats.wins],
+      ['Favorite weapon', stats.favoriteWeapon ? this.formatItemName(stats.favoriteWeapon) : '-']
+    ];
+
+    rows.forEach(([label, value]) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        padding: 4px 6px;
+        border-radius: 4px;
+      `;
+
+      const labelEl = document.createElement('div');
+      labelEl.textContent = label;
+      labelEl.style.color = 'rgba(255, 255, 255, 0.8)';
+      row.appendChild(labelEl);
+
+      const valueEl = document.createElement('div');
+      valueEl.textContent = value;
+      valueEl.style.fontWeight = 'bold';
+      row.appendChild(valueEl);
+
+      this.statsEl.appendChild(row);
+    });
+  }
+
+  /**
+   * @param {string} message - Text shown instead of the stats
+   */
+  showMessage(message) {
+    this.statsEl.replaceChildren();
+    const messageEl = document.createElement('div');
+    messageEl.textContent = message;
+    messageEl.style.textAlign = 'center';
+    this.statsEl.appendChild(messageEl);
+  }
+
+  /**
+   * Turn an item id like "meat-cooked" into "Meat cooked"
+   * @param {string} itemType - Item id
+   * @returns {string}
+   */
+  formatItemName(itemType) {
+    const name = itemType.replace(/-/g, ' ');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.container.style.display = 'block';
+    this.refresh();
+
+    // Free the mouse while reading the card
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    if (this.callbacks.onToggle) this.callbacks.onToggle(true);
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.container.style.display = 'none';
+    if (this.callbacks.onToggle) this.callbacks.onToggle(false);
+  }
+
+  /**
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    // Typing in text fields, like the room code input
+    if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA')) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'i') {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    } else if (key === 'escape') {
+      this.close();
+    }
+  }
+
+  dispose() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
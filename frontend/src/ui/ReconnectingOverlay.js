@@ -0,0 +1,100 @@
+export class ReconnectingOverlay {
+  constructor() {
+    this.container = null;
+    this.countdownInterval = null;
+    this.createOverlay();
+  }
+
+  createOverlay() {
+    // Dim the game without blocking the view completely
+    this.container = document.createElement('div');
+    this.container.id = 'reconnecting-overlay';
+    this.container.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: none;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0, 0, 0, 0.55);
+      color: white;
+      font-family: sans-serif;
+      z-index: 3000;
+      pointer-events: none;
+    `;
+
+    this.titleEl = document.createElement('div');
+    this.titleEl.textContent = 'Reconnecting…';
+    this.titleEl.style.cssText = `
+      font-size: 36px;
+      font-weight: bold;
+      text-shadow: 2px 2px 6px rgba(0, 0, 0, 0.8);
+    `;
+    this.container.appendChild(this.titleEl);
+
+    this.detailEl = document.createElement('div');
+    this.detailEl.style.cssText = `
+      font-size: 16px;
+      margin-top: 8px;
+      color: rgba(255, 255, 255, 0.85);
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.8);
+    `;
+    this.container.appendChild(this.detailEl);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Show the overlay with the time left to get back in
+   * @param {number} timeout - Seconds before the seat is given up
+   */
+  show(timeout) {
+    this.container.style.display = 'flex';
+    this.titleEl.textContent = 'Reconnecting…';
+
+    const endsAt = Date.now() + timeout * 1000;
+    const updateDetail = () => {
+      const secondsLeft = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      this.detailEl.textContent = `Your score and health are saved for ${secondsLeft}s`;
+    };
+
+    updateDetail();
+    this.clearCountdown();
+    this.countdownInterval = setInterval(updateDetail, 250);
+  }
+
+  /**
+   * Tell the player the seat was lost
+   * @param {string} [title='Connection lost'] - What happened
+   * @param {string} [detail='Refresh the page to join again'] - Text under the title
+   */
+  showFailed(title = 'Connection lost', detail = 'Refresh the page to join again') {
+    this.clearCountdown();
+    this.container.style.display = 'flex';
+    this.titleEl.textContent = title;
+    this.detailEl.textContent = detail;
+  }
+
+  hide() {
+    this.clearCountdown();
+    this.container.style.display = 'none';
+  }
+
+  clearCountdown() {
+    if (this.countdownInterval) {
+      clearInterval(this.countdownInterval);
+      this.countdownInterval = null;
+    }
+  }
+
+  dispose() {
+    this.clearCountdown();
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
@@ -0,0 +1,296 @@
+// Seconds between room list refreshes while the browser is open
+const REFRESH_INTERVAL = 5;
+
+const MODE_LABELS = {
+  ffa: 'Free for all',
+  team: 'Team deathmatch',
+  ctf: 'Capture the cake',
+  koth: 'King of the hill'
+};
+
+export class RoomBrowser {
+  /**
+   * @param {Object} callbacks - Server requests, each returns a promise
+   * @param {Function} callbacks.fetchRooms - List the public rooms
+   * @param {Function} callbacks.measurePing - Round trip to the server in milliseconds
+   * @param {Object} [options] - Browser options
+   * @param {boolean} [options.spectator=false] - The player will watch the room instead of playing
+   */
+  constructor(callbacks, options = {}) {
+    this.callbacks = callbacks;
+    this.isSpectator = options.spectator === true;
+    this.container = null;
+    this.rooms = [];
+    this.ping = null;
+    this.refreshInterval = null;
+    this.resolveChoice = null;
+
+    this.createBrowser();
+  }
+
+  createBrowser() {
+    // Dim whatever is behind, the loading screen sits at z-index 10001
+    this.container = document.createElement('div');
+    this.container.id = 'room-browser';
+    this.container.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0, 0, 0, 0.45);
+      font-family: sans-serif;
+      z-index: 10002;
+    `;
+
+    const panel = document.createElement('div');
+    panel.style.cssText = `
+      background: linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%);
+      border: 2px solid #ffffffa0;
+      border-radius: 16px;
+      padding: 20px 24px;
+      color: white;
+      width: 560px;
+      max-width: calc(100% - 40px);
+      box-shadow: 0 8px 30px rgba(72, 111, 157, 0.5);
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = this.isSpectator ? 'PICK A ROOM TO WATCH' : 'PICK A ROOM';
+    title.style.cssText = `
+      font-size: 18px;
+      font-weight: bold;
+      text-align: center;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+      padding-bottom: 8px;
+      margin-bottom: 10px;
+    `;
+    panel.appendChild(title);
+
+    // Room list, filled by render()
+    this.listEl = document.createElement('div');
+    this.listEl.style.cssText = `
+      max-height: 320px;
+      overflow-y: auto;
+      font-size: 14px;
+    `;
+    panel.appendChild(this.listEl);
+
+    // Feedback when the list is empty or can't be loaded
+    this.statusEl = document.createElement('div');
+    this.statusEl.style.cssText = `
+      font-size: 13px;
+      text-align: center;
+      min-height: 16px;
+      margin: 10px 0;
+    `;
+    panel.appendChild(this.statusEl);
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.cssText = `
+      display: flex;
+      gap: 8px;
+    `;
+
+    this.quickPlayButton = this.createButton('Quick play', () => this.quickPlay());
+    this.quickPlayButton.style.flex = '2';
+    buttonRow.appendChild(this.quickPlayButton);
+
+    if (!this.isSpectator) {
+      const createButton = this.createButton('Create private room', () => this.choose({ createPrivate: true }));
+      createButton.style.flex = '2';
+      buttonRow.appendChild(createButton);
+    }
+
+    const refreshButton = this.createButton('Refresh', () => this.refresh());
+    refreshButton.style.flex = '1';
+    buttonRow.appendChild(refreshButton);
+
+    panel.appendChild(buttonRow);
+    this.container.appendChild(panel);
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Create a panel button
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 8px 12px;
+      border: none;
+      border-radius: 6px;
+      background: rgba(255, 255, 255, 0.9);
+      color: #486f9d;
+      font-size: 14px;
+      font-weight: bold;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Show the browser and wait for the player to pick a room
+   * @returns {Promise<Object>} Room to join: { roomId }, { createPrivate: true },
+   * or an empty object to let matchmaking pick or create one
+   */
+  open() {
+    this.refresh();
+    this.refreshInterval = setInterval(() => this.refresh(), REFRESH_INTERVAL * 1000);
+
+    return new Promise(resolve => {
+      this.resolveChoice = resolve;
+    });
+  }
+
+  /**
+   * Reload the room list and the ping
+   */
+  async refresh() {
+    try {
+      const [rooms, ping] = await Promise.all([
+        this.callbacks.fetchRooms(),
+        this.callbacks.measurePing()
+      ]);
+      if (!this.container) return;
+
+      this.rooms = Array.isArray(rooms) ? rooms : [];
+      this.ping = ping;
+      this.render();
+      this.showStatus(this.rooms.length === 0 ? 'No open rooms yet, quick play starts one' : '');
+    } catch (error) {
+      console.error('Failed to load rooms:', error);
+      if (!this.container) return;
+
+      this.rooms = [];
+      this.ping = null;
+      this.render();
+      this.showStatus('Could not reach the server', true);
+    }
+  }
+
+  render() {
+    this.listEl.replaceChildren();
+    if (this.rooms.length === 0) return;
+
+    const table = document.createElement('table');
+    table.style.cssText = `
+      width: 100%;
+      border-collapse: collapse;
+    `;
+
+    const header = document.createElement('tr');
+    ['Room', 'Mode', 'Map', 'Players', 'Ping', ''].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      cell.style.cssText = `
+        text-align: left;
+        font-size: 12px;
+        color: rgba(255, 255, 255, 0.8);
+        padding: 4px 6px;
+      `;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    this.rooms.forEach(room => {
+      const row = document.createElement('tr');
+      row.style.borderTop = '1px solid rgba(255, 255, 255, 0.2)';
+
+      const players = `${room.players}/${room.maxPlayers}` +
+        (room.bots > 0 ? ` (+${room.bots} bots)` : '') +
+        (room.spectators > 0 ? ` (+${room.spectators} watching)` : '');
+      const cells = [
+        room.roomId,
+        MODE_LABELS[room.mode] || room.mode,
+        room.mapName || '-',
+        players,
+        this.ping !== null ? `${this.ping} ms` : '-'
+      ];
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.style.padding = '6px';
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      actionCell.style.cssText = `
+        padding: 6px;
+        text-align: right;
+      `;
+      const joinButton = this.createButton(room.isFull ? 'Full' : 'Join', () => this.choose({ roomId: room.roomId }));
+      joinButton.style.padding = '4px 10px';
+      if (room.isFull) {
+        joinButton.disabled = true;
+        joinButton.style.opacity = '0.6';
+        joinButton.style.cursor = 'default';
+      }
+      actionCell.appendChild(joinButton);
+      row.appendChild(actionCell);
+
+      table.appendChild(row);
+    });
+
+    this.listEl.appendChild(table);
+  }
+
+  /**
+   * Fullest room that still has a seat, so players end up together. Rooms are
+   * listed fullest first, in the order matchmaking fills them.
+   * @returns {Object|null} The room, or null if every room is full
+   */
+  getQuickPlayRoom() {
+    return this.rooms.find(room => !room.isFull) || null;
+  }
+
+  quickPlay() {
+    const room = this.getQuickPlayRoom();
+    this.choose(room ? { roomId: room.roomId } : {});
+  }
+
+  /**
+   * Close the browser with the picked room
+   * @param {Object} target - Room to join
+   */
+  choose(target) {
+    if (!this.resolveChoice) return;
+
+    const resolve = this.resolveChoice;
+    this.resolveChoice = null;
+    this.dispose();
+    resolve(target);
+  }
+
+  /**
+   * @param {string} message - Text to show under the room list
+   * @param {boolean} [isError=false] - Show the text as an error
+   */
+  showStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.style.color = isError ? '#ffcccc' : 'white';
+  }
+
+  dispose() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
@@ -0,0 +1,351 @@
+import { getRoomInviteUrl } from '../utils/urlParams.js';
+
+export class RoomLobby {
+  /**
+   * @param {Object} callbacks - Room actions, each returns a promise
+   * @param {Function} callbacks.onCreateRoom - Create a private room and move to it
+   * @param {Function} callbacks.onJoinRoom - Join a room by its code
+   * @param {Function} callbacks.onLeaveRoom - Go back to the public lobby
+   * @param {Function} [callbacks.onToggle] - Called with true when the panel opens, false when it closes
+   */
+  constructor(callbacks) {
+    this.callbacks = callbacks;
+    this.container = null;
+    this.badge = null;
+    this.isOpen = false;
+    this.isBusy = false;
+    this.roomCode = null;
+    this.isPrivate = false;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    this.createLobby();
+  }
+
+  createLobby() {
+    // Small reminder of the current room at the bottom left
+    this.badge = document.createElement('div');
+    this.badge.id = 'room-badge';
+    this.badge.style.cssText = `
+      position: absolute;
+      bottom: 20px;
+      left: 20px;
+      background: rgba(0, 0, 0, 0.5);
+      border-radius: 8px;
+      padding: 6px 10px;
+      color: white;
+      font-family: sans-serif;
+      font-size: 12px;
+      z-index: 1000;
+      pointer-events: none;
+    `;
+    document.body.appendChild(this.badge);
+
+    // Centered panel, hidden until opened with P
+    this.container = document.createElement('div');
+    this.container.id = 'room-lobby';
+    this.container.style.cssText = `
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: linear-gradient(135deg, #6b9ac4 0%, #486f9d 100%);
+      border: 2px solid #ffffffa0;
+      border-radius: 16px;
+      padding: 20px 24px;
+      color: white;
+      font-family: sans-serif;
+      width: 320px;
+      z-index: 1002;
+      box-shadow: 0 8px 30px rgba(72, 111, 157, 0.5);
+      display: none;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'PLAY WITH FRIENDS';
+    title.style.cssText = `
+      font-size: 16px;
+      font-weight: bold;
+      text-align: center;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+      border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+      padding-bottom: 8px;
+      margin-bottom: 10px;
+    `;
+    this.container.appendChild(title);
+
+    // The room we're in
+    this.roomEl = document.createElement('div');
+    this.roomEl.style.cssText = `
+      font-size: 14px;
+      text-align: center;
+      margin-bottom: 10px;
+    `;
+    this.container.appendChild(this.roomEl);
+
+    this.copyButton = this.createButton('Copy invite link', () => this.copyInvite());
+    this.container.appendChild(this.copyButton);
+
+    this.createButtonEl = this.createButton('Create private room', () => this.runAction(this.callbacks.onCreateRoom, 'Creating room…'));
+    this.container.appendChild(this.createButtonEl);
+
+    this.leaveButton = this.createButton('Back to public lobby', () => this.runAction(this.callbacks.onLeaveRoom, 'Joining public lobby…'));
+    this.container.appendChild(this.leaveButton);
+
+    // Join by code
+    const joinRow = document.createElement('div');
+    joinRow.style.cssText = `
+      display: flex;
+      gap: 6px;
+      margin-top: 10px;
+    `;
+
+    this.codeInput = document.createElement('input');
+    this.codeInput.type = 'text';
+    this.codeInput.placeholder = 'Room code';
+    this.codeInput.maxLength = 12;
+    this.codeInput.style.cssText = `
+      flex: 1;
+      padding: 8px;
+      border-radius: 6px;
+      border: none;
+      font-size: 14px;
+      text-transform: uppercase;
+    `;
+    // Keep typing out of the game controls
+    this.codeInput.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        this.joinFromInput();
+      } else if (event.key === 'Escape') {
+        this.close();
+      }
+    });
+    this.codeInput.addEventListener('keyup', (event) => event.stopPropagation());
+    joinRow.appendChild(this.codeInput);
+
+    this.joinButton = this.createButton('Join', () => this.joinFromInput());
+    this.joinButton.style.width = 'auto';
+    this.joinButton.style.marginTop = '0';
+    joinRow.appendChild(this.joinButton);
+    this.container.appendChild(joinRow);
+
+    // Feedback for the last action
+    this.statusEl = document.createElement('div');
+    this.statusEl.style.cssText = `
+      font-size: 12px;
+      text-align: center;
+      min-height: 16px;
+      margin-top: 10px;
+    `;
+    this.container.appendChild(this.statusEl);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Press P or Esc to close';
+    hint.style.cssText = `
+      font-size: 11px;
+      text-align: center;
+      color: rgba(255, 255, 255, 0.7);
+      margin-top: 6px;
+    `;
+    this.container.appendChild(hint);
+
+    document.body.appendChild(this.container);
+    this.updateRoom();
+  }
+
+  /**
+   * Create a full width panel button
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      display: block;
+      width: 100%;
+      margin-top: 6px;
+      padding: 8px 12px;
+      border: none;
+      border-radius: 6px;
+      background: rgba(255, 255, 255, 0.9);
+      color: #486f9d;
+      font-size: 14px;
+      font-weight: bold;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Show the room we're in
+   * @param {string} roomCode - Code of the room (its id)
+   * @param {boolean} isPrivate - Whether the room is private
+   */
+  setRoom(roomCode, isPrivate) {
+    this.roomCode = roomCode;
+    this.isPrivate = isPrivate;
+    this.updateRoom();
+  }
+
+  updateRoom() {
+    if (this.isPrivate) {
+      this.badge.textContent = `Private room ${this.roomCode} · P to invite`;
+      this.roomEl.textContent = 'Private room ';
+      const code = document.createElement('b');
+      code.textContent = this.roomCode;
+      code.style.cssText = `
+        font-size: 20px;
+        letter-spacing: 2px;
+      `;
+      this.roomEl.appendChild(code);
+    } else {
+      this.badge.textContent = 'Public lobby · P to play with friends';
+      this.roomEl.textContent = 'You are in the public lobby';
+    }
+
+    // Only private rooms have a code friends can type
+    this.copyButton.style.display = this.isPrivate ? 'block' : 'none';
+    this.leaveButton.style.display = this.isPrivate ? 'block' : 'none';
+  }
+
+  /**
+   * Copy the link to the current room, or show it if the clipboard is not available
+   */
+  copyInvite() {
+    if (!this.isPrivate) return;
+
+    const url = getRoomInviteUrl(this.roomCode);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url)
+        .then(() => this.showStatus('Invite link copied!'))
+        .catch(() => this.showStatus(url));
+    } else {
+      this.showStatus(url);
+    }
+  }
+
+  joinFromInput() {
+    const code = this.codeInput.value.trim().toUpperCase();
+    if (!code) {
+      this.showStatus('Enter a room code first', true);
+      return;
+    }
+    if (code === this.roomCode) {
+      this.showStatus('You are already in this room');
+      return;
+    }
+
+    this.runAction(() => this.callbacks.onJoinRoom(code), `Joining ${code}…`, () => {
+      this.codeInput.value = '';
+    });
+  }
+
+  /**
+   * Run a room action, showing progress and errors in the panel
+   * @param {Function} action - Returns a promise
+   * @param {string} busyMessage - Shown while the action runs
+   * @param {Function} [onSuccess] - Called after the action succeeds
+   */
+  runAction(action, busyMessage, onSuccess) {
+    if (this.isBusy) return;
+
+    this.setBusy(true);
+    this.showStatus(busyMessage);
+
+    action()
+      .then(() => {
+        this.showStatus('');
+        if (onSuccess) onSuccess();
+        this.close();
+      })
+      .catch((error) => {
+        console.error('Room action failed:', error);
+        this.showStatus(error && error.message ? error.message : 'Something went wrong', true);
+      })
+      .finally(() => this.setBusy(false));
+  }
+
+  setBusy(busy) {
+    this.isBusy = busy;
+    [this.createButtonEl, this.leaveButton, this.joinButton].forEach(button => {
+      button.disabled = busy;
+      button.style.opacity = busy ? '0.6' : '1';
+    });
+  }
+
+  /**
+   * @param {string} message - Text to show under the buttons
+   * @param {boolean} [isError=false] - Show the text as an error
+   */
+  showStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.style.color = isError ? '#ffcccc' : 'white';
+  }
+
+  /**
+   * Open the panel with an error, e.g. when an invite link no longer works
+   * @param {string} message - Error to show
+   */
+  showError(message) {
+    this.open();
+    this.showStatus(message, true);
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.container.style.display = 'block';
+
+    // Free the mouse to click the buttons
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    if (this.callbacks.onToggle) this.callbacks.onToggle(true);
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.container.style.display = 'none';
+    this.showStatus('');
+    if (this.callbacks.onToggle) this.callbacks.onToggle(false);
+  }
+
+  /**
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    // Typing in other text fields, like the editor catalog search
+    if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA')) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'p') {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    } else if (key === 'escape') {
+      this.close();
+    }
+  }
+
+  dispose() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+    [this.container, this.badge].forEach(element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+    this.container = null;
+    this.badge = null;
+  }
+}
@@ -0,0 +1,70 @@
+export class SpectatorHud {
+  constructor() {
+    this.container = null;
+    this.createHud();
+  }
+
+  createHud() {
+    // Panel at the bottom center of the screen, under the death overlay text
+    this.container = document.createElement('div');
+    this.container.id = 'spectator-hud';
+    this.container.style.cssText = `
+      position: fixed;
+      bottom: 30px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.6);
+      border-radius: 8px;
+      padding: 8px 16px;
+      color: white;
+      font-family: sans-serif;
+      text-align: center;
+      display: none;
+      z-index: 1001;
+      pointer-events: none;
+    `;
+
+    // Who we are watching
+    this.titleEl = document.createElement('div');
+    this.titleEl.style.cssText = `
+      font-size: 18px;
+      font-weight: bold;
+      text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.6);
+    `;
+    this.container.appendChild(this.titleEl);
+
+    // The keys that change the view
+    this.hintEl = document.createElement('div');
+    this.hintEl.style.cssText = `
+      font-size: 12px;
+      margin-top: 4px;
+      color: rgba(255, 255, 255, 0.8);
+    `;
+    this.container.appendChild(this.hintEl);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Show the current view and the keys to change it
+   * @param {string} title - What the camera shows, empty to show only the hint
+   * @param {string} hint - Keys to change the view
+   */
+  show(title, hint) {
+    this.container.style.display = 'block';
+    this.titleEl.textContent = title;
+    this.titleEl.style.display = title ? 'block' : 'none';
+    this.hintEl.textContent = hint;
+  }
+
+  hide() {
+    this.container.style.display = 'none';
+  }
+
+  dispose() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
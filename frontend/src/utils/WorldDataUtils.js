@@ -338,4 +338,25 @@ export function objectToEuler(obj) {
         obj.rotationY || 0,
         obj.rotationZ || 0
     );
-} 
\ No newline at end of file
+} 
+/**
+ * Get the key identifying a spawner in world data. The multiplayer server
+ * uses the same key for its synced spawner state.
+ * @param {Object} spawnerData - The spawner entry from world data
+ * @param {number} index - Its index in the spawners array
+ * @returns {string} - The spawner key
+ */
+export function getSpawnerKey(spawnerData, index) {
+    return spawnerData.instanceIndex !== undefined ? String(spawnerData.instanceIndex) : `spawner-${index}`;
+}
+
+/**
+ * Get the key identifying a king of the hill zone in world data. The
+ * multiplayer server uses the same key for its synced zone state.
+ * @param {Object} zoneData - The zone entry from world data
+ * @param {number} index - Its index in the zones array
+ * @returns {string} - The zone key
+ */
+export function getZoneKey(zoneData, index) {
+    return zoneData.instanceIndex !== undefined ? String(zoneData.instanceIndex) : `zone-${index}`;
+}
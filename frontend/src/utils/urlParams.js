@@ -3,6 +3,16 @@
  */
 let globalUsername = null;
 
+/**
+ * Whether we joined to watch instead of play
+ */
+let spectatorMode = false;
+
+/**
+ * Code of the private room to join
+ */
+let roomCode = null;
+
 /**
  * Extract and store username from URL parameters on initialization
  */
@@ -15,6 +25,16 @@ export function initializeFromUrlParams() {
     globalUsername = usernameParam;
     console.log(`Username set from URL: ${globalUsername}`);
   }
+  
+  // ?spectate joins the match as a spectator
+  spectatorMode = urlParams.has('spectate');
+  
+  // ?room=CODE joins a private room
+  const roomParam = urlParams.get('room');
+  if (roomParam) {
+    roomCode = roomParam.trim().toUpperCase();
+    console.log(`Room code set from URL: ${roomCode}`);
+  }
 }
 
 /**
@@ -25,6 +45,47 @@ export function getUsername() {
   return globalUsername || "Player";
 }
 
+/**
+ * Whether the player joined as a spectator
+ * @returns {boolean}
+ */
+export function isSpectator() {
+  return spectatorMode;
+}
+
+/**
+ * Get the room code from the URL
+ * @returns {string|null} The upper case room code, null for the public lobby
+ */
+export function getRoomCode() {
+  return roomCode;
+}
+
+/**
+ * Keep the current room in the address bar, so a reload joins it again
+ * @param {string|null} code - Room code, null for the public lobby
+ */
+export function setRoomCode(code) {
+  roomCode = code;
+  
+  const url = new URL(window.location.href);
+  if (code) {
+    url.searchParams.set('room', code);
+  } else {
+    url.searchParams.delete('room');
+  }
+  window.history.replaceState(null, '', url.toString());
+}
+
+/**
+ * Link that brings a friend into a room
+ * @param {string} code - Room code
+ * @returns {string} The game URL with only the room parameter
+ */
+export function getRoomInviteUrl(code) {
+  return `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(code)}`;
+}
+
 /**
  * Set the global username
  * @param {string} username - The username to set
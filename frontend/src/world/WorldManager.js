@@ -7,6 +7,7 @@ import { SpawnerRegistry } from '../registries/SpawnerRegistry.js';
 import { SpawnableRegistry } from '../registries/SpawnableRegistry.js';
 import { spawner as spawnerConfig } from '../config.js';
 import assetManager from '../utils/AssetManager.js';
+import { getZoneKey } from '../utils/WorldDataUtils.js';
 
 export class WorldManager {
     constructor(scene) {
@@ -16,6 +17,9 @@ export class WorldManager {
         this.boundingBoxHelpers = [];
         this.showHitboxes = false;
         this.spawners = [];
+        this.zones = [];
+        this.spawnPoints = [];
+        this.cakeBases = [];
         
         // Frustum culling
         this.frustum = new THREE.Frustum();
@@ -189,6 +193,36 @@ export class WorldManager {
         });
     }
 
+    /**
+     * Show or hide king of the hill zones. Zones in play stay visible.
+     * @param {boolean} show - Whether to show every zone (in the editor)
+     */
+    toggleZones(show) {
+        this.zones.forEach(zone => {
+            zone.visible = show || zone.inPlay;
+        });
+    }
+
+    /**
+     * Show or hide player spawn point markers
+     * @param {boolean} show - Whether to show them (in the editor)
+     */
+    toggleSpawnPoints(show) {
+        this.spawnPoints.forEach(spawnPoint => {
+            spawnPoint.visible = show;
+        });
+    }
+
+    /**
+     * Show or hide capture the cake base markers
+     * @param {boolean} show - Whether to show them (in the editor)
+     */
+    toggleCakeBases(show) {
+        this.cakeBases.forEach(cakeBase => {
+            cakeBase.visible = show;
+        });
+    }
+
     async updateObjectInstance(objectId, instanceIndex, position, rotation, scale) {
         if (!this.worldData || !this.worldData.objects) return false;
 
@@ -571,4 +605,180 @@ export class WorldManager {
         console.log(`Successfully loaded ${loadedPosters.length} posters`);
         return loadedPosters;
     }
+
+    async loadZones() {
+        if (!this.worldData) {
+            await this.loadWorld();
+        }
+
+        // Skip if there's no zones array in the world data
+        if (!this.worldData.zones || !Array.isArray(this.worldData.zones) || this.worldData.zones.length === 0) {
+            console.log("No zones found in world data");
+            return [];
+        }
+
+        // Import needed classes
+        const { ZoneObject } = await import('../zones/ZoneObject.js');
+
+        this.worldData.zones.forEach((zoneData, index) => {
+            try {
+                // Skip zones with invalid data
+                if (!zoneData.id || !zoneData.position) {
+                    console.warn(`Zone has invalid data:`, zoneData);
+                    return;
+                }
+
+                const position = new THREE.Vector3(
+                    zoneData.position.x,
+                    zoneData.position.y,
+                    zoneData.position.z
+                );
+
+                const zone = new ZoneObject(zoneData.id, position, zoneData.instanceIndex);
+
+                // Set rotation if available
+                if (zoneData.rotation) {
+                    zone.rotation.set(
+                        zoneData.rotation.x,
+                        zoneData.rotation.y,
+                        zoneData.rotation.z
+                    );
+                }
+
+                // Set scale if available
+                if (zoneData.scale) {
+                    zone.scale.set(
+                        zoneData.scale.x,
+                        zoneData.scale.y,
+                        zoneData.scale.z
+                    );
+                }
+
+                // Same key as the server's zone state
+                zone.networkKey = getZoneKey(zoneData, index);
+
+                // Zones only show in the editor and while king of the hill is played
+                zone.inPlay = false;
+                zone.visible = false;
+
+                this.scene.add(zone);
+                this.zones.push(zone);
+            } catch (error) {
+                console.error(`Error loading zone ${zoneData.id}:`, error);
+            }
+        });
+
+        console.log(`Successfully loaded ${this.zones.length} zones`);
+        return this.zones;
+    }
+
+    /**
+     * Find a zone loaded from world data by its network key
+     * @param {string} key - Zone key shared with the server
+     * @returns {Object|null} - The zone object or null if not found
+     */
+    getZone(key) {
+        return this.zones.find(zone => zone.networkKey === key && zone.parent) || null;
+    }
+
+    async loadSpawnPoints() {
+        if (!this.worldData) {
+            await this.loadWorld();
+        }
+
+        // Skip if there's no spawn points array in the world data
+        if (!this.worldData.spawnPoints || !Array.isArray(this.worldData.spawnPoints) || this.worldData.spawnPoints.length === 0) {
+            console.log("No spawn points found in world data");
+            return [];
+        }
+
+        // Import needed classes
+        const { SpawnPointObject } = await import('../spawnpoints/SpawnPointObject.js');
+
+        this.worldData.spawnPoints.forEach(spawnPointData => {
+            try {
+                // Skip spawn points with invalid data
+                if (!spawnPointData.id || !spawnPointData.position) {
+                    console.warn(`Spawn point has invalid data:`, spawnPointData);
+                    return;
+                }
+
+                const position = new THREE.Vector3(
+                    spawnPointData.position.x,
+                    spawnPointData.position.y,
+                    spawnPointData.position.z
+                );
+
+                const spawnPoint = new SpawnPointObject(spawnPointData.id, position, spawnPointData.instanceIndex);
+
+                // Spawn point markers only show in the editor
+                spawnPoint.visible = false;
+
+                this.scene.add(spawnPoint);
+                this.spawnPoints.push(spawnPoint);
+            } catch (error) {
+                console.error(`Error loading spawn point ${spawnPointData.id}:`, error);
+            }
+        });
+
+        console.log(`Successfully loaded ${this.spawnPoints.length} spawn points`);
+        return this.spawnPoints;
+    }
+
+    async loadCakeBases() {
+        if (!this.worldData) {
+            await this.loadWorld();
+        }
+
+        // Skip if there's no cake bases array in the world data
+        if (!this.worldData.cakeBases || !Array.isArray(this.worldData.cakeBases) || this.worldData.cakeBases.length === 0) {
+            console.log("No cake bases found in world data");
+            return [];
+        }
+
+        // Import needed classes
+        const { CakeBaseObject } = await import('../objectives/CakeBaseObject.js');
+        const { CakeBaseRegistry } = await import('../registries/CakeBaseRegistry.js');
+
+        this.worldData.cakeBases.forEach(cakeBaseData => {
+            try {
+                const cakeBaseInfo = cakeBaseData && CakeBaseRegistry.getCakeBaseForTeam(cakeBaseData.team);
+
+                // Skip cake bases with invalid data
+                if (!cakeBaseInfo || !cakeBaseData.position) {
+                    console.warn(`Cake base has invalid data:`, cakeBaseData);
+                    return;
+                }
+
+                const position = new THREE.Vector3(
+                    cakeBaseData.position.x,
+                    cakeBaseData.position.y,
+                    cakeBaseData.position.z
+                );
+
+                const cakeBase = new CakeBaseObject(cakeBaseInfo.id, position);
+
+                // Cake base markers only show in the editor, the match shows the pedestal
+                cakeBase.visible = false;
+
+                this.scene.add(cakeBase);
+                this.cakeBases.push(cakeBase);
+            } catch (error) {
+                console.error(`Error loading cake base for team ${cakeBaseData && cakeBaseData.team}:`, error);
+            }
+        });
+
+        console.log(`Successfully loaded ${this.cakeBases.length} cake bases`);
+        return this.cakeBases;
+    }
+
+    /**
+     * Where players can spawn, for respawning offline. Online the server picks.
+     * @returns {Array<Object>} Eye positions {x, y, z} of the spawn points in the scene
+     */
+    getSpawnPositions() {
+        return this.spawnPoints
+            .filter(spawnPoint => spawnPoint.parent)
+            .map(spawnPoint => spawnPoint.getSpawnPosition());
+    }
 }
\ No newline at end of file
@@ -193,6 +193,15 @@ export class ChangeManager {
                     // Handle portal deletion
                     const success = await this.handlePortalDeletion(worldData, change, worldManager);
                     success ? successCount++ : failCount++;
+                } else if (change.userData && change.userData.type === 'zone') {
+                    // Zones are saved from the scene by saveZones, the zone is already out of the scene
+                    successCount++;
+                } else if (change.userData && change.userData.type === 'spawnPoint') {
+                    // Spawn points are saved from the scene by saveSpawnPoints
+                    successCount++;
+                } else if (change.userData && change.userData.type === 'cakeBase') {
+                    // Cake bases are saved from the scene by saveCakeBases
+                    successCount++;
                 } else {
                     // Handle regular object deletion
                     const success = await this.handleObjectDeletion(worldData, change);
@@ -236,6 +245,15 @@ export class ChangeManager {
                     // Handle portal transform update
                     const success = await this.handlePortalTransform(worldData, change);
                     success ? successCount++ : failCount++;
+                } else if (change.type === 'transform' && change.userData && change.userData.type === 'zone') {
+                    // Zones are saved from the scene by saveZones
+                    successCount++;
+                } else if (change.type === 'transform' && change.userData && change.userData.type === 'spawnPoint') {
+                    // Spawn points are saved from the scene by saveSpawnPoints
+                    successCount++;
+                } else if (change.type === 'transform' && change.userData && change.userData.type === 'cakeBase') {
+                    // Cake bases are saved from the scene by saveCakeBases
+                    successCount++;
                 } else if (change.type === 'transform') {
                     // Handle regular object transform update
                     const success = await this.handleObjectTransform(worldData, change, worldManager);
@@ -1,5 +1,12 @@
 import * as THREE from 'three';
 
+// Nav grid cell colors, walkable green and blocked red (RGBA)
+const WALKABLE_COLOR = [0, 255, 0, 90];
+const BLOCKED_COLOR = [255, 0, 0, 140];
+
+// Just above the floor so the grid isn't hidden in it
+const NAV_GRID_HEIGHT = 0.05;
+
 /**
  * Debug overlay component that shows performance metrics and scene information
  */
@@ -36,6 +43,9 @@ export class DebugOverlay {
         this.frameCount = 0;
         this.updateInterval = 500; // ms
         
+        // Walkable grid bots path on, see setNavGrid
+        this.navGridMesh = null;
+        
         // Set up event listeners
         this.setupEventListeners();
     }
@@ -84,6 +94,11 @@ export class DebugOverlay {
         `;
         this.container.appendChild(this.objectInfo);
         
+        // Nav grid info
+        this.navGridInfo = document.createElement('div');
+        this.navGridInfo.style.marginTop = '10px';
+        this.container.appendChild(this.navGridInfo);
+        
         // Store references to spans for quick updates
         this.fpsSpan = document.getElementById('fps');
         this.drawCallsSpan = document.getElementById('drawCalls');
@@ -110,6 +125,7 @@ export class DebugOverlay {
      */
     show() {
         this.container.style.display = 'block';
+        if (this.navGridMesh) this.navGridMesh.visible = true;
     }
     
     /**
@@ -117,13 +133,21 @@ export class DebugOverlay {
      */
     hide() {
         this.container.style.display = 'none';
+        if (this.navGridMesh) this.navGridMesh.visible = false;
+    }
+    
+    /**
+     * @returns {boolean} True if the overlay is shown
+     */
+    isVisible() {
+        return this.container.style.display !== 'none';
     }
     
     /**
      * Toggle visibility of the debug overlay
      */
     toggle() {
-        if (this.container.style.display === 'none') {
+        if (!this.isVisible()) {
             this.show();
         } else {
             this.hide();
@@ -223,11 +247,69 @@ export class DebugOverlay {
         }
     }
     
+    /**
+     * Show where bots can walk, as a flat layer of colored cells over the floor
+     * @param {Object} navGrid - Grid from the server's /navgrid route (originX, originZ,
+     * cellSize, width, depth and rows of '.' walkable and '#' blocked cells)
+     */
+    setNavGrid(navGrid) {
+        this.removeNavGrid();
+        
+        const { width, depth, cellSize, originX, originZ, rows } = navGrid;
+        const data = new Uint8Array(width * depth * 4);
+        let walkable = 0;
+        rows.forEach((row, z) => {
+            for (let x = 0; x < width; x++) {
+                const isWalkable = row[x] === '.';
+                if (isWalkable) walkable++;
+                // The plane is laid flat with its top edge toward -z, so the first row goes last
+                data.set(isWalkable ? WALKABLE_COLOR : BLOCKED_COLOR, ((depth - 1 - z) * width + x) * 4);
+            }
+        });
+        
+        const texture = new THREE.DataTexture(data, width, depth, THREE.RGBAFormat);
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        
+        this.navGridMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(width * cellSize, depth * cellSize),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false, side: THREE.DoubleSide })
+        );
+        this.navGridMesh.name = 'nav-grid';
+        this.navGridMesh.rotation.x = -Math.PI / 2;
+        this.navGridMesh.position.set(
+            originX + width * cellSize / 2,
+            NAV_GRID_HEIGHT,
+            originZ + depth * cellSize / 2
+        );
+        // Keep the hovered object info about the world, not the grid
+        this.navGridMesh.raycast = () => {};
+        this.navGridMesh.visible = this.isVisible();
+        this.scene.add(this.navGridMesh);
+        
+        this.navGridInfo.textContent = `Nav Grid: ${width}x${depth}, ${walkable} walkable`;
+    }
+    
+    /**
+     * Take the nav grid out of the scene
+     */
+    removeNavGrid() {
+        if (!this.navGridMesh) return;
+        
+        this.scene.remove(this.navGridMesh);
+        this.navGridMesh.geometry.dispose();
+        this.navGridMesh.material.map.dispose();
+        this.navGridMesh.material.dispose();
+        this.navGridMesh = null;
+        this.navGridInfo.textContent = '';
+    }
+    
     /**
      * Clean up resources and event listeners
      */
     dispose() {
         window.removeEventListener('mousemove', this.handleMouseMove);
+        this.removeNavGrid();
         document.body.removeChild(this.container);
     }
 } 
\ No newline at end of file
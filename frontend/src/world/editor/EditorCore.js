@@ -1,16 +1,21 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { ObjectRegistry } from '../../registries/ObjectRegistry.js';
 import { PortalRegistry } from '../../registries/PortalRegistry.js';
 import { PosterRegistry } from '../../registries/PosterRegistry.js';
 import { PortalObject } from '../../portals/PortalObject.js';
 import { PosterObject } from '../../posters/PosterObject.js';
+import { ZoneObject } from '../../zones/ZoneObject.js';
+import { SpawnPointObject } from '../../spawnpoints/SpawnPointObject.js';
+import { CakeBaseObject } from '../../objectives/CakeBaseObject.js';
 import worldManagerService from '../../services/WorldManagerService.js';
 import { ChangeManager } from './ChangeManager.js';
 import { TransformManager } from './TransformManager.js';
 import { SpawnerManager } from './SpawnerManager.js';
 import { ObjectCatalog } from './ObjectCatalog.js';
+import { FreeCamera } from './FreeCamera.js';
+import { DebugOverlay } from './DebugOverlay.js';
+import { ColyseusManager } from '../../network/ColyseusManager.js';
 import { showFeedback } from '../../utils/UIUtils.js';
 import { api } from '../../config.js';
 /**
@@ -33,10 +38,9 @@ export class EditorCore {
         this.originalCameraPosition = new THREE.Vector3();
         this.originalCameraRotation = new THREE.Euler();
         
-        // Create orbit controls for free roaming (disabled by default)
-        this.orbitControls = new OrbitControls(camera, renderer.domElement);
-        this.orbitControls.enabled = false;
-        this.setupOrbitControls();
+        // Orbit controls and WASD flying for free roaming (disabled by default)
+        this.freeCamera = new FreeCamera(camera, renderer.domElement);
+        this.orbitControls = this.freeCamera.orbitControls;
         
         // Initialize model loader
         this.modelLoader = new GLTFLoader();
@@ -50,18 +54,6 @@ export class EditorCore {
         // Debug mode state
         this.isDebugMode = false;
         
-        // Movement settings
-        this.moveSpeed = 1.0;
-        this.keys = {
-            w: false,
-            a: false,
-            s: false,
-            d: false,
-            q: false,
-            e: false,
-            shift: false
-        };
-        
         // Setup event listeners
         this.setupEventListeners();
         
@@ -107,6 +99,7 @@ export class EditorCore {
             <div>L: Delete Selected Object</div>
             <div>K: Save Transform</div>
             <div>N: Toggle Object Catalog</div>
+            <div>G: Toggle Stats and Nav Grid</div>
         `;
         document.body.appendChild(this.debugOverlay);
 
@@ -148,18 +141,6 @@ export class EditorCore {
         document.body.appendChild(this.saveFeedback);
     }
     
-    /**
-     * Configure orbit controls settings
-     */
-    setupOrbitControls() {
-        this.orbitControls.enableDamping = true;
-        this.orbitControls.dampingFactor = 0.05;
-        this.orbitControls.screenSpacePanning = false;
-        this.orbitControls.minDistance = 1;
-        this.orbitControls.maxDistance = 500;
-        this.orbitControls.maxPolarAngle = Math.PI;
-    }
-    
     /**
      * Initialize all manager components
      */
@@ -192,9 +173,15 @@ export class EditorCore {
             this.placeSpawnerInWorld.bind(this),
             this.placePortalInWorld.bind(this),
             this.placePosterInWorld.bind(this),
+            this.placeZoneInWorld.bind(this),
+            this.placeSpawnPointInWorld.bind(this),
+            this.placeCakeBaseInWorld.bind(this),
             this.camera,
             this.saveFeedback
         );
+        
+        // Performance stats and the bots' nav grid
+        this.statsOverlay = new DebugOverlay(this.scene, this.camera, this.renderer);
     }
     
     /**
@@ -249,15 +236,12 @@ export class EditorCore {
      * @param {KeyboardEvent} event - Key event
      */
     async handleKeyDown(event) {
+        // Camera movement keys
+        if (this.freeCamera.handleKeyDown(event)) {
+            return;
+        }
+        
         switch(event.key.toLowerCase()) {
-            case 'w': this.keys.w = true; break;
-            case 'a': this.keys.a = true; break;
-            case 's': this.keys.s = true; break;
-            case 'd': this.keys.d = true; break;
-            case 'q': this.keys.q = true; break;
-            case 'e': this.keys.e = true; break;
-            case 'shift': this.keys.shift = true; break;
-            
             // Transform mode keys
             case '1': 
                 this.transformManager.setMode('translate');
@@ -291,6 +275,9 @@ export class EditorCore {
             case 'n':
                 this.objectCatalog.toggleCatalog();
                 break;
+            case 'g':
+                await this.toggleStatsOverlay();
+                break;
             case ' ': // Space key
                 if (this.transformManager.hasSelectedObject()) {
                     this.transformManager.duplicateSelectedObject(this.worldManager);
@@ -304,15 +291,7 @@ export class EditorCore {
      * @param {KeyboardEvent} event - Key event
      */
     handleKeyUp(event) {
-        switch(event.key.toLowerCase()) {
-            case 'w': this.keys.w = false; break;
-            case 'a': this.keys.a = false; break;
-            case 's': this.keys.s = false; break;
-            case 'd': this.keys.d = false; break;
-            case 'q': this.keys.q = false; break;
-            case 'e': this.keys.e = false; break;
-            case 'shift': this.keys.shift = false; break;
-        }
+        this.freeCamera.handleKeyUp(event);
     }
     
     /**
@@ -362,6 +341,28 @@ export class EditorCore {
         }
     }
     
+    /**
+     * Show or hide the performance stats and the nav grid, the grid is
+     * fetched from the game server the first time
+     */
+    async toggleStatsOverlay() {
+        this.statsOverlay.toggle();
+        if (!this.statsOverlay.isVisible() || this.statsOverlay.navGridMesh) {
+            return;
+        }
+        
+        try {
+            this.statsOverlay.setNavGrid(await ColyseusManager.getInstance().getNavGrid());
+        } catch (error) {
+            console.error('Error loading nav grid:', error);
+            showFeedback(
+                this.saveFeedback,
+                'No Nav Grid From Server',
+                'rgba(255, 0, 0, 0.7)'
+            );
+        }
+    }
+    
     /**
      * Toggle debug mode on/off
      */
@@ -386,7 +387,7 @@ export class EditorCore {
             this.originalCameraRotation.copy(this.camera.rotation);
             
             // Enable orbit controls
-            this.orbitControls.enabled = true;
+            this.freeCamera.setEnabled(true);
             
             // Disable character controls
             if (this.character) {
@@ -407,7 +408,7 @@ export class EditorCore {
             this.camera.rotation.copy(this.originalCameraRotation);
             
             // Disable orbit controls
-            this.orbitControls.enabled = false;
+            this.freeCamera.setEnabled(false);
             
             // Enable character controls
             if (this.character) {
@@ -420,6 +421,8 @@ export class EditorCore {
             
             // Close catalog if open
             this.objectCatalog.toggleCatalog(false);
+            
+            this.statsOverlay.hide();
 
             // Clear transform selection
             this.transformManager.transformControls.detach();
@@ -428,9 +431,18 @@ export class EditorCore {
             this.spawnerManager.removeSpawnerVisuals();
         }
 
-        // Toggle hitbox visibility
+        // Toggle hitbox, zone, spawn point and cake base visibility
         if (this.worldManager) {
             this.worldManager.toggleHitboxes(this.isDebugMode);
+            if (typeof this.worldManager.toggleZones === 'function') {
+                this.worldManager.toggleZones(this.isDebugMode);
+            }
+            if (typeof this.worldManager.toggleSpawnPoints === 'function') {
+                this.worldManager.toggleSpawnPoints(this.isDebugMode);
+            }
+            if (typeof this.worldManager.toggleCakeBases === 'function') {
+                this.worldManager.toggleCakeBases(this.isDebugMode);
+            }
         }
     }
     
@@ -658,6 +670,155 @@ export class EditorCore {
         }
     }
     
+    /**
+     * Place a king of the hill zone in the world
+     * @param {string} zoneId - Zone ID from registry
+     * @param {THREE.Vector3} position - Position to place the zone
+     */
+    placeZoneInWorld(zoneId, position) {
+        try {
+            console.log(`Placing zone ${zoneId} at position:`, position);
+            
+            // Generate a unique instance index - use current timestamp
+            const instanceIndex = Date.now();
+            
+            // Create zone object with explicit instance index
+            const zone = new ZoneObject(zoneId, position, instanceIndex);
+            zone.inPlay = false;
+            
+            // Add to scene and let the world manager hide it with the others outside the editor
+            this.scene.add(zone);
+            if (this.worldManager && this.worldManager.zones) {
+                this.worldManager.zones.push(zone);
+            }
+            
+            // Select with transform controls
+            this.transformManager.transformControls.attach(zone);
+            
+            // Record creation change
+            this.changeManager.recordChange(zone);
+            
+            // Show feedback
+            showFeedback(
+                this.saveFeedback,
+                `Added ${zoneId} zone - Press K to save`,
+                'rgba(0, 255, 0, 0.7)'
+            );
+            
+            return zone;
+        } catch (error) {
+            console.error('Error placing zone:', error);
+            
+            showFeedback(
+                this.saveFeedback,
+                `Error: ${error.message}`,
+                'rgba(255, 0, 0, 0.7)'
+            );
+            return null;
+        }
+    }
+    
+    /**
+     * Place a player spawn point in the world
+     * @param {string} spawnPointId - Spawn point ID from registry
+     * @param {THREE.Vector3} position - Position to place the spawn point
+     */
+    placeSpawnPointInWorld(spawnPointId, position) {
+        try {
+            console.log(`Placing spawn point ${spawnPointId} at position:`, position);
+            
+            // Generate a unique instance index - use current timestamp
+            const instanceIndex = Date.now();
+            
+            const spawnPoint = new SpawnPointObject(spawnPointId, position, instanceIndex);
+            
+            // Add to scene and let the world manager hide it with the others outside the editor
+            this.scene.add(spawnPoint);
+            if (this.worldManager && this.worldManager.spawnPoints) {
+                this.worldManager.spawnPoints.push(spawnPoint);
+            }
+            
+            // Select with transform controls
+            this.transformManager.transformControls.attach(spawnPoint);
+            
+            // Record creation change
+            this.changeManager.recordChange(spawnPoint);
+            
+            // Show feedback
+            showFeedback(
+                this.saveFeedback,
+                `Added ${spawnPointId} - Press K to save`,
+                'rgba(0, 255, 0, 0.7)'
+            );
+            
+            return spawnPoint;
+        } catch (error) {
+            console.error('Error placing spawn point:', error);
+            
+            showFeedback(
+                this.saveFeedback,
+                `Error: ${error.message}`,
+                'rgba(255, 0, 0, 0.7)'
+            );
+            return null;
+        }
+    }
+    
+    /**
+     * Place a team's cake base in the world. Each team has one, placing it
+     * again moves the one already there.
+     * @param {string} cakeBaseId - Cake base ID from registry
+     * @param {THREE.Vector3} position - Position to place the cake base
+     */
+    placeCakeBaseInWorld(cakeBaseId, position) {
+        try {
+            console.log(`Placing cake base ${cakeBaseId} at position:`, position);
+            
+            let cakeBase = this.worldManager && this.worldManager.cakeBases
+                ? this.worldManager.cakeBases.find(base => base.userData.id === cakeBaseId && base.parent)
+                : null;
+            
+            if (cakeBase) {
+                cakeBase.position.copy(position);
+            } else {
+                // Generate a unique instance index - use current timestamp
+                const instanceIndex = Date.now();
+                
+                cakeBase = new CakeBaseObject(cakeBaseId, position, instanceIndex);
+                
+                // Add to scene and let the world manager hide it with the others outside the editor
+                this.scene.add(cakeBase);
+                if (this.worldManager && this.worldManager.cakeBases) {
+                    this.worldManager.cakeBases.push(cakeBase);
+                }
+            }
+            
+            // Select with transform controls
+            this.transformManager.transformControls.attach(cakeBase);
+            
+            // Record creation change
+            this.changeManager.recordChange(cakeBase);
+            
+            // Show feedback
+            showFeedback(
+                this.saveFeedback,
+                `Placed ${cakeBaseId} - Press K to save`,
+                'rgba(0, 255, 0, 0.7)'
+            );
+            
+            return cakeBase;
+        } catch (error) {
+            console.error('Error placing cake base:', error);
+            
+            showFeedback(
+                this.saveFeedback,
+                `Error: ${error.message}`,
+                'rgba(255, 0, 0, 0.7)'
+            );
+            return null;
+        }
+    }
+    
     /**
      * Save all changes to the world
      */
@@ -704,6 +865,23 @@ export class EditorCore {
                 // Wait for all saves to complete
                 console.log(`Executing ${promises.length} save operations...`);
                 await Promise.all(promises);
+                
+                // Save zones once the others are written, since they rewrite the whole world file
+                if (this.worldManager.saveZones) {
+                    await this.worldManager.saveZones();
+                } else {
+                    console.warn("saveZones method not found on worldManager");
+                }
+                if (this.worldManager.saveSpawnPoints) {
+                    await this.worldManager.saveSpawnPoints();
+                } else {
+                    console.warn("saveSpawnPoints method not found on worldManager");
+                }
+                if (this.worldManager.saveCakeBases) {
+                    await this.worldManager.saveCakeBases();
+                } else {
+                    console.warn("saveCakeBases method not found on worldManager");
+                }
                 console.log("All save operations completed successfully");
             }
         } catch (error) {
@@ -726,6 +904,10 @@ export class EditorCore {
             this.updateCameraPosition(deltaTime);
         }
         
+        if (this.statsOverlay.isVisible()) {
+            this.statsOverlay.update();
+        }
+        
         // Update spawners and portals
         if (this.worldManager) {
             // Call the worldManagerService's updateSpawners method directly
@@ -1237,6 +1419,119 @@ export class EditorCore {
             }
         };
         
+        // Add method to save king of the hill zones
+        this.worldManager.saveZones = async () => {
+            try {
+                const worldData = await worldManagerService.getWorldData();
+                
+                // Find all zones in the scene, except the default zone a server adds when the map has none
+                const zoneObjects = [];
+                this.scene.traverse(object => {
+                    if (object.userData && object.userData.type === 'zone' && !object.userData.fromServer) {
+                        zoneObjects.push(object);
+                    }
+                });
+                
+                // Rebuild the zones array from the scene
+                worldData.zones = zoneObjects.map(zone => ({
+                    id: zone.userData.id,
+                    instanceIndex: zone.userData.instanceIndex,
+                    position: {
+                        x: zone.position.x,
+                        y: zone.position.y,
+                        z: zone.position.z
+                    },
+                    rotation: {
+                        x: zone.rotation.x,
+                        y: zone.rotation.y,
+                        z: zone.rotation.z
+                    },
+                    scale: {
+                        x: zone.scale.x,
+                        y: zone.scale.y,
+                        z: zone.scale.z
+                    },
+                    // The server only reads the radius, so save it with the scale applied
+                    radius: zone.getRadius()
+                }));
+                
+                const saveResult = await worldManagerService.saveWorldData(worldData);
+                console.log(`Saved ${worldData.zones.length} zones to world data, result:`, saveResult);
+                
+                return true;
+            } catch (error) {
+                console.error('Error saving zones:', error);
+                return false;
+            }
+        };
+        
+        // Add method to save player spawn points
+        this.worldManager.saveSpawnPoints = async () => {
+            try {
+                const worldData = await worldManagerService.getWorldData();
+                
+                // Find all spawn points in the scene
+                const spawnPointObjects = [];
+                this.scene.traverse(object => {
+                    if (object.userData && object.userData.type === 'spawnPoint') {
+                        spawnPointObjects.push(object);
+                    }
+                });
+                
+                // Rebuild the spawn points array from the scene, the server only reads the position
+                worldData.spawnPoints = spawnPointObjects.map(spawnPoint => ({
+                    id: spawnPoint.userData.id,
+                    instanceIndex: spawnPoint.userData.instanceIndex,
+                    position: {
+                        x: spawnPoint.position.x,
+                        y: spawnPoint.position.y,
+                        z: spawnPoint.position.z
+                    }
+                }));
+                
+                const saveResult = await worldManagerService.saveWorldData(worldData);
+                console.log(`Saved ${worldData.spawnPoints.length} spawn points to world data, result:`, saveResult);
+                
+                return true;
+            } catch (error) {
+                console.error('Error saving spawn points:', error);
+                return false;
+            }
+        };
+        
+        // Add method to save capture the cake bases
+        this.worldManager.saveCakeBases = async () => {
+            try {
+                const worldData = await worldManagerService.getWorldData();
+                
+                // Find all cake bases in the scene
+                const cakeBaseObjects = [];
+                this.scene.traverse(object => {
+                    if (object.userData && object.userData.type === 'cakeBase') {
+                        cakeBaseObjects.push(object);
+                    }
+                });
+                
+                // Rebuild the cake bases array from the scene, the server reads the team and position
+                worldData.cakeBases = cakeBaseObjects.map(cakeBase => ({
+                    team: cakeBase.userData.team,
+                    position: {
+                        x: cakeBase.position.x,
+                        y: cakeBase.position.y,
+                        z: cakeBase.position.z
+                    }
+                }));
+                
+                const saveResult = await worldManagerService.saveWorldData(worldData);
+                console.log(`Saved ${worldData.cakeBases.length} cake bases to world data, result:`, saveResult);
+                
+                return true;
+            } catch (error) {
+                console.error('Error saving cake bases:', error);
+                return false;
+            }
+        };
+        
         // Add method to update portals
         this.worldManager.updatePortals = (deltaTime) => {
             // Update all portal animations
@@ -1261,6 +1556,9 @@ export class EditorCore {
         }
         this.worldManager.saveTypes.push('portals');
         this.worldManager.saveTypes.push('posters');
+        this.worldManager.saveTypes.push('zones');
+        this.worldManager.saveTypes.push('spawnPoints');
+        this.worldManager.saveTypes.push('cakeBases');
     }
     
     /**
@@ -1270,7 +1568,7 @@ export class EditorCore {
         // Remove event listeners
         // Remove components
         this.transformManager.transformControls.dispose();
-        this.orbitControls.dispose();
+        this.freeCamera.dispose();
         
         // Remove UI elements
         document.body.removeChild(this.debugOverlay);
@@ -1279,6 +1577,7 @@ export class EditorCore {
         
         // Clean up catalog
         this.objectCatalog.dispose();
+        this.statsOverlay.dispose();
     }
 
     /**
@@ -1292,13 +1591,6 @@ export class EditorCore {
         }
         
         // Handle keyboard movement
-        const moveSpeed = this.keys.shift ? this.moveSpeed * 2 : this.moveSpeed;
-        
-        if (this.keys.w) this.camera.position.z -= moveSpeed;
-        if (this.keys.s) this.camera.position.z += moveSpeed;
-        if (this.keys.a) this.camera.position.x -= moveSpeed;
-        if (this.keys.d) this.camera.position.x += moveSpeed;
-        if (this.keys.q) this.camera.position.y -= moveSpeed;
-        if (this.keys.e) this.camera.position.y += moveSpeed;
+        this.freeCamera.updateCameraPosition(deltaTime);
     }
 } 
\ No newline at end of file
@@ -0,0 +1,120 @@
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+
+/**
+ * Orbit controls with WASD/QE flying, used by the world editor and by spectators
+ */
+export class FreeCamera {
+    /**
+     * @param {THREE.Camera} camera - Three.js camera
+     * @param {HTMLElement} domElement - Element receiving the mouse input
+     * @param {Object} [options] - Free camera options
+     * @param {boolean} [options.carryTarget=false] - Move the orbit target with the camera, so it keeps turning around what it looks at
+     */
+    constructor(camera, domElement, options = {}) {
+        this.camera = camera;
+        this.carryTarget = options.carryTarget === true;
+
+        // Create orbit controls for free roaming (disabled by default)
+        this.orbitControls = new OrbitControls(camera, domElement);
+        this.orbitControls.enabled = false;
+        this.setupOrbitControls();
+
+        // Movement settings
+        this.moveSpeed = 1.0;
+        this.keys = {
+            w: false,
+            a: false,
+            s: false,
+            d: false,
+            q: false,
+            e: false,
+            shift: false
+        };
+    }
+
+    /**
+     * Configure orbit controls settings
+     */
+    setupOrbitControls() {
+        this.orbitControls.enableDamping = true;
+        this.orbitControls.dampingFactor = 0.05;
+        this.orbitControls.screenSpacePanning = false;
+        this.orbitControls.minDistance = 1;
+        this.orbitControls.maxDistance = 500;
+        this.orbitControls.maxPolarAngle = Math.PI;
+    }
+
+    get enabled() {
+        return this.orbitControls.enabled;
+    }
+
+    /**
+     * Turn mouse and keyboard control of the camera on or off
+     * @param {boolean} enabled - Whether the camera follows the input
+     */
+    setEnabled(enabled) {
+        this.orbitControls.enabled = enabled;
+        if (!enabled) {
+            Object.keys(this.keys).forEach(key => this.keys[key] = false);
+        }
+    }
+
+    /**
+     * Track a movement key being pressed
+     * @param {KeyboardEvent} event - Key event
+     * @returns {boolean} True if the key moves the camera
+     */
+    handleKeyDown(event) {
+        return this.setKey(event.key.toLowerCase(), true);
+    }
+
+    /**
+     * Track a movement key being released
+     * @param {KeyboardEvent} event - Key event
+     * @returns {boolean} True if the key moves the camera
+     */
+    handleKeyUp(event) {
+        return this.setKey(event.key.toLowerCase(), false);
+    }
+
+    setKey(key, isDown) {
+        if (!this.keys.hasOwnProperty(key)) return false;
+        this.keys[key] = isDown;
+        return true;
+    }
+
+    /**
+     * Update orbit controls and keyboard movement
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        if (!this.orbitControls.enabled) return;
+
+        this.orbitControls.update();
+        this.updateCameraPosition(deltaTime);
+    }
+
+    /**
+     * Update camera position based on keyboard input
+     * @param {number} deltaTime - Time since last update
+     */
+    updateCameraPosition(deltaTime) {
+        const moveSpeed = this.keys.shift ? this.moveSpeed * 2 : this.moveSpeed;
+        const previousPosition = this.camera.position.clone();
+
+        if (this.keys.w) this.camera.position.z -= moveSpeed;
+        if (this.keys.s) this.camera.position.z += moveSpeed;
+        if (this.keys.a) this.camera.position.x -= moveSpeed;
+        if (this.keys.d) this.camera.position.x += moveSpeed;
+        if (this.keys.q) this.camera.position.y -= moveSpeed;
+        if (this.keys.e) this.camera.position.y += moveSpeed;
+
+        if (this.carryTarget) {
+            this.orbitControls.target.add(this.camera.position.clone().sub(previousPosition));
+        }
+    }
+
+    dispose() {
+        this.orbitControls.dispose();
+    }
+}
@@ -4,6 +4,9 @@ import { ObjectRegistry } from '../../registries/ObjectRegistry.js';
 import { SpawnerRegistry } from '../../registries/SpawnerRegistry.js';
 import { PortalRegistry } from '../../registries/PortalRegistry.js';
 import { PosterRegistry } from '../../registries/PosterRegistry.js';
+import { ZoneRegistry } from '../../registries/ZoneRegistry.js';
+import { SpawnPointRegistry } from '../../registries/SpawnPointRegistry.js';
+import { CakeBaseRegistry } from '../../registries/CakeBaseRegistry.js';
 import { getPositionInFrontOfCamera } from '../../utils/SceneUtils.js';
 import { showFeedback } from '../../utils/UIUtils.js';
 import sharedRenderer from '../../utils/SharedRenderer.js';
@@ -17,14 +20,20 @@ export class ObjectCatalog {
      * @param {Function} placeSpawnerCallback - Callback to place spawners in the world
      * @param {Function} placePortalCallback - Callback to place portals in the world
      * @param {Function} placePosterCallback - Callback to place posters in the world
+     * @param {Function} placeZoneCallback - Callback to place king of the hill zones in the world
+     * @param {Function} placeSpawnPointCallback - Callback to place player spawn points in the world
+     * @param {Function} placeCakeBaseCallback - Callback to place capture the cake bases in the world
      * @param {THREE.Camera} camera - Three.js camera for placing objects
      * @param {HTMLElement} feedbackElement - Element for feedback messages
      */
-    constructor(placeObjectCallback, placeSpawnerCallback, placePortalCallback, placePosterCallback, camera, feedbackElement) {
+    constructor(placeObjectCallback, placeSpawnerCallback, placePortalCallback, placePosterCallback, placeZoneCallback, placeSpawnPointCallback, placeCakeBaseCallback, camera, feedbackElement) {
         this.placeObjectCallback = placeObjectCallback;
         this.placeSpawnerCallback = placeSpawnerCallback;
         this.placePortalCallback = placePortalCallback;
         this.placePosterCallback = placePosterCallback;
+        this.placeZoneCallback = placeZoneCallback;
+        this.placeSpawnPointCallback = placeSpawnPointCallback;
+        this.placeCakeBaseCallback = placeCakeBaseCallback;
         this.camera = camera;
         this.feedbackElement = feedbackElement;
         
@@ -211,6 +220,57 @@ export class ObjectCatalog {
             this.createPosterItem(item);
         });
         
+        // Add section title for zones
+        const zonesTitle = document.createElement('div');
+        zonesTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            padding: 5px;
+            margin: 15px 0 5px 0;
+            border-bottom: 1px solid #555;
+        `;
+        zonesTitle.textContent = 'Zones';
+        this.itemsContainer.appendChild(zonesTitle);
+        
+        // Add each zone from the registry
+        ZoneRegistry.items.forEach(item => {
+            this.createZoneItem(item);
+        });
+        
+        // Add section title for spawn points
+        const spawnPointsTitle = document.createElement('div');
+        spawnPointsTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            padding: 5px;
+            margin: 15px 0 5px 0;
+            border-bottom: 1px solid #555;
+        `;
+        spawnPointsTitle.textContent = 'Spawn Points';
+        this.itemsContainer.appendChild(spawnPointsTitle);
+        
+        // Add each spawn point from the registry
+        SpawnPointRegistry.items.forEach(item => {
+            this.createSpawnPointItem(item);
+        });
+        
+        // Add section title for cake bases
+        const cakeBasesTitle = document.createElement('div');
+        cakeBasesTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            padding: 5px;
+            margin: 15px 0 5px 0;
+            border-bottom: 1px solid #555;
+        `;
+        cakeBasesTitle.textContent = 'Cake Bases';
+        this.itemsContainer.appendChild(cakeBasesTitle);
+        
+        // Add each team's cake base from the registry
+        CakeBaseRegistry.items.forEach(item => {
+            this.createCakeBaseItem(item);
+        });
+        
         // Add section title for spawners
         const spawnersTitle = document.createElement('div');
         spawnersTitle.style.cssText = `
@@ -558,6 +618,324 @@ export class ObjectCatalog {
         this.itemsContainer.appendChild(itemElement);
     }
     
+    /**
+     * Create an item element for a king of the hill zone
+     * @param {Object} item - Zone data from registry
+     */
+    createZoneItem(item) {
+        const itemElement = document.createElement('div');
+        itemElement.classList.add('catalog-item');
+        itemElement.dataset.id = item.id;
+        itemElement.dataset.type = 'zone';
+        itemElement.style.cssText = `
+            background: rgba(60, 60, 60, 0.8);
+            border-radius: 4px;
+            padding: 10px;
+            cursor: pointer;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            transition: background 0.2s;
+            margin-bottom: 8px;
+            width: 100%;
+            box-sizing: border-box;
+        `;
+        
+        // Zone preview container
+        const previewContainer = document.createElement('div');
+        previewContainer.style.cssText = `
+            width: 100%;
+            height: 100px;
+            background: rgba(30, 30, 30, 0.5);
+            margin-bottom: 8px;
+            border-radius: 3px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+            position: relative;
+        `;
+        
+        // Glowing ring preview in the zone's color
+        const color = `#${(item.color || 0xffd700).toString(16).padStart(6, '0')}`;
+        const zonePreview = document.createElement('div');
+        zonePreview.style.cssText = `
+            width: 70px;
+            height: 70px;
+            border-radius: 50%;
+            border: 4px solid ${color};
+            box-shadow: 0 0 12px ${color}, inset 0 0 12px ${color};
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 28px;
+        `;
+        zonePreview.textContent = '👑';
+        
+        previewContainer.appendChild(zonePreview);
+        
+        // Item name
+        const nameElement = document.createElement('div');
+        nameElement.textContent = item.id
+            .split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+        nameElement.style.cssText = `
+            font-size: 12px;
+            text-align: center;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            width: 100%;
+        `;
+        
+        // Item description
+        const descElement = document.createElement('div');
+        descElement.textContent = item.description || 'Zone';
+        descElement.style.cssText = `
+            font-size: 10px;
+            color: #aaa;
+            text-align: center;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            width: 100%;
+            margin-top: 2px;
+        `;
+        
+        itemElement.appendChild(previewContainer);
+        itemElement.appendChild(nameElement);
+        itemElement.appendChild(descElement);
+        
+        // Add click event for zone placement
+        itemElement.addEventListener('click', () => {
+            this.placeZone(item.id);
+        });
+        
+        // Hover effect
+        itemElement.addEventListener('mouseenter', () => {
+            itemElement.style.background = 'rgba(80, 80, 80, 0.8)';
+        });
+        
+        itemElement.addEventListener('mouseleave', () => {
+            itemElement.style.background = 'rgba(60, 60, 60, 0.8)';
+        });
+        
+        this.itemsContainer.appendChild(itemElement);
+    }
+    
+    /**
+     * Create an item element for a player spawn point
+     * @param {Object} item - Spawn point data from registry
+     */
+    createSpawnPointItem(item) {
+        const itemElement = document.createElement('div');
+        itemElement.classList.add('catalog-item');
+        itemElement.dataset.id = item.id;
+        itemElement.dataset.type = 'spawnPoint';
+        itemElement.style.cssText = `
+            background: rgba(60, 60, 60, 0.8);
+            border-radius: 4px;
+            padding: 10px;
+            cursor: pointer;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            transition: background 0.2s;
+            margin-bottom: 8px;
+            width: 100%;
+            box-sizing: border-box;
+        `;
+        
+        // Spawn point preview container
+        const previewContainer = document.createElement('div');
+        previewContainer.style.cssText = `
+            width: 100%;
+            height: 100px;
+            background: rgba(30, 30, 30, 0.5);
+            margin-bottom: 8px;
+            border-radius: 3px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+            position: relative;
+        `;
+        
+        // Ring preview in the spawn point's color
+        const color = `#${(item.color || 0x00bfff).toString(16).padStart(6, '0')}`;
+        const spawnPointPreview = document.createElement('div');
+        spawnPointPreview.style.cssText = `
+            width: 70px;
+            height: 70px;
+            border-radius: 50%;
+            border: 4px solid ${color};
+            box-shadow: 0 0 12px ${color}, inset 0 0 12px ${color};
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 28px;
+        `;
+        spawnPointPreview.textContent = '🧍';
+        
+        previewContainer.appendChild(spawnPointPreview);
+        
+        // Item name
+        const nameElement = document.createElement('div');
+        nameElement.textContent = item.id
+            .split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+        nameElement.style.cssText = `
+            font-size: 12px;
+            text-align: center;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            width: 100%;
+        `;
+        
+        // Item description
+        const descElement = document.createElement('div');
+        descElement.textContent = item.description || 'Spawn Point';
+        descElement.style.cssText = `
+            font-size: 10px;
+            color: #aaa;
+            text-align: center;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            width: 100%;
+            margin-top: 2px;
+        `;
+        
+        itemElement.appendChild(previewContainer);
+        itemElement.appendChild(nameElement);
+        itemElement.appendChild(descElement);
+        
+        // Add click event for spawn point placement
+        itemElement.addEventListener('click', () => {
+            this.placeSpawnPoint(item.id);
+        });
+        
+        // Hover effect
+        itemElement.addEventListener('mouseenter', () => {
+            itemElement.style.background = 'rgba(80, 80, 80, 0.8)';
+        });
+        
+        itemElement.addEventListener('mouseleave', () => {
+            itemElement.style.background = 'rgba(60, 60, 60, 0.8)';
+        });
+        
+        this.itemsContainer.appendChild(itemElement);
+    }
+    
+    /**
+     * Create an item element for a team's cake base
+     * @param {Object} item - Cake base data from registry
+     */
+    createCakeBaseItem(item) {
+        const itemElement = document.createElement('div');
+        itemElement.classList.add('catalog-item');
+        itemElement.dataset.id = item.id;
+        itemElement.dataset.type = 'cakeBase';
+        itemElement.style.cssText = `
+            background: rgba(60, 60, 60, 0.8);
+            border-radius: 4px;
+            padding: 10px;
+            cursor: pointer;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            transition: background 0.2s;
+            margin-bottom: 8px;
+            width: 100%;
+            box-sizing: border-box;
+        `;
+        
+        // Cake base preview container
+        const previewContainer = document.createElement('div');
+        previewContainer.style.cssText = `
+            width: 100%;
+            height: 100px;
+            background: rgba(30, 30, 30, 0.5);
+            margin-bottom: 8px;
+            border-radius: 3px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+            position: relative;
+        `;
+        
+        // Ring preview in the team's color
+        const color = `#${(item.color || 0x00bfff).toString(16).padStart(6, '0')}`;
+        const cakeBasePreview = document.createElement('div');
+        cakeBasePreview.style.cssText = `
+            width: 70px;
+            height: 70px;
+            border-radius: 50%;
+            border: 4px solid ${color};
+            box-shadow: 0 0 12px ${color}, inset 0 0 12px ${color};
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 28px;
+        `;
+        cakeBasePreview.textContent = '🎂';
+        
+        previewContainer.appendChild(cakeBasePreview);
+        
+        // Item name
+        const nameElement = document.createElement('div');
+        nameElement.textContent = item.id
+            .split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+        nameElement.style.cssText = `
+            font-size: 12px;
+            text-align: center;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            width: 100%;
+        `;
+        
+        // Item description
+        const descElement = document.createElement('div');
+        descElement.textContent = item.description || 'Cake Base';
+        descElement.style.cssText = `
+            font-size: 10px;
+            color: #aaa;
+            text-align: center;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            width: 100%;
+            margin-top: 2px;
+        `;
+        
+        itemElement.appendChild(previewContainer);
+        itemElement.appendChild(nameElement);
+        itemElement.appendChild(descElement);
+        
+        // Add click event for cake base placement
+        itemElement.addEventListener('click', () => {
+            this.placeCakeBase(item.id);
+        });
+        
+        // Hover effect
+        itemElement.addEventListener('mouseenter', () => {
+            itemElement.style.background = 'rgba(80, 80, 80, 0.8)';
+        });
+        
+        itemElement.addEventListener('mouseleave', () => {
+            itemElement.style.background = 'rgba(60, 60, 60, 0.8)';
+        });
+        
+        this.itemsContainer.appendChild(itemElement);
+    }
+    
     /**
      * Create an item element for a spawner
      * @param {Object} item - Spawner data from registry
@@ -792,6 +1170,93 @@ export class ObjectCatalog {
         }
     }
     
+    /**
+     * Place a king of the hill zone in the world
+     * @param {string} zoneId - ID of the zone to place
+     */
+    placeZone(zoneId) {
+        try {
+            // Get position in front of camera
+            const position = getPositionInFrontOfCamera(this.camera);
+            
+            // Call the callback with the zone ID and position
+            this.placeZoneCallback(zoneId, position);
+            
+            // Show feedback
+            showFeedback(
+                this.feedbackElement,
+                `Placed ${zoneId} zone`,
+                'rgba(0, 255, 0, 0.7)'
+            );
+        } catch (error) {
+            console.error(`Error placing zone ${zoneId}:`, error);
+            
+            showFeedback(
+                this.feedbackElement,
+                `Error: ${error.message}`,
+                'rgba(255, 0, 0, 0.7)'
+            );
+        }
+    }
+    
+    /**
+     * Place a player spawn point in the world
+     * @param {string} spawnPointId - ID of the spawn point to place
+     */
+    placeSpawnPoint(spawnPointId) {
+        try {
+            // Get position in front of camera
+            const position = getPositionInFrontOfCamera(this.camera);
+            
+            // Call the callback with the spawn point ID and position
+            this.placeSpawnPointCallback(spawnPointId, position);
+            
+            // Show feedback
+            showFeedback(
+                this.feedbackElement,
+                `Placed ${spawnPointId}`,
+                'rgba(0, 255, 0, 0.7)'
+            );
+        } catch (error) {
+            console.error(`Error placing spawn point ${spawnPointId}:`, error);
+            
+            showFeedback(
+                this.feedbackElement,
+                `Error: ${error.message}`,
+                'rgba(255, 0, 0, 0.7)'
+            );
+        }
+    }
+    
+    /**
+     * Place a team's cake base in the world
+     * @param {string} cakeBaseId - ID of the cake base to place
+     */
+    placeCakeBase(cakeBaseId) {
+        try {
+            // Get position in front of camera
+            const position = getPositionInFrontOfCamera(this.camera);
+            
+            // Call the callback with the cake base ID and position
+            this.placeCakeBaseCallback(cakeBaseId, position);
+            
+            // Show feedback
+            showFeedback(
+                this.feedbackElement,
+                `Placed ${cakeBaseId}`,
+                'rgba(0, 255, 0, 0.7)'
+            );
+        } catch (error) {
+            console.error(`Error placing cake base ${cakeBaseId}:`, error);
+            
+            showFeedback(
+                this.feedbackElement,
+                `Error: ${error.message}`,
+                'rgba(255, 0, 0, 0.7)'
+            );
+        }
+    }
+    
     /**
      * Place a poster in the world
      * @param {string} posterId - ID of the poster to place
@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+import { ZoneRegistry } from '../registries/ZoneRegistry.js';
+
+// Height of the energy wall around the zone
+const FIELD_HEIGHT = 3;
+
+export class ZoneObject extends THREE.Group {
+    /**
+     * Create a new king of the hill zone
+     * @param {string} zoneId - Zone ID from registry
+     * @param {THREE.Vector3} position - Initial position, on the ground at the zone's center
+     * @param {number} [instanceIndex] - Optional instance index, will use timestamp if not provided
+     */
+    constructor(zoneId, position, instanceIndex) {
+        super();
+
+        // Store zone ID and type
+        this.userData = {
+            id: zoneId,
+            type: 'zone',
+            instanceIndex: instanceIndex || Date.now() // Use provided index or timestamp as unique instance index
+        };
+
+        // Set position
+        this.position.copy(position);
+
+        // Get zone data from registry
+        this.zoneData = ZoneRegistry.getZoneInfo(zoneId);
+        if (!this.zoneData) {
+            console.error(`Zone type ${zoneId} not found in registry`);
+            return;
+        }
+
+        this.baseColor = new THREE.Color(this.zoneData.color);
+        this.isActive = true;
+
+        // Create zone visuals
+        this.createZoneVisuals();
+    }
+
+    /**
+     * Create the glowing frame on the ground, the energy wall and the rising particles
+     */
+    createZoneVisuals() {
+        const radius = this.zoneData.radius;
+
+        // Glowing frame around the edge of the zone
+        const frameGeometry = new THREE.TorusGeometry(radius, 0.12, 8, 64);
+        const frameMaterial = new THREE.MeshStandardMaterial({
+            color: this.baseColor,
+            emissive: this.baseColor,
+            emissiveIntensity: 0.6,
+            roughness: 0.3,
+            metalness: 0.8,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        this.frame = new THREE.Mesh(frameGeometry, frameMaterial);
+        this.frame.rotation.x = -Math.PI / 2;
+        this.frame.position.y = 0.1;
+        this.add(this.frame);
+
+        // Energy wall - an open cylinder fading upward
+        const fieldGeometry = new THREE.CylinderGeometry(radius, radius, FIELD_HEIGHT, 48, 1, true);
+        const fieldMaterial = new THREE.MeshBasicMaterial({
+            color: this.baseColor.clone().multiplyScalar(1.5), // Brighter color for the field
+            transparent: true,
+            opacity: 0.2,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+
+        this.field = new THREE.Mesh(fieldGeometry, fieldMaterial);
+        this.field.position.y = FIELD_HEIGHT / 2;
+        this.add(this.field);
+
+        // Faint floor so the inside of the zone reads from above
+        const floorGeometry = new THREE.CircleGeometry(radius, 48);
+        const floorMaterial = new THREE.MeshBasicMaterial({
+            color: this.baseColor,
+            transparent: true,
+            opacity: 0.15,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+
+        this.floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        this.floor.rotation.x = -Math.PI / 2;
+        this.floor.position.y = 0.05;
+        this.add(this.floor);
+
+        this.createParticleEffect(radius);
+    }
+
+    /**
+     * Create particles rising along the edge of the zone
+     * @param {number} radius - Zone radius
+     */
+    createParticleEffect(radius) {
+        const particleCount = 120;
+        const particles = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+
+        for (let i = 0; i < particleCount; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            positions[i * 3] = Math.cos(angle) * radius;
+            positions[i * 3 + 1] = Math.random() * FIELD_HEIGHT;
+            positions[i * 3 + 2] = Math.sin(angle) * radius;
+        }
+
+        particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const particleMaterial = new THREE.PointsMaterial({
+            color: this.baseColor,
+            size: 0.12,
+            transparent: true,
+            opacity: 0.8,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        this.particles = new THREE.Points(particles, particleMaterial);
+        this.add(this.particles);
+    }
+
+    /**
+     * Capture radius in world units, including the editor scale
+     * @returns {number}
+     */
+    getRadius() {
+        return this.zoneData ? this.zoneData.radius * this.scale.x : 0;
+    }
+
+    /**
+     * Show whether the zone is scoring and who holds it
+     * @param {boolean} isActive - Whether this is the zone that scores right now
+     * @param {string|null} color - CSS color of the holder, null for nobody
+     */
+    setStatus(isActive, color) {
+        if (!this.zoneData) return;
+
+        this.isActive = isActive;
+        this.setColor(color ? new THREE.Color(color) : this.baseColor);
+
+        // Inactive zones stay visible but faded, so players know where the next one is
+        this.frame.material.opacity = isActive ? 0.8 : 0.25;
+        this.frame.material.emissiveIntensity = isActive ? 0.6 : 0.1;
+        this.floor.visible = isActive;
+        this.particles.visible = isActive;
+    }
+
+    /**
+     * Set the zone color
+     * @param {THREE.Color} color - The new color
+     */
+    setColor(color) {
+        this.frame.material.color.copy(color);
+        this.frame.material.emissive.copy(color);
+        this.field.material.color.copy(color).multiplyScalar(1.5);
+        this.floor.material.color.copy(color);
+        this.particles.material.color.copy(color);
+    }
+
+    /**
+     * Update the zone animation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.zoneData) return;
+
+        // Drift the particles upward, wrapping at the top of the wall
+        if (this.particles && this.particles.visible) {
+            const positions = this.particles.geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                let y = positions.getY(i) + deltaTime * 0.8;
+                if (y > FIELD_HEIGHT) {
+                    y = 0;
+                }
+                positions.setY(i, y);
+            }
+            positions.needsUpdate = true;
+            this.particles.rotation.y += deltaTime * 0.1;
+        }
+
+        // Pulse the energy wall
+        if (this.field) {
+            const pulse = this.isActive ? 0.2 + Math.sin(Date.now() * 0.003) * 0.08 : 0.05;
+            this.field.material.opacity = pulse;
+        }
+    }
+
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        [this.frame, this.field, this.floor, this.particles].forEach(mesh => {
+            if (mesh) {
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            }
+        });
+    }
+}
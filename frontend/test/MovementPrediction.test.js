@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MovementPrediction } from '../src/character/MovementPrediction.js';
+
+function input(forward, right = 0) {
+  return { forward, right, jump: false, yaw: 0.5, moveSpeed: 0.14, jumpForce: 0.25 };
+}
+
+describe('MovementPrediction', () => {
+  let prediction;
+
+  beforeEach(() => {
+    prediction = new MovementPrediction();
+  });
+
+  it('sends the frames moved in since the last update once', () => {
+    prediction.record(input(1), 0);
+    prediction.record(input(0), 10);
+    prediction.record(input(0, -1), 20);
+
+    expect(prediction.takeUnsent()).toEqual([
+      { forward: 1, right: 0, yaw: 0.5 },
+      { forward: 0, right: -1, yaw: 0.5 }
+    ]);
+    expect(prediction.takeUnsent()).toEqual([]);
+  });
+
+  it('replays the inputs after the last accepted one', () => {
+    [1, 2, 3, 4].forEach(time => prediction.record(input(1), time));
+
+    expect(prediction.acknowledge(2, 4).map(entry => entry.seq)).toEqual([3, 4]);
+  });
+
+  it('skips corrections of updates sent before the last reconcile', () => {
+    [1, 2, 3].forEach(time => prediction.record(input(1), time));
+    prediction.acknowledge(1, 2);
+    prediction.record(input(1), 4);
+
+    expect(prediction.acknowledge(1, 3)).toBeNull();
+    expect(prediction.acknowledge(1, 4).map(entry => entry.seq)).toEqual([2, 3, 4]);
+  });
+
+  it('forgets inputs older than a second', () => {
+    prediction.record(input(1), 0);
+    prediction.record(input(1), 1500);
+
+    expect(prediction.acknowledge(0, 2).map(entry => entry.seq)).toEqual([2]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SnapshotBuffer } from '../src/network/SnapshotBuffer.js';
+
+function at(x, rotationY = 0) {
+  return { x, y: 2, z: 0, rotationY };
+}
+
+describe('SnapshotBuffer', () => {
+  let buffer;
+
+  beforeEach(() => {
+    buffer = new SnapshotBuffer({ delay: 100, maxExtrapolation: 100, teleportDistance: 10 });
+  });
+
+  it('has nothing to draw before the first snapshot', () => {
+    expect(buffer.sample(0)).toBeNull();
+  });
+
+  it('draws the player between the snapshots around the render delay', () => {
+    buffer.push(at(0), 0);
+    buffer.push(at(4), 100);
+
+    expect(buffer.sample(150).x).toBeCloseTo(2);
+    expect(buffer.sample(50).x).toBe(0);
+  });
+
+  it('keeps a late player moving for a while, then settles on the last snapshot', () => {
+    buffer.push(at(0), 0);
+    buffer.push(at(1), 100);
+
+    expect(buffer.sample(250).x).toBeCloseTo(1.5);
+    expect(buffer.sample(350).x).toBeCloseTo(1.5);
+    expect(buffer.sample(400).x).toBe(1);
+  });
+
+  it('snaps instead of sliding across a teleport', () => {
+    buffer.push(at(0), 0);
+    buffer.push(at(50), 100);
+
+    expect(buffer.sample(150).x).toBe(50);
+  });
+
+  it('starts a move after standing still from a moment ago', () => {
+    buffer.push(at(0), 0);
+    buffer.push(at(1), 1000);
+
+    expect(buffer.sample(1050).x).toBeCloseTo(0.5);
+  });
+
+  it('turns the short way round', () => {
+    buffer.push(at(0, 3), 0);
+    buffer.push(at(0, -3), 100);
+
+    const rotationY = buffer.sample(150).rotationY;
+    expect(Math.abs(rotationY)).toBeGreaterThan(3);
+  });
+
+  it('ignores invalid settings', () => {
+    buffer.configure({ delay: -5, maxExtrapolation: 50 });
+
+    expect(buffer.settings.delay).toBe(100);
+    expect(buffer.settings.maxExtrapolation).toBe(50);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import * as client from '../src/utils/WorldDataUtils.js';
+import * as server from '../../multiplayer-server/src/rooms/worldData.ts';
+
+// The server syncs spawner and zone state under these keys, both sides have to agree
+const entries = [
+  [{ instanceIndex: 3 }, 0],
+  [{ instanceIndex: 0 }, 5],
+  [{}, 2],
+  [{ instanceIndex: undefined }, 7]
+];
+
+describe('world data keys', () => {
+  it('match the server spawner keys', () => {
+    entries.forEach(([data, index]) => {
+      expect(client.getSpawnerKey(data, index)).toBe(server.getSpawnerKey(data, index));
+    });
+    expect(client.getSpawnerKey({}, 2)).toBe('spawner-2');
+  });
+
+  it('match the server zone keys', () => {
+    entries.forEach(([data, index]) => {
+      expect(client.getZoneKey(data, index)).toBe(server.getZoneKey(data, index));
+    });
+    expect(client.getZoneKey({ instanceIndex: 4 }, 1)).toBe('4');
+  });
+});
@@ -7,6 +7,13 @@ import cors from "cors";
  * Import your Room files
  */
 import { LobbyRoom } from "./rooms/LobbyRoom";
+import { listLobbyRooms } from "./rooms/roomListing";
+import { getProfileStore } from "./rooms/ProfileStore";
+import { loadWorldData } from "./rooms/worldData";
+import { NavGrid, loadNavGrid } from "./rooms/navGrid";
+
+// Loaded before the server listens, the debug route serves it as is
+let navGrid: NavGrid | null = null;
 
 export default config({
 
@@ -14,7 +21,24 @@ export default config({
         /**
          * Define your room handlers:
          */
-        gameServer.define('lobby', LobbyRoom);
+        gameServer.define('lobby', LobbyRoom, {
+            // "team" for team deathmatch, "ctf" for capture the cake, "koth" for king of the hill,
+            // anything else is free-for-all
+            mode: process.env.GAME_MODE,
+            friendlyFire: process.env.FRIENDLY_FIRE === "true",
+            // King of the hill is played in teams unless KOTH_TEAMS is "false"
+            kothTeams: process.env.KOTH_TEAMS !== "false",
+            // Seconds a dropped player keeps their seat (defaults to 20)
+            reconnectionTime: process.env.RECONNECTION_TIME ? Number(process.env.RECONNECTION_TIME) : undefined,
+            // Map name shown in the room browser, defaults to the world.json name
+            mapName: process.env.MAP_NAME,
+            // Bots fill each room up to BOT_FILL players (none by default) and leave as humans join
+            botFill: process.env.BOT_FILL ? Number(process.env.BOT_FILL) : undefined,
+            // "easy", "normal" or "hard"
+            botDifficulty: process.env.BOT_DIFFICULTY
+        })
+        // Matchmaking fills the fullest room that still has a seat
+        .sortBy({ clients: -1 });
 
     },
 
@@ -37,6 +61,51 @@ export default config({
             res.send("It's time to kick ass and chew bubblegum!");
         });
 
+        /**
+         * Public rooms for the room browser
+         */
+        app.get("/rooms", async (req, res) => {
+            try {
+                res.json(await listLobbyRooms());
+            } catch (error) {
+                console.error("Could not list rooms:", error);
+                res.status(500).json({ error: "Could not list rooms" });
+            }
+        });
+
+        /**
+         * Lifetime stats of a player, for the in-game profile card
+         */
+        app.get("/stats/:profileId", (req, res) => {
+            const stats = getProfileStore().getStats(req.params.profileId);
+            if (!stats) {
+                res.status(404).json({ error: "No stats for this player yet" });
+                return;
+            }
+            res.json(stats);
+        });
+
+        /**
+         * Walkable grid bots path on, for the debug overlay
+         * (Only outside production, like the playground)
+         */
+        if (process.env.NODE_ENV !== "production") {
+            app.get("/navgrid", (req, res) => {
+                if (!navGrid) {
+                    res.status(404).json({ error: "No nav grid for this map" });
+                    return;
+                }
+                res.json(navGrid.toJSON());
+            });
+        }
+
+        /**
+         * Empty response the room browser times to show the ping
+         */
+        app.get("/ping", (req, res) => {
+            res.sendStatus(204);
+        });
+
         /**
          * Use @colyseus/playground
          * (It is not recommended to expose this route in a production environment)
@@ -58,5 +127,7 @@ export default config({
         /**
          * Before before gameServer.listen() is called.
          */
+        // Build the nav grid now if the saved one is missing or out of date, rather than in the first room
+        navGrid = loadNavGrid(loadWorldData());
     }
 });
@@ -0,0 +1,23 @@
+/**
+ * Build the nav grid bots path on from world.json and save it, run after
+ * editing the map with `npm run navgrid`. The server builds it on start when
+ * the saved grid is missing or was built for another version of the map.
+ */
+import { loadWorldData } from "./rooms/worldData";
+import { buildNavGrid, saveNavGrid, getNavGridPath } from "./rooms/navGrid";
+
+const grid = buildNavGrid(loadWorldData());
+if (!grid) {
+  console.error("The map has nothing in it to build a nav grid from");
+  process.exit(1);
+}
+if (grid.missingModels.length > 0) {
+  console.error(`Could not read the models of ${grid.missingModels.join(", ")}, set ASSETS_PATH to the frontend's assets`);
+  process.exit(1);
+}
+
+saveNavGrid(grid);
+
+const { width, depth, rows } = grid.data;
+const walkable = rows.reduce((count, row) => count + row.split("").filter(cell => cell === ".").length, 0);
+console.log(`Saved a ${width}x${depth} nav grid to ${getNavGridPath()}, ${walkable} of ${width * depth} cells walkable`);
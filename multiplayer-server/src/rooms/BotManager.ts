@@ -0,0 +1,446 @@
+import { MapSchema } from "@colyseus/schema";
+import { Player, SpawnerState } from "./schema/LobbyState";
+import { WorldBounds } from "./worldData";
+import { NavGrid, NavPoint } from "./navGrid";
+import { ClaimResult } from "./SpawnerManager";
+import { PROJECTILE_DEFAULTS, PLAYER_EYE_HEIGHT, PLAYER_HEIGHT } from "./projectilePhysics";
+
+export type BotDifficulty = "easy" | "normal" | "hard";
+
+export interface BotSettings {
+  // Radians a throw can be off by, either way
+  aimError: number;
+  // Milliseconds between throws
+  throwInterval: number;
+  // Bots go after players closer than this
+  attackRange: number;
+  // Fraction of a player's walking speed
+  speedFactor: number;
+}
+
+export const BOT_DIFFICULTIES: { [difficulty in BotDifficulty]: BotSettings } = {
+  easy: { aimError: 0.15, throwInterval: 2500, attackRange: 20, speedFactor: 0.6 },
+  normal: { aimError: 0.07, throwInterval: 1500, attackRange: 30, speedFactor: 0.8 },
+  hard: { aimError: 0.03, throwInterval: 900, attackRange: 40, speedFactor: 1 }
+};
+
+export const DEFAULT_BOT_DIFFICULTY: BotDifficulty = "normal";
+
+// Walking speed of a player in units per second (0.14 per frame at 60fps)
+const WALK_SPEED = 0.14 * 60;
+
+// Bots keep about this far from the player they fight, and strafe around them
+const FIGHT_DISTANCE = 12;
+const STRAFE_TIME = 1500;
+
+// Close enough to a waypoint to count as there
+const ARRIVAL_RADIUS = 1.5;
+
+// Close enough to pick up from a spawner (the server allows 5), spawners on
+// tables can't be walked right up to
+const PICKUP_RADIUS = 3;
+
+// A path is planned again once where the bot heads has moved this far from its end
+const REPATH_DISTANCE = 2;
+
+// Close enough to a point of the path to head for the next one
+const PATH_POINT_RADIUS = 0.3;
+
+// Thrown from in front of the bot like a player's throw, aimed at the chest
+const THROW_OFFSET = 1.5;
+const CHEST_HEIGHT = 0.5;
+
+// Thrown when the map has no spawners to pick items up from
+const DEFAULT_BOT_ITEM = "tomato";
+
+// Wander area when the map has no bounds
+const DEFAULT_BOUNDS: WorldBounds = { minX: -30, maxX: 30, minY: 0, maxY: 30, minZ: -30, maxZ: 30 };
+
+// The client has five characters, character-1 to character-5
+const CHARACTER_MODELS = 5;
+
+const BOT_NAMES = ["Bot Bagel", "Bot Noodle", "Bot Pickle", "Bot Waffle", "Bot Taco", "Bot Dumpling", "Bot Pretzel", "Bot Muffin"];
+
+export interface BotThrow {
+  itemType: string;
+  x: number;
+  y: number;
+  z: number;
+  dirX: number;
+  dirY: number;
+  dirZ: number;
+}
+
+export interface BotHooks {
+  // Put the bot's player in the room, like a joining client
+  addPlayer(player: Player): void;
+  // Take the bot's player out of the room, like a leaving client
+  removePlayer(sessionId: string): void;
+  // Where a joining bot starts, the same spots players respawn at. The bot is in the room already.
+  spawnPoint(bot: Player): { x: number; y: number; z: number };
+  // Throw like a client's projectile message
+  throwProjectile(bot: Player, data: BotThrow): void;
+  claimSpawner(bot: Player, key: string): ClaimResult;
+  canDamage(sourceId: string, target: Player): boolean;
+}
+
+interface Bot {
+  player: Player;
+  // Items picked up and not thrown yet
+  ammo: { itemId: string; quantity: number } | null;
+  waypoint: { x: number; z: number } | null;
+  // Way to the destination around obstacles, when the map has a nav grid
+  path: NavPoint[] | null;
+  pathDestination: NavPoint | null;
+  nextThrowAt: number;
+  strafe: number;
+  strafeUntil: number;
+}
+
+/**
+ * Server-driven players that fill the room while there are few humans. Bots
+ * walk the map, pick items up from the spawners and throw them at the
+ * nearest enemy. They die and respawn like everyone else, and leave one by
+ * one as humans join.
+ */
+export class BotManager {
+  private bots = new Map<string, Bot>();
+  private nextId = 1;
+  private bounds: WorldBounds;
+  settings: BotSettings;
+
+  /**
+   * @param players Players in the room
+   * @param spawners Item spawners synced to clients
+   * @param bounds Area bots walk in, null for the middle of the map
+   * @param hooks How bots act on the room
+   * @param fill Bots fill the room up to this many players, 0 for no bots
+   * @param difficulty How well bots aim, how often they throw and how fast they walk
+   * @param navGrid Where bots can walk, null to walk straight everywhere in the bounds
+   */
+  constructor(
+    private players: MapSchema<Player>,
+    private spawners: MapSchema<SpawnerState>,
+    bounds: WorldBounds | null,
+    private hooks: BotHooks,
+    public fill: number = 0,
+    difficulty: BotDifficulty = DEFAULT_BOT_DIFFICULTY,
+    private navGrid: NavGrid | null = null
+  ) {
+    this.bounds = bounds || DEFAULT_BOUNDS;
+    this.settings = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES[DEFAULT_BOT_DIFFICULTY];
+  }
+
+  get count(): number {
+    return this.bots.size;
+  }
+
+  /**
+   * Add or remove bots so humans and bots add up to the fill, called when a human joins or leaves
+   * @param humans Number of human players in the room
+   */
+  balance(humans: number) {
+    const wanted = humans > 0 ? Math.max(0, this.fill - humans) : 0;
+
+    while (this.bots.size < wanted) {
+      this.addBot();
+    }
+    while (this.bots.size > wanted) {
+      this.removeBot(this.pickBotToRemove());
+    }
+  }
+
+  private addBot() {
+    const player = new Player();
+    player.id = `bot-${this.nextId++}`;
+    player.name = this.pickName();
+    player.characterModel = `character-${1 + Math.floor(Math.random() * CHARACTER_MODELS)}`;
+    player.isBot = true;
+
+    this.bots.set(player.id, {
+      player,
+      ammo: null,
+      waypoint: null,
+      path: null,
+      pathDestination: null,
+      nextThrowAt: 0,
+      strafe: 1,
+      strafeUntil: 0
+    });
+    this.hooks.addPlayer(player);
+
+    // Spawned once its team is known, away from the other team
+    const spawn = this.hooks.spawnPoint(player);
+    player.x = spawn.x;
+    player.y = spawn.y;
+    player.z = spawn.z;
+    console.log(`Bot ${player.name} (${player.id}) joined`);
+  }
+
+  private removeBot(sessionId: string) {
+    const bot = this.bots.get(sessionId);
+    if (!bot) return;
+
+    this.bots.delete(sessionId);
+    this.hooks.removePlayer(sessionId);
+    console.log(`Bot ${bot.player.name} (${sessionId}) left`);
+  }
+
+  /**
+   * The bot to make room for a human: one from the biggest team so teams stay even,
+   * the newest one otherwise
+   */
+  private pickBotToRemove(): string {
+    const teamSizes = new Map<string, number>();
+    this.players.forEach(player => {
+      teamSizes.set(player.team, (teamSizes.get(player.team) || 0) + 1);
+    });
+
+    let chosen: Bot = null;
+    this.bots.forEach(bot => {
+      if (!chosen || teamSizes.get(bot.player.team) >= teamSizes.get(chosen.player.team)) {
+        chosen = bot;
+      }
+    });
+    return chosen.player.id;
+  }
+
+  private pickName(): string {
+    const taken = new Set<string>();
+    this.bots.forEach(bot => taken.add(bot.player.name));
+    const free = BOT_NAMES.filter(name => !taken.has(name));
+    return free.length > 0 ? free[Math.floor(Math.random() * free.length)] : `Bot ${this.nextId}`;
+  }
+
+  /**
+   * Move, pick up and throw for every bot
+   * @param deltaTime Milliseconds since the last update
+   * @param now Current server time
+   */
+  update(deltaTime: number, now: number = Date.now()) {
+    this.bots.forEach(bot => {
+      const player = bot.player;
+
+      // Dead bots wait for respawnPlayer to bring them back
+      if (player.health <= 0) {
+        player.state = "death";
+        return;
+      }
+
+      const target = this.findTarget(player);
+      let destination: { x: number; z: number } = null;
+
+      if (!bot.ammo) {
+        destination = this.collectItem(bot);
+      } else if (target) {
+        destination = this.fightPosition(bot, target, now);
+        player.rotationY = Math.atan2(-(target.x - player.x), -(target.z - player.z));
+        if (now >= bot.nextThrowAt) {
+          this.throwAt(bot, target);
+          bot.nextThrowAt = now + this.settings.throwInterval * (0.75 + Math.random() * 0.5);
+        }
+      }
+
+      // Nothing to do, walk around the map
+      if (!destination) {
+        if (!bot.waypoint || this.distance2d(player, bot.waypoint) <= ARRIVAL_RADIUS) {
+          bot.waypoint = this.randomPoint(player);
+        }
+        destination = bot.waypoint;
+      }
+
+      const moved = this.moveToward(player, this.nextPathPoint(bot, destination), deltaTime, !target || !bot.ammo);
+      player.state = moved ? "walking" : "idle";
+    });
+  }
+
+  /**
+   * @returns The nearest living enemy in attack range, or null
+   */
+  private findTarget(bot: Player): Player | null {
+    let nearest: Player = null;
+    let nearestDistance = this.settings.attackRange;
+
+    this.players.forEach(player => {
+      if (player.id === bot.id || player.health <= 0 || !player.connected) return;
+      if (!this.hooks.canDamage(bot.id, player)) return;
+
+      const distance = this.distance2d(bot, player);
+      if (distance < nearestDistance) {
+        nearest = player;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Head to the nearest spawner with an item and pick it up once there
+   * @returns Where to walk, null if there is nothing to pick up right now
+   */
+  private collectItem(bot: Bot): { x: number; z: number } | null {
+    // Maps without spawners would leave bots unarmed
+    if (this.spawners.size === 0) {
+      bot.ammo = { itemId: DEFAULT_BOT_ITEM, quantity: 5 };
+      bot.player.equippedItem = DEFAULT_BOT_ITEM;
+      return null;
+    }
+
+    let nearest: SpawnerState = null;
+    this.spawners.forEach(spawner => {
+      if (!spawner.available) return;
+      // The nav grid only covers the ground floor
+      if (this.navGrid && (spawner.y - (bot.player.y - PLAYER_EYE_HEIGHT) > PLAYER_HEIGHT || !this.navGrid.isReachable(bot.player, spawner))) return;
+      if (!nearest || this.distance2d(bot.player, spawner) < this.distance2d(bot.player, nearest)) {
+        nearest = spawner;
+      }
+    });
+    if (!nearest) return null;
+
+    if (this.distance2d(bot.player, nearest) <= PICKUP_RADIUS) {
+      const result = this.hooks.claimSpawner(bot.player, nearest.id);
+      if (result.accepted === true) {
+        bot.ammo = { itemId: result.itemId, quantity: result.quantity };
+        bot.player.equippedItem = result.itemId;
+      }
+      return null;
+    }
+    return { x: nearest.x, z: nearest.z };
+  }
+
+  /**
+   * Close in on the target or back off to the fight distance, strafing sideways
+   */
+  private fightPosition(bot: Bot, target: Player, now: number): { x: number; z: number } {
+    if (now >= bot.strafeUntil) {
+      bot.strafe = Math.random() < 0.5 ? -1 : 1;
+      bot.strafeUntil = now + STRAFE_TIME * (0.5 + Math.random());
+    }
+
+    const dx = bot.player.x - target.x;
+    const dz = bot.player.z - target.z;
+    const distance = Math.hypot(dx, dz) || 1;
+
+    // A point on the circle around the target, a little to the side
+    const angle = Math.atan2(dz, dx) + bot.strafe * 0.5;
+    return {
+      x: target.x + Math.cos(angle) * Math.min(distance, FIGHT_DISTANCE),
+      z: target.z + Math.sin(angle) * Math.min(distance, FIGHT_DISTANCE)
+    };
+  }
+
+  /**
+   * Throw one item at the target, aimed to land on its chest and then thrown off a little
+   */
+  private throwAt(bot: Bot, target: Player) {
+    const player = bot.player;
+    const dx = target.x - player.x;
+    const dz = target.z - player.z;
+    const horizontal = Math.hypot(dx, dz);
+    if (horizontal === 0) return;
+
+    const x = player.x + dx / horizontal * THROW_OFFSET;
+    const z = player.z + dz / horizontal * THROW_OFFSET;
+    const y = player.y;
+    const distance = horizontal - THROW_OFFSET;
+    const rise = target.y - CHEST_HEIGHT - y;
+
+    // The projectile climbs by arcHeight and drops by gravity every frame. Solve
+    // for the upward slope that lands it at the target's height, the slope
+    // changes the horizontal speed so go over it twice.
+    const { speed, gravity, arcHeight } = PROJECTILE_DEFAULTS;
+    let slope = 0;
+    for (let i = 0; i < 2; i++) {
+      const frames = Math.max(distance / (speed / Math.hypot(1, slope)), 1);
+      const verticalSpeed = (rise + gravity * frames * (frames - 1) / 2) / frames - arcHeight;
+      slope = verticalSpeed / (speed / Math.hypot(1, slope));
+    }
+
+    const yaw = Math.atan2(dz, dx) + (Math.random() * 2 - 1) * this.settings.aimError;
+    const pitch = Math.atan(slope) + (Math.random() * 2 - 1) * this.settings.aimError / 2;
+
+    this.hooks.throwProjectile(player, {
+      itemType: bot.ammo.itemId,
+      x,
+      y,
+      z,
+      dirX: Math.cos(pitch) * Math.cos(yaw),
+      dirY: Math.sin(pitch),
+      dirZ: Math.cos(pitch) * Math.sin(yaw)
+    });
+
+    bot.ammo.quantity -= 1;
+    if (bot.ammo.quantity <= 0) {
+      bot.ammo = null;
+      player.equippedItem = null;
+    }
+  }
+
+  /**
+   * Walk toward a point at the bot's speed, staying in the map
+   * @param faceDirection Turn to face where the bot walks
+   * @returns True if the bot moved
+   */
+  private moveToward(player: Player, destination: { x: number; z: number }, deltaTime: number, faceDirection: boolean): boolean {
+    const dx = destination.x - player.x;
+    const dz = destination.z - player.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance < 0.01) return false;
+
+    const step = Math.min(distance, WALK_SPEED * this.settings.speedFactor * deltaTime / 1000);
+    player.x = clamp(player.x + dx / distance * step, this.bounds.minX, this.bounds.maxX);
+    player.z = clamp(player.z + dz / distance * step, this.bounds.minZ, this.bounds.maxZ);
+    if (faceDirection) {
+      player.rotationY = Math.atan2(-dx, -dz);
+    }
+    return true;
+  }
+
+  /**
+   * Where to walk now to get to the destination: straight there without a nav
+   * grid, else the next point of a path around the obstacles
+   * @returns The point to walk toward, the bot's own position if there is no way there
+   */
+  private nextPathPoint(bot: Bot, destination: { x: number; z: number }): { x: number; z: number } {
+    if (!this.navGrid) return destination;
+
+    const player = bot.player;
+    // Plan again when the destination moved, or when the bot did (respawned or a new round)
+    const stale = !bot.pathDestination || this.distance2d(bot.pathDestination, destination) > REPATH_DISTANCE ||
+      (bot.path?.length > 0 && !this.navGrid.hasLineOfSight(player, bot.path[0]));
+    if (stale) {
+      bot.path = this.navGrid.findPath(player, destination);
+      bot.pathDestination = { x: destination.x, z: destination.z };
+    }
+    while (bot.path && bot.path.length > 1 && this.distance2d(player, bot.path[0]) <= PATH_POINT_RADIUS) {
+      bot.path.shift();
+    }
+    if (!bot.path || bot.path.length === 0) {
+      // Can't get there, find something else to do
+      bot.waypoint = null;
+      return player;
+    }
+    return bot.path[0];
+  }
+
+  /**
+   * @param near Pick a point the bot can walk to from here
+   */
+  private randomPoint(near?: { x: number; z: number }): { x: number; z: number } {
+    const point = this.navGrid?.randomPoint(near);
+    if (point) return point;
+
+    return {
+      x: this.bounds.minX + Math.random() * (this.bounds.maxX - this.bounds.minX),
+      z: this.bounds.minZ + Math.random() * (this.bounds.maxZ - this.bounds.minZ)
+    };
+  }
+
+  private distance2d(a: { x: number; z: number }, b: { x: number; z: number }): number {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+  }
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
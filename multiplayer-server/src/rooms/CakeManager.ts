@@ -0,0 +1,208 @@
+import { MapSchema } from "@colyseus/schema";
+import { CakeState, Player } from "./schema/LobbyState";
+import { TEAMS } from "./TeamManager";
+import { Vector3Data, WorldCakeBaseData } from "./worldData";
+import { PLAYER_EYE_HEIGHT, PLAYER_HEIGHT } from "./projectilePhysics";
+
+// Pedestal positions for a team whose cake base the map never placed, they
+// only fit the lobby map, other maps place theirs in the editor
+const DEFAULT_CAKE_BASES: { [teamId: string]: Vector3Data } = {
+  red: { x: -20, y: 0, z: -8 },
+  blue: { x: 20, y: 0, z: -8 }
+};
+
+// Captures needed to win a round unless the room sets its own score limit
+export const CAKE_SCORE_LIMIT = 3;
+
+// Carrier speed while holding the enemy cake, same as the client's objectives.cake.carrierSlowMultiplier
+export const CARRIER_SLOW_MULTIPLIER = 0.6;
+
+// Horizontal distance from a player to a cake to pick it up or return it
+const PICKUP_RANGE = 2.5;
+
+// Horizontal distance from the carrier to their own pedestal to score
+const CAPTURE_RANGE = 3;
+
+// A dropped cake nobody touches goes back to its pedestal after this long
+const RETURN_TIME = 30000;
+
+export type CakeEventType = "taken" | "dropped" | "returned" | "captured";
+
+export interface CakeEvent {
+  type: CakeEventType;
+  // Team id of the cake
+  cakeId: string;
+  // Player who took, dropped, returned or captured the cake (none for an automatic return)
+  playerId: string;
+  x: number;
+  y: number;
+  z: number;
+}
+
+/**
+ * Capture-the-cake objective state. Each team has a cake on a pedestal;
+ * carrying the enemy cake to your own pedestal while yours is home scores.
+ */
+export class CakeManager {
+  // When each dropped cake hit the ground, by cake id
+  private droppedAt = new Map<string, number>();
+
+  /**
+   * @param cakes The synced cakes, filled with one cake per team
+   * @param players The room's players
+   * @param basesData The cakeBases array from world.json
+   */
+  constructor(private cakes: MapSchema<CakeState>, private players: MapSchema<Player>, basesData: WorldCakeBaseData[] = []) {
+    TEAMS.forEach(team => {
+      const baseData = basesData.find(data => data && data.team === team.id && data.position);
+      if (!baseData) {
+        console.log(`No cake base for team ${team.id} in world data, using the default one`);
+      }
+      const base = baseData ? baseData.position : DEFAULT_CAKE_BASES[team.id];
+      const cake = new CakeState();
+      cake.id = team.id;
+      cake.team = team.id;
+      cake.baseX = base.x;
+      cake.baseY = base.y;
+      cake.baseZ = base.z;
+      this.cakes.set(cake.id, cake);
+      this.returnHome(cake);
+    });
+  }
+
+  /**
+   * Move carried cakes with their carriers and check pickups, returns and captures
+   * @param now Current server time
+   * @returns What happened to the cakes during this update
+   */
+  update(now: number = Date.now()): CakeEvent[] {
+    const events: CakeEvent[] = [];
+    const players = Array.from(this.players.values());
+
+    this.cakes.forEach(cake => {
+      if (cake.status === "carried") {
+        const carrier = this.players.get(cake.carrierId);
+        if (!carrier || carrier.health <= 0) {
+          events.push(this.drop(cake, now));
+          return;
+        }
+
+        cake.x = carrier.x;
+        cake.y = carrier.y - PLAYER_EYE_HEIGHT;
+        cake.z = carrier.z;
+
+        // Scoring needs your own cake safe at home
+        const ownCake = this.cakes.get(carrier.team);
+        if (ownCake && ownCake.status === "home" && this.horizontalDistance(carrier, ownCake.baseX, ownCake.baseZ) <= CAPTURE_RANGE) {
+          events.push(this.event("captured", cake, carrier.id));
+          this.returnHome(cake);
+        }
+        return;
+      }
+
+      if (cake.status === "dropped" && this.droppedAt.has(cake.id) && now - this.droppedAt.get(cake.id) >= RETURN_TIME) {
+        this.returnHome(cake);
+        events.push(this.event("returned", cake, null));
+        return;
+      }
+
+      const toucher = players.find(player => this.canTouch(player, cake));
+      if (!toucher) return;
+
+      if (toucher.team === cake.team) {
+        // Touching your own dropped cake sends it home
+        if (cake.status === "dropped") {
+          this.returnHome(cake);
+          events.push(this.event("returned", cake, toucher.id));
+        }
+      } else if (!this.getCarriedCake(toucher.id)) {
+        cake.status = "carried";
+        cake.carrierId = toucher.id;
+        this.droppedAt.delete(cake.id);
+        events.push(this.event("taken", cake, toucher.id));
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Drop the cake a player is carrying where they stand (on death or leave)
+   * @param playerId Session id of the player
+   * @param now Current server time
+   * @returns The drop event, or null if the player wasn't carrying a cake
+   */
+  dropCarried(playerId: string, now: number = Date.now()): CakeEvent | null {
+    const cake = this.getCarriedCake(playerId);
+    if (!cake) return null;
+
+    const carrier = this.players.get(playerId);
+    if (carrier) {
+      cake.x = carrier.x;
+      cake.y = Math.max(0, carrier.y - PLAYER_EYE_HEIGHT);
+      cake.z = carrier.z;
+    }
+
+    return this.drop(cake, now);
+  }
+
+  /**
+   * The cake a player is carrying, if any
+   * @param playerId Session id of the player
+   */
+  getCarriedCake(playerId: string): CakeState | null {
+    let carried: CakeState = null;
+    this.cakes.forEach(cake => {
+      if (cake.status === "carried" && cake.carrierId === playerId) {
+        carried = cake;
+      }
+    });
+    return carried;
+  }
+
+  /**
+   * Put every cake back on its pedestal for a new round
+   */
+  reset() {
+    this.cakes.forEach(cake => this.returnHome(cake));
+  }
+
+  private drop(cake: CakeState, now: number): CakeEvent {
+    const event = this.event("dropped", cake, cake.carrierId);
+
+    cake.status = "dropped";
+    cake.carrierId = null;
+    this.droppedAt.set(cake.id, now);
+
+    return event;
+  }
+
+  private returnHome(cake: CakeState) {
+    cake.status = "home";
+    cake.carrierId = null;
+    cake.x = cake.baseX;
+    cake.y = cake.baseY;
+    cake.z = cake.baseZ;
+    this.droppedAt.delete(cake.id);
+  }
+
+  /**
+   * Whether a living team player is close enough to a cake lying at home or on the ground
+   */
+  private canTouch(player: Player, cake: CakeState): boolean {
+    if (player.health <= 0 || !player.team || !player.connected) return false;
+
+    const feetY = player.y - PLAYER_EYE_HEIGHT;
+    if (Math.abs(feetY - cake.y) > PLAYER_HEIGHT) return false;
+
+    return this.horizontalDistance(player, cake.x, cake.z) <= PICKUP_RANGE;
+  }
+
+  private horizontalDistance(player: Player, x: number, z: number): number {
+    return Math.hypot(player.x - x, player.z - z);
+  }
+
+  private event(type: CakeEventType, cake: CakeState, playerId: string): CakeEvent {
+    return { type, cakeId: cake.id, playerId, x: cake.x, y: cake.y, z: cake.z };
+  }
+}
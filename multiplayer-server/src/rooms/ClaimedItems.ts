@@ -0,0 +1,47 @@
+/**
+ * Items each player picked up from the spawners, as far as the server has
+ * seen. Eating an item only counts while the player has one of it left.
+ */
+export class ClaimedItems {
+  // Item counts by session id, then by item id
+  private items = new Map<string, Map<string, number>>();
+
+  /**
+   * @param sessionId Session id of the player
+   * @param itemId The item the spawner handed out
+   * @param quantity How many of it
+   */
+  add(sessionId: string, itemId: string, quantity: number) {
+    if (!itemId || !(quantity > 0)) return;
+
+    const counts = this.items.get(sessionId) || new Map<string, number>();
+    counts.set(itemId, (counts.get(itemId) || 0) + quantity);
+    this.items.set(sessionId, counts);
+  }
+
+  /**
+   * Take one of an item, when it is eaten or thrown
+   * @param sessionId Session id of the player
+   * @param itemId The item used
+   * @returns Whether the player had one
+   */
+  use(sessionId: string, itemId: string): boolean {
+    const counts = this.items.get(sessionId);
+    const count = counts ? counts.get(itemId) || 0 : 0;
+    if (count <= 0) return false;
+
+    if (count === 1) {
+      counts.delete(itemId);
+    } else {
+      counts.set(itemId, count - 1);
+    }
+    return true;
+  }
+
+  /**
+   * @param sessionId Session id of the player that left
+   */
+  removePlayer(sessionId: string) {
+    this.items.delete(sessionId);
+  }
+}
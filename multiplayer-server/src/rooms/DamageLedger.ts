@@ -0,0 +1,75 @@
+// Milliseconds a hit still counts towards an assist after it lands
+export const ASSIST_WINDOW = 10000;
+
+interface DamageEntry {
+  sourceId: string;
+  damage: number;
+  time: number;
+}
+
+/**
+ * Recent damage each player took, so everyone who helped with a kill
+ * gets an assist and not only the player who landed the final hit
+ */
+export class DamageLedger {
+  private entries = new Map<string, DamageEntry[]>();
+
+  constructor(private assistWindow: number = ASSIST_WINDOW) {}
+
+  /**
+   * @param victimId Session id of the player that was hit
+   * @param sourceId Session id of the thrower
+   * @param damage Damage dealt
+   * @param now Current server time
+   */
+  recordDamage(victimId: string, sourceId: string, damage: number, now: number = Date.now()) {
+    if (!sourceId || sourceId === victimId) return;
+
+    const entries = this.entries.get(victimId) || [];
+    entries.push({ sourceId, damage, time: now });
+    this.entries.set(victimId, entries.filter(entry => now - entry.time <= this.assistWindow));
+  }
+
+  /**
+   * Settle a death: the players besides the killer who damaged the victim recently,
+   * with their share of that damage. The victim's ledger starts over.
+   * @param victimId Session id of the player that died
+   * @param killerId Session id of the player that landed the final hit
+   * @param now Current server time
+   * @returns Assisting players, by session id, with the share of the recent damage they dealt (0 to 1)
+   */
+  settleDeath(victimId: string, killerId: string, now: number = Date.now()): Map<string, number> {
+    const entries = (this.entries.get(victimId) || []).filter(entry => now - entry.time <= this.assistWindow);
+    this.entries.delete(victimId);
+
+    const damageBySource = new Map<string, number>();
+    let totalDamage = 0;
+    entries.forEach(entry => {
+      damageBySource.set(entry.sourceId, (damageBySource.get(entry.sourceId) || 0) + entry.damage);
+      totalDamage += entry.damage;
+    });
+
+    const assists = new Map<string, number>();
+    damageBySource.forEach((damage, sourceId) => {
+      if (sourceId !== killerId && totalDamage > 0) {
+        assists.set(sourceId, damage / totalDamage);
+      }
+    });
+    return assists;
+  }
+
+  /**
+   * Forget a player, as a victim and as a source of damage
+   * @param sessionId Session id of the player
+   */
+  removePlayer(sessionId: string) {
+    this.entries.delete(sessionId);
+    this.entries.forEach((entries, victimId) => {
+      this.entries.set(victimId, entries.filter(entry => entry.sourceId !== sessionId));
+    });
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,87 @@
+import { Player } from "./schema/LobbyState";
+import { getItem } from "./items";
+import { PROJECTILE_DEFAULTS, PlayerPosition } from "./projectilePhysics";
+
+// Extra distance allowed between the thrower and the projectile's start to
+// absorb the position update interval and network latency (players move ~8 units/s)
+const ORIGIN_TOLERANCE = 4;
+
+// Projectiles spawn 2 units in front of the thrower's camera
+const MAX_ORIGIN_DISTANCE = 2 + ORIGIN_TOLERANCE;
+
+export interface ThrownProjectile {
+  id: string;
+  sourceId: string;
+  itemType: string;
+  x: number;
+  y: number;
+  z: number;
+  dirX: number;
+  dirY: number;
+  dirZ: number;
+  scale: number;
+  speed: number;
+  gravity: number;
+  arcHeight: number;
+  lifetime: number;
+  thrownAt: number;
+  // Milliseconds the thrower's view was behind the server, hit checks look at players this far back
+  rewind: number;
+  // Targets already damaged by this projectile
+  hitTargets: Set<string>;
+}
+
+// Where a player was at a server time, see LagCompensation.positionAt
+export type PositionLookup = (player: Player, time: number) => PlayerPosition;
+
+/**
+ * Checks thrown projectiles before the server simulates them. Hits are only
+ * ever decided by ProjectileSimulation, clients can't report them.
+ */
+export class HitValidator {
+  /**
+   * Turn a player's projectile message into a projectile the server can simulate
+   * @param sourceId Session id of the thrower
+   * @param data The projectile message sent by the thrower
+   * @param thrower The thrower's player state, used to check where the projectile starts
+   * @param rewind Milliseconds the thrower's view was behind the server
+   * @param now Server time the message was received
+   * @returns The projectile, or null if the message is not a usable throw
+   */
+  recordProjectile(sourceId: string, data: any, thrower: Player, rewind: number = 0, now: number = Date.now()): ThrownProjectile | null {
+    const item = data && getItem(data.itemType);
+    if (!item) return null;
+
+    const position = [data.x, data.y, data.z];
+    const direction = [data.dirX, data.dirY, data.dirZ];
+    if (![...position, ...direction].every(Number.isFinite)) return null;
+
+    if (Math.hypot(data.x - thrower.x, data.y - thrower.y, data.z - thrower.z) > MAX_ORIGIN_DISTANCE) {
+      return null;
+    }
+
+    const length = Math.hypot(data.dirX, data.dirY, data.dirZ);
+    if (length === 0) return null;
+
+    return {
+      id: data.id || `${sourceId}_${now}`,
+      sourceId,
+      itemType: data.itemType,
+      x: data.x,
+      y: data.y,
+      z: data.z,
+      dirX: data.dirX / length,
+      dirY: data.dirY / length,
+      dirZ: data.dirZ / length,
+      scale: item.scale,
+      // Physics values always come from the server defaults, not the client
+      speed: PROJECTILE_DEFAULTS.speed,
+      gravity: PROJECTILE_DEFAULTS.gravity,
+      arcHeight: PROJECTILE_DEFAULTS.arcHeight,
+      lifetime: PROJECTILE_DEFAULTS.lifetime,
+      thrownAt: now,
+      rewind,
+      hitTargets: new Set()
+    };
+  }
+}
@@ -0,0 +1,150 @@
+import { MapSchema } from "@colyseus/schema";
+import { Player } from "./schema/LobbyState";
+import { PlayerPosition } from "./projectilePhysics";
+
+// Milliseconds of positions kept per player, more than the longest rewind
+const HISTORY_MS = 1000;
+
+// Longest rewind we grant, so a slow or lying client can't hit players where
+// they stood ages ago
+export const MAX_REWIND_MS = 300;
+
+// Remote players are drawn this far in the past on the client, same as
+// network.interpolation.delay in the frontend config
+const INTERPOLATION_DELAY_MS = 100;
+
+// Milliseconds between pings to each client
+export const PING_INTERVAL = 2000;
+
+// Pongs older than this are ignored, the client sat on them
+const MAX_PONG_AGE = 5000;
+
+// Weight of a new measurement in the smoothed round trip time and clock offset
+const SMOOTHING = 0.3;
+
+interface PositionSample extends PlayerPosition {
+  time: number;
+}
+
+interface LatencyEstimate {
+  // Smoothed round trip time in milliseconds
+  rtt: number;
+  // Client clock minus server clock, null until the first pong with a client time
+  clockOffset: number | null;
+}
+
+/**
+ * Rewinds players to what a thrower saw on their screen. Keeps a short history
+ * of every player's position and each client's round trip time, measured with
+ * pings, and turns a throw into how far back its hit checks should look.
+ */
+export class LagCompensation {
+  private history = new Map<string, PositionSample[]>();
+  private latency = new Map<string, LatencyEstimate>();
+
+  /**
+   * Remember where every player is, called once per simulation tick
+   * @param players All players in the room
+   * @param now Current server time
+   */
+  recordPositions(players: MapSchema<Player>, now: number = Date.now()) {
+    players.forEach((player, sessionId) => {
+      const samples = this.history.get(sessionId) || [];
+      samples.push({ time: now, x: player.x, y: player.y, z: player.z });
+      while (samples.length > 0 && now - samples[0].time > HISTORY_MS) {
+        samples.shift();
+      }
+      this.history.set(sessionId, samples);
+    });
+  }
+
+  /**
+   * Where a player was at a moment in the recent past
+   * @param player The player
+   * @param time Server time to look at
+   * @returns The position, the player's current one if the history doesn't go back that far
+   */
+  positionAt(player: Player, time: number): PlayerPosition {
+    const samples = this.history.get(player.id);
+    if (!samples || samples.length === 0 || time >= samples[samples.length - 1].time) {
+      return player;
+    }
+    if (time <= samples[0].time) return samples[0];
+
+    let index = samples.length - 1;
+    while (index > 0 && samples[index - 1].time > time) {
+      index--;
+    }
+    const from = samples[index - 1];
+    const to = samples[index];
+    const t = to.time > from.time ? (time - from.time) / (to.time - from.time) : 1;
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      z: from.z + (to.z - from.z) * t
+    };
+  }
+
+  /**
+   * Measure a client's round trip from its answer to one of our pings
+   * @param sessionId Session id of the client
+   * @param sentAt Server time the ping was sent, echoed by the client
+   * @param clientTime The client's clock when it answered, if it sent it
+   * @param now Server time the pong was received
+   */
+  recordPong(sessionId: string, sentAt: number, clientTime: number | undefined, now: number = Date.now()) {
+    const rtt = now - sentAt;
+    if (rtt < 0 || rtt > MAX_PONG_AGE) return;
+
+    const estimate = this.latency.get(sessionId);
+    const smoothedRtt = estimate ? estimate.rtt + (rtt - estimate.rtt) * SMOOTHING : rtt;
+
+    // The client answered about half a round trip after we sent the ping
+    let clockOffset = estimate ? estimate.clockOffset : null;
+    if (Number.isFinite(clientTime)) {
+      const offset = clientTime - (sentAt + rtt / 2);
+      clockOffset = clockOffset === null ? offset : clockOffset + (offset - clockOffset) * SMOOTHING;
+    }
+
+    this.latency.set(sessionId, { rtt: smoothedRtt, clockOffset });
+  }
+
+  /**
+   * @param sessionId Session id of the client
+   * @returns The smoothed round trip time in milliseconds, 0 until measured
+   */
+  getRtt(sessionId: string): number {
+    return this.latency.get(sessionId)?.rtt || 0;
+  }
+
+  /**
+   * How far back the thrower's screen was behind the server when they threw:
+   * the trip of their throw to us, the trip of our updates to them, and the
+   * delay their client renders other players at
+   * @param sessionId Session id of the thrower
+   * @param clientThrowTime The thrower's clock when they threw, if they sent it
+   * @param now Server time the throw was received
+   * @returns Milliseconds to rewind the other players by, at most MAX_REWIND_MS
+   */
+  getRewind(sessionId: string, clientThrowTime?: number, now: number = Date.now()): number {
+    const estimate = this.latency.get(sessionId);
+    if (!estimate) return Math.min(INTERPOLATION_DELAY_MS, MAX_REWIND_MS);
+
+    // The throw timestamp gives the trip up directly, half the round trip otherwise
+    let tripUp = estimate.rtt / 2;
+    if (Number.isFinite(clientThrowTime) && estimate.clockOffset !== null) {
+      tripUp = now - (clientThrowTime - estimate.clockOffset);
+    }
+
+    const rewind = Math.max(tripUp, 0) + estimate.rtt / 2 + INTERPOLATION_DELAY_MS;
+    return Math.min(rewind, MAX_REWIND_MS);
+  }
+
+  /**
+   * @param sessionId Session id of the player that left
+   */
+  removePlayer(sessionId: string) {
+    this.history.delete(sessionId);
+    this.latency.delete(sessionId);
+  }
+}
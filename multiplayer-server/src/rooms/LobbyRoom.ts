@@ -1,103 +1,279 @@
-import { Room, Client } from "@colyseus/core";
+import { Room, Client, Delayed, ServerError } from "@colyseus/core";
 import { LobbyState, Player } from "./schema/LobbyState";
+import { HitValidator } from "./HitValidator";
+import { ProjectileSimulation, ProjectileImpact } from "./ProjectileSimulation";
+import { getItem } from "./items";
+import { SpawnerManager } from "./SpawnerManager";
+import { ClaimedItems } from "./ClaimedItems";
+import { loadWorldData, getWorldBounds } from "./worldData";
+import { MatchManager, MatchResults, matchSettingsFromOptions } from "./MatchManager";
+import { TeamManager } from "./TeamManager";
+import { CakeManager, CakeEvent, CAKE_SCORE_LIMIT, CARRIER_SLOW_MULTIPLIER } from "./CakeManager";
+import { ZoneManager, ZoneAward, KOTH_SCORE_LIMIT } from "./ZoneManager";
+import { generateRoomCode } from "./roomCodes";
+import { getProfileStore, ProfileOwner } from "./ProfileStore";
+import { DamageLedger } from "./DamageLedger";
+import { MovementValidator } from "./MovementValidator";
+import { MessageGuard } from "./MessageGuard";
+import { LagCompensation, PING_INTERVAL } from "./LagCompensation";
+import { BotManager } from "./BotManager";
+import { SpawnPointManager } from "./SpawnPointManager";
+import { SpawnProtection } from "./SpawnProtection";
+import { loadNavGrid } from "./navGrid";
+
+export interface LeaderboardEntry {
+  id: string;
+  name: string;
+  score: number;
+  kills: number;
+  deaths: number;
+  assists: number;
+  team: string;
+}
+
+// Seconds a dropped client keeps its seat unless the room sets its own
+const DEFAULT_RECONNECTION_TIME = 20;
+
+// Map name shown in the room browser when neither the room options nor world.json name one
+const DEFAULT_MAP_NAME = "Food Vibers";
+
+// Close code for clients kicked for sending too many bad messages, they don't get to reconnect
+const KICKED_CLOSE_CODE = 4003;
+
+// Longest profile id accepted from a joining client
+const MAX_PROFILE_ID_LENGTH = 64;
+
+// Join error for players once every player seat is taken, the client seats left are for spectators
+const ROOM_FULL_ERROR_CODE = 4005;
 
 export class LobbyRoom extends Room<LobbyState> {
-  maxClients = 16; // Increased for a multiplayer lobby
+  // Players the room takes. Spectators don't use player seats, the client limit
+  // grows with them (a room full of players can't take new spectators) and
+  // players are turned away from the seats added for spectators
+  maxPlayers = 16;
+  maxClients = this.maxPlayers;
   state = new LobbyState();
   
+  // Session ids of clients watching without a player
+  spectators = new Set<string>();
+  
   // Track client IDs to allow multiple connections from same browser
   clientIds = new Map<string, string>();
   
-  // Define spawn points for player respawns
-  spawnPoints = [
-    { x: 0, y: 2, z: 0 },
-    { x: 10, y: 2, z: 10 },
-    { x: -10, y: 2, z: -10 },
-    { x: 10, y: 2, z: -10 },
-    { x: -10, y: 2, z: 10 }
-  ];
+  // Profile id each player's lifetime stats are kept under, not synced so nobody can play under another's
+  profileIds = new Map<string, string>();
+  
+  // Position history and round trip times, hits are checked where the thrower saw the target
+  lagCompensation = new LagCompensation();
+  
+  // Checks thrown projectiles before they are simulated
+  hitValidator = new HitValidator();
+  
+  // Authoritative projectile flight, stepped in update()
+  projectileSimulation = new ProjectileSimulation();
+  
+  // Server-owned item spawners loaded from world.json
+  spawnerManager: SpawnerManager;
+  
+  // Items each player picked up, only those can be eaten for an effect
+  claimedItems = new ClaimedItems();
+  
+  // Speed and map bounds checks on position updates
+  movementValidator: MovementValidator;
+  
+  // Server-driven players filling the room while few humans play
+  botManager: BotManager;
+  
+  // Warmup, countdown, round and intermission cycle
+  matchManager: MatchManager;
+  
+  // Team assignment, friendly fire and team scores (no-op in free-for-all)
+  teamManager: TeamManager;
+  
+  // Cake pedestals and carriers, only in capture the cake mode
+  cakeManager: CakeManager = null;
+  
+  // Capture zones, only in king of the hill mode
+  zoneManager: ZoneManager = null;
+  
+  // Seconds a dropped client has to reconnect before its player is removed
+  reconnectionTime = DEFAULT_RECONNECTION_TIME;
+  
+  // Name of the map, listed in the room browser
+  mapName = DEFAULT_MAP_NAME;
+  
+  // Number of corrected position updates per client session
+  correctedMoves = new Map<string, number>();
+  
+  // Number of turned down throws per client session, the only way a client can try for a hit
+  rejectedHits = new Map<string, number>();
+  
+  // Payload checks and rate limits on every client message
+  messageGuard = new MessageGuard();
+  
+  // Clients kicked by the message guard, their seat is not held
+  kickedClients = new Set<string>();
+  
+  // Lifetime stats, shared with the other rooms and the /stats route
+  profiles = getProfileStore();
+  
+  // Recent damage each player took, for assists
+  damageLedger = new DamageLedger();
+  
+  // Spawn points loaded from world.json, for respawns and new rounds
+  spawnPointManager = new SpawnPointManager();
+  
+  // A few seconds without damage after each spawn
+  spawnProtection = new SpawnProtection(this.state.players);
+  
+  // Pending respawn of each dead player, cancelled when the player leaves or a round starts
+  respawnTimers = new Map<string, Delayed>();
 
   onCreate (options: any) {
-    console.log("LobbyRoom created!", this.roomId);
+    // Private rooms stay out of matchmaking, friends join them by code (the room id)
+    if (options.private === true) {
+      this.roomId = generateRoomCode();
+      this.state.isPrivate = true;
+      this.setPrivate(true);
+    }
+    
+    console.log(`LobbyRoom created! ${this.roomId}${this.state.isPrivate ? " (private)" : ""}`);
+    
+    // Load the map's item spawners so every player sees the same pickups
+    const worldData = loadWorldData();
+    this.spawnerManager = new SpawnerManager(this.state.spawners);
+    this.spawnerManager.load(worldData.spawners);
+    this.spawnPointManager.load(worldData.spawnPoints);
+    const bounds = getWorldBounds(worldData);
+    this.movementValidator = new MovementValidator(bounds);
+    this.mapName = options.mapName || worldData.settings?.name || DEFAULT_MAP_NAME;
+    
+    // With the botFill option, bots fill the room up to that many players and
+    // leave as humans join. botDifficulty is "easy", "normal" or "hard".
+    const botFill = Number.isFinite(options.botFill) ? Math.min(Math.max(options.botFill, 0), this.maxPlayers) : 0;
+    this.botManager = new BotManager(this.state.players, this.state.spawners, bounds, {
+      addPlayer: (player) => this.addPlayer(player),
+      removePlayer: (sessionId) => this.removePlayer(sessionId),
+      spawnPoint: (bot) => this.pickSpawn(bot),
+      throwProjectile: (bot, data) => this.launchProjectile(bot, data),
+      claimSpawner: (bot, key) => this.spawnerManager.claim(bot, key),
+      // Bots leave spawn protected players alone
+      canDamage: (sourceId, target) => this.teamManager.canDamage(sourceId, target) && !this.spawnProtection.isProtected(target)
+    }, botFill, options.botDifficulty, loadNavGrid(worldData));
+    
+    // Team deathmatch with the "team" mode option, capture the cake with "ctf",
+    // king of the hill with "koth" (played in teams unless kothTeams is false)
+    // Friendly fire is off unless enabled
+    this.state.mode = ["team", "ctf", "koth"].includes(options.mode) ? options.mode : "ffa";
+    this.state.friendlyFire = options.friendlyFire === true;
+    const useTeams = this.state.mode !== "ffa" && !(this.state.mode === "koth" && options.kothTeams === false);
+    this.teamManager = new TeamManager(this.state.teams, this.state.players, useTeams, this.state.friendlyFire);
+    console.log(`Game mode: ${this.state.mode}, friendly fire: ${this.state.friendlyFire}`);
+    
+    if (this.state.mode === "ctf") {
+      this.cakeManager = new CakeManager(this.state.cakes, this.state.players, worldData.cakeBases);
+    }
+    
+    if (this.state.mode === "koth") {
+      this.zoneManager = new ZoneManager(this.state.zones, this.state.players, useTeams);
+      this.zoneManager.load(worldData.zones);
+    }
+    
+    this.updateListing();
+    
+    // A reconnection time of 0 removes dropped players right away
+    if (Number.isFinite(options.reconnectionTime) && options.reconnectionTime >= 0) {
+      this.reconnectionTime = options.reconnectionTime;
+    }
+    
+    // Spawn protection time in seconds, 0 turns it off
+    if (Number.isFinite(options.spawnProtectionTime) && options.spawnProtectionTime >= 0) {
+      this.spawnProtection.duration = options.spawnProtectionTime * 1000;
+    }
+    this.state.spawnProtectionTime = this.spawnProtection.duration;
+    
+    // Round settings can be overridden with room options (durations in seconds)
+    const matchSettings = matchSettingsFromOptions(options);
+    if (this.state.mode === "ctf" && matchSettings.scoreLimit === undefined) {
+      matchSettings.scoreLimit = CAKE_SCORE_LIMIT;
+    }
+    if (this.state.mode === "koth" && matchSettings.scoreLimit === undefined) {
+      matchSettings.scoreLimit = KOTH_SCORE_LIMIT;
+    }
+    this.matchManager = new MatchManager(this.state.match, {
+      getPlayerCount: () => this.getMatchPlayerCount(),
+      // Teams win rounds in team mode, players in free-for-all
+      getStandings: () => this.teamManager.enabled ? this.teamManager.getStandings() : this.getLeaderboardData(),
+      onRoundStart: () => this.resetPlayers(),
+      onRoundEnd: (results) => this.broadcastMatchResults(results)
+    }, matchSettings);
     
     // Set simulation interval for game loop
     this.setSimulationInterval((deltaTime) => this.update(deltaTime));
     
-    this.onMessage("move", (client, message) => {
-      const player = this.state.players.get(client.sessionId);
-      if (player) {
-        player.x = message.x;
-        player.y = message.y;
-        player.z = message.z;
-        player.rotationY = message.rotationY;
-      }
-    });
+    // Measure every client's round trip for lag compensation
+    this.clock.setInterval(() => this.broadcast("ping", { sentAt: Date.now() }), PING_INTERVAL);
     
-    this.onMessage("damage", (client, message) => {
-      const { targetId, amount } = message;
-      const targetPlayer = this.state.players.get(targetId);
-      
-      if (!targetPlayer) {
-        console.log(`Target player ${targetId} not found for damage`);
-        return;
-      }
-      
-      console.log(`Processing damage: ${client.sessionId} -> ${targetId} for ${amount} damage`);
+    this.onCheckedMessage("move", (client, message) => {
+      const player = this.state.players.get(client.sessionId);
+      if (!player) return;
       
-      // The client who reported damage is the TARGET (the one being hit)
-      // targetId is the SOURCE (the one who threw the projectile)
+      const result = this.movementValidator.validate(client.sessionId, message);
+      if (!result) return;
       
-      // Update the target player's health (that's the client who sent the message)
-      // This reverses the source/target relationship to match the projectile hit flow
-      const hitPlayer = this.state.players.get(client.sessionId);
+      player.x = result.x;
+      player.y = result.y;
+      player.z = result.z;
+      player.rotationY = message.rotationY;
       
-      if (!hitPlayer) {
-        console.log(`Hit player ${client.sessionId} not found`);
+      // Put the client back where the server has it. The seq of the update
+      // that position is from tells it which inputs to replay, the corrected
+      // seq lets it skip corrections it already started over from.
+      if (result.corrected) {
+        this.correctMove(client, result.reason);
+        client.send("positionCorrection", { x: result.x, y: result.y, z: result.z, seq: result.seq, correctedSeq: message.seq });
+      }
+    });
+    
+    // Eating a speed or jump boost raises how fast the player may move
+    this.onCheckedMessage("consumeItem", (client, message) => {
+      if (!this.claimedItems.use(client.sessionId, message.itemId)) {
+        this.handleBadMessage(client, `ate ${message.itemId} without picking one up`);
         return;
       }
       
-      // Update target player's health
-      hitPlayer.health = Math.max(0, hitPlayer.health - amount);
-      console.log(`${client.sessionId}'s health reduced to ${hitPlayer.health}`);
-      
-      // If player health is depleted
-      if (hitPlayer.health <= 0) {
-        // Don't increment score here, will be handled by killAttribution
-        
-        // Schedule respawn
-        this.respawnPlayer(hitPlayer);
+      const effectId = this.movementValidator.applyItemEffect(client.sessionId, message.itemId);
+      if (effectId) {
+        console.log(`Player ${client.sessionId} ate ${message.itemId} (${effectId} effect)`);
       }
-      
-      // Broadcast damage event to all clients
-      this.broadcast("damage", {
-        targetId: client.sessionId,  // The player who was hit (sent the message)
-        sourceId: targetId,          // The player who threw the projectile
-        amount: amount,
-        remainingHealth: hitPlayer.health
-      });
     });
     
-    this.onMessage("projectile", (client, data) => {
+    this.onCheckedMessage("projectile", (client, data) => {
       console.log(`Received projectile from ${client.sessionId}:`, data.itemType);
       
-      // Add the player ID to the projectile data
-      const projectileData = {
-        ...data,
-        playerId: client.sessionId
-      };
+      const thrower = this.state.players.get(client.sessionId);
+      if (!thrower) return;
+      
+      // Only items the player picked up can be thrown, and then not eaten afterwards
+      if (!this.claimedItems.use(client.sessionId, data.itemType)) {
+        this.rejectHit(client, `threw ${data.itemType} without picking one up`);
+        return;
+      }
       
-      // Broadcast to all clients except the sender
-      this.broadcast("projectile", projectileData, { except: client });
+      const rewind = this.lagCompensation.getRewind(client.sessionId, data.thrownAt);
+      if (!this.launchProjectile(thrower, data, rewind, client)) {
+        this.rejectHit(client, `threw ${data.itemType} from where it can't be`);
+      }
     });
     
-    this.onMessage("equip", (client, message) => {
+    this.onCheckedMessage("equip", (client, message) => {
       const player = this.state.players.get(client.sessionId);
       if (player) {
         player.equippedItem = message.itemId;
       }
     });
     
-    this.onMessage("playerState", (client, message) => {
+    this.onCheckedMessage("playerState", (client, message) => {
       const player = this.state.players.get(client.sessionId);
       if (player && message.state) {
         player.state = message.state;
@@ -105,76 +281,37 @@ export class LobbyRoom extends Room<LobbyState> {
       }
     });
     
-    this.onMessage("playerHit", (client, message) => {
-      const { targetId, damage, itemType, sourceId } = message;
-      
-      console.log(`[HIT DEBUG] Source: ${sourceId || client.sessionId}, Target: ${targetId}, Damage: ${damage}, Item: ${itemType}`);
-      
-      const targetPlayer = this.state.players.get(targetId);
-      const sourcePlayer = this.state.players.get(sourceId || client.sessionId);
-      
-      if (!targetPlayer || !sourcePlayer) {
-        console.log(`[HIT ERROR] Invalid players for hit: source=${sourceId || client.sessionId}, target=${targetId}`);
-        return;
+    // The thrower saw its projectile hit level geometry, stop it before it reaches anyone behind
+    this.onCheckedMessage("projectileBlocked", (client, message) => {
+      const impact = this.projectileSimulation.block(client.sessionId, message.id);
+      if (impact) {
+        this.broadcastImpact(impact);
       }
+    });
+    
+    // First claim on a spawner's item wins, everyone else is turned down
+    this.onCheckedMessage("claimSpawnable", (client, message) => {
+      const player = this.state.players.get(client.sessionId);
+      if (!player) return;
       
-      console.log(`[HIT DEBUG] Target current health: ${targetPlayer.health}`);
-      
-      // Generate a unique hit ID for tracking
-      const hitId = `hit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Store previous health for validation
-      const prevHealth = targetPlayer.health;
-      
-      // Update target player's health
-      targetPlayer.health = Math.max(0, targetPlayer.health - damage);
-      
-      console.log(`[HIT DEBUG] Health change: ${prevHealth} -> ${targetPlayer.health} (change: ${prevHealth - targetPlayer.health})`);
-      
-      // If player health is depleted
-      if (targetPlayer.health <= 0) {
-        console.log(`[HIT DEBUG] Player ${targetId} died! Scheduling respawn`);
-        this.respawnPlayer(targetPlayer);
+      const result = this.spawnerManager.claim(player, message.spawnerId);
+      if (result.accepted === true) {
+        this.claimedItems.add(client.sessionId, result.itemId, result.quantity);
+        console.log(`Player ${client.sessionId} collected ${result.quantity}x ${result.itemId} from spawner ${message.spawnerId}`);
       }
       
-      // Broadcast damage event to ALL clients including the target and source
-      // This ensures synchronization across all clients
-      console.log(`[HIT DEBUG] Broadcasting playerDamaged event to all clients`);
-      this.broadcast("playerDamaged", {
-        hitId: hitId,
-        targetId: targetId,
-        sourceId: sourceId || client.sessionId,
-        damage: damage,
-        itemType: itemType,
-        remainingHealth: targetPlayer.health,
-        timestamp: Date.now()
+      client.send("spawnableClaimResult", {
+        spawnerId: message.spawnerId,
+        ...result
       });
-      
-      // Skip the extra direct message - let's simplify to just the broadcast
     });
     
-    // Handle kill attribution from clients
-    this.onMessage("killAttribution", (client, message) => {
-      const { killerId } = message;
-      
-      // Get the killer
-      const killer = this.state.players.get(killerId);
-      if (!killer) {
-        console.log(`Killer ${killerId} not found for kill attribution`);
-        return;
-      }
-      
-      // Increment the killer's score
-      killer.score += 1;
-      console.log(`Player ${killerId} scored a kill, new score: ${killer.score}`);
-      
-      // Broadcast leaderboard update to all clients
-      const leaderboardData = this.getLeaderboardData();
-      this.broadcast("leaderboardUpdate", leaderboardData);
+    this.onCheckedMessage("pong", (client, message) => {
+      this.lagCompensation.recordPong(client.sessionId, message.sentAt, message.clientTime);
     });
     
     // Handle request for leaderboard data
-    this.onMessage("requestLeaderboard", (client) => {
+    this.onCheckedMessage("requestLeaderboard", (client) => {
       console.log(`Player ${client.sessionId} requested leaderboard data`);
       
       // Get the current leaderboard data
@@ -183,43 +320,513 @@ export class LobbyRoom extends Room<LobbyState> {
       // Send the leaderboard data to the client who requested it
       client.send("leaderboardUpdate", leaderboardData);
     });
+    
+    // Every other message type is turned down like a bad payload. That includes the
+    // hit reports of older clients: only the projectile simulation decides hits.
+    this.onMessage("*", (client, type) => {
+      this.handleBadMessage(client, `unknown message type "${type}"`);
+    });
+  }
+
+  /**
+   * Register a message handler behind the message guard. Messages with a bad
+   * payload or over the rate limit never reach the handler.
+   * @param type Message type, must have a rule in MESSAGE_RULES
+   * @param handler Called with the checked payload
+   */
+  onCheckedMessage(type: string, handler: (client: Client, message: any) => void) {
+    this.onMessage(type, (client, message) => {
+      const result = this.messageGuard.check(client.sessionId, type, message);
+      if (result.ok === false) {
+        this.handleBadMessage(client, result.reason);
+        return;
+      }
+      handler(client, result.message);
+    });
+  }
+  
+  /**
+   * Warn a client about its first bad message, kick it after too many
+   * @param client The client that sent the message
+   * @param reason Why the message was turned down
+   */
+  handleBadMessage(client: Client, reason: string) {
+    const action = this.messageGuard.recordViolation(client.sessionId);
+    if (action === "warn") {
+      console.warn(`[BAD MESSAGE] ${client.sessionId}: ${reason}`);
+      client.send("serverWarning", { message: `Message ignored: ${reason}` });
+    } else if (action === "kick" && !this.kickedClients.has(client.sessionId)) {
+      console.warn(`[KICKED] ${client.sessionId}: too many bad messages, last one: ${reason}`);
+      this.kickedClients.add(client.sessionId);
+      client.leave(KICKED_CLOSE_CODE, "Too many invalid messages");
+    }
+  }
+  
+  /**
+   * Start a thrown projectile on the server and show it to the other clients
+   * @param thrower The thrower's player
+   * @param data The projectile message, from the thrower's client or a bot
+   * @param rewind Milliseconds the thrower's view was behind the server
+   * @param sender The thrower's client, it already shows the projectile
+   * @returns Whether the projectile was launched
+   */
+  launchProjectile(thrower: Player, data: any, rewind: number = 0, sender?: Client): boolean {
+    // Only projectiles the server knows about can later be used to score hits
+    const projectile = this.hitValidator.recordProjectile(thrower.id, data, thrower, rewind);
+    if (!projectile) {
+      console.log(`[HIT WARN] Ignoring invalid projectile from ${thrower.id}`);
+      return false;
+    }
+    
+    this.projectileSimulation.add(projectile);
+    
+    // Throwing gives up spawn protection
+    this.spawnProtection.end(thrower);
+    
+    // Add the player ID to the projectile data, with the flight values the server simulates
+    const projectileData = {
+      ...data,
+      id: projectile.id,
+      speed: projectile.speed,
+      gravity: projectile.gravity,
+      arcHeight: projectile.arcHeight,
+      lifetime: projectile.lifetime,
+      playerId: thrower.id
+    };
+    
+    // Broadcast to all clients except the sender
+    this.broadcast("projectile", projectileData, sender ? { except: sender } : undefined);
+    return true;
+  }
+  
+  /**
+   * Count a turned down throw against the client that sent it, and warn or
+   * kick it through the message guard like any other bad message
+   * @param client The client that threw
+   * @param reason Why the throw was turned down
+   */
+  rejectHit(client: Client, reason: string) {
+    const count = (this.rejectedHits.get(client.sessionId) || 0) + 1;
+    this.rejectedHits.set(client.sessionId, count);
+    
+    const name = this.state.players.get(client.sessionId)?.name;
+    console.warn(`[HIT REJECTED] ${client.sessionId} (${name}): ${reason} - ${count} rejected so far`);
+    this.handleBadMessage(client, reason);
+  }
+  
+  /**
+   * Apply validated damage to a player and tell everyone about it
+   * @param targetPlayer The player that was hit
+   * @param sourceId Session id of the thrower
+   * @param damage Damage from the server item table
+   * @param itemType The item that hit
+   */
+  applyHit(targetPlayer: Player, sourceId: string, damage: number, itemType: string) {
+    // No fighting between rounds
+    if (!this.matchManager.allowsDamage()) return;
+    
+    if (!this.teamManager.canDamage(sourceId, targetPlayer)) return;
+    
+    // Players waiting to reconnect can't be hurt
+    if (!targetPlayer.connected) return;
+    
+    // Nor can players who just spawned
+    if (this.spawnProtection.isProtected(targetPlayer)) {
+      console.log(`[HIT DEBUG] Player ${targetPlayer.id} is spawn protected, ignoring hit`);
+      return;
+    }
+    
+    console.log(`[HIT DEBUG] Target current health: ${targetPlayer.health}`);
+    
+    // Generate a unique hit ID for tracking
+    const hitId = `hit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    // Store previous health for validation
+    const prevHealth = targetPlayer.health;
+    
+    // Update target player's health
+    targetPlayer.health = Math.max(0, targetPlayer.health - damage);
+    
+    console.log(`[HIT DEBUG] Health change: ${prevHealth} -> ${targetPlayer.health} (change: ${prevHealth - targetPlayer.health})`);
+    
+    this.damageLedger.recordDamage(targetPlayer.id, sourceId, prevHealth - targetPlayer.health);
+    
+    // Only hits during a round go into the lifetime stats
+    if (this.matchManager.isScoring()) {
+      const sourcePlayer = this.state.players.get(sourceId);
+      this.profiles.recordHit(this.profileOwner(sourcePlayer), itemType);
+    }
+    
+    // If player health is depleted
+    if (targetPlayer.health <= 0) {
+      console.log(`[HIT DEBUG] Player ${targetPlayer.id} died! Scheduling respawn`);
+      this.dropCake(targetPlayer);
+      this.respawnPlayer(targetPlayer);
+    }
+    
+    // Broadcast damage event to ALL clients including the target and source
+    // This ensures synchronization across all clients
+    this.broadcast("playerDamaged", {
+      hitId: hitId,
+      targetId: targetPlayer.id,
+      sourceId: sourceId,
+      damage: damage,
+      itemType: itemType,
+      remainingHealth: targetPlayer.health,
+      // The item's on-hit effect, the target's client applies it (nothing to apply on a dead player)
+      effect: targetPlayer.health > 0 ? getItem(itemType)?.hitEffect || null : null,
+      timestamp: Date.now()
+    });
+    
+    // Announced after the damage so clients apply the final hit first
+    if (targetPlayer.health <= 0) {
+      this.handleKill(targetPlayer, sourceId, itemType);
+    }
+  }
+  
+  /**
+   * Score a death. Only the server decides who gets the kill: the player whose
+   * hit took the victim's health to zero.
+   * @param victim The player that died
+   * @param killerId Session id of the player that landed the final hit
+   * @param itemType The item that landed it
+   */
+  handleKill(victim: Player, killerId: string, itemType: string) {
+    const killer = this.state.players.get(killerId);
+    const assists = this.settleAssists(victim, killerId);
+    const isScoring = this.matchManager.isScoring();
+    
+    this.broadcast("playerKilled", {
+      killerId,
+      victimId: victim.id,
+      itemType,
+      assists,
+      timestamp: Date.now()
+    });
+    
+    // Kills during warmup, countdown and intermission don't count
+    if (!isScoring) {
+      console.log(`Ignoring kill by ${killerId} outside of a round (${this.state.match.phase})`);
+      return;
+    }
+    
+    this.profiles.recordDeath(this.profileOwner(victim));
+    victim.deaths += 1;
+    
+    // Team kills (with friendly fire on) are not rewarded
+    if (!killer || killerId === victim.id || this.teamManager.isTeammate(killerId, victim)) {
+      console.log(`No kill credited for ${victim.id}'s death (killer: ${killerId})`);
+      this.broadcast("leaderboardUpdate", this.getLeaderboardData());
+      return;
+    }
+    
+    // Lifetime stats count every kill, even where kills don't score
+    this.profiles.recordKill(this.profileOwner(killer), itemType);
+    killer.kills += 1;
+    
+    // Zone points are the player score in free-for-all king of the hill
+    if (this.state.mode === "koth" && !this.teamManager.enabled) {
+      console.log(`Kill by ${killerId} doesn't score in king of the hill`);
+      this.broadcast("leaderboardUpdate", this.getLeaderboardData());
+      return;
+    }
+    
+    // Increment the killer's score
+    killer.score += 1;
+    console.log(`Player ${killerId} scored a kill, new score: ${killer.score}`);
+    
+    // Kills score for the team in team deathmatch, objectives do in the other team modes
+    const teamScore = this.state.mode === "team" ? this.teamManager.addKill(killer, victim) : null;
+    
+    // Broadcast leaderboard update to all clients
+    this.broadcast("leaderboardUpdate", this.getLeaderboardData());
+    
+    // Team mode plays to the team score limit
+    if (this.state.mode === "ffa" || this.state.mode === "team") {
+      this.matchManager.checkScoreLimit(teamScore !== null ? teamScore : killer.score);
+    }
+  }
+  
+  /**
+   * Give an assist to everyone besides the killer who hurt the victim in the last
+   * few seconds. Teammates hurting the victim with friendly fire don't assist.
+   * @param victim The player that died
+   * @param killerId Session id of the player that landed the final hit
+   * @returns The assisting players with their share of the recent damage
+   */
+  settleAssists(victim: Player, killerId: string): Array<{ playerId: string, share: number }> {
+    const assists: Array<{ playerId: string, share: number }> = [];
+    
+    this.damageLedger.settleDeath(victim.id, killerId).forEach((share, playerId) => {
+      const player = this.state.players.get(playerId);
+      if (!player || this.teamManager.isTeammate(playerId, victim)) return;
+      
+      // Assists only count during a round, like kills
+      if (this.matchManager.isScoring()) {
+        player.assists += 1;
+      }
+      assists.push({ playerId, share: Math.round(share * 100) / 100 });
+    });
+    
+    if (assists.length > 0) {
+      console.log(`Assists on ${victim.id}: ${assists.map(assist => `${assist.playerId} (${Math.round(assist.share * 100)}%)`).join(", ")}`);
+    }
+    return assists;
+  }
+  
+  /**
+   * Tell clients where a projectile ended so they can remove it and render the hit
+   * @param impact The impact from the projectile simulation
+   */
+  broadcastImpact(impact: ProjectileImpact) {
+    this.broadcast("projectileImpact", {
+      id: impact.projectile.id,
+      playerId: impact.projectile.sourceId,
+      itemType: impact.projectile.itemType,
+      type: impact.type,
+      targetId: impact.targetId,
+      x: impact.x,
+      y: impact.y,
+      z: impact.z
+    });
+  }
+  
+  /**
+   * Drop the cake a player is carrying, if any (on death or leave)
+   * @param player The carrier
+   */
+  dropCake(player: Player) {
+    if (!this.cakeManager) return;
+    
+    const event = this.cakeManager.dropCarried(player.id);
+    if (event) {
+      this.handleCakeEvent(event);
+    }
+  }
+  
+  /**
+   * Score captures and tell everyone what happened to a cake
+   * @param event The cake event from the cake manager
+   */
+  handleCakeEvent(event: CakeEvent) {
+    const player = event.playerId ? this.state.players.get(event.playerId) : null;
+    let scored = false;
+    
+    // Captures outside of a round send the cake home without scoring
+    if (event.type === "captured" && player && this.matchManager.isScoring()) {
+      const teamScore = this.teamManager.addPoints(player.team, 1);
+      if (teamScore !== null) {
+        scored = true;
+        this.matchManager.checkScoreLimit(teamScore);
+      }
+    }
+    
+    // The client slows its own carrier, the server holds it to that speed
+    if (event.playerId) {
+      this.movementValidator.setSlow(event.playerId, this.cakeManager.getCarriedCake(event.playerId) ? CARRIER_SLOW_MULTIPLIER : 1);
+    }
+    
+    console.log(`Cake ${event.cakeId} ${event.type}${player ? ` by ${player.name}` : ""}`);
+    
+    this.broadcast("cakeEvent", {
+      ...event,
+      playerName: player ? player.name : null,
+      team: player ? player.team : null,
+      scored
+    });
+  }
+  
+  /**
+   * Score the team or player holding the active zone
+   * @param award Points earned from the zone manager
+   */
+  handleZoneAward(award: ZoneAward) {
+    if (this.teamManager.enabled) {
+      const teamScore = this.teamManager.addPoints(award.holderId, award.points);
+      if (teamScore !== null) {
+        this.matchManager.checkScoreLimit(teamScore);
+      }
+      return;
+    }
+    
+    const player = this.state.players.get(award.holderId);
+    if (!player) return;
+    
+    player.score += award.points;
+    this.broadcast("leaderboardUpdate", this.getLeaderboardData());
+    this.matchManager.checkScoreLimit(player.score);
+  }
+  
+  /**
+   * Count a corrected position update against the client that sent it
+   * @param client The client that sent the update
+   * @param reason Why the position was corrected
+   */
+  correctMove(client: Client, reason: string) {
+    const count = (this.correctedMoves.get(client.sessionId) || 0) + 1;
+    this.correctedMoves.set(client.sessionId, count);
+    
+    // Lag can cause the odd correction, only log the first and then every 20th
+    if (count === 1 || count % 20 === 0) {
+      const name = this.state.players.get(client.sessionId)?.name;
+      console.warn(`[MOVE CORRECTED] ${client.sessionId} (${name}): ${reason} - ${count} correction(s) so far`);
+    }
+  }
+  
+  /**
+   * Put every player back to full health at a spawn point with a zero score, for a fresh round
+   */
+  resetPlayers() {
+    // Everyone is already back at full health
+    this.respawnTimers.forEach(timer => timer.clear());
+    this.respawnTimers.clear();
+    
+    const spawns: { [sessionId: string]: { x: number, y: number, z: number } } = {};
+    const spawned: Player[] = [];
+    
+    this.state.players.forEach((player, sessionId) => {
+      // Away from the enemies already placed, where everyone else stood last round doesn't matter
+      const spawn = this.pickSpawn(player, spawned);
+      spawned.push(player);
+      
+      player.score = 0;
+      player.kills = 0;
+      player.deaths = 0;
+      player.assists = 0;
+      player.health = 100;
+      player.x = spawn.x;
+      player.y = spawn.y;
+      player.z = spawn.z;
+      this.movementValidator.teleport(sessionId, spawn);
+      this.spawnProtection.protect(player);
+      spawns[sessionId] = spawn;
+    });
+    this.teamManager.resetScores();
+    this.damageLedger.clear();
+    if (this.cakeManager) {
+      this.cakeManager.reset();
+      this.state.players.forEach((player, sessionId) => this.movementValidator.setSlow(sessionId, 1));
+    }
+    if (this.zoneManager) {
+      this.zoneManager.reset();
+    }
+    
+    // Each client teleports its own character to the spawn picked for it
+    this.broadcast("matchReset", {
+      round: this.state.match.round,
+      spawns
+    });
+    this.broadcast("leaderboardUpdate", this.getLeaderboardData());
+  }
+  
+  /**
+   * Send the final standings of a round for the results screen
+   * @param results The round results from the match manager
+   */
+  broadcastMatchResults(results: MatchResults) {
+    this.recordMatchResults(results);
+    this.broadcast("matchResults", results);
+  }
+  
+  /**
+   * Count the round in the profile of every player still in it
+   * @param results The round results, the winner is a team id in team modes
+   */
+  recordMatchResults(results: MatchResults) {
+    this.state.players.forEach(player => {
+      const winnerId = this.teamManager.enabled ? player.team : player.id;
+      this.profiles.recordMatch(this.profileOwner(player), results.winnerId !== null && winnerId === results.winnerId);
+    });
+  }
+  
+  /**
+   * @param player A player, if any
+   * @returns Who the player's lifetime stats are kept for, null for bots and players without a profile id
+   */
+  profileOwner(player: Player): ProfileOwner | null {
+    const profileId = player && !player.isBot ? this.profileIds.get(player.id) : null;
+    return profileId ? { id: profileId, name: player.name } : null;
   }
 
+  /**
+   * The spawn point farthest from the player's living enemies
+   * @param player The player to spawn
+   * @param others Players to stay away from, everyone in the room by default
+   */
+  pickSpawn(player: Player, others: Iterable<Player> = this.state.players.values()) {
+    const enemies: Player[] = [];
+    for (const other of others) {
+      if (other.id === player.id || other.health <= 0 || !other.connected) continue;
+      if (this.teamManager.isTeammate(player.id, other)) continue;
+      enemies.push(other);
+    }
+    return this.spawnPointManager.pick(enemies);
+  }
+  
   /**
    * Respawn a player after they die
    * @param player The player to respawn
    */
   respawnPlayer(player: Player) {
+    this.respawnTimers.get(player.id)?.clear();
+    
     // Wait 3 seconds before respawning
-    setTimeout(() => {
+    this.respawnTimers.set(player.id, this.clock.setTimeout(() => {
+      this.respawnTimers.delete(player.id);
+      // The player left in the meantime
+      if (this.state.players.get(player.id) !== player) return;
+      
       // Reset health
       player.health = 100;
       
-      // Set to a random spawn position
-      const spawn = this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)];
+      // Away from the enemies
+      const spawn = this.pickSpawn(player);
       
       player.x = spawn.x;
       player.y = spawn.y;
       player.z = spawn.z;
+      this.movementValidator.teleport(player.id, spawn);
+      this.spawnProtection.protect(player);
       
-      // Notify about respawn
+      // Notify about respawn, the player's client respawns there
       this.broadcast("playerRespawned", {
-        playerId: player.id
+        playerId: player.id,
+        position: spawn
       });
       
       console.log(`Player ${player.id} respawned at`, spawn);
-    }, 3000);
+    }, 3000));
   }
 
   onJoin (client: Client, options: any) {
     console.log(client.sessionId, "joined the lobby!", options);
     
+    // Spectators watch the match without a player in the state
+    if (options.spectator === true) {
+      this.spectators.add(client.sessionId);
+      this.updateMaxClients();
+      this.updateListing();
+      console.log(`${client.sessionId} is spectating (${this.spectators.size} spectator(s))`);
+      
+      client.send("leaderboardUpdate", this.getLeaderboardData());
+      return;
+    }
+    
+    if (this.getHumanCount() >= this.maxPlayers) {
+      throw new ServerError(ROOM_FULL_ERROR_CODE, "Room is full");
+    }
+    
     // Store client ID if provided (for handling multiple tabs)
     if (options.clientId) {
       this.clientIds.set(client.sessionId, options.clientId);
       console.log(`Client ID ${options.clientId} registered for session ${client.sessionId}`);
     }
     
+    // Without a profile id the player's stats aren't kept
+    if (typeof options.profileId === "string" && options.profileId.length > 0 && options.profileId.length <= MAX_PROFILE_ID_LENGTH) {
+      this.profileIds.set(client.sessionId, options.profileId);
+    }
+    
     // Create a new player in the state
     const player = new Player();
     player.id = client.sessionId;
@@ -234,50 +841,226 @@ export class LobbyRoom extends Room<LobbyState> {
     player.score = 0;
     player.clientId = options.clientId || null;
     
-    this.state.players.set(client.sessionId, player);
+    this.addPlayer(player);
+    
+    // A bot makes room for every human
+    this.botManager.balance(this.getHumanCount());
+  }
+  
+  /**
+   * Put a new player in the room, a joining client's or a bot's
+   * @param player The player, not yet in the players map
+   */
+  addPlayer(player: Player) {
+    // Auto-balance teams in team mode
+    this.teamManager.assignTeam(player);
+    
+    this.state.players.set(player.id, player);
+    this.updateListing();
     
     // Broadcast updated leaderboard after player joins
     const leaderboardData = this.getLeaderboardData();
     this.broadcast("leaderboardUpdate", leaderboardData);
   }
+  
+  /**
+   * @returns Number of players who aren't bots, including those waiting to reconnect
+   */
+  getHumanCount(): number {
+    return this.state.players.size - this.botManager.count;
+  }
+  
+  /**
+   * @returns Number of humans playing right now
+   */
+  getConnectedHumanCount(): number {
+    let count = 0;
+    this.state.players.forEach(player => {
+      if (!player.isBot && player.connected) count++;
+    });
+    return count;
+  }
+  
+  /**
+   * Players a round counts towards its minimum. Bots play along with the
+   * connected humans, but a room with nobody connected has no round to play.
+   * @returns Number of players for the match
+   */
+  getMatchPlayerCount(): number {
+    const humans = this.getConnectedHumanCount();
+    return humans > 0 ? humans + this.botManager.count : 0;
+  }
 
-  onLeave (client: Client, consented: boolean) {
+  async onLeave (client: Client, consented: boolean) {
+    const player = this.state.players.get(client.sessionId);
+    const isSpectator = this.spectators.has(client.sessionId);
+    
+    // Hold the seat of a dropped client so it keeps its score, health and position
+    const kicked = this.kickedClients.delete(client.sessionId);
+    this.messageGuard.removeClient(client.sessionId);
+    
+    // Turned away in onJoin, it never had a seat
+    if (!player && !isSpectator) return;
+    
+    if (!consented && !kicked && this.reconnectionTime > 0) {
+      console.log(`${client.sessionId} dropped, holding the seat for ${this.reconnectionTime}s`);
+      if (player) {
+        player.connected = false;
+        this.dropCake(player);
+      }
+      
+      try {
+        await this.allowReconnection(client, this.reconnectionTime);
+        if (player) {
+          player.connected = true;
+        }
+        console.log(`${client.sessionId} reconnected`);
+        return;
+      } catch (error) {
+        console.log(`${client.sessionId} didn't reconnect in time`);
+      }
+    }
+    
+    if (isSpectator) {
+      this.spectators.delete(client.sessionId);
+      this.updateMaxClients();
+      this.updateListing();
+      console.log(`${client.sessionId} stopped spectating`);
+      return;
+    }
+    
     console.log(client.sessionId, "left the lobby!");
     
     // Remove the client ID mapping
     this.clientIds.delete(client.sessionId);
+    this.profileIds.delete(client.sessionId);
+    
+    if (this.correctedMoves.has(client.sessionId)) {
+      console.log(`${client.sessionId} left with ${this.correctedMoves.get(client.sessionId)} corrected move(s)`);
+      this.correctedMoves.delete(client.sessionId);
+    }
+    if (this.rejectedHits.has(client.sessionId)) {
+      console.log(`${client.sessionId} left with ${this.rejectedHits.get(client.sessionId)} rejected hit(s)`);
+      this.rejectedHits.delete(client.sessionId);
+    }
+    
+    this.removePlayer(client.sessionId);
+    
+    // Bots come back to fill the seat
+    this.botManager.balance(this.getHumanCount());
+  }
+  
+  /**
+   * Take a player out of the room, a leaving client's or a bot's
+   * @param sessionId The player's session id
+   */
+  removePlayer(sessionId: string) {
+    this.respawnTimers.get(sessionId)?.clear();
+    this.respawnTimers.delete(sessionId);
+    this.projectileSimulation.removePlayer(sessionId);
+    this.damageLedger.removePlayer(sessionId);
+    this.movementValidator.removePlayer(sessionId);
+    this.claimedItems.removePlayer(sessionId);
+    this.lagCompensation.removePlayer(sessionId);
+    this.spawnProtection.removePlayer(sessionId);
+    
+    const player = this.state.players.get(sessionId);
+    if (player) {
+      this.dropCake(player);
+    }
     
     // Remove the player from the state
-    this.state.players.delete(client.sessionId);
+    this.state.players.delete(sessionId);
+    this.updateListing();
     
     // Broadcast updated leaderboard after player leaves
     const leaderboardData = this.getLeaderboardData();
     this.broadcast("leaderboardUpdate", leaderboardData);
   }
 
+  /**
+   * Keep a client seat for every spectator on top of the player seats
+   */
+  updateMaxClients() {
+    this.maxClients = this.maxPlayers + this.spectators.size;
+  }
+
+  /**
+   * Share the mode, map and head counts with the room browser (see roomListing.ts)
+   */
+  updateListing() {
+    this.setMetadata({
+      mode: this.state.mode,
+      mapName: this.mapName,
+      // Bots leave when humans join, only humans fill the room
+      players: this.getHumanCount(),
+      bots: this.botManager.count,
+      maxPlayers: this.maxPlayers,
+      spectators: this.spectators.size
+    });
+  }
+
   onDispose() {
     console.log("Lobby room", this.roomId, "disposing...");
     this.clientIds.clear();
+    this.profileIds.clear();
+    this.profiles.flush();
   }
   
   // Game loop update function
   update(deltaTime: number) {
-    // Handle game state updates, AI, physics, etc.
-    // For now, this is a simple placeholder for future game logic
+    this.lagCompensation.recordPositions(this.state.players);
+    this.matchManager.update();
+    this.spawnerManager.update();
+    this.spawnProtection.update();
+    this.botManager.update(deltaTime);
+    
+    if (this.cakeManager) {
+      this.cakeManager.update().forEach(event => this.handleCakeEvent(event));
+    }
+    
+    // Zones keep moving between rounds but only score during one
+    if (this.zoneManager) {
+      const awards = this.zoneManager.update();
+      if (this.matchManager.isScoring()) {
+        awards.forEach(award => this.handleZoneAward(award));
+      }
+    }
+    
+    // Projectiles fly through teammates when friendly fire is off, and through players waiting to reconnect.
+    // Targets are checked where the thrower saw them.
+    const impacts = this.projectileSimulation.update(deltaTime, this.state.players,
+      (sourceId, player) => player.connected && this.teamManager.canDamage(sourceId, player),
+      (player, time) => this.lagCompensation.positionAt(player, time));
+    
+    impacts.forEach(impact => {
+      if (impact.type === "player") {
+        const targetPlayer = this.state.players.get(impact.targetId);
+        if (targetPlayer && targetPlayer.health > 0) {
+          this.applyHit(targetPlayer, impact.projectile.sourceId, getItem(impact.projectile.itemType).damage, impact.projectile.itemType);
+        }
+      }
+      
+      this.broadcastImpact(impact);
+    });
   }
   
   /**
    * Get leaderboard data for all players
    * @returns Array of player data for leaderboard
    */
-  getLeaderboardData(): Array<{id: string, name: string, score: number}> {
-    const players: Array<{id: string, name: string, score: number}> = [];
+  getLeaderboardData(): Array<LeaderboardEntry> {
+    const players: Array<LeaderboardEntry> = [];
     
     this.state.players.forEach((player, sessionId) => {
       players.push({
         id: sessionId,
         name: player.name,
-        score: player.score
+        score: player.score,
+        kills: player.kills,
+        deaths: player.deaths,
+        assists: player.assists,
+        team: player.team
       });
     });
     
@@ -0,0 +1,207 @@
+import { MatchState } from "./schema/LobbyState";
+
+export type MatchPhase = "warmup" | "countdown" | "round" | "intermission";
+
+export interface MatchSettings {
+  // Players needed before a round can start
+  minPlayers: number;
+  // Milliseconds between enough players joining and the round starting
+  countdownTime: number;
+  // Milliseconds a round lasts if nobody reaches the score limit
+  roundDuration: number;
+  // Kills needed to win a round
+  scoreLimit: number;
+  // Milliseconds the results screen stays up before the next round
+  intermissionTime: number;
+}
+
+export const DEFAULT_MATCH_SETTINGS: MatchSettings = {
+  minPlayers: 2,
+  countdownTime: 10000,
+  roundDuration: 5 * 60 * 1000,
+  scoreLimit: 20,
+  intermissionTime: 15000
+};
+
+/**
+ * Read match settings from room options. Durations in the options are in seconds.
+ * @param options Room creation options, e.g. { scoreLimit: 10, roundDuration: 600 }
+ */
+export function matchSettingsFromOptions(options: any = {}): Partial<MatchSettings> {
+  const settings: Partial<MatchSettings> = {};
+  const seconds = (value: any) => Number.isFinite(value) && value >= 0 ? value * 1000 : undefined;
+
+  if (Number.isInteger(options.minPlayers) && options.minPlayers >= 1) settings.minPlayers = options.minPlayers;
+  if (Number.isInteger(options.scoreLimit) && options.scoreLimit >= 1) settings.scoreLimit = options.scoreLimit;
+  if (seconds(options.countdownTime) !== undefined) settings.countdownTime = seconds(options.countdownTime);
+  if (seconds(options.roundDuration) > 0) settings.roundDuration = seconds(options.roundDuration);
+  if (seconds(options.intermissionTime) !== undefined) settings.intermissionTime = seconds(options.intermissionTime);
+
+  return settings;
+}
+
+export interface StandingEntry {
+  id: string;
+  name: string;
+  score: number;
+}
+
+export interface MatchResults {
+  round: number;
+  // What ended the round
+  reason: "score" | "time" | "players";
+  winnerId: string;
+  winnerName: string;
+  standings: StandingEntry[];
+}
+
+/**
+ * What the match needs from the room it runs in
+ */
+export interface MatchHooks {
+  getPlayerCount(): number;
+  getStandings(): StandingEntry[];
+  // Scores and players are reset for a fresh round
+  onRoundStart(round: number): void;
+  onRoundEnd(results: MatchResults): void;
+}
+
+/**
+ * Runs the match state machine: warmup until enough players join, a
+ * countdown, a timed round with a score limit, then an intermission with
+ * the results before the next countdown.
+ */
+export class MatchManager {
+  settings: MatchSettings;
+  private phaseEndsAt = 0;
+
+  constructor(private match: MatchState, private hooks: MatchHooks, settings: Partial<MatchSettings> = {}) {
+    this.settings = { ...DEFAULT_MATCH_SETTINGS, ...settings };
+
+    this.match.scoreLimit = this.settings.scoreLimit;
+    this.match.roundDuration = Math.round(this.settings.roundDuration / 1000);
+    this.match.minPlayers = this.settings.minPlayers;
+    this.setPhase("warmup", 0, Date.now());
+  }
+
+  get phase(): MatchPhase {
+    return this.match.phase as MatchPhase;
+  }
+
+  /**
+   * Kills only count towards the score while a round is running
+   */
+  isScoring(): boolean {
+    return this.phase === "round";
+  }
+
+  /**
+   * Players can fight during warmup and rounds, but not while waiting for one to start or after it ended
+   */
+  allowsDamage(): boolean {
+    return this.phase === "warmup" || this.phase === "round";
+  }
+
+  /**
+   * Advance the state machine
+   * @param now Current server time
+   */
+  update(now: number = Date.now()) {
+    const playerCount = this.hooks.getPlayerCount();
+    const enoughPlayers = playerCount >= this.settings.minPlayers;
+
+    switch (this.phase) {
+      case "warmup":
+        if (enoughPlayers) {
+          this.setPhase("countdown", this.settings.countdownTime, now);
+        }
+        break;
+
+      case "countdown":
+        if (!enoughPlayers) {
+          this.setPhase("warmup", 0, now);
+        } else if (now >= this.phaseEndsAt) {
+          this.startRound(now);
+        }
+        break;
+
+      case "round":
+        if (!enoughPlayers) {
+          this.endRound("players", now);
+        } else if (now >= this.phaseEndsAt) {
+          this.endRound("time", now);
+        }
+        break;
+
+      case "intermission":
+        if (now >= this.phaseEndsAt) {
+          if (enoughPlayers) {
+            this.setPhase("countdown", this.settings.countdownTime, now);
+          } else {
+            this.setPhase("warmup", 0, now);
+          }
+        }
+        break;
+    }
+
+    this.updateTimeRemaining(now);
+  }
+
+  /**
+   * End the round early once someone reaches the score limit
+   * @param score The score a player just reached
+   * @param now Current server time
+   */
+  checkScoreLimit(score: number, now: number = Date.now()) {
+    if (this.phase === "round" && score >= this.settings.scoreLimit) {
+      this.endRound("score", now);
+    }
+  }
+
+  private startRound(now: number) {
+    this.match.round += 1;
+    this.match.winnerId = null;
+    this.match.winnerName = null;
+
+    this.hooks.onRoundStart(this.match.round);
+    this.setPhase("round", this.settings.roundDuration, now);
+
+    console.log(`Round ${this.match.round} started`);
+  }
+
+  private endRound(reason: MatchResults["reason"], now: number) {
+    const standings = [...this.hooks.getStandings()].sort((a, b) => b.score - a.score);
+
+    // No winner for an empty round or a tie at the top
+    const [first, second] = standings;
+    const hasWinner = first && first.score > 0 && (!second || second.score < first.score);
+
+    this.match.winnerId = hasWinner ? first.id : null;
+    this.match.winnerName = hasWinner ? first.name : null;
+
+    this.setPhase("intermission", this.settings.intermissionTime, now);
+
+    this.hooks.onRoundEnd({
+      round: this.match.round,
+      reason,
+      winnerId: this.match.winnerId,
+      winnerName: this.match.winnerName,
+      standings
+    });
+
+    console.log(`Round ${this.match.round} ended (${reason}), winner: ${this.match.winnerName || "none"}`);
+  }
+
+  private setPhase(phase: MatchPhase, duration: number, now: number) {
+    this.match.phase = phase;
+    this.phaseEndsAt = duration > 0 ? now + duration : 0;
+    this.updateTimeRemaining(now);
+  }
+
+  private updateTimeRemaining(now: number) {
+    const remaining = this.phaseEndsAt > 0 ? Math.max(0, Math.ceil((this.phaseEndsAt - now) / 1000)) : 0;
+    if (this.match.timeRemaining !== remaining) {
+      this.match.timeRemaining = remaining;
+    }
+  }
+}
@@ -0,0 +1,261 @@
+import { getItem } from "./items";
+
+// Far past any map, real positions are checked by MovementValidator
+const MAX_COORDINATE = 10000;
+
+// Projectile ids and spawner keys are short strings
+const MAX_ID_LENGTH = 64;
+
+const PLAYER_STATES = ["idle", "walking", "jumping", "hit", "death"];
+
+// Moving frames in one position update, ~7 at 125fps and an update every 50ms
+const MAX_MOVE_INPUTS = 64;
+
+// Violations within this many milliseconds add up, a quiet client starts over
+const VIOLATION_WINDOW = 10000;
+
+// Violations in one window before the client is kicked
+export const MAX_VIOLATIONS = 30;
+
+type FieldRule =
+  | { type: "number"; min: number; max: number; optional?: boolean }
+  | { type: "string"; maxLength: number; optional?: boolean }
+  | { type: "oneOf"; values: string[]; optional?: boolean }
+  | { type: "itemType"; optional?: boolean }
+  | { type: "moveInputs"; maxLength: number; optional?: boolean };
+
+interface MessageRule {
+  // Fields a message may have, anything else is dropped
+  fields: { [field: string]: FieldRule };
+  // Token bucket: burst size and messages per second refilled
+  burst: number;
+  perSecond: number;
+}
+
+const coordinate: FieldRule = { type: "number", min: -MAX_COORDINATE, max: MAX_COORDINATE };
+const direction: FieldRule = { type: "number", min: -1.01, max: 1.01 };
+const timestamp: FieldRule = { type: "number", min: 0, max: Number.MAX_SAFE_INTEGER, optional: true };
+
+/**
+ * Allowed payload and rate for every message type the lobby handles. Positions
+ * are sent every 50ms, the rest on player actions.
+ */
+export const MESSAGE_RULES: { [type: string]: MessageRule } = {
+  move: {
+    fields: {
+      x: coordinate,
+      y: coordinate,
+      z: coordinate,
+      rotationY: { type: "number", min: -2 * Math.PI, max: 2 * Math.PI },
+      // Newest client input in the position
+      seq: { type: "number", min: 0, max: Number.MAX_SAFE_INTEGER },
+      // The frames the player moved in since the last update
+      inputs: { type: "moveInputs", maxLength: MAX_MOVE_INPUTS }
+    },
+    burst: 30,
+    perSecond: 30
+  },
+  projectile: {
+    fields: {
+      id: { type: "string", maxLength: MAX_ID_LENGTH, optional: true },
+      itemType: { type: "itemType" },
+      x: coordinate,
+      y: coordinate,
+      z: coordinate,
+      dirX: direction,
+      dirY: direction,
+      dirZ: direction,
+      // Flight values are replaced by the server's, only kept for older clients
+      speed: { type: "number", min: 0, max: 10, optional: true },
+      scale: { type: "number", min: 0, max: 10, optional: true },
+      gravity: { type: "number", min: 0, max: 1, optional: true },
+      arcHeight: { type: "number", min: 0, max: 10, optional: true },
+      lifetime: { type: "number", min: 0, max: 60000, optional: true },
+      // The thrower's clock when they threw, for lag compensation
+      thrownAt: timestamp
+    },
+    burst: 10,
+    perSecond: 5
+  },
+  projectileBlocked: {
+    fields: { id: { type: "string", maxLength: MAX_ID_LENGTH } },
+    burst: 10,
+    perSecond: 5
+  },
+  playerState: {
+    fields: { state: { type: "oneOf", values: PLAYER_STATES } },
+    burst: 20,
+    perSecond: 10
+  },
+  equip: {
+    fields: { itemId: { type: "itemType" } },
+    burst: 10,
+    perSecond: 5
+  },
+  consumeItem: {
+    fields: { itemId: { type: "itemType" } },
+    burst: 5,
+    perSecond: 2
+  },
+  claimSpawnable: {
+    fields: { spawnerId: { type: "string", maxLength: MAX_ID_LENGTH } },
+    burst: 10,
+    perSecond: 5
+  },
+  pong: {
+    fields: {
+      sentAt: { ...timestamp, optional: false },
+      clientTime: timestamp
+    },
+    burst: 5,
+    perSecond: 2
+  },
+  requestLeaderboard: {
+    fields: {},
+    burst: 5,
+    perSecond: 1
+  }
+};
+
+export type MessageCheckResult =
+  | { ok: true; message: any }
+  | { ok: false; reason: string };
+
+export type ViolationAction = "warn" | "kick" | null;
+
+interface TokenBucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+/**
+ * Checks every client message against its rule before the room handles it:
+ * the payload shape, number ranges and known ids, and a token bucket rate
+ * limit per client and message type. Keeps count of the violations so the
+ * room can warn and then kick abusive clients.
+ */
+export class MessageGuard {
+  private buckets = new Map<string, Map<string, TokenBucket>>();
+  private violations = new Map<string, { count: number; since: number }>();
+
+  /**
+   * @param rules Rules by message type
+   */
+  constructor(private rules: { [type: string]: MessageRule } = MESSAGE_RULES) {}
+
+  /**
+   * @param sessionId Session id of the sender
+   * @param type Message type
+   * @param message The payload as received
+   * @param now Server time the message was received
+   * @returns The payload with only the allowed fields, or why it was turned down
+   */
+  check(sessionId: string, type: string, message: any, now: number = Date.now()): MessageCheckResult {
+    const rule = this.rules[type];
+    if (!rule) return { ok: false, reason: `unknown message type "${type}"` };
+
+    if (!this.takeToken(sessionId, type, rule, now)) {
+      return { ok: false, reason: `more than ${rule.perSecond} "${type}" message(s) per second` };
+    }
+
+    // Messages without fields can come without a payload
+    if (message === undefined || message === null) {
+      message = {};
+    }
+    if (typeof message !== "object" || Array.isArray(message)) {
+      return { ok: false, reason: `"${type}" payload is not an object` };
+    }
+
+    const checked: any = {};
+    for (const [field, fieldRule] of Object.entries(rule.fields)) {
+      const value = message[field];
+      if (value === undefined || value === null) {
+        if (fieldRule.optional) continue;
+        return { ok: false, reason: `"${type}" is missing ${field}` };
+      }
+
+      const problem = checkField(value, fieldRule);
+      if (problem) {
+        return { ok: false, reason: `"${type}" ${field} ${problem}` };
+      }
+      checked[field] = value;
+    }
+    return { ok: true, message: checked };
+  }
+
+  private takeToken(sessionId: string, type: string, rule: MessageRule, now: number): boolean {
+    let clientBuckets = this.buckets.get(sessionId);
+    if (!clientBuckets) {
+      clientBuckets = new Map();
+      this.buckets.set(sessionId, clientBuckets);
+    }
+
+    const bucket = clientBuckets.get(type) || { tokens: rule.burst, updatedAt: now };
+    bucket.tokens = Math.min(rule.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rule.perSecond);
+    bucket.updatedAt = now;
+    clientBuckets.set(type, bucket);
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Count a turned down message against a client
+   * @param sessionId Session id of the sender
+   * @param now Current server time
+   * @returns "warn" for the first violation in a while, "kick" once there
+   * are too many, null otherwise
+   */
+  recordViolation(sessionId: string, now: number = Date.now()): ViolationAction {
+    let record = this.violations.get(sessionId);
+    if (!record || now - record.since > VIOLATION_WINDOW) {
+      record = { count: 0, since: now };
+      this.violations.set(sessionId, record);
+    }
+    record.count += 1;
+
+    if (record.count >= MAX_VIOLATIONS) return "kick";
+    return record.count === 1 ? "warn" : null;
+  }
+
+  /**
+   * @param sessionId Session id of the client that left
+   */
+  removeClient(sessionId: string) {
+    this.buckets.delete(sessionId);
+    this.violations.delete(sessionId);
+  }
+}
+
+/**
+ * @returns What is wrong with the value, or null if it follows the rule
+ */
+function checkField(value: any, rule: FieldRule): string | null {
+  switch (rule.type) {
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return "is not a number";
+      if (value < rule.min || value > rule.max) return `is out of range (${rule.min} to ${rule.max})`;
+      return null;
+    case "string":
+      if (typeof value !== "string") return "is not a string";
+      if (value.length === 0 || value.length > rule.maxLength) return `must be 1 to ${rule.maxLength} characters`;
+      return null;
+    case "oneOf":
+      if (!rule.values.includes(value)) return `must be one of ${rule.values.join(", ")}`;
+      return null;
+    case "itemType":
+      if (typeof value !== "string" || !getItem(value)) return "is not a known item";
+      return null;
+    case "moveInputs":
+      if (!Array.isArray(value)) return "is not a list";
+      if (value.length > rule.maxLength) return `has more than ${rule.maxLength} entries`;
+      for (const input of value) {
+        if (!input || ![-1, 0, 1].includes(input.forward) || ![-1, 0, 1].includes(input.right)) {
+          return "has an entry without forward and right of -1, 0 or 1";
+        }
+        if (typeof input.yaw !== "number" || !Number.isFinite(input.yaw)) return "has an entry without a yaw";
+      }
+      return null;
+  }
+}
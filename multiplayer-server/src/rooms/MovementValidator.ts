@@ -0,0 +1,343 @@
+import { getItem } from "./items";
+import { WorldBounds } from "./worldData";
+import { PLAYER_EYE_HEIGHT } from "./projectilePhysics";
+
+// Character movement, matching Character.js on the client: distances are per
+// rendered frame and the animation loop runs at up to ~125fps
+const MOVE_SPEED = 0.14;
+const JUMP_FORCE = 0.25;
+const MAX_FRAME_RATE = 125;
+
+// Walking diagonally moves forward and sideways at full speed
+export const MAX_HORIZONTAL_SPEED = MOVE_SPEED * Math.SQRT2 * MAX_FRAME_RATE;
+export const MAX_RISE_SPEED = JUMP_FORCE * MAX_FRAME_RATE;
+
+// Extra distance allowed per update to absorb network jitter and stepping onto objects
+const MOVE_TOLERANCE = 1.5;
+
+// Directions the reported position is held to the reach of the inputs along
+const INPUT_CHECK_DIRECTIONS = 16;
+
+// Inputs kept while updates are turned down, a second of frames and then some
+const MAX_PENDING_INPUTS = 256;
+
+// Longest gap between updates we allow movement for, so a player can't go
+// quiet and then jump across the map
+const MAX_ELAPSED_MS = 1000;
+
+// Milliseconds a server teleport (respawn, new round) waits for the client
+// to arrive at the spawn. Until then updates from where the player was before
+// are still expected, after that every update is checked from the spawn.
+const TELEPORT_TIMEOUT = 10000;
+
+// Effect multipliers when an item's effect config has none, same as the
+// client's SpeedEffect and JumpEffect
+const DEFAULT_MULTIPLIERS: { [effectId: string]: number } = {
+  speed: 2,
+  jump: 1.5
+};
+
+interface Vector3 {
+  x: number;
+  y: number;
+  z: number;
+}
+
+// One frame the player moved in, as the client's Character.readInput has it
+interface MoveInput {
+  forward: number;
+  right: number;
+  yaw: number;
+}
+
+interface MovementTrack {
+  // Last position we accepted and when
+  position: Vector3;
+  time: number;
+  // Newest update seq we have seen, older updates arrived out of order
+  seq: number | null;
+  // Seq of the update the position is as of, a corrected client replays its inputs after it
+  acceptedSeq: number | null;
+  // Inputs the client moved with since then, null if its updates don't carry any
+  inputs: MoveInput[] | null;
+  // Set by a server teleport until the client gets there. The client keeps
+  // moving from where it was until it hears about the teleport.
+  teleport: { position: Vector3; time: number; from: Vector3; fromTime: number; until: number } | null;
+  // Active movement effects by effect id
+  effects: Map<string, { multiplier: number; until: number }>;
+  // Speed multiplier the server keeps on the player, e.g. while carrying a cake
+  slow: number;
+}
+
+export interface MoveValidationResult {
+  // Position to keep for the player
+  x: number;
+  y: number;
+  z: number;
+  // Seq of the update the position is as of
+  seq: number | null;
+  // The reported position was not accepted as is, the client should be told
+  corrected: boolean;
+  reason?: string;
+}
+
+/**
+ * Checks each position update against the map bounds, how far the player
+ * could have moved since the last one, and the inputs sent with it. The
+ * inputs are replayed at the server's own speed from the last accepted
+ * position. There are no collisions on the server, so it can't work out
+ * where they end, but walls only cancel steps: the reported position has to
+ * be one the inputs reach with some of their steps taken away. The room
+ * keeps the returned position and sends it back to the client when it was
+ * corrected.
+ */
+export class MovementValidator {
+  private tracks = new Map<string, MovementTrack>();
+
+  /**
+   * @param bounds Area players can be in, null to skip the bounds check
+   */
+  constructor(private bounds: WorldBounds | null) {}
+
+  private getTrack(sessionId: string): MovementTrack | undefined {
+    return this.tracks.get(sessionId);
+  }
+
+  /**
+   * @param sessionId Session id of the player
+   * @param message The move message: x, y, z, the update's seq and the inputs since the last update
+   * @param now Server time the message was received
+   * @returns The position to keep, null if the message is not a position at all or arrived out of order
+   */
+  validate(sessionId: string, message: any, now: number = Date.now()): MoveValidationResult | null {
+    if (!message || ![message.x, message.y, message.z].every(Number.isFinite)) return null;
+
+    const reported = this.clampToBounds({ x: message.x, y: message.y, z: message.z });
+    const outOfBounds = reported.x !== message.x || reported.y !== message.y || reported.z !== message.z;
+    const seq = Number.isFinite(message.seq) ? message.seq : null;
+    const inputs: MoveInput[] | null = Array.isArray(message.inputs) ? message.inputs : null;
+    const track = this.getTrack(sessionId);
+
+    // First update from this player, nothing to compare against
+    if (!track) {
+      this.tracks.set(sessionId, {
+        position: reported,
+        time: now,
+        seq,
+        acceptedSeq: seq,
+        inputs: inputs && [],
+        teleport: null,
+        effects: new Map(),
+        slow: 1
+      });
+      return { ...reported, seq, corrected: outOfBounds, reason: outOfBounds ? "out of bounds" : undefined };
+    }
+
+    // A newer update already moved the player
+    if (seq !== null && track.seq !== null && seq <= track.seq) return null;
+    if (seq !== null) {
+      track.seq = seq;
+    }
+
+    if (track.teleport && now > track.teleport.until) {
+      track.teleport = null;
+    }
+
+    if (track.teleport) {
+      const teleport = track.teleport;
+
+      // The client moved on from the teleport target. Its inputs started
+      // over there, so only the time since is checked.
+      if (!this.checkReach(track, teleport.position, teleport.time, reported, now)) {
+        track.teleport = null;
+        this.accept(track, reported, now);
+        return { ...reported, seq: track.acceptedSeq, corrected: outOfBounds, reason: outOfBounds ? "out of bounds" : undefined };
+      }
+
+      // The target replaces every update up to this one
+      track.acceptedSeq = track.seq;
+
+      // Sent before the client heard about the teleport, the player stays at the target
+      if (!this.checkReach(track, teleport.from, teleport.fromTime, reported, now)) {
+        teleport.from = reported;
+        teleport.fromTime = now;
+        return { ...track.position, seq: track.acceptedSeq, corrected: false };
+      }
+
+      return { ...track.position, seq: track.acceptedSeq, corrected: true, reason: "not at the teleport target" };
+    }
+
+    // Until an update is accepted the client's position is built on every input since the last one
+    if (track.inputs && inputs) {
+      track.inputs.push(...inputs);
+      if (track.inputs.length > MAX_PENDING_INPUTS) {
+        track.inputs.splice(0, track.inputs.length - MAX_PENDING_INPUTS);
+      }
+    }
+
+    const reason = this.checkReach(track, track.position, track.time, reported, now) || this.checkInputs(track, reported, now);
+    if (reason) {
+      return { ...track.position, seq: track.acceptedSeq, corrected: true, reason };
+    }
+
+    this.accept(track, reported, now);
+    return { ...reported, seq: track.acceptedSeq, corrected: outOfBounds, reason: outOfBounds ? "out of bounds" : undefined };
+  }
+
+  /**
+   * Whether the player could have moved from a position to the reported one in the time since
+   * @returns Why the player couldn't have, or null if they could
+   */
+  private checkReach(track: MovementTrack, from: Vector3, since: number, reported: Vector3, now: number): string | null {
+    const elapsed = Math.min(Math.max(now - since, 0), MAX_ELAPSED_MS) / 1000;
+    const horizontal = Math.hypot(reported.x - from.x, reported.z - from.z);
+    const maxHorizontal = MAX_HORIZONTAL_SPEED * this.getMultiplier(track, "speed", now) * track.slow * elapsed + MOVE_TOLERANCE;
+    if (horizontal > maxHorizontal) {
+      return `moved ${horizontal.toFixed(1)} units, at most ${maxHorizontal.toFixed(1)} allowed`;
+    }
+
+    // Falling has no limit besides the floor, going up is capped by the jump
+    const rise = reported.y - from.y;
+    const maxRise = MAX_RISE_SPEED * this.getMultiplier(track, "jump", now) * elapsed + MOVE_TOLERANCE;
+    if (rise > maxRise) {
+      return `rose ${rise.toFixed(1)} units, at most ${maxRise.toFixed(1)} allowed`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the inputs since the last accepted position reach the reported one.
+   * Each input steps forward and sideways at the server's speed, and any of
+   * the steps may have run into something. Along every checked direction the
+   * player can't have gone farther than all the steps that way add up to.
+   * @returns Why the player couldn't have, or null if they could
+   */
+  private checkInputs(track: MovementTrack, reported: Vector3, now: number): string | null {
+    if (!track.inputs) return null;
+
+    const speed = MOVE_SPEED * this.getMultiplier(track, "speed", now) * track.slow;
+    const moveX = reported.x - track.position.x;
+    const moveZ = reported.z - track.position.z;
+
+    for (let i = 0; i < INPUT_CHECK_DIRECTIONS; i++) {
+      const angle = (i / INPUT_CHECK_DIRECTIONS) * Math.PI * 2;
+      const dirX = Math.cos(angle);
+      const dirZ = Math.sin(angle);
+
+      // Same forward and right vectors as Character.applyInput
+      let reach = 0;
+      for (const input of track.inputs) {
+        const forward = input.forward * speed * (-Math.sin(input.yaw) * dirX - Math.cos(input.yaw) * dirZ);
+        const right = input.right * speed * (Math.cos(input.yaw) * dirX - Math.sin(input.yaw) * dirZ);
+        reach += Math.max(forward, 0) + Math.max(right, 0);
+      }
+
+      const moved = moveX * dirX + moveZ * dirZ;
+      if (moved > reach + MOVE_TOLERANCE) {
+        return `moved ${moved.toFixed(1)} units where its inputs reach ${reach.toFixed(1)}`;
+      }
+    }
+
+    return null;
+  }
+
+  private accept(track: MovementTrack, position: Vector3, now: number) {
+    track.position = position;
+    track.time = now;
+    track.acceptedSeq = track.seq;
+    if (track.inputs) {
+      track.inputs = [];
+    }
+  }
+
+  /**
+   * Keep a position inside the map. The lowest a player's eyes can be is
+   * standing on the floor.
+   */
+  private clampToBounds(position: Vector3): Vector3 {
+    if (!this.bounds) return position;
+    return {
+      x: clamp(position.x, this.bounds.minX, this.bounds.maxX),
+      y: clamp(position.y, this.bounds.minY + PLAYER_EYE_HEIGHT, this.bounds.maxY),
+      z: clamp(position.z, this.bounds.minZ, this.bounds.maxZ)
+    };
+  }
+
+  /**
+   * The server moved the player, e.g. a respawn or a new round. Until the
+   * client moves from there, updates it sent before hearing about it are
+   * dropped as long as they could have come from the previous position.
+   * @param sessionId Session id of the player
+   * @param position Where the server put the player
+   * @param now Current server time
+   */
+  teleport(sessionId: string, position: Vector3, now: number = Date.now()) {
+    const track = this.getTrack(sessionId);
+    if (!track) return;
+
+    // A second teleport before the client arrived keeps the position it may still be moving from
+    const from = track.teleport ? track.teleport.from : track.position;
+    const fromTime = track.teleport ? track.teleport.fromTime : track.time;
+
+    track.position = { x: position.x, y: position.y, z: position.z };
+    track.time = now;
+    track.acceptedSeq = track.seq;
+    if (track.inputs) {
+      track.inputs = [];
+    }
+    track.teleport = { position: track.position, time: now, from, fromTime, until: now + TELEPORT_TIMEOUT };
+  }
+
+  /**
+   * A player ate an item. Speed and jump effects let them move faster for a while.
+   * The multiplier always comes from the server item table, not the client.
+   * @param sessionId Session id of the player
+   * @param itemId The eaten item
+   * @param now Current server time
+   * @returns The effect id that was applied, or null if the item has no movement effect
+   */
+  applyItemEffect(sessionId: string, itemId: string, now: number = Date.now()): string | null {
+    const track = this.getTrack(sessionId);
+    const effect = getItem(itemId)?.effect;
+    if (!track || !effect || !(effect.id in DEFAULT_MULTIPLIERS)) return null;
+
+    // Eating the same boost again restarts it, like the client's EffectsManager
+    const multiplier = effect.config?.multiplier ?? DEFAULT_MULTIPLIERS[effect.id];
+    track.effects.set(effect.id, { multiplier: Math.max(multiplier, 1), until: now + effect.duration });
+    return effect.id;
+  }
+
+  /**
+   * Slow a player down until changed again, speed boosts still apply on top
+   * @param sessionId Session id of the player
+   * @param multiplier Speed multiplier, 1 to lift the slow
+   */
+  setSlow(sessionId: string, multiplier: number) {
+    const track = this.getTrack(sessionId);
+    if (!track) return;
+
+    track.slow = clamp(multiplier, 0, 1);
+  }
+
+  private getMultiplier(track: MovementTrack, effectId: string, now: number): number {
+    const effect = track.effects.get(effectId);
+    if (!effect) return 1;
+    if (now > effect.until) {
+      track.effects.delete(effectId);
+      return 1;
+    }
+    return effect.multiplier;
+  }
+
+  /**
+   * @param sessionId Session id of the player that left
+   */
+  removePlayer(sessionId: string) {
+    this.tracks.delete(sessionId);
+  }
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+
+export interface WeaponStats {
+  hits: number;
+  kills: number;
+}
+
+export interface PlayerProfile {
+  id: string;
+  // Latest name the player used, for display
+  name: string;
+  kills: number;
+  deaths: number;
+  matchesPlayed: number;
+  wins: number;
+  // Hits and kills per thrown item, by itemType
+  weapons: { [itemType: string]: WeaponStats };
+  lastPlayedAt: number;
+}
+
+export interface ProfileStats extends PlayerProfile {
+  favoriteWeapon: string | null;
+}
+
+// Who stats are recorded for: the profile id a client keeps across visits and its current name
+export interface ProfileOwner {
+  id: string;
+  name: string;
+}
+
+// Kept next to the server, outside of the build folder
+const DEFAULT_PROFILES_PATH = path.resolve(__dirname, "../../data/profiles.json");
+
+// Milliseconds to batch stat changes before writing the file
+const SAVE_DELAY = 2000;
+
+/**
+ * Lifetime player stats, kept in a JSON file and shared by every room.
+ * Profiles are keyed by the profile id each client sends when joining, so
+ * two players picking the same name don't share stats.
+ */
+export class ProfileStore {
+  private profiles = new Map<string, PlayerProfile>();
+  private saveTimeout: NodeJS.Timeout = null;
+
+  constructor(private filePath: string) {
+    this.load();
+  }
+
+  private load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      Object.values<PlayerProfile>(data.profiles || {}).forEach(profile => {
+        if (profile.id) {
+          this.profiles.set(profile.id, profile);
+        }
+      });
+      console.log(`Loaded ${this.profiles.size} player profile(s) from ${this.filePath}`);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        console.warn(`Could not load player profiles from ${this.filePath}:`, (error as Error).message);
+      }
+    }
+  }
+
+  /**
+   * Find or create the profile of a player, renamed to the name they play under now
+   * @param owner The player's profile id and name
+   */
+  private getOrCreate(owner: ProfileOwner): PlayerProfile {
+    let profile = this.profiles.get(owner.id);
+    if (!profile) {
+      profile = { id: owner.id, name: owner.name, kills: 0, deaths: 0, matchesPlayed: 0, wins: 0, weapons: {}, lastPlayedAt: 0 };
+      this.profiles.set(owner.id, profile);
+    }
+    profile.name = owner.name;
+    profile.lastPlayedAt = Date.now();
+    return profile;
+  }
+
+  private getWeapon(profile: PlayerProfile, itemType: string): WeaponStats {
+    if (!profile.weapons[itemType]) {
+      profile.weapons[itemType] = { hits: 0, kills: 0 };
+    }
+    return profile.weapons[itemType];
+  }
+
+  /**
+   * @param owner The thrower
+   * @param itemType The item that hit
+   */
+  recordHit(owner: ProfileOwner | null, itemType: string) {
+    if (!owner || !itemType) return;
+    this.getWeapon(this.getOrCreate(owner), itemType).hits += 1;
+    this.scheduleSave();
+  }
+
+  /**
+   * @param owner The killer
+   * @param itemType The item that landed the killing blow, if known
+   */
+  recordKill(owner: ProfileOwner | null, itemType: string | null) {
+    if (!owner) return;
+    const profile = this.getOrCreate(owner);
+    profile.kills += 1;
+    if (itemType) {
+      this.getWeapon(profile, itemType).kills += 1;
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * @param owner The victim
+   */
+  recordDeath(owner: ProfileOwner | null) {
+    if (!owner) return;
+    this.getOrCreate(owner).deaths += 1;
+    this.scheduleSave();
+  }
+
+  /**
+   * @param owner The player
+   * @param won Whether the player (or their team) won the round
+   */
+  recordMatch(owner: ProfileOwner | null, won: boolean) {
+    if (!owner) return;
+    const profile = this.getOrCreate(owner);
+    profile.matchesPlayed += 1;
+    if (won) {
+      profile.wins += 1;
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Lifetime stats of a player
+   * @param profileId The player's profile id
+   * @returns The stats, or null if the player never played
+   */
+  getStats(profileId: string): ProfileStats | null {
+    const profile = this.profiles.get(profileId);
+    if (!profile) return null;
+
+    return { ...profile, favoriteWeapon: this.getFavoriteWeapon(profile) };
+  }
+
+  /**
+   * The item with the most kills, hits break ties
+   */
+  private getFavoriteWeapon(profile: PlayerProfile): string | null {
+    let favorite: string = null;
+    Object.entries(profile.weapons).forEach(([itemType, stats]) => {
+      const best = favorite ? profile.weapons[favorite] : null;
+      if (!best || stats.kills > best.kills || (stats.kills === best.kills && stats.hits > best.hits)) {
+        favorite = itemType;
+      }
+    });
+    return favorite;
+  }
+
+  private scheduleSave() {
+    if (this.saveTimeout) return;
+    this.saveTimeout = setTimeout(() => this.flush(), SAVE_DELAY);
+  }
+
+  /**
+   * Write pending changes now, e.g. when a room shuts down
+   */
+  flush() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+
+    const data = { profiles: Object.fromEntries(this.profiles) };
+    try {
+      // Write a temporary file first so a crash never leaves half a file behind
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Could not save player profiles to ${this.filePath}:`, (error as Error).message);
+    }
+  }
+}
+
+let profileStore: ProfileStore = null;
+
+/**
+ * The profile store shared by every room. The file can be moved with the
+ * PROFILES_PATH environment variable.
+ */
+export function getProfileStore(): ProfileStore {
+  if (!profileStore) {
+    profileStore = new ProfileStore(process.env.PROFILES_PATH || DEFAULT_PROFILES_PATH);
+  }
+  return profileStore;
+}
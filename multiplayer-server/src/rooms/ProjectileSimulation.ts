@@ -0,0 +1,161 @@
+import { MapSchema } from "@colyseus/schema";
+import { Player } from "./schema/LobbyState";
+import { ThrownProjectile, PositionLookup } from "./HitValidator";
+import { FRAME_MS, FLOOR_HEIGHT, PLAYER_RADIUS, distanceToPlayer, projectileRadius } from "./projectilePhysics";
+
+// Safety cap so a long server hitch can't stall the room catching up
+const MAX_FRAMES_PER_UPDATE = 30;
+
+export type ImpactType = "player" | "floor" | "blocked" | "expired";
+
+export interface ProjectileImpact {
+  projectile: ThrownProjectile;
+  type: ImpactType;
+  // Set when type is "player"
+  targetId?: string;
+  x: number;
+  y: number;
+  z: number;
+}
+
+interface SimulatedProjectile {
+  projectile: ThrownProjectile;
+  x: number;
+  y: number;
+  z: number;
+  vx: number;
+  vy: number;
+  vz: number;
+  age: number;
+  // Milliseconds not yet consumed by a whole frame step
+  pending: number;
+}
+
+/**
+ * Authoritative flight of every thrown projectile. Steps projectiles with the
+ * same per-frame physics as the client and reports where each one ends.
+ */
+export class ProjectileSimulation {
+  private active: SimulatedProjectile[] = [];
+
+  /**
+   * Start simulating a thrown projectile
+   * @param projectile The projectile recorded from the thrower's message
+   */
+  add(projectile: ThrownProjectile) {
+    this.active.push({
+      projectile,
+      x: projectile.x,
+      y: projectile.y,
+      z: projectile.z,
+      vx: projectile.dirX * projectile.speed,
+      vy: projectile.dirY * projectile.speed + projectile.arcHeight,
+      vz: projectile.dirZ * projectile.speed,
+      age: 0,
+      pending: 0
+    });
+  }
+
+  /**
+   * Stop a projectile the thrower saw hit the level geometry, which the server doesn't know about
+   * @param sourceId Session id of the thrower
+   * @param projectileId The projectile id
+   * @returns The impact, or null if the projectile already ended
+   */
+  block(sourceId: string, projectileId: string): ProjectileImpact | null {
+    const index = this.active.findIndex(sim =>
+      sim.projectile.id === projectileId && sim.projectile.sourceId === sourceId
+    );
+    if (index === -1) return null;
+
+    const [sim] = this.active.splice(index, 1);
+    return this.impact(sim, "blocked");
+  }
+
+  /**
+   * Drop every projectile thrown by a player (on leave)
+   * @param sessionId The player's session id
+   */
+  removePlayer(sessionId: string) {
+    this.active = this.active.filter(sim => sim.projectile.sourceId !== sessionId);
+  }
+
+  /**
+   * Advance all projectiles
+   * @param deltaTime Milliseconds since the last update
+   * @param players Players that can be hit
+   * @param canHit Optional filter, projectiles fly through players it rejects (e.g. teammates)
+   * @param positionAt Optional lag compensation, players are checked where the thrower saw them
+   * @param now Current server time
+   * @returns Impacts that happened during this update
+   */
+  update(deltaTime: number, players: MapSchema<Player>, canHit?: (sourceId: string, player: Player) => boolean,
+    positionAt?: PositionLookup, now: number = Date.now()): ProjectileImpact[] {
+    const impacts: ProjectileImpact[] = [];
+
+    this.active = this.active.filter(sim => {
+      sim.pending += deltaTime;
+      const frames = Math.min(Math.floor(sim.pending / FRAME_MS), MAX_FRAMES_PER_UPDATE);
+      sim.pending -= frames * FRAME_MS;
+
+      for (let frame = 0; frame < frames; frame++) {
+        // Frames caught up in one update happened slightly in the past
+        const frameTime = now - (frames - 1 - frame) * FRAME_MS;
+        const impact = this.step(sim, players, frameTime, canHit, positionAt);
+        if (impact) {
+          impacts.push(impact);
+          return false;
+        }
+      }
+
+      return true;
+    });
+
+    return impacts;
+  }
+
+  /**
+   * Advance a projectile by one frame and check what it hit
+   */
+  private step(sim: SimulatedProjectile, players: MapSchema<Player>, frameTime: number,
+    canHit?: (sourceId: string, player: Player) => boolean, positionAt?: PositionLookup): ProjectileImpact | null {
+    const projectile = sim.projectile;
+
+    sim.x += sim.vx;
+    sim.y += sim.vy;
+    sim.z += sim.vz;
+    sim.vy -= projectile.gravity;
+    sim.age += FRAME_MS;
+
+    const hitRadius = PLAYER_RADIUS + projectileRadius(projectile.scale);
+    let target: Player = null;
+    let closest = Infinity;
+
+    players.forEach(player => {
+      if (player.id === projectile.sourceId || player.health <= 0) return;
+      if (projectile.hitTargets.has(player.id)) return;
+      if (canHit && !canHit(projectile.sourceId, player)) return;
+
+      const position = positionAt ? positionAt(player, frameTime - projectile.rewind) : player;
+      const distance = distanceToPlayer(sim.x, sim.y, sim.z, position);
+      if (distance <= hitRadius && distance < closest) {
+        closest = distance;
+        target = player;
+      }
+    });
+
+    if (target) {
+      projectile.hitTargets.add(target.id);
+      return { ...this.impact(sim, "player"), targetId: target.id };
+    }
+
+    if (sim.y < FLOOR_HEIGHT) return this.impact(sim, "floor");
+    if (sim.age >= projectile.lifetime) return this.impact(sim, "expired");
+
+    return null;
+  }
+
+  private impact(sim: SimulatedProjectile, type: ImpactType): ProjectileImpact {
+    return { projectile: sim.projectile, type, x: sim.x, y: sim.y, z: sim.z };
+  }
+}
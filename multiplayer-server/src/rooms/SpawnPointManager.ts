@@ -0,0 +1,60 @@
+import { Vector3Data, WorldSpawnPointData } from "./worldData";
+import { PLAYER_EYE_HEIGHT } from "./projectilePhysics";
+
+// Used when world.json has no spawn points, around the middle of the lobby map
+const DEFAULT_SPAWN_POINTS: WorldSpawnPointData[] = [
+  { id: "player-spawn", position: { x: 0, y: 0, z: 0 } },
+  { id: "player-spawn", position: { x: 10, y: 0, z: 10 } },
+  { id: "player-spawn", position: { x: -10, y: 0, z: -10 } },
+  { id: "player-spawn", position: { x: 10, y: 0, z: -10 } },
+  { id: "player-spawn", position: { x: -10, y: 0, z: 10 } }
+];
+
+/**
+ * Where players come back into the match. Spawn points are placed in the
+ * editor and each spawn goes to the one farthest from the player's enemies,
+ * so nobody respawns in front of the player who just took them out.
+ */
+export class SpawnPointManager {
+  // Eye positions, like player positions
+  private points: Vector3Data[] = [];
+
+  /**
+   * Load spawn points from the world.json spawnPoints array
+   * @param spawnPointsData The spawnPoints array from world.json
+   */
+  load(spawnPointsData: WorldSpawnPointData[] = []) {
+    if (!spawnPointsData.some(spawnPointData => spawnPointData && spawnPointData.position)) {
+      console.log("No spawn points in world data, using the default spawn points");
+      spawnPointsData = DEFAULT_SPAWN_POINTS;
+    }
+
+    this.points = spawnPointsData
+      .filter(spawnPointData => spawnPointData && spawnPointData.position)
+      .map(({ position }) => ({ x: position.x, y: position.y + PLAYER_EYE_HEIGHT, z: position.z }));
+    console.log(`Loaded ${this.points.length} spawn points`);
+  }
+
+  /**
+   * Pick the spawn point whose nearest enemy is the farthest away, a random one
+   * when there are no enemies to stay away from
+   * @param enemies Positions of the living enemies
+   * @returns A copy of the spawn's eye position
+   */
+  pick(enemies: Vector3Data[]): Vector3Data {
+    if (enemies.length === 0) {
+      return { ...this.points[Math.floor(Math.random() * this.points.length)] };
+    }
+
+    let best: Vector3Data = null;
+    let bestDistance = -1;
+    this.points.forEach(point => {
+      const nearest = Math.min(...enemies.map(enemy => Math.hypot(enemy.x - point.x, enemy.y - point.y, enemy.z - point.z)));
+      if (nearest > bestDistance) {
+        best = point;
+        bestDistance = nearest;
+      }
+    });
+    return { ...best };
+  }
+}
@@ -0,0 +1,70 @@
+import { MapSchema } from "@colyseus/schema";
+import { Player } from "./schema/LobbyState";
+
+// Milliseconds a player can't be hurt after spawning
+export const SPAWN_PROTECTION_TIME = 3000;
+
+/**
+ * A few seconds of invulnerability after a player spawns, so nobody dies
+ * before they can move. Protection ends early when the player throws.
+ * The player's spawnProtected flag shows the shield on every client.
+ */
+export class SpawnProtection {
+  // Server time each protected player's protection ends, by session id
+  private endTimes = new Map<string, number>();
+
+  constructor(private players: MapSchema<Player>, public duration: number = SPAWN_PROTECTION_TIME) {}
+
+  /**
+   * Protect a player that just spawned
+   * @param player The player
+   * @param now Current server time
+   */
+  protect(player: Player, now: number = Date.now()) {
+    if (this.duration <= 0) return;
+
+    this.endTimes.set(player.id, now + this.duration);
+    player.spawnProtected = true;
+  }
+
+  /**
+   * End a player's protection, when they throw or leave
+   * @param player The player
+   */
+  end(player: Player) {
+    this.endTimes.delete(player.id);
+    player.spawnProtected = false;
+  }
+
+  /**
+   * @param player The player
+   * @returns Whether the player can't be hurt right now
+   */
+  isProtected(player: Player): boolean {
+    return this.endTimes.has(player.id);
+  }
+
+  /**
+   * End the protections that ran out
+   * @param now Current server time
+   */
+  update(now: number = Date.now()) {
+    this.endTimes.forEach((endTime, sessionId) => {
+      if (now < endTime) return;
+
+      this.endTimes.delete(sessionId);
+      const player = this.players.get(sessionId);
+      if (player) {
+        player.spawnProtected = false;
+      }
+    });
+  }
+
+  /**
+   * Forget a player that left
+   * @param sessionId Session id of the player
+   */
+  removePlayer(sessionId: string) {
+    this.endTimes.delete(sessionId);
+  }
+}
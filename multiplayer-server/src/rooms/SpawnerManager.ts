@@ -0,0 +1,110 @@
+import { MapSchema } from "@colyseus/schema";
+import { Player, SpawnerState } from "./schema/LobbyState";
+import { WorldSpawnerData, getSpawnerKey } from "./worldData";
+import { DEFAULT_SPAWNER_COOLDOWN, getSpawnerType, rollQuantity } from "./spawners";
+
+// Clients collect within 2 units of the item, which floats 1 unit above the spawner.
+// The extra range covers the delay between the client's position and the server's.
+const COLLECT_RANGE = 2 + 3;
+const ITEM_HEIGHT = 1;
+
+export type ClaimResult =
+  | { accepted: true; itemId: string; quantity: number }
+  | { accepted: false; reason: string };
+
+/**
+ * Owns the item spawners for a room so every player sees the same pickups
+ * and only one of them can collect each item.
+ */
+export class SpawnerManager {
+  constructor(private spawners: MapSchema<SpawnerState>) {}
+
+  /**
+   * Create spawner state from the world.json spawners array
+   * @param spawnersData The spawners array from world.json
+   */
+  load(spawnersData: WorldSpawnerData[] = []) {
+    spawnersData.forEach((spawnerData, index) => {
+      if (!spawnerData || !spawnerData.position) return;
+
+      const spawnerType = getSpawnerType(spawnerData.id);
+      if (!spawnerType) {
+        console.warn(`Spawner ${spawnerData.id} not found in registry, skipping`);
+        return;
+      }
+
+      const spawner = new SpawnerState();
+      spawner.id = getSpawnerKey(spawnerData, index);
+      spawner.spawnerId = spawnerData.id;
+      spawner.x = spawnerData.position.x;
+      spawner.y = spawnerData.position.y;
+      spawner.z = spawnerData.position.z;
+
+      this.spawn(spawner);
+      this.spawners.set(spawner.id, spawner);
+    });
+
+    console.log(`Loaded ${this.spawners.size} spawners`);
+  }
+
+  /**
+   * Respawn items whose cooldown is over
+   * @param now Current server time
+   */
+  update(now: number = Date.now()) {
+    this.spawners.forEach(spawner => {
+      if (!spawner.available && now >= spawner.respawnAt) {
+        this.spawn(spawner);
+      }
+    });
+  }
+
+  /**
+   * Try to collect a spawner's item. Only the first valid claim wins.
+   * @param player The player claiming the item
+   * @param key The spawner key
+   * @param now Current server time
+   */
+  claim(player: Player, key: string, now: number = Date.now()): ClaimResult {
+    const spawner = this.spawners.get(key);
+    if (!spawner) {
+      return { accepted: false, reason: "unknown spawner" };
+    }
+
+    if (!spawner.available) {
+      return { accepted: false, reason: "already collected" };
+    }
+
+    if (player.health <= 0) {
+      return { accepted: false, reason: "player is dead" };
+    }
+
+    const distance = Math.hypot(player.x - spawner.x, player.y - (spawner.y + ITEM_HEIGHT), player.z - spawner.z);
+    if (distance > COLLECT_RANGE) {
+      return { accepted: false, reason: "too far away" };
+    }
+
+    const spawnerType = getSpawnerType(spawner.spawnerId);
+    const cooldown = spawnerType.cooldown || DEFAULT_SPAWNER_COOLDOWN;
+
+    spawner.available = false;
+    spawner.collectedBy = player.id;
+    spawner.respawnAt = now + cooldown;
+
+    return { accepted: true, itemId: spawner.itemId, quantity: spawner.quantity };
+  }
+
+  /**
+   * Pick a new item for a spawner
+   */
+  private spawn(spawner: SpawnerState) {
+    const { items } = getSpawnerType(spawner.spawnerId);
+    const itemId = items[Math.floor(Math.random() * items.length)];
+
+    spawner.itemId = itemId;
+    spawner.quantity = rollQuantity(itemId);
+    spawner.available = true;
+    spawner.collectedBy = null;
+    spawner.respawnAt = 0;
+  }
+}
@@ -0,0 +1,136 @@
+import { MapSchema } from "@colyseus/schema";
+import { Player, TeamState } from "./schema/LobbyState";
+import { StandingEntry } from "./MatchManager";
+
+// Teams used in team mode, colors live on the client
+export const TEAMS = [
+  { id: "red", name: "Red" },
+  { id: "blue", name: "Blue" }
+];
+
+/**
+ * Team assignment, friendly fire and team scores for team mode.
+ * In free-for-all every method is a no-op and players have no team.
+ */
+export class TeamManager {
+  constructor(
+    private teams: MapSchema<TeamState>,
+    private players: MapSchema<Player>,
+    public enabled: boolean,
+    public friendlyFire: boolean
+  ) {
+    if (!enabled) return;
+
+    TEAMS.forEach(definition => {
+      const team = new TeamState();
+      team.id = definition.id;
+      team.name = definition.name;
+      this.teams.set(team.id, team);
+    });
+  }
+
+  /**
+   * Put a joining player on the team with the fewest players (the lowest score breaks ties)
+   * @param player The joining player, not yet in the players map
+   */
+  assignTeam(player: Player) {
+    if (!this.enabled) return;
+
+    const counts = new Map<string, number>();
+    this.teams.forEach((team, id) => counts.set(id, 0));
+    this.players.forEach(other => {
+      if (other.id !== player.id && counts.has(other.team)) {
+        counts.set(other.team, counts.get(other.team) + 1);
+      }
+    });
+
+    let chosen: TeamState = null;
+    this.teams.forEach((team, id) => {
+      if (!chosen) {
+        chosen = team;
+        return;
+      }
+
+      const count = counts.get(id);
+      const chosenCount = counts.get(chosen.id);
+      if (count < chosenCount || (count === chosenCount && team.score < chosen.score)) {
+        chosen = team;
+      }
+    });
+
+    player.team = chosen.id;
+    console.log(`Player ${player.id} assigned to team ${chosen.id}`);
+  }
+
+  /**
+   * Whether the source and the target are on the same team
+   * @param sourceId Session id of the attacker
+   * @param target The player being hit
+   */
+  isTeammate(sourceId: string, target: Player): boolean {
+    if (!this.enabled || sourceId === target.id) return false;
+
+    const source = this.players.get(sourceId);
+    return !!source && !!source.team && source.team === target.team;
+  }
+
+  /**
+   * Whether a hit from the source should damage the target
+   * @param sourceId Session id of the attacker
+   * @param target The player being hit
+   */
+  canDamage(sourceId: string, target: Player): boolean {
+    return this.friendlyFire || !this.isTeammate(sourceId, target);
+  }
+
+  /**
+   * Credit a kill to the killer's team. Team kills don't score.
+   * @param killer The player credited with the kill
+   * @param victim The player who died
+   * @returns The killer team's new score, or null if no team scored
+   */
+  addKill(killer: Player, victim: Player): number | null {
+    if (!this.enabled || !killer.team) return null;
+    if (victim && victim.team === killer.team) return null;
+
+    const team = this.teams.get(killer.team);
+    if (!team) return null;
+
+    team.score += 1;
+    return team.score;
+  }
+
+  /**
+   * Add points to a team for an objective
+   * @param teamId The scoring team
+   * @param points Points to add
+   * @returns The team's new score, or null if the team doesn't exist
+   */
+  addPoints(teamId: string, points: number): number | null {
+    const team = this.enabled ? this.teams.get(teamId) : null;
+    if (!team) return null;
+
+    team.score += points;
+    return team.score;
+  }
+
+  /**
+   * Zero every team score for a new round
+   */
+  resetScores() {
+    this.teams.forEach(team => {
+      team.score = 0;
+    });
+  }
+
+  /**
+   * Team scores, for round results
+   */
+  getStandings(): StandingEntry[] {
+    const standings: StandingEntry[] = [];
+    this.teams.forEach(team => {
+      standings.push({ id: team.id, name: `${team.name} Team`, score: team.score });
+    });
+    return standings;
+  }
+}
@@ -0,0 +1,173 @@
+import { MapSchema } from "@colyseus/schema";
+import { Player, ZoneState } from "./schema/LobbyState";
+import { WorldZoneData, getZoneKey } from "./worldData";
+import { PLAYER_EYE_HEIGHT, PLAYER_HEIGHT } from "./projectilePhysics";
+
+// Used when world.json has no zones, in the middle of the lobby map
+const DEFAULT_ZONES: WorldZoneData[] = [
+  { id: "capture-zone", position: { x: 0, y: 0, z: 0 }, radius: 6 }
+];
+
+// Radius of zones saved without one
+const DEFAULT_ZONE_RADIUS = 5;
+
+// Points needed to win a round unless the room sets its own score limit
+export const KOTH_SCORE_LIMIT = 100;
+
+// Milliseconds before the active zone moves to the next one
+export const ZONE_ROTATION_TIME = 60000;
+
+// Points awarded for every second a zone is held alone
+const POINTS_PER_SECOND = 1;
+
+export interface ZoneAward {
+  // Team id, or session id without teams
+  holderId: string;
+  points: number;
+}
+
+/**
+ * King-of-the-hill zones. One zone is active at a time and moves to the
+ * next one on a schedule; whoever stands in it alone scores every second.
+ */
+export class ZoneManager {
+  // Zone keys in world.json order, the active zone cycles through them
+  private order: string[] = [];
+  private activeIndex = 0;
+  private rotatesAt = 0;
+
+  // Time the current holder has been in the active zone toward its next point
+  private heldTime = 0;
+  private lastUpdate = 0;
+
+  /**
+   * @param zones Zone state synced to clients
+   * @param players Players in the room
+   * @param useTeams Zones are held by teams instead of single players
+   * @param rotationTime Milliseconds before the active zone moves
+   */
+  constructor(
+    private zones: MapSchema<ZoneState>,
+    private players: MapSchema<Player>,
+    private useTeams: boolean,
+    private rotationTime: number = ZONE_ROTATION_TIME
+  ) {}
+
+  /**
+   * Create zone state from the world.json zones array
+   * @param zonesData The zones array from world.json
+   */
+  load(zonesData: WorldZoneData[] = []) {
+    if (!zonesData.some(zoneData => zoneData && zoneData.position)) {
+      console.log("No zones in world data, using the default zone");
+      zonesData = DEFAULT_ZONES;
+    }
+
+    zonesData.forEach((zoneData, index) => {
+      if (!zoneData || !zoneData.position) return;
+
+      const zone = new ZoneState();
+      zone.id = getZoneKey(zoneData, index);
+      zone.x = zoneData.position.x;
+      zone.y = zoneData.position.y;
+      zone.z = zoneData.position.z;
+      zone.radius = zoneData.radius > 0 ? zoneData.radius : DEFAULT_ZONE_RADIUS;
+
+      this.zones.set(zone.id, zone);
+      this.order.push(zone.id);
+    });
+
+    this.activate(0, Date.now());
+    console.log(`Loaded ${this.zones.size} king of the hill zones`);
+  }
+
+  /**
+   * Move the active zone when its time is up and score whoever holds it
+   * @param now Current server time
+   * @returns Points earned since the last update
+   */
+  update(now: number = Date.now()): ZoneAward[] {
+    const elapsed = this.lastUpdate > 0 ? now - this.lastUpdate : 0;
+    this.lastUpdate = now;
+
+    if (this.order.length === 0) return [];
+
+    if (now >= this.rotatesAt) {
+      this.activate((this.activeIndex + 1) % this.order.length, now);
+    }
+
+    const zone = this.zones.get(this.order[this.activeIndex]);
+    this.updateTimeRemaining(zone, now);
+
+    const holders = new Set<string>();
+    this.players.forEach(player => {
+      if (this.isInside(player, zone)) {
+        holders.add(this.useTeams ? player.team : player.id);
+      }
+    });
+
+    const holderId = holders.size === 1 ? Array.from(holders)[0] : null;
+    const contested = holders.size > 1;
+
+    if (zone.holderId !== holderId) {
+      zone.holderId = holderId;
+      this.heldTime = 0;
+    } else if (holderId) {
+      this.heldTime += elapsed;
+    }
+    if (zone.contested !== contested) {
+      zone.contested = contested;
+    }
+
+    if (!holderId || this.heldTime < 1000) return [];
+
+    const seconds = Math.floor(this.heldTime / 1000);
+    this.heldTime -= seconds * 1000;
+    return [{ holderId, points: seconds * POINTS_PER_SECOND }];
+  }
+
+  /**
+   * Start again from the first zone for a new round
+   * @param now Current server time
+   */
+  reset(now: number = Date.now()) {
+    if (this.order.length === 0) return;
+    this.activate(0, now);
+  }
+
+  private activate(index: number, now: number) {
+    this.activeIndex = index;
+    this.rotatesAt = now + this.rotationTime;
+    this.heldTime = 0;
+
+    this.order.forEach((id, i) => {
+      const zone = this.zones.get(id);
+      zone.active = i === index;
+      zone.holderId = null;
+      zone.contested = false;
+      zone.timeRemaining = 0;
+    });
+
+    this.updateTimeRemaining(this.zones.get(this.order[index]), now);
+    console.log(`Zone ${this.order[index]} is now active`);
+  }
+
+  private updateTimeRemaining(zone: ZoneState, now: number) {
+    const remaining = Math.max(0, Math.ceil((this.rotatesAt - now) / 1000));
+    if (zone.timeRemaining !== remaining) {
+      zone.timeRemaining = remaining;
+    }
+  }
+
+  /**
+   * Whether a living, connected player stands in a zone. Team play needs a team.
+   */
+  private isInside(player: Player, zone: ZoneState): boolean {
+    if (player.health <= 0 || !player.connected || (this.useTeams && !player.team)) return false;
+
+    const feetY = player.y - PLAYER_EYE_HEIGHT;
+    if (feetY < zone.y - 1 || feetY > zone.y + PLAYER_HEIGHT) return false;
+
+    return Math.hypot(player.x - zone.x, player.z - zone.z) <= zone.radius;
+  }
+}
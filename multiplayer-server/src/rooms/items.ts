@@ -0,0 +1,133 @@
+/**
+ * Server-side copy of the gameplay values from the frontend ItemRegistry
+ * (frontend/src/registries/ItemRegistry.js). The server never trusts the
+ * damage a client reports, so every item that can be thrown must be listed
+ * here with the same id, scale and damage as the client registry.
+ */
+
+export interface ItemEffect {
+  id: string;
+  duration: number;
+  config?: { multiplier?: number };
+}
+
+export interface ItemDefinition {
+  id: string;
+  scale: number;
+  damage: number;
+  // Applied to the player who eats the item
+  effect?: ItemEffect;
+  // Applied to the player the item hits
+  hitEffect?: ItemEffect;
+}
+
+export const ITEMS: ItemDefinition[] = [
+  // Meats
+  { id: "turkey", scale: 0.6, damage: 25 },
+  { id: "meat-cooked", scale: 0.7, damage: 20 },
+  { id: "meat-patty", scale: 0.6, damage: 18 },
+  { id: "meat-raw", scale: 0.6, damage: 15 },
+  { id: "meat-ribs", scale: 0.8, damage: 23 },
+  { id: "meat-sausage", scale: 0.7, damage: 17 },
+  { id: "sausage", scale: 1.1, damage: 16 },
+  { id: "sausage-half", scale: 0.6, damage: 10 },
+  { id: "whole-ham", scale: 0.7, damage: 24 },
+  { id: "bacon-raw", scale: 0.6, damage: 14 },
+  { id: "beef-raw", scale: 0.6, damage: 16 },
+  { id: "burger-cheese-double", scale: 0.6, damage: 22 },
+
+  // Breads and Baked Goods
+  { id: "loaf-baguette", scale: 0.6, damage: 15 },
+  { id: "loaf-round", scale: 0.6, damage: 12 },
+  { id: "loaf", scale: 0.6, damage: 14 },
+  { id: "muffin", scale: 0.5, damage: 10 },
+  { id: "pancakes", scale: 0.6, damage: 13 },
+  { id: "pie", scale: 0.6, damage: 18 },
+  { id: "mincemeat-pie", scale: 0.6, damage: 20 },
+  { id: "waffle", scale: 0.6, damage: 12 },
+  { id: "donut", scale: 0.6, damage: 11 },
+  { id: "donut-sprinkles", scale: 1.5, damage: 14 },
+
+  // Fruits and Vegetables
+  { id: "tomato", scale: 0.5, damage: 10 },
+  { id: "tomato-slice", scale: 0.5, damage: 5 },
+  { id: "watermelon", scale: 0.7, damage: 25 },
+  { id: "strawberry", scale: 0.4, damage: 8 },
+  { id: "pumpkin", scale: 1, damage: 22 },
+  { id: "pumpkin-basic", scale: 0.6, damage: 22 },
+  { id: "pineapple", scale: 1, damage: 20 },
+  { id: "pear", scale: 0.5, damage: 12 },
+  { id: "pear-half", scale: 0.5, damage: 6 },
+  { id: "orange", scale: 0.5, damage: 12 },
+  { id: "onion", scale: 0.5, damage: 9 },
+  { id: "onion-half", scale: 0.5, damage: 5 },
+  { id: "mushroom", scale: 0.4, damage: 8 },
+  { id: "mushroom-half", scale: 0.4, damage: 4 },
+  { id: "paprika", scale: 0.5, damage: 10 },
+  { id: "paprika-slice", scale: 0.5, damage: 5 },
+  { id: "radish", scale: 0.4, damage: 7 },
+  { id: "carrot", scale: 0.8, damage: 15, effect: { id: "jump", duration: 8000, config: { multiplier: 1.75 } } },
+
+  // Prepared Foods
+  { id: "pizza", scale: 0.7, damage: 22 },
+  { id: "hot-dog", scale: 1, damage: 17 },
+  { id: "sandwich", scale: 0.6, damage: 16 },
+  { id: "salad", scale: 0.6, damage: 12 },
+  { id: "sub", scale: 0.7, damage: 18 },
+  { id: "taco", scale: 1.1, damage: 15 },
+  { id: "rice-ball", scale: 0.5, damage: 9 },
+
+  // Sushi and Seafood
+  { id: "sushi-salmon", scale: 0.5, damage: 12 },
+  { id: "sushi-egg", scale: 0.5, damage: 11 },
+  { id: "maki-roe", scale: 0.5, damage: 10 },
+  { id: "maki-salmon", scale: 0.5, damage: 11 },
+  { id: "maki-vegetable", scale: 0.5, damage: 9 },
+  { id: "mussel", scale: 0.4, damage: 8 },
+  { id: "mussel-open", scale: 0.4, damage: 9 },
+
+  // Desserts and Sweets
+  { id: "ice-cream", scale: 0.9, damage: 14 },
+  { id: "ice-cream-scoop-mint", scale: 0.4, damage: 9 },
+  { id: "sundae", scale: 0.5, damage: 16 },
+  { id: "pudding", scale: 0.5, damage: 12 },
+  { id: "lollypop", scale: 0.5, damage: 8 },
+  { id: "popsicle", scale: 1, damage: 11 },
+  { id: "popsicle-chocolate", scale: 0.5, damage: 10 },
+  { id: "whipped-cream", scale: 0.5, damage: 7 },
+  { id: "honey", scale: 0.5, damage: 8, hitEffect: { id: "slow", duration: 5000 } },
+  { id: "peanut-butter", scale: 0.5, damage: 9, hitEffect: { id: "slow", duration: 3000 } },
+  { id: "cake", scale: 1, damage: 30 },
+  // Beverages
+  { id: "wine-red", scale: 0.8, damage: 18 },
+  { id: "wine-white", scale: 0.8, damage: 17 },
+  { id: "soda", scale: 0.6, damage: 13 },
+  { id: "soda-bottle", scale: 0.7, damage: 16 },
+  { id: "soda-can", scale: 0.5, damage: 10 },
+  { id: "soda-glass", scale: 0.6, damage: 12 },
+  { id: "cup-coffee", scale: 1, damage: 15, effect: { id: "speed", duration: 5000, config: { multiplier: 1.8 } } },
+  { id: "beer-barrel", scale: 0.8, damage: 50 },
+
+  // Condiments
+  { id: "soy", scale: 0.5, damage: 8 },
+  { id: "shaker-pepper", scale: 0.5, damage: 9 },
+  { id: "shaker-salt", scale: 0.5, damage: 9 },
+
+  // Non-edible items (non-consumable)
+  { id: "pizza-box", scale: 0.5, damage: 5 },
+  { id: "plate-deep", scale: 0.5, damage: 5 },
+  { id: "utensil-fork", scale: 0.5, damage: 6 },
+  { id: "utensil-spoon", scale: 0.5, damage: 10 },
+  { id: "utensil-knife", scale: 0.5, damage: 18 },
+];
+
+const itemsById = new Map<string, ItemDefinition>(ITEMS.map(item => [item.id, item]));
+
+/**
+ * Look up an item definition by id
+ * @param id The item id (same as the client's itemType)
+ * @returns The item definition, or undefined if the id is unknown
+ */
+export function getItem(id: string): ItemDefinition | undefined {
+  return itemsById.get(id);
+}
@@ -0,0 +1,158 @@
+import fs from "fs";
+
+// Column-major 4x4 matrix, like glTF and three.js
+export type Matrix4 = number[];
+
+export interface Box3 {
+  minX: number;
+  minY: number;
+  minZ: number;
+  maxX: number;
+  maxY: number;
+  maxZ: number;
+}
+
+// Bounding box of one mesh of a model, in the mesh's own space, and where the
+// mesh sits in the model
+export interface MeshBox {
+  min: number[];
+  max: number[];
+  matrix: Matrix4;
+}
+
+// Placement of an object, see WorldManager.loadObjects on the client
+export interface ObjectTransform {
+  x: number;
+  y: number;
+  z: number;
+  rotationX: number;
+  rotationY: number;
+  rotationZ: number;
+  scaleX: number;
+  scaleY: number;
+  scaleZ: number;
+}
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const JSON_CHUNK = 0x4e4f534a; // "JSON"
+
+const IDENTITY: Matrix4 = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * Read the mesh bounding boxes of a binary glTF model. Only the JSON chunk is
+ * needed, every POSITION accessor carries its min and max.
+ * @param filePath Path of the .glb file
+ * @returns One box per mesh primitive
+ */
+export function readModelBoxes(filePath: string): MeshBox[] {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.readUInt32LE(0) !== GLB_MAGIC || buffer.readUInt32LE(16) !== JSON_CHUNK) {
+    throw new Error(`${filePath} is not a binary glTF file`);
+  }
+  const gltf = JSON.parse(buffer.toString("utf-8", 20, 20 + buffer.readUInt32LE(12)));
+
+  const boxes: MeshBox[] = [];
+  const visit = (nodeIndex: number, parentMatrix: Matrix4) => {
+    const node = gltf.nodes[nodeIndex];
+    const matrix = multiply(parentMatrix, node.matrix || compose(
+      node.translation || [0, 0, 0],
+      node.rotation || [0, 0, 0, 1],
+      node.scale || [1, 1, 1]
+    ));
+
+    if (node.mesh !== undefined) {
+      gltf.meshes[node.mesh].primitives.forEach((primitive: any) => {
+        const accessor = gltf.accessors[primitive.attributes.POSITION];
+        if (accessor && accessor.min && accessor.max) {
+          boxes.push({ min: accessor.min, max: accessor.max, matrix });
+        }
+      });
+    }
+    (node.children || []).forEach((child: number) => visit(child, matrix));
+  };
+
+  const scene = gltf.scenes[gltf.scene || 0];
+  scene.nodes.forEach((nodeIndex: number) => visit(nodeIndex, IDENTITY));
+  return boxes;
+}
+
+/**
+ * World bounding box of every mesh of a placed object, the same boxes
+ * Box3.setFromObject gives on the client
+ * @param meshBoxes The model's mesh boxes from readModelBoxes
+ * @param transform Where the object is placed
+ */
+export function getObjectBoxes(meshBoxes: MeshBox[], transform: ObjectTransform): Box3[] {
+  const objectMatrix = compose(
+    [transform.x, transform.y, transform.z],
+    eulerToQuaternion(transform.rotationX, transform.rotationY, transform.rotationZ),
+    [transform.scaleX, transform.scaleY, transform.scaleZ]
+  );
+
+  return meshBoxes.map(meshBox => {
+    const matrix = multiply(objectMatrix, meshBox.matrix);
+    const box: Box3 = { minX: Infinity, minY: Infinity, minZ: Infinity, maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity };
+
+    // Each corner of the mesh box, moved into the world
+    for (let corner = 0; corner < 8; corner++) {
+      const x = corner & 1 ? meshBox.max[0] : meshBox.min[0];
+      const y = corner & 2 ? meshBox.max[1] : meshBox.min[1];
+      const z = corner & 4 ? meshBox.max[2] : meshBox.min[2];
+      const worldX = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
+      const worldY = matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13];
+      const worldZ = matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14];
+      box.minX = Math.min(box.minX, worldX);
+      box.minY = Math.min(box.minY, worldY);
+      box.minZ = Math.min(box.minZ, worldZ);
+      box.maxX = Math.max(box.maxX, worldX);
+      box.maxY = Math.max(box.maxY, worldY);
+      box.maxZ = Math.max(box.maxZ, worldZ);
+    }
+    return box;
+  });
+}
+
+/**
+ * Matrix from a translation, a rotation quaternion [x, y, z, w] and a scale
+ */
+function compose(translation: number[], rotation: number[], scale: number[]): Matrix4 {
+  const [x, y, z, w] = rotation;
+  const [sx, sy, sz] = scale;
+  const x2 = x + x, y2 = y + y, z2 = z + z;
+  const xx = x * x2, xy = x * y2, xz = x * z2;
+  const yy = y * y2, yz = y * z2, zz = z * z2;
+  const wx = w * x2, wy = w * y2, wz = w * z2;
+
+  return [
+    (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+    (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+    (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+    translation[0], translation[1], translation[2], 1
+  ];
+}
+
+function multiply(a: Matrix4, b: Matrix4): Matrix4 {
+  const result = new Array(16).fill(0);
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      for (let k = 0; k < 4; k++) {
+        result[column * 4 + row] += a[k * 4 + row] * b[column * 4 + k];
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Quaternion of a three.js Euler rotation in its default XYZ order
+ */
+function eulerToQuaternion(x: number, y: number, z: number): number[] {
+  const c1 = Math.cos(x / 2), c2 = Math.cos(y / 2), c3 = Math.cos(z / 2);
+  const s1 = Math.sin(x / 2), s2 = Math.sin(y / 2), s3 = Math.sin(z / 2);
+  return [
+    s1 * c2 * c3 + c1 * s2 * s3,
+    c1 * s2 * c3 - s1 * c2 * s3,
+    c1 * c2 * s3 + s1 * s2 * c3,
+    c1 * c2 * c3 - s1 * s2 * s3
+  ];
+}
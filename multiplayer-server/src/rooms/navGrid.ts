@@ -0,0 +1,521 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { WorldData, getWorldBounds } from "./worldData";
+import { getObject, getObjectModelPath } from "./objects";
+import { Box3, MeshBox, readModelBoxes, getObjectBoxes } from "./modelBounds";
+import { PLAYER_HEIGHT } from "./projectilePhysics";
+
+// Side of a grid cell in world units
+const CELL_SIZE = 1;
+
+// Obstacles lower than this are walked over (floor tiles, rugs)
+const STEP_HEIGHT = 0.5;
+
+// Obstacles keep the middle of a character this far away, same as Character.playerRadius
+const PLAYER_RADIUS = 0.5;
+
+// Cells searched around a blocked point for the nearest walkable one
+const MAX_SNAP_CELLS = 10;
+
+const NAV_GRID_VERSION = 1;
+
+// Written by `npm run navgrid`, next to the player profiles
+const DEFAULT_NAV_GRID_PATH = path.resolve(__dirname, "../../data/navgrid.json");
+
+const WALKABLE = ".";
+const BLOCKED = "#";
+
+export interface NavGridData {
+  version: number;
+  // Hash of the world.json objects the grid was built from, to spot a stale file
+  worldHash: string;
+  cellSize: number;
+  // World position of the corner of the first cell
+  originX: number;
+  originZ: number;
+  width: number;
+  depth: number;
+  // One string per row along z, one character per cell along x: "." walkable, "#" blocked
+  rows: string[];
+}
+
+export interface NavPoint {
+  x: number;
+  z: number;
+}
+
+/**
+ * Where characters can walk on the ground of the map, as a grid of cells
+ * blocked by the bounding boxes of the world objects. Finds paths between
+ * two points around the obstacles.
+ */
+export class NavGrid {
+  private walkable: Uint8Array;
+  // Cells that can reach each other share a region, 0 for blocked cells
+  private regions: Int32Array;
+  // Walkable cells of each region, the biggest one is the main play area
+  private regionCells: number[][] = [[]];
+  private mainRegion = 0;
+
+  // Objects whose model couldn't be read when the grid was built, nothing blocks where they stand
+  missingModels: string[] = [];
+
+  /**
+   * @param data The grid from buildNavGrid or the nav grid file
+   */
+  constructor(public data: NavGridData) {
+    this.walkable = new Uint8Array(data.width * data.depth);
+    data.rows.forEach((row, z) => {
+      for (let x = 0; x < data.width; x++) {
+        if (row[x] === WALKABLE) {
+          this.walkable[z * data.width + x] = 1;
+        }
+      }
+    });
+    this.regions = new Int32Array(data.width * data.depth);
+    this.labelRegions();
+  }
+
+  /**
+   * @returns True if a character can stand at the point
+   */
+  isWalkable(x: number, z: number): boolean {
+    return this.isCellWalkable(this.column(x), this.row(z));
+  }
+
+  /**
+   * Find a walkable way between two points
+   * @param from Start, usually where the character stands
+   * @param to Destination, moved to the nearest walkable spot if it is blocked
+   * @returns Points to walk through in order, ending at the destination, or
+   * null if there is no way there
+   */
+  findPath(from: NavPoint, to: NavPoint): NavPoint[] | null {
+    const start = this.nearestWalkable(from);
+    const goal = this.nearestWalkable(to);
+    if (!start || !goal) return null;
+
+    const startCell = this.cellIndex(start);
+    const goalCell = this.cellIndex(goal);
+    if (this.regions[startCell] !== this.regions[goalCell]) return null;
+    const end = this.isWalkable(to.x, to.z) ? to : goal;
+    if (startCell === goalCell) return [end];
+
+    const cells = this.search(startCell, goalCell);
+    if (!cells) return null;
+
+    // Straight lines where nothing is in the way, instead of cell by cell
+    const points = cells.map(cell => this.cellCenter(cell));
+    points[points.length - 1] = end;
+    const path: NavPoint[] = [];
+    let current: NavPoint = from;
+    let index = 0;
+    while (index < points.length) {
+      let next = index;
+      while (next + 1 < points.length && this.hasLineOfSight(current, points[next + 1])) {
+        next++;
+      }
+      path.push(points[next]);
+      current = points[next];
+      index = next + 1;
+    }
+    return path;
+  }
+
+  /**
+   * @returns True if there is a way from one point to the other
+   */
+  isReachable(from: NavPoint, to: NavPoint): boolean {
+    const start = this.nearestWalkable(from);
+    const goal = this.nearestWalkable(to);
+    return !!start && !!goal && this.regions[this.cellIndex(start)] === this.regions[this.cellIndex(goal)];
+  }
+
+  /**
+   * @param near Pick a point that can be walked to from here, in the main play area if not given
+   * @returns The centre of a random walkable cell, null if there is none
+   */
+  randomPoint(near?: NavPoint): NavPoint | null {
+    const start = near ? this.nearestWalkable(near) : null;
+    const cells = this.regionCells[start ? this.regions[this.cellIndex(start)] : this.mainRegion];
+    if (!cells || cells.length === 0) return null;
+    return this.cellCenter(cells[Math.floor(Math.random() * cells.length)]);
+  }
+
+  /**
+   * @returns The point itself if it is walkable, else the centre of the closest walkable cell nearby
+   */
+  nearestWalkable(point: NavPoint): NavPoint | null {
+    if (this.isWalkable(point.x, point.z)) return point;
+
+    const column = this.column(point.x);
+    const row = this.row(point.z);
+    let nearest: NavPoint = null;
+    let nearestDistance = Infinity;
+    for (let ring = 1; ring <= MAX_SNAP_CELLS && !nearest; ring++) {
+      for (let dz = -ring; dz <= ring; dz++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring || !this.isCellWalkable(column + dx, row + dz)) continue;
+
+          const center = this.cellCenter((row + dz) * this.data.width + column + dx);
+          const distance = Math.hypot(center.x - point.x, center.z - point.z);
+          if (distance < nearestDistance) {
+            nearest = center;
+            nearestDistance = distance;
+          }
+        }
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * @returns True if a character can walk straight from one point to the other
+   */
+  hasLineOfSight(from: NavPoint, to: NavPoint): boolean {
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.ceil(distance / (this.data.cellSize / 4));
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      if (!this.isWalkable(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) return false;
+    }
+    return true;
+  }
+
+  toJSON(): NavGridData {
+    return this.data;
+  }
+
+  /**
+   * Flood fill the walkable cells into regions, moving the same way search does
+   */
+  private labelRegions() {
+    const width = this.data.width;
+    for (let cell = 0; cell < this.walkable.length; cell++) {
+      if (!this.walkable[cell] || this.regions[cell]) continue;
+
+      const region = this.regionCells.length;
+      const cells: number[] = [];
+      const stack = [cell];
+      this.regions[cell] = region;
+      while (stack.length > 0) {
+        const current = stack.pop();
+        cells.push(current);
+        this.forEachNeighbor(current % width, Math.floor(current / width), neighbor => {
+          if (this.regions[neighbor]) return;
+          this.regions[neighbor] = region;
+          stack.push(neighbor);
+        });
+      }
+      this.regionCells.push(cells);
+      if (cells.length > this.regionCells[this.mainRegion].length) {
+        this.mainRegion = region;
+      }
+    }
+  }
+
+  /**
+   * Walkable cells next to a cell, in eight directions without squeezing
+   * diagonally between two obstacles
+   */
+  private forEachNeighbor(x: number, z: number, callback: (neighbor: number, diagonal: boolean) => void) {
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if ((dx === 0 && dz === 0) || !this.isCellWalkable(x + dx, z + dz)) continue;
+        const diagonal = dx !== 0 && dz !== 0;
+        if (diagonal && (!this.isCellWalkable(x + dx, z) || !this.isCellWalkable(x, z + dz))) continue;
+        callback((z + dz) * this.data.width + x + dx, diagonal);
+      }
+    }
+  }
+
+  /**
+   * A* over the cells
+   * @returns The cells from start to goal, or null if the goal can't be reached
+   */
+  private search(startCell: number, goalCell: number): number[] | null {
+    const width = this.data.width;
+    const goalX = goalCell % width;
+    const goalZ = Math.floor(goalCell / width);
+    const heuristic = (cell: number) => {
+      const dx = Math.abs(cell % width - goalX);
+      const dz = Math.abs(Math.floor(cell / width) - goalZ);
+      return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    };
+
+    const cost = new Map<number, number>([[startCell, 0]]);
+    const cameFrom = new Map<number, number>();
+    const open = new MinHeap();
+    open.push(startCell, heuristic(startCell));
+
+    while (open.size > 0) {
+      const cell = open.pop();
+      if (cell === goalCell) {
+        const cells = [cell];
+        while (cameFrom.has(cells[0])) {
+          cells.unshift(cameFrom.get(cells[0]));
+        }
+        return cells;
+      }
+
+      this.forEachNeighbor(cell % width, Math.floor(cell / width), (neighbor, diagonal) => {
+        const neighborCost = cost.get(cell) + (diagonal ? Math.SQRT2 : 1);
+        if (neighborCost < (cost.get(neighbor) ?? Infinity)) {
+          cost.set(neighbor, neighborCost);
+          cameFrom.set(neighbor, cell);
+          open.push(neighbor, neighborCost + heuristic(neighbor));
+        }
+      });
+    }
+    return null;
+  }
+
+  private column(x: number): number {
+    return Math.floor((x - this.data.originX) / this.data.cellSize);
+  }
+
+  private row(z: number): number {
+    return Math.floor((z - this.data.originZ) / this.data.cellSize);
+  }
+
+  private cellIndex(point: NavPoint): number {
+    return this.row(point.z) * this.data.width + this.column(point.x);
+  }
+
+  private cellCenter(cell: number): NavPoint {
+    return {
+      x: this.data.originX + (cell % this.data.width + 0.5) * this.data.cellSize,
+      z: this.data.originZ + (Math.floor(cell / this.data.width) + 0.5) * this.data.cellSize
+    };
+  }
+
+  private isCellWalkable(column: number, row: number): boolean {
+    if (column < 0 || row < 0 || column >= this.data.width || row >= this.data.depth) return false;
+    return this.walkable[row * this.data.width + column] === 1;
+  }
+}
+
+/**
+ * Binary heap of cells by priority, lowest first
+ */
+class MinHeap {
+  private cells: number[] = [];
+  private priorities: number[] = [];
+
+  get size(): number {
+    return this.cells.length;
+  }
+
+  push(cell: number, priority: number) {
+    this.cells.push(cell);
+    this.priorities.push(priority);
+    let index = this.cells.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[index]) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  pop(): number {
+    const top = this.cells[0];
+    const lastCell = this.cells.pop();
+    const lastPriority = this.priorities.pop();
+    if (this.cells.length > 0) {
+      this.cells[0] = lastCell;
+      this.priorities[0] = lastPriority;
+      let index = 0;
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < this.cells.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+        if (right < this.cells.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+        if (smallest === index) break;
+        this.swap(index, smallest);
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  private swap(a: number, b: number) {
+    [this.cells[a], this.cells[b]] = [this.cells[b], this.cells[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+  }
+}
+
+/**
+ * @param worldData The world data from loadWorldData
+ * @returns A hash of what the grid depends on: the objects and their scale
+ */
+export function getWorldHash(worldData: WorldData): string {
+  return crypto.createHash("sha1")
+    .update(JSON.stringify({ objects: worldData.objects || [], scaleFactor: worldData.settings?.scaleFactor }))
+    .digest("hex");
+}
+
+/**
+ * Build the grid from the world.json objects and their models. Models are
+ * placed like WorldManager.loadObjects does on the client, and every mesh's
+ * bounding box that a character would run into blocks the cells under it.
+ * In production every model has to be there, bots would walk through the
+ * objects that are missing.
+ * @param worldData The world data from loadWorldData
+ * @returns The grid, or null if the map has nothing placed in it
+ */
+export function buildNavGrid(worldData: WorldData): NavGrid | null {
+  const bounds = getWorldBounds(worldData);
+  if (!bounds) return null;
+
+  const scaleFactor = worldData.settings?.scaleFactor || 1;
+  const obstacles: Box3[] = [];
+  const missingModels: string[] = [];
+
+  (worldData.objects || []).forEach(objectData => {
+    const definition = getObject(objectData.id);
+    if (!definition) {
+      console.warn(`Object ${objectData.id} not found in registry, skipping`);
+      return;
+    }
+
+    let meshBoxes: MeshBox[];
+    try {
+      meshBoxes = readModelBoxes(getObjectModelPath(objectData.id));
+    } catch (error) {
+      console.warn(`Could not read the model of ${objectData.id}:`, (error as Error).message);
+      missingModels.push(objectData.id);
+      return;
+    }
+
+    (objectData.instances || []).forEach(instance => {
+      if (!instance) return;
+
+      // Same rotation and scale rules as the client
+      const fullRotation = instance.rotationX !== undefined && instance.rotationZ !== undefined;
+      const savedScale = instance.scaleX !== undefined && instance.scaleY !== undefined && instance.scaleZ !== undefined;
+      const baseScale = scaleFactor * definition.scale;
+      const boxes = getObjectBoxes(meshBoxes, {
+        x: instance.x,
+        y: instance.y,
+        z: instance.z,
+        rotationX: fullRotation ? instance.rotationX : 0,
+        rotationY: instance.rotationY || 0,
+        rotationZ: fullRotation ? instance.rotationZ : 0,
+        scaleX: savedScale ? instance.scaleX * baseScale : baseScale,
+        scaleY: savedScale ? instance.scaleY * baseScale : baseScale,
+        scaleZ: savedScale ? instance.scaleZ * baseScale : baseScale
+      });
+
+      // Low enough to walk over, or high enough to walk under
+      obstacles.push(...boxes.filter(box => box.maxY > STEP_HEIGHT && box.minY < PLAYER_HEIGHT));
+    });
+  });
+
+  const originX = Math.floor(bounds.minX / CELL_SIZE) * CELL_SIZE;
+  const originZ = Math.floor(bounds.minZ / CELL_SIZE) * CELL_SIZE;
+  const width = Math.ceil((bounds.maxX - originX) / CELL_SIZE);
+  const depth = Math.ceil((bounds.maxZ - originZ) / CELL_SIZE);
+
+  const cells: string[][] = [];
+  for (let z = 0; z < depth; z++) {
+    cells.push(new Array(width).fill(WALKABLE));
+  }
+
+  // Every cell the character's body would overlap the obstacle from
+  obstacles.forEach(box => {
+    const fromX = Math.max(0, Math.floor((box.minX - PLAYER_RADIUS - originX) / CELL_SIZE));
+    const toX = Math.min(width - 1, Math.floor((box.maxX + PLAYER_RADIUS - originX) / CELL_SIZE));
+    const fromZ = Math.max(0, Math.floor((box.minZ - PLAYER_RADIUS - originZ) / CELL_SIZE));
+    const toZ = Math.min(depth - 1, Math.floor((box.maxZ + PLAYER_RADIUS - originZ) / CELL_SIZE));
+    for (let z = fromZ; z <= toZ; z++) {
+      for (let x = fromX; x <= toX; x++) {
+        cells[z][x] = BLOCKED;
+      }
+    }
+  });
+
+  if (missingModels.length > 0 && process.env.NODE_ENV === "production") {
+    throw new Error(`Could not build the nav grid, ${missingModels.length} object model(s) missing. ` +
+      "Set ASSETS_PATH to the frontend's assets or ship a nav grid built with `npm run navgrid`.");
+  }
+
+  const grid = new NavGrid({
+    version: NAV_GRID_VERSION,
+    worldHash: getWorldHash(worldData),
+    cellSize: CELL_SIZE,
+    originX,
+    originZ,
+    width,
+    depth,
+    rows: cells.map(row => row.join(""))
+  });
+  grid.missingModels = missingModels;
+  return grid;
+}
+
+/**
+ * @returns Where the nav grid file is, NAV_GRID_PATH overrides it
+ */
+export function getNavGridPath(): string {
+  return process.env.NAV_GRID_PATH || DEFAULT_NAV_GRID_PATH;
+}
+
+/**
+ * Save a grid for the server to load at start
+ * @param grid The grid from buildNavGrid
+ * @param filePath Where to write it
+ */
+export function saveNavGrid(grid: NavGrid, filePath: string = getNavGridPath()) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(grid.toJSON(), null, 2));
+}
+
+// The grid of the last world asked for, rooms share it
+let cachedGrid: NavGrid = null;
+
+/**
+ * The nav grid of a world. Read from the nav grid file if it was built for
+ * this world, built from the models otherwise (and saved for next time, as
+ * long as no model was missing).
+ * @param worldData The world data from loadWorldData
+ * @returns The grid, or null if there is no file for this world and the models can't be read
+ */
+export function loadNavGrid(worldData: WorldData): NavGrid | null {
+  const worldHash = getWorldHash(worldData);
+  if (cachedGrid && cachedGrid.data.worldHash === worldHash) return cachedGrid;
+
+  const filePath = getNavGridPath();
+  try {
+    const data: NavGridData = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (data.version === NAV_GRID_VERSION && data.worldHash === worldHash) {
+      cachedGrid = new NavGrid(data);
+      console.log(`Loaded nav grid from ${filePath}`);
+      return cachedGrid;
+    }
+    console.log(`Nav grid in ${filePath} is for another world, rebuilding it`);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+      console.warn(`Could not load nav grid from ${filePath}:`, (error as Error).message);
+    }
+  }
+
+  const grid = buildNavGrid(worldData);
+  if (!grid) return null;
+
+  cachedGrid = grid;
+  if (grid.missingModels.length > 0) {
+    console.warn(`Built a nav grid without the obstacles of ${grid.missingModels.length} object(s), not saving it`);
+    return grid;
+  }
+
+  try {
+    saveNavGrid(grid, filePath);
+    console.log(`Built nav grid (${grid.data.width}x${grid.data.depth} cells) and saved it to ${filePath}`);
+  } catch (error) {
+    console.warn(`Could not save nav grid to ${filePath}:`, (error as Error).message);
+  }
+  return grid;
+}
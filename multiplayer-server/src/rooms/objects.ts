@@ -0,0 +1,129 @@
+import path from "path";
+
+/**
+ * Server-side copy of the frontend ObjectRegistry
+ * (frontend/src/registries/ObjectRegistry.js), used to find the model of each
+ * world.json object. Keep both in sync.
+ */
+
+export interface ObjectDefinition {
+  id: string;
+  model: string;
+  scale: number;
+  // Folder under the assets folder, "scene/" when not set
+  path?: string;
+}
+
+const DEFAULT_MODEL_PATH = "scene/";
+
+// The frontend assets, next to the server in the repository
+const DEFAULT_ASSETS_PATH = path.resolve(__dirname, "../../../frontend/public/assets");
+
+export const OBJECTS: ObjectDefinition[] = [
+  { id: "pieter", model: "pieter.glb", scale: 1 },
+
+  // Walls and Structure
+  { id: "wall", model: "wall.glb", scale: 1 },
+  { id: "wall-corner", model: "wall-corner.glb", scale: 1 },
+  { id: "wall-door", model: "wall-door-rotate.glb", scale: 1 },
+  { id: "wall-window", model: "wall-window.glb", scale: 1 },
+  { id: "column", model: "column.glb", scale: 1 },
+  { id: "floor", model: "floor.glb", scale: 1 },
+  { id: "fence", model: "fence.glb", scale: 1 },
+  { id: "fence-door", model: "fence-door-rotate.glb", scale: 1 },
+
+  // Store Fixtures
+  { id: "freezer", model: "freezer.glb", scale: 1 },
+  { id: "freezers-standing", model: "freezers-standing.glb", scale: 1 },
+  { id: "shelf-bags", model: "shelf-bags.glb", scale: 1 },
+  { id: "shelf-boxes", model: "shelf-boxes.glb", scale: 1 },
+  { id: "shelf-end", model: "shelf-end.glb", scale: 1 },
+  { id: "display-bread", model: "display-bread.glb", scale: 1 },
+  { id: "display-fruit", model: "display-fruit.glb", scale: 1 },
+  { id: "bottle-return", model: "bottle-return.glb", scale: 1 },
+  { id: "cash-register", model: "cash-register.glb", scale: 1 },
+
+  // Shopping Equipment
+  { id: "shopping-basket", model: "shopping-basket.glb", scale: 1 },
+  { id: "shopping-cart", model: "shopping-cart.glb", scale: 1 },
+
+  { id: "vibermart", model: "vibermart.glb", scale: 1 },
+
+  // Objects
+  { id: "wholer-ham", model: "wholer-ham.glb", scale: 1, path: "objects/" },
+
+  { id: "wine-red", model: "wine-red.glb", scale: 1, path: "objects/" },
+  { id: "wine-white", model: "wine-white.glb", scale: 1, path: "objects/" },
+  { id: "soda", model: "soda.glb", scale: 1, path: "objects/" },
+  { id: "soda-bottle", model: "soda-bottle.glb", scale: 1, path: "objects/" },
+  { id: "soda-can", model: "soda-can.glb", scale: 1, path: "objects/" },
+  { id: "soda-glass", model: "soda-glass.glb", scale: 1, path: "objects/" },
+
+  { id: "box", model: "box.glb", scale: 1, path: "boxes/" },
+  { id: "box-open", model: "box-open.glb", scale: 1, path: "boxes/" },
+  { id: "box-large", model: "box-large.glb", scale: 1, path: "boxes/" },
+  { id: "box-large-open", model: "box-large-open.glb", scale: 1, path: "boxes/" },
+  { id: "chest", model: "chest.glb", scale: 1, path: "boxes/" },
+  { id: "barrel", model: "barrel.glb", scale: 1, path: "boxes/" },
+  { id: "barrel-open", model: "barrel-open.glb", scale: 1, path: "boxes/" },
+
+  // Prototype
+
+  { id: "floor-thick", model: "floor-thick.glb", scale: 1, path: "prototype/" },
+  { id: "stairs-small", model: "stairs-small.glb", scale: 1, path: "prototype/" },
+
+  // Furniture
+  { id: "toilet", model: "toilet.glb", scale: 1, path: "furniture/" },
+  { id: "table-cross", model: "tableCross.glb", scale: 1, path: "furniture/" },
+  { id: "table-coffee", model: "tableCoffee.glb", scale: 1, path: "furniture/" },
+  { id: "potted-plant", model: "pottedPlant.glb", scale: 1, path: "furniture/" },
+  { id: "plant-small-3", model: "plantSmall3.glb", scale: 1, path: "furniture/" },
+  { id: "plant-small-2", model: "plantSmall2.glb", scale: 1, path: "furniture/" },
+  { id: "plant-small-1", model: "plantSmall1.glb", scale: 1, path: "furniture/" },
+  { id: "lounge-sofa-corner", model: "loungeSofaCorner.glb", scale: 1, path: "furniture/" },
+  { id: "lounge-sofa", model: "loungeSofa.glb", scale: 1, path: "furniture/" },
+  { id: "lamp-round-floor", model: "lampRoundFloor.glb", scale: 1, path: "furniture/" },
+  { id: "kitchen-sink", model: "kitchenSink.glb", scale: 1, path: "furniture/" },
+  { id: "kitchen-fridge", model: "kitchenFridge.glb", scale: 1, path: "furniture/" },
+  { id: "kitchen-coffee-machine", model: "kitchenCoffeeMachine.glb", scale: 1, path: "furniture/" },
+  { id: "kitchen-cabinet", model: "kitchenCabinet.glb", scale: 1, path: "furniture/" },
+  { id: "kitchen-blender", model: "kitchenBlender.glb", scale: 1, path: "furniture/" },
+  { id: "kitchen-bar", model: "kitchenBar.glb", scale: 1, path: "furniture/" },
+
+  // Games
+  { id: "vending-machine", model: "vending-machine.glb", scale: 1, path: "games/" },
+  { id: "ticket-machine", model: "ticket-machine.glb", scale: 1, path: "games/" },
+  { id: "prizes", model: "prizes.glb", scale: 1, path: "games/" },
+  { id: "prize-wheel", model: "prize-wheel.glb", scale: 1, path: "games/" },
+  { id: "pinball", model: "pinball.glb", scale: 1, path: "games/" },
+  { id: "gambling-machine", model: "gambling-machine.glb", scale: 1, path: "games/" },
+  { id: "dance-machine", model: "dance-machine.glb", scale: 1, path: "games/" },
+  { id: "claw-machine", model: "claw-machine.glb", scale: 1, path: "games/" },
+  { id: "character-gamer", model: "character-gamer.glb", scale: 1, path: "games/" },
+  { id: "character-employee", model: "character-employee.glb", scale: 1, path: "games/" },
+  { id: "cash-register", model: "cash-register.glb", scale: 1, path: "games/" },
+  { id: "basketball-game", model: "basketball-game.glb", scale: 1, path: "games/" },
+  { id: "arcade-machine", model: "arcade-machine.glb", scale: 1, path: "games/" },
+  { id: "air-hockey", model: "air-hockey.glb", scale: 1, path: "games/" }
+];
+
+/**
+ * Look up an object by id. Like the frontend registry, the first entry wins
+ * when an id is listed twice.
+ * @param id Object id from world.json
+ */
+export function getObject(id: string): ObjectDefinition | undefined {
+  return OBJECTS.find(object => object.id === id);
+}
+
+/**
+ * @param id Object id from world.json
+ * @returns Path of the object's model file, or null for unknown objects
+ */
+export function getObjectModelPath(id: string): string | null {
+  const object = getObject(id);
+  if (!object) return null;
+
+  const assetsPath = process.env.ASSETS_PATH || DEFAULT_ASSETS_PATH;
+  return path.join(assetsPath, object.path || DEFAULT_MODEL_PATH, object.model);
+}
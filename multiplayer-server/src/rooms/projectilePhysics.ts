@@ -0,0 +1,51 @@
+/**
+ * Projectile defaults, matching Character.throwItem on the client
+ */
+export const PROJECTILE_DEFAULTS = {
+  speed: 0.5,
+  gravity: 0.01,
+  arcHeight: 0.2,
+  lifetime: 5000
+};
+
+// Client projectiles step once per rendered frame (~60fps)
+export const FRAME_MS = 1000 / 60;
+
+// The synced player position is the camera; the body spans from the feet
+// (eye height 2 below) to the top of the 3 unit tall hit box
+export const PLAYER_EYE_HEIGHT = 2;
+export const PLAYER_HEIGHT = 3;
+export const PLAYER_RADIUS = 1;
+
+// Projectiles below this height have hit the floor (same as NetworkedProjectile)
+export const FLOOR_HEIGHT = 0.1;
+
+/**
+ * Collision radius of a projectile, same as FoodProjectile's reliable collision radius
+ * @param scale The item scale
+ */
+export function projectileRadius(scale: number): number {
+  return 0.25 * scale * 1.2;
+}
+
+// A player's synced (camera) position, current or rewound
+export interface PlayerPosition {
+  x: number;
+  y: number;
+  z: number;
+}
+
+/**
+ * Distance from a point to a player's body capsule
+ * @param x Point x
+ * @param y Point y
+ * @param z Point z
+ * @param player The player, or where the player was
+ * @returns 0 when the point is on the capsule's axis, growing outward
+ */
+export function distanceToPlayer(x: number, y: number, z: number, player: PlayerPosition): number {
+  const bottom = player.y - PLAYER_EYE_HEIGHT;
+  const top = bottom + PLAYER_HEIGHT;
+  const dy = y < bottom ? bottom - y : y > top ? y - top : 0;
+  return Math.hypot(x - player.x, dy, z - player.z);
+}
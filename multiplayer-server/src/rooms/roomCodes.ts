@@ -0,0 +1,22 @@
+import { matchMaker } from "@colyseus/core";
+
+// No 0/O or 1/I, codes are read out loud and typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export const ROOM_CODE_LENGTH = 5;
+
+/**
+ * Pick a short join code for a private room that no running room uses as its id
+ * @returns An upper case code of ROOM_CODE_LENGTH characters
+ */
+export function generateRoomCode(): string {
+  let code: string;
+  do {
+    code = "";
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    }
+  } while (matchMaker.getLocalRoomById(code));
+  
+  return code;
+}
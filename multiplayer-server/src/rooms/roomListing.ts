@@ -0,0 +1,42 @@
+import { matchMaker } from "@colyseus/core";
+
+export interface RoomListing {
+  roomId: string;
+  mode: string;
+  mapName: string;
+  // Human players, bots filling the room give their seat up to joining humans
+  players: number;
+  bots: number;
+  maxPlayers: number;
+  spectators: number;
+  // No player seat left, the room can't be joined to play
+  isFull: boolean;
+}
+
+/**
+ * Public lobby rooms for the room browser, from the metadata each LobbyRoom
+ * keeps up to date. Private rooms are only joined by code and are left out.
+ * @returns The rooms, fullest first like matchmaking fills them (connected clients)
+ */
+export async function listLobbyRooms(): Promise<RoomListing[]> {
+  const rooms = await matchMaker.query({ name: "lobby", private: false });
+  
+  return rooms
+    .sort((a, b) => b.clients - a.clients)
+    .map(room => {
+      const metadata = room.metadata || {};
+      const players = metadata.players ?? room.clients;
+      const maxPlayers = metadata.maxPlayers ?? room.maxClients;
+      
+      return {
+        roomId: room.roomId,
+        mode: metadata.mode || "ffa",
+        mapName: metadata.mapName || "",
+        players,
+        maxPlayers,
+        bots: metadata.bots ?? 0,
+        spectators: metadata.spectators ?? 0,
+        isFull: room.locked || players >= maxPlayers
+      };
+    });
+}
@@ -11,10 +11,100 @@ export class Player extends Schema {
   @type("number") health: number = 100;
   @type("string") equippedItem: string = null;
   @type("number") score: number = 0;
+  // Kills, deaths and assists this round, next to the mode's score
+  @type("number") kills: number = 0;
+  @type("number") deaths: number = 0;
+  @type("number") assists: number = 0;
   @type("string") clientId: string = null;
   @type("string") state: string = "idle";
+  // Team id in team mode, null in free-for-all
+  @type("string") team: string = null;
+  // False while the room holds the seat of a dropped client
+  @type("boolean") connected: boolean = true;
+  // Server-driven player filling the room, see BotManager
+  @type("boolean") isBot: boolean = false;
+  // Can't be hurt for a moment after spawning, see SpawnProtection
+  @type("boolean") spawnProtected: boolean = false;
+}
+
+export class SpawnerState extends Schema {
+  @type("string") id: string;
+  @type("string") spawnerId: string;
+  @type("number") x: number = 0;
+  @type("number") y: number = 0;
+  @type("number") z: number = 0;
+  @type("string") itemId: string = null;
+  @type("number") quantity: number = 0;
+  @type("boolean") available: boolean = false;
+  @type("number") respawnAt: number = 0;
+  @type("string") collectedBy: string = null;
+}
+
+export class MatchState extends Schema {
+  // warmup -> countdown -> round -> intermission -> countdown (or warmup if players left)
+  // Scores, health and positions are reset when a round starts
+  @type("string") phase: string = "warmup";
+  // Whole seconds left in the current phase (0 while waiting in warmup)
+  @type("number") timeRemaining: number = 0;
+  @type("number") round: number = 0;
+  @type("number") scoreLimit: number = 0;
+  @type("number") roundDuration: number = 0;
+  @type("number") minPlayers: number = 0;
+  @type("string") winnerId: string = null;
+  @type("string") winnerName: string = null;
+}
+
+export class TeamState extends Schema {
+  @type("string") id: string;
+  @type("string") name: string;
+  @type("number") score: number = 0;
+}
+
+export class CakeState extends Schema {
+  // The team the cake belongs to, also its key
+  @type("string") id: string;
+  @type("string") team: string;
+  // "home" on its pedestal, "carried" by an enemy, or "dropped" where its carrier died
+  @type("string") status: string = "home";
+  @type("string") carrierId: string = null;
+  // Where the cake is now, at ground level
+  @type("number") x: number = 0;
+  @type("number") y: number = 0;
+  @type("number") z: number = 0;
+  // Where its pedestal is
+  @type("number") baseX: number = 0;
+  @type("number") baseY: number = 0;
+  @type("number") baseZ: number = 0;
+}
+
+export class ZoneState extends Schema {
+  // Instance index of the zone in world.json, also its key
+  @type("string") id: string;
+  @type("number") x: number = 0;
+  @type("number") y: number = 0;
+  @type("number") z: number = 0;
+  @type("number") radius: number = 0;
+  // Only one zone scores at a time, the active one moves on a schedule
+  @type("boolean") active: boolean = false;
+  // Team id (or session id without teams) of whoever stands alone in the active zone
+  @type("string") holderId: string = null;
+  @type("boolean") contested: boolean = false;
+  // Whole seconds until the active zone moves (0 on inactive zones)
+  @type("number") timeRemaining: number = 0;
 }
 
 export class LobbyState extends Schema {
+  // "ffa", "team", "ctf" (capture the cake) or "koth" (king of the hill)
+  @type("string") mode: string = "ffa";
+  @type("boolean") friendlyFire: boolean = false;
+  // Left out of matchmaking, joined with the room id as a code
+  @type("boolean") isPrivate: boolean = false;
+  // Milliseconds players are protected after spawning, for the client's shield timer
+  @type("number") spawnProtectionTime: number = 0;
   @type({ map: Player }) players = new MapSchema<Player>();
+  @type({ map: SpawnerState }) spawners = new MapSchema<SpawnerState>();
+  @type(MatchState) match = new MatchState();
+  @type({ map: TeamState }) teams = new MapSchema<TeamState>();
+  @type({ map: CakeState }) cakes = new MapSchema<CakeState>();
+  @type({ map: ZoneState }) zones = new MapSchema<ZoneState>();
 } 
\ No newline at end of file
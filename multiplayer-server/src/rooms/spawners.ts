@@ -0,0 +1,49 @@
+/**
+ * Server-side copy of the frontend SpawnerRegistry
+ * (frontend/src/registries/SpawnerRegistry.js) plus the spawn quantities
+ * main.js configures on the SpawnableRegistry. Keep both in sync.
+ */
+
+export interface SpawnerDefinition {
+  id: string;
+  cooldown: number;
+  items: string[];
+}
+
+export const DEFAULT_SPAWNER_COOLDOWN = 5000;
+
+export const SPAWNERS: SpawnerDefinition[] = [
+  { id: "boosts-1", cooldown: 10000, items: ["carrot"] },
+  { id: "bakery-1", cooldown: 10000, items: ["loaf", "loaf-baguette", "loaf-round"] },
+  { id: "bottles-1", cooldown: 5000, items: ["wine-white", "wine-red", "soda-can", "soda-bottle"] },
+  { id: "meat-1", cooldown: 5000, items: ["burger-cheese-double", "turkey", "whole-ham", "meat-raw"] },
+  { id: "miscellaneous-1", cooldown: 5000, items: ["pizza", "salad", "watermelon", "hot-dog", "sub"] },
+  { id: "miscellaneous-2", cooldown: 5000, items: ["taco", "pineapple", "sausage"] },
+  { id: "debuffs-1", cooldown: 20000, items: ["peanut-butter", "honey"] },
+  { id: "just-coffee", cooldown: 10000, items: ["cup-coffee"] },
+  { id: "non-edibles-1", cooldown: 3000, items: ["pizza-box", "plate-deep", "utensil-fork", "utensil-spoon", "utensil-knife"] },
+  { id: "rare-1", cooldown: 5000, items: ["cake"] },
+  { id: "rare-2", cooldown: 10000, items: ["beer-barrel"] },
+  { id: "arcade", cooldown: 3000, items: ["pizza", "ice-cream", "sundae", "popsicle", "donut-sprinkles"] },
+];
+
+// Every spawnable gives 1-5, except the ones main.js limits to a single pickup
+const DEFAULT_QUANTITY = { min: 1, max: 5 };
+const SINGLE_QUANTITY_ITEMS = ["carrot", "cup-coffee", "beer-barrel"];
+
+/**
+ * Look up a spawner definition by id
+ * @param id The spawner id from world.json
+ */
+export function getSpawnerType(id: string): SpawnerDefinition | undefined {
+  return SPAWNERS.find(spawner => spawner.id === id);
+}
+
+/**
+ * Roll how many of an item a pickup gives
+ * @param itemId The spawned item id
+ */
+export function rollQuantity(itemId: string): number {
+  const { min, max } = SINGLE_QUANTITY_ITEMS.includes(itemId) ? { min: 1, max: 1 } : DEFAULT_QUANTITY;
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+
+export interface Vector3Data {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export interface WorldSpawnerData {
+  id: string;
+  instanceIndex?: number;
+  position: Vector3Data;
+}
+
+export interface WorldZoneData {
+  id: string;
+  instanceIndex?: number;
+  position: Vector3Data;
+  // Capture radius, already scaled by the editor
+  radius?: number;
+}
+
+export interface WorldSpawnPointData {
+  id: string;
+  instanceIndex?: number;
+  // On the ground, where the player's feet go
+  position: Vector3Data;
+}
+
+export interface WorldCakeBaseData {
+  // Team id the pedestal belongs to, "red" or "blue"
+  team: string;
+  // On the ground, where the pedestal stands
+  position: Vector3Data;
+}
+
+export interface WorldObjectInstanceData {
+  x: number;
+  y: number;
+  z: number;
+  // Older saves only have rotationY
+  rotationX?: number;
+  rotationY?: number;
+  rotationZ?: number;
+  // Relative to settings.scaleFactor, the registry scale when not saved
+  scaleX?: number;
+  scaleY?: number;
+  scaleZ?: number;
+}
+
+export interface WorldBounds {
+  minX: number;
+  maxX: number;
+  minY: number;
+  maxY: number;
+  minZ: number;
+  maxZ: number;
+}
+
+export interface WorldData {
+  settings?: { name?: string; scaleFactor?: number };
+  // Removed instances are saved as null by the editor
+  objects?: { id: string; instances?: (WorldObjectInstanceData | null)[] }[];
+  spawners?: WorldSpawnerData[];
+  portals?: any[];
+  posters?: any[];
+  zones?: WorldZoneData[];
+  spawnPoints?: WorldSpawnPointData[];
+  // Capture the cake pedestals, one per team
+  cakeBases?: WorldCakeBaseData[];
+}
+
+// Room to walk around the outermost objects of the map
+const WORLD_BOUNDS_MARGIN = 10;
+
+// Headroom above the highest object base, objects are several units tall and
+// players jump off them
+const WORLD_BOUNDS_HEADROOM = 25;
+
+// Same world.json the editor saves through backend/server.py. The Dockerfile
+// copies it to the same place relative to the server.
+const DEFAULT_WORLD_DATA_PATH = path.resolve(__dirname, "../../../backend/data/world.json");
+
+/**
+ * Load the world data shared with the client. Read on every call so rooms
+ * created after an editor save pick up the new layout. The path can be
+ * overridden with the WORLD_DATA_PATH environment variable.
+ * @returns The parsed world data, or an empty world if the file can't be read
+ * outside of production
+ * @throws In production, when the file can't be read: an empty world has no
+ * spawners, zones or collision and would go unnoticed
+ */
+export function loadWorldData(): WorldData {
+  const worldDataPath = process.env.WORLD_DATA_PATH || DEFAULT_WORLD_DATA_PATH;
+
+  try {
+    const worldData = JSON.parse(fs.readFileSync(worldDataPath, "utf-8"));
+    console.log(`Loaded world data from ${worldDataPath}`);
+    return worldData;
+  } catch (error) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(`Could not load world data from ${worldDataPath}: ${(error as Error).message}`);
+    }
+    console.warn(`Could not load world data from ${worldDataPath}:`, (error as Error).message);
+    return { objects: [], spawners: [], portals: [], posters: [], zones: [], spawnPoints: [] };
+  }
+}
+
+/**
+ * Key used to identify a world.json spawner on both the server and the client
+ * @param spawnerData The spawner entry from world.json
+ * @param index Its index in the spawners array
+ */
+export function getSpawnerKey(spawnerData: WorldSpawnerData, index: number): string {
+  return spawnerData.instanceIndex !== undefined ? String(spawnerData.instanceIndex) : `spawner-${index}`;
+}
+
+/**
+ * Key used to identify a world.json zone on both the server and the client
+ * @param zoneData The zone entry from world.json
+ * @param index Its index in the zones array
+ */
+export function getZoneKey(zoneData: WorldZoneData, index: number): string {
+  return zoneData.instanceIndex !== undefined ? String(zoneData.instanceIndex) : `zone-${index}`;
+}
+
+/**
+ * Area players can be in, around every object, spawner and zone of the map
+ * @param worldData The world data from loadWorldData
+ * @returns The bounds, or null if the map has nothing placed in it
+ */
+export function getWorldBounds(worldData: WorldData): WorldBounds | null {
+  const positions: WorldObjectInstanceData[] = [];
+  (worldData.objects || []).forEach(objectData => {
+    (objectData.instances || []).forEach(instance => {
+      if (instance) positions.push(instance);
+    });
+  });
+  (worldData.spawners || []).forEach(spawnerData => positions.push(spawnerData.position));
+  (worldData.zones || []).forEach(zoneData => positions.push(zoneData.position));
+
+  const valid = positions.filter(position =>
+    position && [position.x, position.y, position.z].every(Number.isFinite)
+  );
+  if (valid.length === 0) return null;
+
+  const xs = valid.map(position => position.x);
+  const ys = valid.map(position => position.y);
+  const zs = valid.map(position => position.z);
+  return {
+    minX: Math.min(...xs) - WORLD_BOUNDS_MARGIN,
+    maxX: Math.max(...xs) + WORLD_BOUNDS_MARGIN,
+    // The floor is at 0 and nothing can go through it
+    minY: Math.min(0, ...ys),
+    maxY: Math.max(...ys) + WORLD_BOUNDS_HEADROOM,
+    minZ: Math.min(...zs) - WORLD_BOUNDS_MARGIN,
+    maxZ: Math.max(...zs) + WORLD_BOUNDS_MARGIN
+  };
+}
@@ -0,0 +1,149 @@
+import assert from "assert";
+import { MapSchema } from "@colyseus/schema";
+
+import { BotManager, BotHooks, BotThrow, BOT_DIFFICULTIES } from "../src/rooms/BotManager";
+import { NavGrid } from "../src/rooms/navGrid";
+import { Player, SpawnerState } from "../src/rooms/schema/LobbyState";
+import { PLAYER_EYE_HEIGHT } from "../src/rooms/projectilePhysics";
+
+const BOUNDS = { minX: 0, maxX: 10, minY: 0, maxY: 10, minZ: 0, maxZ: 7 };
+
+// A wall across the map with a gap on the right
+const ROWS = [
+  "..........",
+  "..........",
+  "#######...",
+  "..........",
+  "..........",
+  "..........",
+  ".........."
+];
+
+describe("BotManager", () => {
+  let players: MapSchema<Player>;
+  let spawners: MapSchema<SpawnerState>;
+  let throws: { bot: Player; data: BotThrow }[];
+  let claims: string[];
+  let hooks: BotHooks;
+
+  beforeEach(() => {
+    players = new MapSchema<Player>();
+    spawners = new MapSchema<SpawnerState>();
+    throws = [];
+    claims = [];
+    hooks = {
+      addPlayer: player => players.set(player.id, player),
+      removePlayer: sessionId => players.delete(sessionId),
+      spawnPoint: () => ({ x: 0.5, y: PLAYER_EYE_HEIGHT, z: 0.5 }),
+      throwProjectile: (bot, data) => throws.push({ bot, data }),
+      claimSpawner: (bot, key) => {
+        claims.push(key);
+        return { accepted: true, itemId: "tomato", quantity: 3 };
+      },
+      canDamage: (sourceId, target) => sourceId !== target.id
+    };
+  });
+
+  function addHuman(id: string, x: number, z: number): Player {
+    const player = new Player();
+    player.id = id;
+    player.x = x;
+    player.y = PLAYER_EYE_HEIGHT;
+    player.z = z;
+    players.set(id, player);
+    return player;
+  }
+
+  it("fills the room while a human is there and leaves with the last one", () => {
+    const bots = new BotManager(players, spawners, BOUNDS, hooks, 4);
+
+    bots.balance(1);
+    assert.strictEqual(bots.count, 3);
+    assert.strictEqual(players.size, 3);
+    players.forEach(player => assert.strictEqual(player.isBot, true));
+
+    bots.balance(0);
+    assert.strictEqual(bots.count, 0);
+    assert.strictEqual(players.size, 0);
+  });
+
+  it("makes room for joining humans and comes back when they leave", () => {
+    const bots = new BotManager(players, spawners, BOUNDS, hooks, 4);
+    bots.balance(1);
+
+    bots.balance(3);
+    assert.strictEqual(bots.count, 1);
+    bots.balance(5);
+    assert.strictEqual(bots.count, 0);
+    bots.balance(2);
+    assert.strictEqual(bots.count, 2);
+    assert.strictEqual(players.size, 2);
+  });
+
+  it("adds no bots without a fill", () => {
+    const bots = new BotManager(players, spawners, BOUNDS, hooks);
+    bots.balance(1);
+    assert.strictEqual(bots.count, 0);
+  });
+
+  it("walks around the wall to a spawner on the other side", () => {
+    const navGrid = new NavGrid({
+      version: 1,
+      worldHash: "test",
+      cellSize: 1,
+      originX: 0,
+      originZ: 0,
+      width: ROWS[0].length,
+      depth: ROWS.length,
+      rows: ROWS
+    });
+    const spawner = new SpawnerState();
+    spawner.id = "spawner-1";
+    spawner.x = 0.5;
+    spawner.z = 6.5;
+    spawner.available = true;
+    spawners.set(spawner.id, spawner);
+
+    const bots = new BotManager(players, spawners, BOUNDS, hooks, 2, "normal", navGrid);
+    bots.balance(1);
+    const bot = Array.from(players.values())[0];
+
+    let wentThroughGap = false;
+    for (let i = 0; i < 200 && claims.length === 0; i++) {
+      bots.update(50, i * 50);
+      assert.ok(navGrid.isWalkable(bot.x, bot.z), `walked into the wall at ${bot.x}, ${bot.z}`);
+      if (bot.z > 2 && bot.z < 3) wentThroughGap = wentThroughGap || bot.x > 7;
+    }
+
+    assert.deepStrictEqual(claims, ["spawner-1"]);
+    assert.ok(wentThroughGap, "went through the gap");
+    assert.strictEqual(bot.equippedItem, "tomato");
+  });
+
+  it("throws at the nearest enemy at its difficulty's pace", () => {
+    const bots = new BotManager(players, spawners, BOUNDS, hooks, 3);
+    const far = addHuman("far", 9, 6);
+    const near = addHuman("near", 3, 3);
+    bots.balance(2);
+    const bot = Array.from(players.values()).find(player => player.isBot);
+
+    // No spawners on the map, so the bot arms itself on the first update
+    bots.update(50, 0);
+    bots.update(50, 50);
+    assert.strictEqual(throws.length, 1);
+    assert.strictEqual(throws[0].bot, bot);
+    assert.ok(throws[0].data.dirX > 0 && throws[0].data.dirZ > 0, "thrown toward the near player");
+
+    const interval = BOT_DIFFICULTIES.normal.throwInterval;
+    bots.update(50, 50 + interval * 0.7);
+    assert.strictEqual(throws.length, 1);
+    bots.update(50, 50 + interval * 1.3);
+    assert.strictEqual(throws.length, 2);
+
+    near.health = 0;
+    bots.update(50, 50 + interval * 2.6);
+    const last = throws[throws.length - 1].data;
+    const toFar = Math.atan2(far.z - bot.z, far.x - bot.x);
+    assert.ok(Math.abs(Math.atan2(last.dirZ, last.dirX) - toFar) < 0.2, "turned to the far player");
+  });
+});
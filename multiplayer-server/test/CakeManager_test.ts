@@ -0,0 +1,69 @@
+import assert from "assert";
+import { MapSchema } from "@colyseus/schema";
+
+import { CakeManager } from "../src/rooms/CakeManager";
+import { CakeState, Player } from "../src/rooms/schema/LobbyState";
+
+// Eye height above the ground, like synced player positions
+const EYE = 2;
+
+describe("CakeManager", () => {
+  let cakes: MapSchema<CakeState>;
+  let players: MapSchema<Player>;
+
+  function createPlayer(id: string, team: string, x: number, z: number): Player {
+    const player = new Player();
+    player.id = id;
+    player.team = team;
+    player.x = x;
+    player.y = EYE;
+    player.z = z;
+    players.set(id, player);
+    return player;
+  }
+
+  beforeEach(() => {
+    cakes = new MapSchema<CakeState>();
+    players = new MapSchema<Player>();
+  });
+
+  it("puts the cakes on the world data's bases", () => {
+    new CakeManager(cakes, players, [{ team: "red", position: { x: 5, y: 1, z: 6 } }]);
+
+    const red = cakes.get("red");
+    assert.deepStrictEqual([red.baseX, red.baseY, red.baseZ, red.x, red.status], [5, 1, 6, 5, "home"]);
+  });
+
+  it("falls back to the default base for teams without one", () => {
+    new CakeManager(cakes, players, [{ team: "red", position: { x: 5, y: 1, z: 6 } }]);
+
+    assert.strictEqual(cakes.get("blue").baseX, 20);
+  });
+
+  it("lets an enemy take the cake and score at their own base", () => {
+    const manager = new CakeManager(cakes, players, [
+      { team: "red", position: { x: -10, y: 0, z: 0 } },
+      { team: "blue", position: { x: 10, y: 0, z: 0 } }
+    ]);
+    const thief = createPlayer("thief", "red", 10, 0);
+
+    assert.deepStrictEqual(manager.update(0).map(event => event.type), ["taken"]);
+    assert.strictEqual(manager.getCarriedCake("thief").id, "blue");
+
+    thief.x = -10;
+    assert.deepStrictEqual(manager.update(100).map(event => event.type), ["captured"]);
+    assert.strictEqual(cakes.get("blue").status, "home");
+  });
+
+  it("drops the cake when the carrier dies and returns it later", () => {
+    const manager = new CakeManager(cakes, players);
+    const thief = createPlayer("thief", "red", 20, -8);
+    manager.update(0);
+    thief.x = 0;
+    thief.health = 0;
+
+    assert.deepStrictEqual(manager.update(100).map(event => event.type), ["dropped"]);
+    assert.deepStrictEqual(manager.update(20000), []);
+    assert.deepStrictEqual(manager.update(30100).map(event => event.type), ["returned"]);
+  });
+});
@@ -0,0 +1,28 @@
+import assert from "assert";
+
+import { ClaimedItems } from "../src/rooms/ClaimedItems";
+
+describe("ClaimedItems", () => {
+  let items: ClaimedItems;
+
+  beforeEach(() => {
+    items = new ClaimedItems();
+  });
+
+  it("only lets a player use items they picked up", () => {
+    items.add("player", "cup-coffee", 2);
+
+    assert.strictEqual(items.use("other", "cup-coffee"), false);
+    assert.strictEqual(items.use("player", "carrot"), false);
+    assert.strictEqual(items.use("player", "cup-coffee"), true);
+    assert.strictEqual(items.use("player", "cup-coffee"), true);
+    assert.strictEqual(items.use("player", "cup-coffee"), false);
+  });
+
+  it("forgets the items of a player who left", () => {
+    items.add("player", "cup-coffee", 1);
+    items.removePlayer("player");
+
+    assert.strictEqual(items.use("player", "cup-coffee"), false);
+  });
+});
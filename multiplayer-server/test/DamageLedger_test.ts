@@ -0,0 +1,49 @@
+import assert from "assert";
+
+import { DamageLedger, ASSIST_WINDOW } from "../src/rooms/DamageLedger";
+
+describe("DamageLedger", () => {
+  let ledger: DamageLedger;
+
+  beforeEach(() => {
+    ledger = new DamageLedger();
+  });
+
+  it("gives assists to everyone but the killer by share of the damage", () => {
+    ledger.recordDamage("victim", "a", 30, 0);
+    ledger.recordDamage("victim", "b", 10, 100);
+    ledger.recordDamage("victim", "killer", 60, 200);
+
+    const assists = ledger.settleDeath("victim", "killer", 300);
+    assert.deepStrictEqual([...assists], [["a", 0.3], ["b", 0.1]]);
+  });
+
+  it("only counts damage inside the assist window", () => {
+    ledger.recordDamage("victim", "a", 50, 0);
+    ledger.recordDamage("victim", "b", 50, ASSIST_WINDOW);
+
+    const assists = ledger.settleDeath("victim", "killer", ASSIST_WINDOW + 1);
+    assert.deepStrictEqual([...assists], [["b", 1]]);
+  });
+
+  it("ignores self damage", () => {
+    ledger.recordDamage("victim", "victim", 50, 0);
+
+    assert.strictEqual(ledger.settleDeath("victim", "killer", 0).size, 0);
+  });
+
+  it("starts the victim over after a death", () => {
+    ledger.recordDamage("victim", "a", 50, 0);
+    ledger.settleDeath("victim", "killer", 0);
+
+    assert.strictEqual(ledger.settleDeath("victim", "killer", 0).size, 0);
+  });
+
+  it("forgets damage from a player who left", () => {
+    ledger.recordDamage("victim", "a", 50, 0);
+    ledger.recordDamage("victim", "b", 50, 0);
+    ledger.removePlayer("a");
+
+    assert.deepStrictEqual([...ledger.settleDeath("victim", "killer", 0)], [["b", 1]]);
+  });
+});
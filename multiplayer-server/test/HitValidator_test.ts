@@ -0,0 +1,58 @@
+import assert from "assert";
+
+import { HitValidator } from "../src/rooms/HitValidator";
+import { PROJECTILE_DEFAULTS } from "../src/rooms/projectilePhysics";
+import { Player } from "../src/rooms/schema/LobbyState";
+
+function createPlayer(id: string, x = 0, y = 2, z = 0): Player {
+  const player = new Player();
+  player.id = id;
+  player.x = x;
+  player.y = y;
+  player.z = z;
+  return player;
+}
+
+function throwData(overrides: any = {}) {
+  return { itemType: "tomato", x: 0, y: 2, z: 1, dirX: 0, dirY: 0, dirZ: 2, ...overrides };
+}
+
+describe("HitValidator", () => {
+  let validator: HitValidator;
+  let thrower: Player;
+
+  beforeEach(() => {
+    validator = new HitValidator();
+    thrower = createPlayer("thrower");
+  });
+
+  it("records a throw with the server's flight values", () => {
+    const projectile = validator.recordProjectile("thrower", throwData({ speed: 9, gravity: 0 }), thrower, 50, 1000);
+
+    assert.strictEqual(projectile.itemType, "tomato");
+    assert.strictEqual(projectile.speed, PROJECTILE_DEFAULTS.speed);
+    assert.strictEqual(projectile.gravity, PROJECTILE_DEFAULTS.gravity);
+    assert.strictEqual(projectile.thrownAt, 1000);
+    assert.strictEqual(projectile.rewind, 50);
+  });
+
+  it("normalizes the throw direction", () => {
+    const projectile = validator.recordProjectile("thrower", throwData({ dirX: 3, dirZ: 4 }), thrower);
+
+    assert.strictEqual(projectile.dirX, 0.6);
+    assert.strictEqual(projectile.dirZ, 0.8);
+  });
+
+  it("rejects unknown items", () => {
+    assert.strictEqual(validator.recordProjectile("thrower", throwData({ itemType: "anvil" }), thrower), null);
+  });
+
+  it("rejects throws that start far from the thrower", () => {
+    assert.strictEqual(validator.recordProjectile("thrower", throwData({ x: 20 }), thrower), null);
+  });
+
+  it("rejects throws without a direction", () => {
+    assert.strictEqual(validator.recordProjectile("thrower", throwData({ dirZ: 0 }), thrower), null);
+    assert.strictEqual(validator.recordProjectile("thrower", throwData({ dirX: NaN }), thrower), null);
+  });
+});
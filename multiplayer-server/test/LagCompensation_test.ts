@@ -0,0 +1,89 @@
+import assert from "assert";
+import { MapSchema } from "@colyseus/schema";
+
+import { LagCompensation, MAX_REWIND_MS } from "../src/rooms/LagCompensation";
+import { Player } from "../src/rooms/schema/LobbyState";
+
+describe("LagCompensation", () => {
+  let lag: LagCompensation;
+  let players: MapSchema<Player>;
+  let player: Player;
+
+  function moveTo(x: number, now: number) {
+    player.x = x;
+    lag.recordPositions(players, now);
+  }
+
+  beforeEach(() => {
+    lag = new LagCompensation();
+    players = new MapSchema<Player>();
+    player = new Player();
+    player.id = "a";
+    players.set("a", player);
+  });
+
+  it("interpolates a player's position between samples", () => {
+    moveTo(0, 1000);
+    moveTo(10, 1100);
+
+    assert.strictEqual(lag.positionAt(player, 1050).x, 5);
+    assert.strictEqual(lag.positionAt(player, 1200).x, 10);
+    assert.strictEqual(lag.positionAt(player, 500).x, 0);
+  });
+
+  it("forgets positions older than a second", () => {
+    moveTo(0, 1000);
+    moveTo(10, 1500);
+    moveTo(20, 2200);
+
+    assert.strictEqual(lag.positionAt(player, 1000).x, 10);
+  });
+
+  it("smooths the round trip time from pongs", () => {
+    lag.recordPong("a", 1000, undefined, 1100);
+    assert.strictEqual(lag.getRtt("a"), 100);
+
+    lag.recordPong("a", 2000, undefined, 2200);
+    assert.strictEqual(lag.getRtt("a"), 130);
+  });
+
+  it("ignores pongs that are too old or from the future", () => {
+    lag.recordPong("a", 1000, undefined, 900);
+    lag.recordPong("a", 1000, undefined, 7000);
+
+    assert.strictEqual(lag.getRtt("a"), 0);
+  });
+
+  it("rewinds by the round trip and the render delay", () => {
+    assert.strictEqual(lag.getRewind("a", undefined, 0), 100);
+
+    lag.recordPong("a", 1000, undefined, 1100);
+    assert.strictEqual(lag.getRewind("a", undefined, 2000), 200);
+  });
+
+  it("measures the trip up from the throw time", () => {
+    // The client's clock runs 5000ms ahead of the server's
+    lag.recordPong("a", 1000, 6050, 1100);
+
+    assert.strictEqual(lag.getRewind("a", 7000, 2030), 180);
+  });
+
+  it("caps the rewind", () => {
+    lag.recordPong("a", 1000, undefined, 2000);
+    assert.strictEqual(lag.getRewind("a", undefined, 3000), MAX_REWIND_MS);
+
+    // A throw time far in the past doesn't rewind any further
+    lag.recordPong("b", 1000, 1050, 1100);
+    assert.strictEqual(lag.getRewind("b", 0, 2000), MAX_REWIND_MS);
+  });
+
+  it("forgets a player that left", () => {
+    moveTo(0, 1000);
+    moveTo(10, 1100);
+    lag.recordPong("a", 1000, undefined, 1100);
+    lag.removePlayer("a");
+
+    assert.strictEqual(lag.getRtt("a"), 0);
+    assert.strictEqual(lag.positionAt(player, 1050).x, 10);
+  });
+});
@@ -0,0 +1,153 @@
+import assert from "assert";
+import os from "os";
+import path from "path";
+import { ColyseusTestServer, boot } from "@colyseus/testing";
+
+import appConfig from "../src/app.config";
+import { listLobbyRooms } from "../src/rooms/roomListing";
+import { LobbyState, Player } from "../src/rooms/schema/LobbyState";
+
+describe("LobbyRoom", () => {
+  let colyseus: ColyseusTestServer;
+
+  before(async () => {
+    // Keep test players out of the real lifetime stats and the test grid out of data/
+    process.env.PROFILES_PATH = path.join(os.tmpdir(), `profiles-test-${process.pid}.json`);
+    process.env.NAV_GRID_PATH = path.join(os.tmpdir(), `navgrid-test-${process.pid}.json`);
+    colyseus = await boot(appConfig);
+  });
+  after(async () => colyseus.shutdown());
+
+  beforeEach(async () => await colyseus.cleanup());
+
+  it("adds a player for every joining client", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    const client = await colyseus.connectTo(room, { name: "Alice" });
+    await room.waitForNextPatch();
+
+    const player = room.state.players.get(client.sessionId);
+    assert.strictEqual(player.name, "Alice");
+    assert.strictEqual(player.health, 100);
+  });
+
+  it("keeps spectators out of the players", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    await colyseus.connectTo(room, { name: "Alice" });
+    const spectator = await colyseus.connectTo(room, { spectator: true });
+    await room.waitForNextPatch();
+
+    assert.strictEqual(room.state.players.size, 1);
+    assert.strictEqual(room.state.players.has(spectator.sessionId), false);
+  });
+
+  it("ignores hits reported by clients", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    const attacker = await colyseus.connectTo(room, { name: "Alice" });
+    const target = await colyseus.connectTo(room, { name: "Bob" });
+    await room.waitForNextPatch();
+
+    attacker.send("playerHit", { targetId: target.sessionId, itemType: "tomato" });
+    attacker.send("damage", { targetId: target.sessionId, amount: 100 });
+    await room.waitForNextPatch();
+
+    assert.strictEqual(room.state.players.get(target.sessionId).health, 100);
+  });
+
+  it("turns down throws of items the player didn't pick up", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    const client = await colyseus.connectTo(room, { name: "Alice" });
+    client.onMessage("serverWarning", () => {});
+    await room.waitForNextPatch();
+
+    const player = room.state.players.get(client.sessionId);
+    client.send("projectile", { id: "p1", itemType: "beer-barrel", x: player.x, y: player.y, z: player.z, dirX: 0, dirY: 0, dirZ: 1 });
+    await room.waitForNextPatch();
+
+    assert.strictEqual(room.rejectedHits.get(client.sessionId), 1);
+    assert.strictEqual(room.projectileSimulation.block(client.sessionId, "p1"), null);
+  });
+
+  it("launches throws of picked up items", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    const client = await colyseus.connectTo(room, { name: "Alice" });
+    await room.waitForNextPatch();
+
+    const player = room.state.players.get(client.sessionId);
+    room.claimedItems.add(client.sessionId, "beer-barrel", 1);
+    client.send("projectile", { id: "p1", itemType: "beer-barrel", x: player.x, y: player.y, z: player.z, dirX: 0, dirY: 0, dirZ: 1 });
+    await room.waitForNextPatch();
+
+    assert.strictEqual(room.rejectedHits.has(client.sessionId), false);
+    assert.notStrictEqual(room.projectileSimulation.block(client.sessionId, "p1"), null);
+  });
+
+  it("cancels the respawn of a player who leaves", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    const client = await colyseus.connectTo(room, { name: "Alice" });
+    await room.waitForNextPatch();
+
+    const player = room.state.players.get(client.sessionId);
+    player.health = 0;
+    room.respawnPlayer(player);
+    assert.strictEqual(room.respawnTimers.size, 1);
+
+    room.removePlayer(client.sessionId);
+    assert.strictEqual(room.respawnTimers.size, 0);
+  });
+
+  it("counts bots towards a round only while a human is connected", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    room.botManager.fill = 4;
+    const client = await colyseus.connectTo(room, { name: "Alice" });
+    await room.waitForNextPatch();
+
+    assert.strictEqual(room.state.players.size, 4);
+    assert.strictEqual(room.getConnectedHumanCount(), 1);
+    assert.strictEqual(room.getMatchPlayerCount(), 4);
+    room.state.players.get(client.sessionId).connected = false;
+    assert.strictEqual(room.getMatchPlayerCount(), 0);
+  });
+
+  it("plays and scores a round for one human with bots", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    room.botManager.fill = 2;
+    room.matchManager.settings.countdownTime = 0;
+    const client = await colyseus.connectTo(room, { name: "Alice" });
+    while (room.state.match.phase !== "round") {
+      await room.waitForNextPatch();
+    }
+
+    let bot: Player;
+    room.state.players.forEach(player => {
+      if (player.isBot) bot = player;
+    });
+    room.spawnProtection.end(bot);
+    room.applyHit(bot, client.sessionId, 100, "tomato");
+
+    assert.strictEqual(room.state.players.get(client.sessionId).score, 1);
+  });
+
+  it("turns players away from the seats kept for spectators", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    room.maxPlayers = 1;
+    room.maxClients = 3;
+    await colyseus.connectTo(room, { name: "Alice" });
+
+    await assert.rejects(colyseus.connectTo(room, { name: "Bob" }), /Room is full/);
+    await colyseus.connectTo(room, { spectator: true });
+    assert.strictEqual(room.state.players.size, 1);
+    assert.strictEqual(room.spectators.size, 1);
+  });
+
+  it("lists bots apart from the players filling the room", async () => {
+    const room = await colyseus.createRoom<LobbyState>("lobby", {});
+    room.maxPlayers = 2;
+    room.botManager.fill = 2;
+    await colyseus.connectTo(room, { name: "Alice" });
+
+    const [listing] = await listLobbyRooms();
+    assert.strictEqual(listing.players, 1);
+    assert.strictEqual(listing.bots, 1);
+    assert.strictEqual(listing.isFull, false);
+  });
+});
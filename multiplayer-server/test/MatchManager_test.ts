@@ -0,0 +1,121 @@
+import assert from "assert";
+
+import { MatchManager, MatchResults, StandingEntry, matchSettingsFromOptions } from "../src/rooms/MatchManager";
+import { MatchState } from "../src/rooms/schema/LobbyState";
+
+const SETTINGS = { minPlayers: 2, countdownTime: 1000, roundDuration: 5000, scoreLimit: 3, intermissionTime: 2000 };
+
+describe("MatchManager", () => {
+  let match: MatchState;
+  let manager: MatchManager;
+  let playerCount: number;
+  let standings: StandingEntry[];
+  let startedRounds: number[];
+  let results: MatchResults[];
+
+  beforeEach(() => {
+    match = new MatchState();
+    playerCount = 0;
+    standings = [];
+    startedRounds = [];
+    results = [];
+    manager = new MatchManager(match, {
+      getPlayerCount: () => playerCount,
+      getStandings: () => standings,
+      onRoundStart: (round) => startedRounds.push(round),
+      onRoundEnd: (result) => results.push(result)
+    }, SETTINGS);
+  });
+
+  // Start a round at time 1000
+  function startRound() {
+    playerCount = 2;
+    manager.update(0);
+    manager.update(1000);
+  }
+
+  it("waits in warmup until enough players join", () => {
+    playerCount = 1;
+    manager.update(0);
+    assert.strictEqual(manager.phase, "warmup");
+    assert.strictEqual(manager.allowsDamage(), true);
+
+    playerCount = 2;
+    manager.update(0);
+    assert.strictEqual(manager.phase, "countdown");
+    assert.strictEqual(match.timeRemaining, 1);
+    assert.strictEqual(manager.allowsDamage(), false);
+  });
+
+  it("goes back to warmup when players leave during the countdown", () => {
+    playerCount = 2;
+    manager.update(0);
+    playerCount = 1;
+    manager.update(500);
+
+    assert.strictEqual(manager.phase, "warmup");
+    assert.deepStrictEqual(startedRounds, []);
+  });
+
+  it("starts a round after the countdown", () => {
+    startRound();
+
+    assert.strictEqual(manager.phase, "round");
+    assert.strictEqual(manager.isScoring(), true);
+    assert.strictEqual(match.round, 1);
+    assert.strictEqual(match.timeRemaining, 5);
+    assert.deepStrictEqual(startedRounds, [1]);
+  });
+
+  it("ends the round at the score limit with the top player as winner", () => {
+    startRound();
+    standings = [{ id: "b", name: "Bob", score: 1 }, { id: "a", name: "Alice", score: 3 }];
+
+    manager.checkScoreLimit(2, 2000);
+    assert.strictEqual(manager.phase, "round");
+    manager.checkScoreLimit(3, 2000);
+
+    assert.strictEqual(manager.phase, "intermission");
+    assert.strictEqual(results[0].reason, "score");
+    assert.strictEqual(results[0].winnerId, "a");
+    assert.deepStrictEqual(results[0].standings.map(entry => entry.id), ["a", "b"]);
+    assert.strictEqual(match.winnerName, "Alice");
+  });
+
+  it("ends the round without a winner on a tie when time runs out", () => {
+    startRound();
+    standings = [{ id: "a", name: "Alice", score: 2 }, { id: "b", name: "Bob", score: 2 }];
+    manager.update(6000);
+
+    assert.strictEqual(results[0].reason, "time");
+    assert.strictEqual(results[0].winnerId, null);
+  });
+
+  it("ends the round when players leave", () => {
+    startRound();
+    playerCount = 1;
+    manager.update(2000);
+
+    assert.strictEqual(results[0].reason, "players");
+  });
+
+  it("counts down to the next round after the intermission", () => {
+    startRound();
+    manager.update(6000);
+    manager.update(7999);
+    assert.strictEqual(manager.phase, "intermission");
+
+    manager.update(8000);
+    assert.strictEqual(manager.phase, "countdown");
+    manager.update(9000);
+    assert.deepStrictEqual(startedRounds, [1, 2]);
+  });
+
+  it("reads durations in seconds from room options", () => {
+    assert.deepStrictEqual(matchSettingsFromOptions({ minPlayers: 0, scoreLimit: 10, roundDuration: 60, countdownTime: 0 }), {
+      scoreLimit: 10,
+      roundDuration: 60000,
+      countdownTime: 0
+    });
+  });
+});
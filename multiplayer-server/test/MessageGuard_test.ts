@@ -0,0 +1,85 @@
+import assert from "assert";
+
+import { MessageGuard, MAX_VIOLATIONS } from "../src/rooms/MessageGuard";
+
+const RULES = {
+  throw: {
+    fields: {
+      itemType: { type: "itemType" as const },
+      power: { type: "number" as const, min: 0, max: 1, optional: true },
+      label: { type: "string" as const, maxLength: 4, optional: true },
+      state: { type: "oneOf" as const, values: ["idle", "walking"], optional: true }
+    },
+    burst: 2,
+    perSecond: 1
+  }
+};
+
+describe("MessageGuard", () => {
+  let guard: MessageGuard;
+
+  beforeEach(() => {
+    guard = new MessageGuard(RULES);
+  });
+
+  it("keeps only the allowed fields", () => {
+    const result = guard.check("client", "throw", { itemType: "tomato", power: 0.5, extra: true }, 0);
+
+    assert.deepStrictEqual(result, { ok: true, message: { itemType: "tomato", power: 0.5 } });
+  });
+
+  it("turns down unknown message types", () => {
+    assert.strictEqual(guard.check("client", "teleport", {}, 0).ok, false);
+  });
+
+  it("turns down payloads that break a field rule", () => {
+    const reasons = [
+      {},
+      { itemType: "anvil" },
+      { itemType: "tomato", power: 2 },
+      { itemType: "tomato", power: NaN },
+      { itemType: "tomato", label: "too long" },
+      { itemType: "tomato", label: "" },
+      { itemType: "tomato", state: "flying" },
+      [1, 2]
+    ].map(message => guard.check(`client-${Math.random()}`, "throw", message, 0));
+
+    reasons.forEach(result => assert.strictEqual(result.ok, false));
+  });
+
+  it("checks the inputs sent with position updates", () => {
+    const defaultGuard = new MessageGuard();
+    const move = (inputs: any) => defaultGuard.check(`client-${Math.random()}`, "move", { x: 0, y: 2, z: 0, rotationY: 0, seq: 1, inputs }, 0);
+
+    assert.strictEqual(move([{ forward: 1, right: -1, yaw: 0.5 }]).ok, true);
+    assert.strictEqual(move(undefined).ok, false);
+    assert.strictEqual(move([{ forward: 2, right: 0, yaw: 0 }]).ok, false);
+    assert.strictEqual(move([{ forward: 1, right: 0 }]).ok, false);
+    assert.strictEqual(move(Array.from({ length: 65 }, () => ({ forward: 1, right: 0, yaw: 0 }))).ok, false);
+  });
+
+  it("rate limits each client with a bucket that refills over time", () => {
+    const message = { itemType: "tomato" };
+    assert.strictEqual(guard.check("client", "throw", message, 0).ok, true);
+    assert.strictEqual(guard.check("client", "throw", message, 0).ok, true);
+    assert.strictEqual(guard.check("client", "throw", message, 0).ok, false);
+    assert.strictEqual(guard.check("other", "throw", message, 0).ok, true);
+
+    assert.strictEqual(guard.check("client", "throw", message, 500).ok, false);
+    assert.strictEqual(guard.check("client", "throw", message, 1500).ok, true);
+  });
+
+  it("warns on the first violation and kicks after too many", () => {
+    assert.strictEqual(guard.recordViolation("client", 0), "warn");
+    for (let i = 2; i < MAX_VIOLATIONS; i++) {
+      assert.strictEqual(guard.recordViolation("client", 0), null);
+    }
+    assert.strictEqual(guard.recordViolation("client", 0), "kick");
+  });
+
+  it("forgets violations after a quiet while", () => {
+    guard.recordViolation("client", 0);
+
+    assert.strictEqual(guard.recordViolation("client", 20000), "warn");
+  });
+});
@@ -0,0 +1,144 @@
+import assert from "assert";
+
+import { MovementValidator, MAX_HORIZONTAL_SPEED, MAX_RISE_SPEED } from "../src/rooms/MovementValidator";
+
+const BOUNDS = { minX: -50, maxX: 50, minY: 0, maxY: 30, minZ: -50, maxZ: 50 };
+
+// Farther than anyone walks in half a second, but within reach at full speed for a second
+const HALF_SECOND_TOO_FAR = MAX_HORIZONTAL_SPEED * 0.5 + 3;
+
+describe("MovementValidator", () => {
+  let validator: MovementValidator;
+  let seq: number;
+
+  function move(x: number, y: number, z: number, now: number) {
+    return validator.validate("player", { x, y, z, seq: ++seq }, now);
+  }
+
+  beforeEach(() => {
+    validator = new MovementValidator(BOUNDS);
+    seq = 0;
+    move(0, 2, 0, 0);
+  });
+
+  it("accepts moves within walking speed", () => {
+    const result = move(MAX_HORIZONTAL_SPEED * 0.5, 2, 0, 500);
+
+    assert.strictEqual(result.corrected, false);
+    assert.strictEqual(result.x, MAX_HORIZONTAL_SPEED * 0.5);
+  });
+
+  it("keeps the last position when a player moves too fast", () => {
+    const result = move(HALF_SECOND_TOO_FAR, 2, 0, 500);
+
+    assert.strictEqual(result.corrected, true);
+    assert.deepStrictEqual([result.x, result.y, result.z], [0, 2, 0]);
+  });
+
+  it("caps how fast a player rises but not how fast they fall", () => {
+    assert.strictEqual(move(0, 2 + MAX_RISE_SPEED * 0.1 + 2, 0, 100).corrected, true);
+    assert.strictEqual(move(0, 2, 0, 200).corrected, false);
+  });
+
+  it("clamps positions to the map bounds", () => {
+    const result = move(0, 0, 0, 500);
+
+    assert.strictEqual(result.corrected, true);
+    assert.strictEqual(result.y, 2);
+    assert.strictEqual(result.reason, "out of bounds");
+  });
+
+  it("lets a player with a speed boost move faster", () => {
+    validator.applyItemEffect("player", "cup-coffee", 0);
+
+    assert.strictEqual(move(HALF_SECOND_TOO_FAR, 2, 0, 500).corrected, false);
+    assert.strictEqual(move(HALF_SECOND_TOO_FAR * 3, 2, 0, 6000).corrected, true);
+  });
+
+  it("holds a slowed player to the slower speed", () => {
+    const distance = MAX_HORIZONTAL_SPEED * 0.5;
+    validator.setSlow("player", 0.6);
+    assert.strictEqual(move(distance, 2, 0, 500).corrected, true);
+
+    validator.setSlow("player", 1);
+    assert.strictEqual(move(distance, 2, 0, 500).corrected, false);
+  });
+
+  it("drops updates that arrive out of order", () => {
+    assert.notStrictEqual(validator.validate("player", { x: 1, y: 2, z: 0, seq: 5 }, 100), null);
+    assert.strictEqual(validator.validate("player", { x: 2, y: 2, z: 0, seq: 4 }, 200), null);
+    assert.strictEqual(validator.validate("player", { x: 2, y: 2, z: 0, seq: 5 }, 200), null);
+  });
+
+  it("gives the seq of the last accepted update with a correction", () => {
+    move(1, 2, 0, 500);
+    const result = move(HALF_SECOND_TOO_FAR, 2, 0, 1000);
+
+    assert.strictEqual(result.corrected, true);
+    assert.strictEqual(result.seq, 2);
+  });
+
+  describe("with inputs", () => {
+    // Walking forward at a yaw of 0 goes towards -z
+    const forward = (frames: number) => Array.from({ length: frames }, () => ({ forward: 1, right: 0, yaw: 0 }));
+
+    function moveWith(z: number, inputs: any[], now: number) {
+      return validator.validate("walker", { x: 0, y: 2, z, seq: ++seq, inputs }, now);
+    }
+
+    beforeEach(() => moveWith(0, [], 0));
+
+    it("accepts positions the inputs reach", () => {
+      assert.strictEqual(moveWith(-0.14 * 20, forward(20), 500).corrected, false);
+    });
+
+    it("accepts inputs that ran into something", () => {
+      assert.strictEqual(moveWith(0, forward(20), 500).corrected, false);
+    });
+
+    it("corrects moves the inputs don't explain", () => {
+      const result = moveWith(-3, [], 500);
+
+      assert.strictEqual(result.corrected, true);
+      assert.match(result.reason, /inputs reach/);
+      assert.strictEqual(moveWith(3, forward(20), 1000).corrected, true);
+    });
+
+    it("replays every input since the last accepted update", () => {
+      const acceptedSeq = seq;
+      const result = moveWith(-0.14 * 20 - 2, forward(20), 500);
+      assert.strictEqual(result.corrected, true);
+      assert.strictEqual(result.seq, acceptedSeq);
+
+      // The client replayed the turned down inputs from the corrected position
+      assert.strictEqual(moveWith(-0.14 * 40, forward(20), 600).corrected, false);
+    });
+  });
+
+  describe("after a teleport", () => {
+    beforeEach(() => validator.teleport("player", { x: 40, y: 2, z: 40 }, 1000));
+
+    it("accepts the client at the teleport target", () => {
+      assert.strictEqual(move(41, 2, 40, 1200).corrected, false);
+      assert.strictEqual(move(42, 2, 40, 1400).x, 42);
+    });
+
+    it("keeps the player at the target while updates still come from before", () => {
+      const result = move(1, 2, 0, 1100);
+
+      assert.strictEqual(result.corrected, false);
+      assert.deepStrictEqual([result.x, result.z], [40, 40]);
+    });
+
+    it("corrects positions far from both", () => {
+      const result = move(-40, 2, -40, 1100);
+
+      assert.strictEqual(result.corrected, true);
+      assert.deepStrictEqual([result.x, result.z], [40, 40]);
+    });
+
+    it("stops expecting old updates after the timeout", () => {
+      assert.strictEqual(move(1, 2, 0, 12000).corrected, true);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { ProfileStore } from "../src/rooms/ProfileStore";
+
+describe("ProfileStore", () => {
+  let filePath: string;
+  let store: ProfileStore;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `profiles-store-test-${process.pid}.json`);
+    fs.rmSync(filePath, { force: true });
+    store = new ProfileStore(filePath);
+  });
+  afterEach(() => {
+    store.flush();
+    fs.rmSync(filePath, { force: true });
+  });
+
+  it("keeps players with the same name apart", () => {
+    store.recordKill({ id: "profile-a", name: "Alice" }, "tomato");
+    store.recordDeath({ id: "profile-b", name: "Alice" });
+
+    assert.strictEqual(store.getStats("profile-a").kills, 1);
+    assert.strictEqual(store.getStats("profile-a").deaths, 0);
+    assert.strictEqual(store.getStats("profile-b").deaths, 1);
+  });
+
+  it("follows a player who changes their name", () => {
+    store.recordMatch({ id: "profile-a", name: "Alice" }, true);
+    store.recordMatch({ id: "profile-a", name: "Alicia" }, false);
+
+    const stats = store.getStats("profile-a");
+    assert.strictEqual(stats.name, "Alicia");
+    assert.strictEqual(stats.matchesPlayed, 2);
+    assert.strictEqual(stats.wins, 1);
+  });
+
+  it("skips players without a profile", () => {
+    store.recordKill(null, "tomato");
+    store.recordHit(null, "tomato");
+
+    assert.strictEqual(store.getStats("null"), null);
+  });
+
+  it("picks the weapon with the most kills as favorite", () => {
+    const owner = { id: "profile-a", name: "Alice" };
+    store.recordHit(owner, "tomato");
+    store.recordHit(owner, "tomato");
+    store.recordKill(owner, "banana");
+
+    assert.strictEqual(store.getStats("profile-a").favoriteWeapon, "banana");
+  });
+
+  it("loads the saved profiles", () => {
+    store.recordKill({ id: "profile-a", name: "Alice" }, null);
+    store.flush();
+
+    const reloaded = new ProfileStore(filePath);
+    assert.strictEqual(reloaded.getStats("profile-a").kills, 1);
+    assert.strictEqual(reloaded.getStats("profile-a").name, "Alice");
+  });
+});
@@ -0,0 +1,95 @@
+import assert from "assert";
+import { MapSchema } from "@colyseus/schema";
+
+import { HitValidator } from "../src/rooms/HitValidator";
+import { ProjectileSimulation } from "../src/rooms/ProjectileSimulation";
+import { Player } from "../src/rooms/schema/LobbyState";
+
+function createPlayer(id: string, x = 0, y = 2, z = 0): Player {
+  const player = new Player();
+  player.id = id;
+  player.x = x;
+  player.y = y;
+  player.z = z;
+  return player;
+}
+
+describe("ProjectileSimulation", () => {
+  let simulation: ProjectileSimulation;
+  let players: MapSchema<Player>;
+  let thrower: Player;
+
+  function throwAt(overrides: any = {}) {
+    const projectile = new HitValidator().recordProjectile("thrower",
+      { id: "p1", itemType: "tomato", x: 0, y: 2, z: 1, dirX: 0, dirY: 0, dirZ: 1, ...overrides }, thrower);
+    simulation.add(projectile);
+    return projectile;
+  }
+
+  beforeEach(() => {
+    simulation = new ProjectileSimulation();
+    players = new MapSchema<Player>();
+    thrower = createPlayer("thrower");
+    players.set("thrower", thrower);
+    players.set("target", createPlayer("target", 0, 2, 5));
+  });
+
+  it("hits a player in the projectile's path", () => {
+    throwAt();
+
+    const impacts = simulation.update(1000, players);
+
+    assert.strictEqual(impacts.length, 1);
+    assert.strictEqual(impacts[0].type, "player");
+    assert.strictEqual(impacts[0].targetId, "target");
+  });
+
+  it("flies through players the filter rejects", () => {
+    throwAt({ dirY: -0.3 });
+
+    const impacts = simulation.update(1000, players, () => false);
+
+    assert.strictEqual(impacts.length, 1);
+    assert.strictEqual(impacts[0].type, "floor");
+  });
+
+  it("lands on the floor", () => {
+    throwAt({ dirX: 1, dirY: -1, dirZ: 0 });
+
+    const impacts = simulation.update(1000, players);
+
+    assert.strictEqual(impacts[0].type, "floor");
+    assert.ok(impacts[0].y < 0.1);
+  });
+
+  it("expires after its lifetime", () => {
+    const projectile = throwAt({ dirX: -1, dirZ: 0 });
+    projectile.lifetime = 100;
+
+    const impacts = simulation.update(1000, players);
+
+    assert.strictEqual(impacts[0].type, "expired");
+  });
+
+  it("only steps whole frames and carries the remainder", () => {
+    throwAt();
+
+    assert.deepStrictEqual(simulation.update(10, players), []);
+    assert.deepStrictEqual(simulation.update(10, players), []);
+  });
+
+  it("stops a projectile the thrower saw blocked", () => {
+    throwAt();
+
+    assert.strictEqual(simulation.block("target", "p1"), null);
+    assert.strictEqual(simulation.block("thrower", "p1").type, "blocked");
+    assert.deepStrictEqual(simulation.update(1000, players), []);
+  });
+
+  it("drops a leaving player's projectiles", () => {
+    throwAt();
+    simulation.removePlayer("thrower");
+
+    assert.deepStrictEqual(simulation.update(1000, players), []);
+  });
+});
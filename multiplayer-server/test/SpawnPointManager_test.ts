@@ -0,0 +1,45 @@
+import assert from "assert";
+
+import { SpawnPointManager } from "../src/rooms/SpawnPointManager";
+import { PLAYER_EYE_HEIGHT } from "../src/rooms/projectilePhysics";
+
+describe("SpawnPointManager", () => {
+  let spawns: SpawnPointManager;
+
+  beforeEach(() => {
+    spawns = new SpawnPointManager();
+  });
+
+  it("spawns at eye height above the placed points", () => {
+    spawns.load([{ id: "player-spawn", position: { x: 3, y: 1, z: -4 } }]);
+
+    assert.deepStrictEqual(spawns.pick([]), { x: 3, y: 1 + PLAYER_EYE_HEIGHT, z: -4 });
+  });
+
+  it("falls back to the default points when the map has none", () => {
+    spawns.load([null, { id: "player-spawn", position: undefined }]);
+
+    const point = spawns.pick([{ x: 0, y: 2, z: 0 }]);
+    assert.strictEqual(point.y, PLAYER_EYE_HEIGHT);
+    assert.strictEqual(Math.abs(point.x), 10);
+  });
+
+  it("picks the point farthest from the nearest enemy", () => {
+    spawns.load([
+      { id: "player-spawn", position: { x: 0, y: 0, z: 0 } },
+      { id: "player-spawn", position: { x: 20, y: 0, z: 0 } },
+      { id: "player-spawn", position: { x: 40, y: 0, z: 0 } }
+    ]);
+
+    // Away from a lone enemy, and between two enemies at either end
+    assert.strictEqual(spawns.pick([{ x: 2, y: 2, z: 0 }]).x, 40);
+    assert.strictEqual(spawns.pick([{ x: 2, y: 2, z: 0 }, { x: 38, y: 2, z: 0 }]).x, 20);
+  });
+
+  it("hands out copies", () => {
+    spawns.load([{ id: "player-spawn", position: { x: 3, y: 0, z: 3 } }]);
+    spawns.pick([]).x = 100;
+
+    assert.strictEqual(spawns.pick([]).x, 3);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "assert";
+import { MapSchema } from "@colyseus/schema";
+
+import { SpawnProtection } from "../src/rooms/SpawnProtection";
+import { Player } from "../src/rooms/schema/LobbyState";
+
+describe("SpawnProtection", () => {
+  let players: MapSchema<Player>;
+  let player: Player;
+
+  beforeEach(() => {
+    players = new MapSchema<Player>();
+    player = new Player();
+    player.id = "a";
+    players.set("a", player);
+  });
+
+  it("protects a spawned player until the time runs out", () => {
+    const protection = new SpawnProtection(players, 3000);
+    protection.protect(player, 1000);
+    assert.strictEqual(protection.isProtected(player), true);
+    assert.strictEqual(player.spawnProtected, true);
+
+    protection.update(3999);
+    assert.strictEqual(protection.isProtected(player), true);
+
+    protection.update(4000);
+    assert.strictEqual(protection.isProtected(player), false);
+    assert.strictEqual(player.spawnProtected, false);
+  });
+
+  it("ends early when the player throws", () => {
+    const protection = new SpawnProtection(players, 3000);
+    protection.protect(player, 1000);
+    protection.end(player);
+
+    assert.strictEqual(protection.isProtected(player), false);
+    assert.strictEqual(player.spawnProtected, false);
+  });
+
+  it("restarts on the next spawn", () => {
+    const protection = new SpawnProtection(players, 3000);
+    protection.protect(player, 1000);
+    protection.protect(player, 3000);
+    protection.update(4500);
+
+    assert.strictEqual(protection.isProtected(player), true);
+  });
+
+  it("protects nobody with a duration of 0", () => {
+    const protection = new SpawnProtection(players, 0);
+    protection.protect(player, 1000);
+
+    assert.strictEqual(protection.isProtected(player), false);
+    assert.strictEqual(player.spawnProtected, false);
+  });
+
+  it("forgets a player that left", () => {
+    const protection = new SpawnProtection(players, 3000);
+    protection.protect(player, 1000);
+    protection.removePlayer("a");
+
+    assert.strictEqual(protection.isProtected(player), false);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from "assert";
+import { MapSchema } from "@colyseus/schema";
+
+import { TeamManager } from "../src/rooms/TeamManager";
+import { Player, TeamState } from "../src/rooms/schema/LobbyState";
+
+describe("TeamManager", () => {
+  let teams: MapSchema<TeamState>;
+  let players: MapSchema<Player>;
+
+  function join(manager: TeamManager, id: string): Player {
+    const player = new Player();
+    player.id = id;
+    manager.assignTeam(player);
+    players.set(id, player);
+    return player;
+  }
+
+  beforeEach(() => {
+    teams = new MapSchema<TeamState>();
+    players = new MapSchema<Player>();
+  });
+
+  it("balances joining players across the teams", () => {
+    const manager = new TeamManager(teams, players, true, false);
+    const assigned = ["a", "b", "c", "d"].map(id => join(manager, id).team);
+
+    assert.deepStrictEqual(assigned, ["red", "blue", "red", "blue"]);
+  });
+
+  it("puts a joining player on the losing team when counts are even", () => {
+    const manager = new TeamManager(teams, players, true, false);
+    join(manager, "a");
+    join(manager, "b");
+    manager.addPoints("red", 5);
+
+    assert.strictEqual(join(manager, "c").team, "blue");
+  });
+
+  it("blocks friendly fire unless it is on", () => {
+    const manager = new TeamManager(teams, players, true, false);
+    const a = join(manager, "a");
+    const b = join(manager, "b");
+    const c = join(manager, "c");
+
+    assert.strictEqual(manager.canDamage("a", c), false);
+    assert.strictEqual(manager.canDamage("a", b), true);
+    assert.strictEqual(manager.isTeammate("a", a), false);
+
+    manager.friendlyFire = true;
+    assert.strictEqual(manager.canDamage("a", c), true);
+  });
+
+  it("scores kills for the killer's team but not team kills", () => {
+    const manager = new TeamManager(teams, players, true, true);
+    const a = join(manager, "a");
+    const b = join(manager, "b");
+    const c = join(manager, "c");
+
+    assert.strictEqual(manager.addKill(a, b), 1);
+    assert.strictEqual(manager.addKill(a, c), null);
+    assert.deepStrictEqual(manager.getStandings(), [
+      { id: "red", name: "Red Team", score: 1 },
+      { id: "blue", name: "Blue Team", score: 0 }
+    ]);
+
+    manager.resetScores();
+    assert.strictEqual(teams.get("red").score, 0);
+  });
+
+  it("does nothing in free-for-all", () => {
+    const manager = new TeamManager(teams, players, false, false);
+    const a = join(manager, "a");
+    const b = join(manager, "b");
+
+    assert.strictEqual(teams.size, 0);
+    assert.strictEqual(a.team, null);
+    assert.strictEqual(manager.canDamage("a", b), true);
+    assert.strictEqual(manager.addKill(a, b), null);
+  });
+});
@@ -0,0 +1,97 @@
+import assert from "assert";
+import { MapSchema } from "@colyseus/schema";
+
+import { ZoneManager } from "../src/rooms/ZoneManager";
+import { Player, ZoneState } from "../src/rooms/schema/LobbyState";
+
+const ZONES = [
+  { id: "capture-zone", position: { x: 0, y: 0, z: 0 }, radius: 5 },
+  { id: "capture-zone", position: { x: 30, y: 0, z: 0 }, radius: 5 }
+];
+
+describe("ZoneManager", () => {
+  let zones: MapSchema<ZoneState>;
+  let players: MapSchema<Player>;
+
+  function createManager(useTeams: boolean): ZoneManager {
+    const manager = new ZoneManager(zones, players, useTeams, 10000);
+    manager.load(ZONES);
+    manager.reset(0);
+    return manager;
+  }
+
+  // A player standing on the ground at x
+  function addPlayer(id: string, x: number, team: string = null): Player {
+    const player = new Player();
+    player.id = id;
+    player.team = team;
+    player.x = x;
+    player.y = 2;
+    players.set(id, player);
+    return player;
+  }
+
+  beforeEach(() => {
+    zones = new MapSchema<ZoneState>();
+    players = new MapSchema<Player>();
+  });
+
+  it("scores a player holding the zone alone every second", () => {
+    const manager = createManager(false);
+    addPlayer("a", 1);
+
+    assert.deepStrictEqual(manager.update(100), []);
+    assert.strictEqual(zones.get("zone-0").holderId, "a");
+    assert.deepStrictEqual(manager.update(900), []);
+    assert.deepStrictEqual(manager.update(2600), [{ holderId: "a", points: 2 }]);
+  });
+
+  it("doesn't score a contested zone", () => {
+    const manager = createManager(false);
+    addPlayer("a", 1);
+    addPlayer("b", -1);
+
+    manager.update(100);
+    assert.deepStrictEqual(manager.update(3000), []);
+    assert.strictEqual(zones.get("zone-0").contested, true);
+    assert.strictEqual(zones.get("zone-0").holderId, null);
+  });
+
+  it("lets a team hold the zone with several players", () => {
+    const manager = createManager(true);
+    addPlayer("a", 1, "red");
+    addPlayer("b", -1, "red");
+    addPlayer("c", 20, "blue");
+
+    manager.update(100);
+    assert.deepStrictEqual(manager.update(1200), [{ holderId: "red", points: 1 }]);
+  });
+
+  it("ignores dead players and players outside the zone", () => {
+    const manager = createManager(false);
+    addPlayer("a", 6);
+    addPlayer("b", 1).health = 0;
+
+    manager.update(100);
+    assert.deepStrictEqual(manager.update(3000), []);
+    assert.strictEqual(zones.get("zone-0").holderId, null);
+  });
+
+  it("moves to the next zone when its timer runs out", () => {
+    const manager = createManager(false);
+    addPlayer("a", 1);
+
+    manager.update(100);
+    assert.strictEqual(zones.get("zone-0").timeRemaining, 10);
+
+    manager.update(10000);
+    assert.strictEqual(zones.get("zone-0").active, false);
+    assert.strictEqual(zones.get("zone-1").active, true);
+    assert.strictEqual(zones.get("zone-0").holderId, null);
+    assert.deepStrictEqual(manager.update(12000), []);
+
+    // And back around to the first
+    manager.update(20000);
+    assert.strictEqual(zones.get("zone-0").active, true);
+  });
+});
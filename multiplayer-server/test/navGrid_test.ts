@@ -0,0 +1,100 @@
+import assert from "assert";
+import os from "os";
+import path from "path";
+
+import { NavGrid, NavPoint, buildNavGrid } from "../src/rooms/navGrid";
+
+// A wall with a gap on the right between the two top rows, and a strip
+// below that no one can get into
+const ROWS = [
+  "..........",
+  "#######...",
+  "..........",
+  "##########",
+  "..#......."
+];
+
+describe("NavGrid", () => {
+  let grid: NavGrid;
+
+  beforeEach(() => {
+    grid = new NavGrid({
+      version: 1,
+      worldHash: "test",
+      cellSize: 1,
+      originX: 0,
+      originZ: 0,
+      width: ROWS[0].length,
+      depth: ROWS.length,
+      rows: ROWS
+    });
+  });
+
+  it("walks straight when nothing is in the way", () => {
+    assert.deepStrictEqual(grid.findPath({ x: 0.5, z: 0.5 }, { x: 9.5, z: 0.5 }), [{ x: 9.5, z: 0.5 }]);
+  });
+
+  it("finds a way around a wall", () => {
+    const from = { x: 0.5, z: 0.5 };
+    const to = { x: 0.5, z: 2.5 };
+    const path = grid.findPath(from, to);
+
+    assert.deepStrictEqual(path[path.length - 1], to);
+    assert.ok(path.some(point => point.x > 7), "goes through the gap");
+
+    let current: NavPoint = from;
+    path.forEach(point => {
+      assert.ok(grid.hasLineOfSight(current, point), `blocked from ${JSON.stringify(current)} to ${JSON.stringify(point)}`);
+      current = point;
+    });
+  });
+
+  it("has no way to a walled off area", () => {
+    assert.strictEqual(grid.findPath({ x: 0.5, z: 0.5 }, { x: 5.5, z: 4.5 }), null);
+    assert.strictEqual(grid.isReachable({ x: 0.5, z: 0.5 }, { x: 5.5, z: 4.5 }), false);
+    assert.strictEqual(grid.isReachable({ x: 0.5, z: 0.5 }, { x: 0.5, z: 2.5 }), true);
+  });
+
+  it("moves blocked points to the nearest walkable cell", () => {
+    assert.deepStrictEqual(grid.nearestWalkable({ x: 0.2, z: 1.9 }), { x: 0.5, z: 2.5 });
+    assert.deepStrictEqual(grid.nearestWalkable({ x: 4.2, z: 0.3 }), { x: 4.2, z: 0.3 });
+  });
+
+  it("sees through open cells but not walls", () => {
+    assert.strictEqual(grid.hasLineOfSight({ x: 0.5, z: 0.5 }, { x: 9.5, z: 2.5 }), false);
+    assert.strictEqual(grid.hasLineOfSight({ x: 8.5, z: 0.5 }, { x: 8.5, z: 2.5 }), true);
+  });
+
+  it("picks random points in the main play area", () => {
+    for (let i = 0; i < 20; i++) {
+      const point = grid.randomPoint();
+      assert.ok(grid.isWalkable(point.x, point.z));
+      assert.ok(point.z < 3);
+    }
+  });
+});
+
+describe("buildNavGrid", () => {
+  const env = { ...process.env };
+  const WORLD = { objects: [{ id: "wall", instances: [{ x: 0, y: 0, z: 0 }] }] };
+
+  beforeEach(() => {
+    process.env.ASSETS_PATH = path.join(os.tmpdir(), "missing-assets");
+  });
+  afterEach(() => {
+    process.env.ASSETS_PATH = env.ASSETS_PATH;
+    process.env.NODE_ENV = env.NODE_ENV;
+    if (env.ASSETS_PATH === undefined) delete process.env.ASSETS_PATH;
+    if (env.NODE_ENV === undefined) delete process.env.NODE_ENV;
+  });
+
+  it("lists the models it couldn't read outside of production", () => {
+    process.env.NODE_ENV = "development";
+    assert.deepStrictEqual(buildNavGrid(WORLD).missingModels, ["wall"]);
+  });
+
+  it("refuses to build production's grid without the models", () => {
+    process.env.NODE_ENV = "production";
+    assert.throws(() => buildNavGrid(WORLD), /Could not build the nav grid/);
+  });
+});
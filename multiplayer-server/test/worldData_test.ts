@@ -0,0 +1,43 @@
+import assert from "assert";
+import os from "os";
+import path from "path";
+
+import { loadWorldData, getWorldBounds } from "../src/rooms/worldData";
+
+describe("worldData", () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env.WORLD_DATA_PATH = env.WORLD_DATA_PATH;
+    process.env.NODE_ENV = env.NODE_ENV;
+    if (env.WORLD_DATA_PATH === undefined) delete process.env.WORLD_DATA_PATH;
+    if (env.NODE_ENV === undefined) delete process.env.NODE_ENV;
+  });
+
+  it("loads the editor's world.json by default", () => {
+    delete process.env.WORLD_DATA_PATH;
+    assert.ok(loadWorldData().objects.length > 0);
+  });
+
+  it("has a cake base for each team on the editor's map", () => {
+    delete process.env.WORLD_DATA_PATH;
+    assert.deepStrictEqual(loadWorldData().cakeBases.map(base => base.team).sort(), ["blue", "red"]);
+  });
+
+  it("falls back to an empty world outside of production", () => {
+    process.env.WORLD_DATA_PATH = path.join(os.tmpdir(), "missing-world.json");
+    process.env.NODE_ENV = "development";
+    assert.deepStrictEqual(loadWorldData().spawners, []);
+  });
+
+  it("refuses to start production without the world", () => {
+    process.env.WORLD_DATA_PATH = path.join(os.tmpdir(), "missing-world.json");
+    process.env.NODE_ENV = "production";
+    assert.throws(() => loadWorldData(), /Could not load world data/);
+  });
+
+  it("bounds the placed objects with a margin", () => {
+    const bounds = getWorldBounds({ objects: [{ id: "crate", instances: [{ x: 0, y: 0, z: 0 }, null, { x: 20, y: 5, z: -10 }] }] });
+    assert.deepStrictEqual(bounds, { minX: -10, maxX: 30, minY: 0, maxY: 30, minZ: -20, maxZ: 10 });
+    assert.strictEqual(getWorldBounds({}), null);
+  });
+});